@@ -0,0 +1,102 @@
+// client/src/Account.jsx
+import React, { useState } from "react";
+import { UserCircle } from "lucide-react";
+import { apiFetch, readError, setToken } from "./api.js";
+import { userRoleLabel } from "./roles.js";
+import Users from "./Users.jsx";
+
+const field = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+/**
+ * The signed-in user's name, credentials (shown on every workflow step they take)
+ * and password; compliance managers also get user management.
+ * onUserChange(user) receives the saved profile.
+ */
+export default function Account({ user, roles, onUserChange }) {
+  const [form, setForm] = useState({ name: user.name, credentials: user.credentials, password: "", currentPassword: "" });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const save = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const resp = await apiFetch("/api/auth/me", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      if (!resp.ok) {
+        setError(await readError(resp, "Could not save your profile"));
+        return;
+      }
+      const data = await resp.json();
+      // a password change ends old sessions, this one included; keep going on the new token
+      if (data.token) setToken(data.token);
+      setForm({ ...form, password: "", currentPassword: "" });
+      setMessage("Saved.");
+      onUserChange(data.user);
+    } catch {
+      setError("Network error.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="space-y-6">
+      <form onSubmit={save} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4 max-w-xl">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <UserCircle className="w-5 h-5" /> {user.username}
+        </h3>
+        <p className="text-sm text-gray-500">{user.roles.map(userRoleLabel).join(", ")}</p>
+        <label className="block text-sm text-gray-700">
+          Full name
+          <input className={field} value={form.name} onChange={set("name")} />
+        </label>
+        <label className="block text-sm text-gray-700">
+          Credentials
+          <input
+            className={field}
+            value={form.credentials}
+            onChange={set("credentials")}
+            placeholder="e.g. TAE40122, Cert IV Maritime Operations"
+          />
+          <span className="text-xs text-gray-500">Recorded against every review and sign-off you make.</span>
+        </label>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block text-sm text-gray-700">
+            New password
+            <input className={field} type="password" autoComplete="new-password" value={form.password} onChange={set("password")} />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Current password
+            <input
+              className={field}
+              type="password"
+              autoComplete="current-password"
+              value={form.currentPassword}
+              onChange={set("currentPassword")}
+              disabled={!form.password}
+            />
+          </label>
+        </div>
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+        {message && <div className="text-sm text-green-700">{message}</div>}
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 text-sm"
+        >
+          {busy ? "Saving…" : "Save profile"}
+        </button>
+      </form>
+
+      {user.roles.includes("compliance-manager") && <Users roles={roles} currentUserId={user.id} />}
+    </section>
+  );
+}
@@ -1,275 +1,282 @@
 // client/src/App.jsx
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import {
   Upload,
-  CheckCircle,
   AlertCircle,
   FileText,
   Download,
   AlertTriangle,
   ExternalLink,
+  GraduationCap,
+  FolderOpen,
+  CalendarClock,
+  ClipboardCheck,
+  UserCircle,
+  LogOut,
+  Send,
+  SlidersHorizontal,
 } from "lucide-react";
+import { apiFetch, followEvents, onSignedOut, readError, setToken } from "./api.js";
+import QualificationDashboard from "./QualificationDashboard.jsx";
+import UnitCodePicker from "./UnitCodePicker.jsx";
+import ToolkitFiles from "./ToolkitFiles.jsx";
+import Projects from "./Projects.jsx";
+import MappingCheck from "./MappingCheck.jsx";
+import RemediationDrafts from "./RemediationDrafts.jsx";
+import CriterionOverride from "./CriterionOverride.jsx";
+import Login from "./Login.jsx";
+import SignOffs from "./SignOffs.jsx";
+import Schedule from "./Schedule.jsx";
+import Account from "./Account.jsx";
+import Rubrics from "./Rubrics.jsx";
+import ValidationProgress from "./ValidationProgress.jsx";
+import { roleLabel, userRoleLabel } from "./roles.js";
+import { isPlaceholder, provenanceLabel } from "./provenance.js";
 
-const API_BASE = "http://localhost:5050";
-
-/* ---------------------- text coverage helpers ---------------------- */
-const STOP = new Set([
-  "the","and","a","an","for","to","of","in","on","by","with","as","that","are","is","be","or","at",
-  "from","this","it","into","over","under","up","down","across","about","between","their","your",
-  "you","we","our","they"
-]);
-const tokenize = (t) =>
-  (t || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, " ")
-    .split(/\s+/)
-    .filter((w) => w && !STOP.has(w));
-
-const coverageCheck = (fullText, targets) => {
-  const textTokens = new Set(tokenize(fullText || ""));
-  const missing = [];
-  let covered = 0;
-
-  for (const t of targets) {
-    const key = tokenize(t.text);
-    if (!key.length) continue;
-    const present = key.filter((k) => textTokens.has(k)).length;
-    const ratio = present / key.length;
-    if (ratio >= 0.35) covered += 1;
-    else missing.push(t.code || t.text.slice(0, 60));
-  }
-
-  return {
-    total: targets.length,
-    assessed: covered,
-    percentage: targets.length ? Math.round((covered * 100) / targets.length) : 0,
-    missing,
-  };
+// Wrap words whose lowercase form is one of the matched terms in <mark>.
+const highlight = (text, terms) => {
+  const set = new Set(terms || []);
+  return text.split(/([a-z0-9]+)/i).map((part, i) =>
+    set.has(part.toLowerCase()) ? (
+      <mark key={i} className="bg-yellow-200 rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
 };
-/* ------------------------------------------------------------------ */
+
+// Keep the user's accept/reject decisions and added codes when the toolkit is re-extracted.
+function mergeCodes(prev, detected) {
+  const decided = new Map(prev.map((c) => [c.code, c]));
+  const merged = detected.map((c) => (decided.has(c.code) ? { ...c, accepted: decided.get(c.code).accepted } : c));
+  return [...merged, ...prev.filter((c) => c.manual && !detected.some((d) => d.code === c.code))];
+}
 
 export default function App() {
+  const [session, setSession] = useState(null); // { setupRequired, user, roles } from /api/auth/status
   const [activeTab, setActiveTab] = useState("upload");
 
-  const [assessmentFile, setAssessmentFile] = useState(null);
-  const [assessmentText, setAssessmentText] = useState("");
-  const [detectedUoCs, setDetectedUoCs] = useState([]);
+  const [uploads, setUploads] = useState([]); // File objects picked so far (files and/or zips)
+  const [toolkitFiles, setToolkitFiles] = useState([]); // [{ name, role, text, structure }] from /api/extract
+  const [roleOptions, setRoleOptions] = useState(["student-task", "marking-guide", "observation-checklist", "mapping", "other"]);
+  const [assessmentStructure, setAssessmentStructure] = useState(null); // { sections, blocks } from /api/extract
+  const [unitCodes, setUnitCodes] = useState([]); // detected candidates + manual additions, each with `accepted`
 
   // Multi-UoC reports and active selection
   const [reports, setReports] = useState([]); // [{ unit, coverage, rulesOfEvidence, principlesOfAssessment, gaps }]
   const [activeReportIdx, setActiveReportIdx] = useState(0);
 
   const [isProcessing, setIsProcessing] = useState(false);
+  const [job, setJob] = useState(null); // the running validation job: { id, progress, tasks }
+  const [cancelling, setCancelling] = useState(false);
+  const stopFollowing = useRef(null);
   const [uploadError, setUploadError] = useState("");
+  const [exporting, setExporting] = useState(""); // format being built
+  const [exportError, setExportError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [submitMessage, setSubmitMessage] = useState("");
+  const [overrideError, setOverrideError] = useState("");
 
-  /* -------------------------- API helpers -------------------------- */
-  const fetchUoc = async (code) => {
-    try {
-      const r = await fetch(`${API_BASE}/api/uoc/${code}`);
-      if (!r.ok) return null;
-      return await r.json();
-    } catch {
-      return null;
-    }
+  // who is signed in (the stored token may have expired), and back to the sign-in form when the server says so
+  useEffect(() => {
+    apiFetch("/api/auth/status")
+      .then((resp) => resp.json())
+      .then(setSession)
+      .catch(() => setSession({ setupRequired: false, user: null, roles: [], offline: true }));
+    return onSignedOut(() => setSession((s) => ({ ...s, user: null })));
+  }, []);
+
+  useEffect(() => () => stopFollowing.current?.(), []);
+
+  const signOut = () => {
+    setToken("");
+    setSession({ ...session, user: null });
   };
 
   /* ---------------------------- Handlers --------------------------- */
-  const handleUpload = async (e) => {
+  // (Re-)extract the whole toolkit: every picked file, with the roles chosen so far
+  const extractToolkit = async (files) => {
     setUploadError("");
-    setDetectedUoCs([]);
-    setAssessmentText("");
     setReports([]);
     setActiveReportIdx(0);
-
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    setAssessmentFile(file);
+    if (!files.length) {
+      setUploads([]);
+      setToolkitFiles([]);
+      setAssessmentStructure(null);
+      setUnitCodes([]);
+      return;
+    }
 
     const form = new FormData();
     // MUST be 'assessment' to match server field name
-    form.append("assessment", file);
+    files.forEach((f) => form.append("assessment", f));
+    form.append("roles", JSON.stringify(Object.fromEntries(toolkitFiles.map((f) => [f.name, f.role]))));
 
     try {
-      const resp = await fetch(`${API_BASE}/api/extract`, { method: "POST", body: form });
+      const resp = await apiFetch(`/api/extract`, { method: "POST", body: form });
 
       if (!resp.ok) {
-        let msg = `Upload failed: HTTP ${resp.status}`;
-        try {
-          const maybe = await resp.json();
-          if (maybe?.error) msg = maybe.error;
-        } catch {
-          try {
-            const t = await resp.text();
-            if (t) msg = t.slice(0, 400);
-          } catch {}
-        }
-        setUploadError(msg || "Upload failed");
+        setUploadError(await readError(resp, "Upload failed"));
         return;
       }
 
       const data = await resp.json();
-      setDetectedUoCs(data.detected || []);
-      setAssessmentText(data.text || "");
-      setUploadError("");
+      setUploads(files);
+      setToolkitFiles((data.files || []).map(({ name, role, text, structure }) => ({ name, role, text, structure })));
+      if (data.roles) setRoleOptions(data.roles);
+      setAssessmentStructure(data.structure || null);
+      setUnitCodes((prev) => mergeCodes(prev, data.candidates || []));
     } catch {
       setUploadError("Network error while uploading file.");
     }
   };
 
-  const buildReportFromTGA = (tgaPayload) => {
-    // Normalize unit
-    const unit = tgaPayload.unit?.code
-      ? { code: tgaPayload.unit.code, title: tgaPayload.unit.title || tgaPayload.title || "", url: tgaPayload.url }
-      : { code: tgaPayload.code, title: tgaPayload.title || "", url: tgaPayload.url };
-
-    const pcs = (tgaPayload.elementsAndPC || [])
-      .filter((p) => p.pcCode && p.description)
-      .map((p) => ({ code: `PC ${p.pcCode}`, text: p.description }));
-
-    const kes = (tgaPayload.knowledgeEvidence || []).map((t, i) => ({
-      code: `K${i + 1}`,
-      text: t,
-    }));
-
-    const pcCov = coverageCheck(assessmentText, pcs);
-    const keCov = coverageCheck(assessmentText, kes);
-
-    const sufficiency = Math.min(100, Math.round(pcCov.percentage * 0.6 + keCov.percentage * 0.4));
-    const validity = pcCov.percentage;
-
-    const rulesOfEvidence = {
-      validity: { status: validity >= 85 ? "pass" : validity >= 70 ? "warning" : "fail", score: validity },
-      sufficiency: {
-        status: sufficiency >= 90 ? "pass" : sufficiency >= 75 ? "warning" : "fail",
-        score: sufficiency,
-      },
-      authenticity: { status: "pass", score: 100 },
-      currency: { status: "pass", score: 100 },
-    };
-
-    const principlesOfAssessment = {
-      fairness: { status: "pass", score: 95 },
-      flexibility: { status: "pass", score: 90 },
-      validity: { status: rulesOfEvidence.validity.status, score: validity },
-      reliability: { status: "pass", score: 92 },
-    };
-
-    const gaps = [];
-    pcCov.missing.slice(0, 5).forEach((pc) =>
-      gaps.push({
-        type: "critical",
-        element: pc,
-        description: "Performance criterion not clearly evidenced in assessment text.",
-        recommendation: "Add/clarify an assessment task or marking checklist item for this PC.",
-        priority: "HIGH",
-      })
-    );
-    keCov.missing.slice(0, 5).forEach((k) =>
-      gaps.push({
-        type: "improvement",
-        element: k,
-        description: "Knowledge evidence coverage could be strengthened.",
-        recommendation: "Add a short-answer/scenario question to explicitly test this knowledge.",
-        priority: "MEDIUM",
-      })
-    );
-
-    return {
-      unit,
-      coverage: {
-        performanceCriteria: pcCov,
-        knowledge: keCov,
-      },
-      rulesOfEvidence,
-      principlesOfAssessment,
-      gaps,
-    };
+  // Picked files join the toolkit (a re-picked name replaces the earlier file)
+  const handleUpload = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!picked.length) return;
+    const names = new Set(picked.map((f) => f.name));
+    extractToolkit([...uploads.filter((f) => !names.has(f.name)), ...picked]);
   };
 
-  const validate = async () => {
-    if (!detectedUoCs.length) {
-      setActiveTab("results");
-      setReports([
-        {
-          unit: { code: "N/A", title: "No UoC detected" },
-          coverage: {
-            performanceCriteria: { total: 0, assessed: 0, percentage: 0, missing: [] },
-            knowledge: { total: 0, assessed: 0, percentage: 0, missing: [] },
-          },
-          rulesOfEvidence: {
-            validity: { status: "fail", score: 0 },
-            sufficiency: { status: "fail", score: 0 },
-            authenticity: { status: "warning", score: 50 },
-            currency: { status: "warning", score: 50 },
-          },
-          principlesOfAssessment: {
-            fairness: { status: "warning", score: 50 },
-            flexibility: { status: "warning", score: 50 },
-            validity: { status: "fail", score: 0 },
-            reliability: { status: "warning", score: 50 },
-          },
-          gaps: [
-            {
-              type: "critical",
-              element: "UoC",
-              description: "No valid UoC detected in document.",
-              recommendation: "Ensure the assessment references the correct Unit code(s) per Training.gov.au.",
-              priority: "HIGH",
-            },
-          ],
-        },
-      ]);
-      return;
+  const setFileRole = (name, role) => setToolkitFiles((files) => files.map((f) => (f.name === name ? { ...f, role } : f)));
+
+  const selectedCodes = unitCodes.filter((c) => c.accepted).map((c) => c.code);
+
+  // the job is over, one way or another
+  const endJob = (error) => {
+    stopFollowing.current?.();
+    stopFollowing.current = null;
+    setJob(null);
+    setCancelling(false);
+    setIsProcessing(false);
+    if (error) {
+      setUploadError(error);
+      setActiveTab("upload");
     }
+  };
 
+  const validate = async () => {
     setIsProcessing(true);
     setActiveTab("results");
 
     try {
-      // Lookup all UoCs in parallel
-      const results = await Promise.allSettled(detectedUoCs.map((c) => fetchUoc(c)));
-
-      const perUnitReports = results.map((settled, idx) => {
-        const code = detectedUoCs[idx];
-        if (settled.status !== "fulfilled" || !settled.value || settled.value.found === false) {
-          return {
-            unit: { code, title: "No TGA details available" },
-            coverage: {
-              performanceCriteria: { total: 0, assessed: 0, percentage: 0, missing: [] },
-              knowledge: { total: 0, assessed: 0, percentage: 0, missing: [] },
-            },
-            rulesOfEvidence: {
-              validity: { status: "fail", score: 0 },
-              sufficiency: { status: "fail", score: 0 },
-              authenticity: { status: "warning", score: 50 },
-              currency: { status: "warning", score: 50 },
-            },
-            principlesOfAssessment: {
-              fairness: { status: "warning", score: 50 },
-              flexibility: { status: "warning", score: 50 },
-              validity: { status: "fail", score: 0 },
-              reliability: { status: "warning", score: 50 },
-            },
-            gaps: [
-              {
-                type: "critical",
-                element: code,
-                description: "Could not fetch details from training.gov.au for this code.",
-                recommendation: "Check the unit code or try again later.",
-                priority: "HIGH",
-              },
-            ],
-          };
-        }
-
-        return buildReportFromTGA(settled.value);
+      // Scoring happens server-side so reports are reproducible outside the UI; unit
+      // lookups run as a background job whose per-unit progress streams back
+      const resp = await apiFetch(`/api/validate/jobs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ files: toolkitFiles, codes: selectedCodes }),
       });
+      const started = await resp.json().catch(() => ({}));
+      if (!resp.ok) return endJob(started.error || `Validation failed: HTTP ${resp.status}`);
 
-      setReports(perUnitReports);
-      setActiveReportIdx(0);
+      setJob(started);
+      const updateTask = (task) =>
+        setJob((j) => {
+          if (!j) return j;
+          const tasks = j.tasks.map((t) => (t.item === task.item ? task : t));
+          const settled = tasks.filter((t) => ["done", "failed", "cancelled"].includes(t.status)).length;
+          return { ...j, tasks, progress: { ...j.progress, settled } };
+        });
+      stopFollowing.current = followEvents(`/api/validate/jobs/${started.id}/events`, {
+        snapshot: setJob,
+        task: updateTask,
+        done: (finished) => {
+          setReports(finished.result.reports || []);
+          setActiveReportIdx(0);
+          endJob();
+        },
+        cancelled: () => endJob("Validation cancelled."),
+        failed: (failed) => endJob(failed.error || "Validation failed."),
+        onLost: () => endJob("Lost touch with the validation; try again."),
+      });
+    } catch {
+      endJob("Network error while validating.");
+    }
+  };
+
+  // the server aborts the lookups and the stream reports "cancelled"
+  const cancelValidation = async () => {
+    setCancelling(true);
+    const resp = await apiFetch(`/api/validate/jobs/${job.id}`, { method: "DELETE" }).catch(() => null);
+    if (!resp?.ok) setCancelling(false);
+  };
+
+  const download = (blob, name) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Formatted report for every unit in the session, rendered server-side
+  const exportReports = async (format) => {
+    setExporting(format);
+    setExportError("");
+    try {
+      const resp = await apiFetch(`/api/export/${format}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reports, assessment: toolkitFiles.map((f) => f.name).join(", ") }),
+      });
+      if (!resp.ok) {
+        setExportError(await readError(resp, "Export failed"));
+        return;
+      }
+      const name = /filename="([^"]+)"/.exec(resp.headers.get("Content-Disposition") || "")?.[1];
+      download(await resp.blob(), name || `validation-report.${format}`);
+    } catch {
+      setExportError("Network error while exporting.");
     } finally {
-      setIsProcessing(false);
+      setExporting("");
+    }
+  };
+
+  // Start the draft -> reviewed -> signed-off workflow for the unit on screen
+  const submitForSignOff = async () => {
+    setSubmitting(true);
+    setSubmitMessage("");
+    try {
+      const resp = await apiFetch("/api/sign-offs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ report: activeReport, assessment: toolkitFiles.map((f) => f.name).join(", ") }),
+      });
+      setSubmitMessage(
+        resp.ok ? "Submitted as a draft. Follow it on the Sign-off tab." : await readError(resp, "Could not submit")
+      );
+    } catch {
+      setSubmitMessage("Network error while submitting.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // A validator's call on one criterion; the server re-scores the report with it
+  const saveOverride = async (change) => {
+    setOverrideError("");
+    try {
+      const resp = await apiFetch("/api/overrides", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ report: activeReport, ...change }),
+      });
+      if (!resp.ok) {
+        setOverrideError(await readError(resp, "Could not save the override"));
+        return false;
+      }
+      const updated = await resp.json();
+      setReports(reports.map((r, i) => (i === activeReportIdx ? updated : r)));
+      return true;
+    } catch {
+      setOverrideError("Network error while saving the override.");
+      return false;
     }
   };
 
@@ -289,6 +296,14 @@ export default function App() {
       : "bg-blue-100 text-blue-800";
 
   const activeReport = reports[activeReportIdx];
+  // reports saved before rubrics were scored with the built-in bar
+  const overallBar = activeReport?.rubric?.values.overall || { pc: 90, knowledge: 85 };
+
+  // the engine's own figure, when validator overrides changed it
+  const automatedNote = (cov) =>
+    (cov.automated && cov.automated.percentage !== cov.percentage ? ` · automated ${cov.automated.percentage}%` : "") +
+    // criteria with no words to match on aren't in the total
+    (cov.skipped?.length ? ` · ${cov.skipped.length} not scored` : "");
 
   const Tile = ({ title, value, sub, leftBorder }) => (
     <div className={`bg-white rounded-xl shadow-sm p-6 border-l-4 ${leftBorder}`}>
@@ -298,16 +313,125 @@ export default function App() {
     </div>
   );
 
+  // One rule/principle: score, a one-line reason and, for rule-based checks, each check's result
+  const RuleCard = ({ rule, data }) => (
+    <div className="p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-start">
+          {data.status === "pass" ? (
+            <span className="text-green-600 mr-3">✔</span>
+          ) : (
+            <AlertCircle className="w-5 h-5 text-amber-500 mr-3 shrink-0" />
+          )}
+          <div>
+            <span className="font-semibold capitalize text-gray-900">{rule}</span>
+            {data.detail && <div className="text-xs text-gray-600 mt-1">{data.detail}</div>}
+            {data.automated && data.automated.score !== data.score && (
+              <div className="text-xs text-purple-700 mt-1">Automated {data.automated.score}% before validator overrides</div>
+            )}
+          </div>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${statusPill(data.status)}`}>{data.score}%</span>
+      </div>
+      {data.checks?.length > 0 && (
+        <ul className="mt-3 ml-8 space-y-1">
+          {data.checks.map((c) => (
+            <li key={c.id} className="text-xs">
+              <span className={c.passed ? "text-green-700" : "text-red-700"}>{c.passed ? "✔" : "✖"}</span>{" "}
+              <span className="font-medium text-gray-800">{c.label}</span>
+              {c.evidence?.label && <span className="text-gray-500"> ({c.evidence.label})</span>}
+              <div className="text-gray-500 ml-4">{c.passed ? c.why : c.fix || c.why}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  const EvidenceList = ({ title, items }) => (
+    <div>
+      <div className="text-sm font-semibold mb-2 text-gray-800">{title}</div>
+      <div className="space-y-3">
+        {items.map((it) => (
+          <details key={it.code} className="border border-gray-200 rounded-lg p-3">
+            <summary className="cursor-pointer flex items-start justify-between gap-3 list-none">
+              <span className="text-sm text-gray-900">
+                <strong className="mr-2">{it.code}</strong>
+                {it.text}
+              </span>
+              <span
+                className={`shrink-0 px-2 py-0.5 rounded text-xs font-semibold ${
+                  it.covered ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                } ${it.override && it.override.covered !== undefined ? "ring-2 ring-purple-400" : ""}`}
+                title={it.override && it.override.covered !== undefined ? "Set by the validator" : undefined}
+              >
+                {it.covered ? "Covered" : "Missing"} · {it.score}%
+              </span>
+            </summary>
+            <CriterionOverride
+              item={it}
+              canOverride={session.user.roles.some((r) => r === "validator" || r === "compliance-manager")}
+              onSave={saveOverride}
+            />
+            {it.evidence.length === 0 ? (
+              <p className="text-xs text-gray-500 mt-2">No matching passages found.</p>
+            ) : (
+              <ul className="mt-3 space-y-2">
+                {it.evidence.map((ev) => (
+                  <li key={ev.blockId} className="text-sm bg-gray-50 rounded p-2">
+                    <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                      <span className="font-semibold text-gray-700">
+                        {ev.file && (
+                          <span className="font-normal text-gray-500">
+                            {ev.file}
+                            {ev.role ? ` (${roleLabel(ev.role)})` : ""} ·{" "}
+                          </span>
+                        )}
+                        {ev.label}
+                        {ev.page ? ` (p. ${ev.page})` : ""}
+                      </span>
+                      <span>
+                        {ev.score}% match · {ev.terms.join(", ")}
+                      </span>
+                    </div>
+                    <p className="text-gray-700">{highlight(ev.snippet, ev.terms)}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+
   /* ------------------------------- UI ------------------------------ */
+  if (!session) return null;
+  if (session.offline) {
+    return <div className="p-8 text-sm text-red-700">Can’t reach the validation server. Check it is running and reload.</div>;
+  }
+  if (!session.user) {
+    return <Login setupRequired={session.setupRequired} onSignedIn={(user) => setSession({ ...session, setupRequired: false, user })} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <header className="bg-gradient-to-r from-indigo-700 to-purple-700 text-white">
-        <div className="max-w-6xl mx-auto px-6 py-8">
-          <h1 className="text-3xl font-bold tracking-tight">RTO Assessment Validator</h1>
-          <p className="text-indigo-100 mt-1">
-            Upload your assessment. We’ll detect UoCs and check coverage against Training.gov.au.
-          </p>
+        <div className="max-w-6xl mx-auto px-6 py-8 flex items-start justify-between gap-6">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">RTO Assessment Validator</h1>
+            <p className="text-indigo-100 mt-1">
+              Upload your assessment. We’ll detect UoCs and check coverage against Training.gov.au.
+            </p>
+          </div>
+          <div className="text-right text-sm">
+            <div className="font-semibold">{session.user.name}</div>
+            <div className="text-indigo-100">{session.user.roles.map(userRoleLabel).join(", ")}</div>
+            <button onClick={signOut} className="inline-flex items-center gap-1 mt-1 text-indigo-100 hover:text-white">
+              <LogOut className="w-4 h-4" /> Sign out
+            </button>
+          </div>
         </div>
       </header>
 
@@ -327,6 +451,39 @@ export default function App() {
               <Upload className="inline w-5 h-5 mr-2 -mt-1" />
               Upload
             </button>
+            <button
+              onClick={() => setActiveTab("qualification")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "qualification"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <GraduationCap className="inline w-5 h-5 mr-2 -mt-1" />
+              Qualification
+            </button>
+            <button
+              onClick={() => setActiveTab("projects")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "projects"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <FolderOpen className="inline w-5 h-5 mr-2 -mt-1" />
+              Projects
+            </button>
+            <button
+              onClick={() => setActiveTab("schedule")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "schedule"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <CalendarClock className="inline w-5 h-5 mr-2 -mt-1" />
+              Schedule
+            </button>
             <button
               onClick={() => setActiveTab("results")}
               disabled={!reports.length}
@@ -339,6 +496,39 @@ export default function App() {
               <FileText className="inline w-5 h-5 mr-2 -mt-1" />
               Results
             </button>
+            <button
+              onClick={() => setActiveTab("sign-off")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "sign-off"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <ClipboardCheck className="inline w-5 h-5 mr-2 -mt-1" />
+              Sign-off
+            </button>
+            <button
+              onClick={() => setActiveTab("account")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "account"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <UserCircle className="inline w-5 h-5 mr-2 -mt-1" />
+              Account
+            </button>
+            <button
+              onClick={() => setActiveTab("rubrics")}
+              className={`pb-4 px-1 border-b-2 font-medium ${
+                activeTab === "rubrics"
+                  ? "border-indigo-600 text-indigo-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <SlidersHorizontal className="inline w-5 h-5 mr-2 -mt-1" />
+              Rubrics
+            </button>
           </div>
         </div>
       </nav>
@@ -350,29 +540,54 @@ export default function App() {
           <section className="space-y-6">
             <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-8 text-center">
               <Upload className="mx-auto w-12 h-12 text-gray-400 mb-4" />
-              <h3 className="text-lg font-semibold mb-2">Upload Assessment (.docx or .txt)</h3>
+              <h3 className="text-lg font-semibold mb-2">Upload Assessment (.docx, .pdf, .doc, .rtf, .odt, .txt, .xlsx, an LMS question bank or a .zip)</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Add every file of the tool: student task, marking guide, observation checklist, mapping.
+              </p>
+              <p className="text-xs text-gray-500 mb-4">Online quizzes: Moodle XML (.xml), a QTI 2.x package (.zip) or GIFT (.gift or .txt).</p>
 
-              <input id="fileup" type="file" accept=".docx,.txt" onChange={handleUpload} className="hidden" />
+              <input
+                id="fileup"
+                type="file"
+                multiple
+                accept=".docx,.pdf,.doc,.rtf,.odt,.txt,.xlsx,.xml,.gift,.zip"
+                onChange={handleUpload}
+                className="hidden"
+              />
               <label
                 htmlFor="fileup"
                 className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg cursor-pointer hover:bg-indigo-700 transition"
               >
-                Choose File
+                {uploads.length ? "Add Files" : "Choose Files"}
               </label>
-
-              {assessmentFile && (
-                <div className="mt-4 inline-flex items-center text-sm text-green-700 bg-green-50 border border-green-200 rounded px-3 py-2">
-                  <CheckCircle className="w-4 h-4 mr-2" />
-                  {assessmentFile.name}
-                </div>
+              {uploads.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => extractToolkit([])}
+                  className="ml-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+                >
+                  Clear
+                </button>
               )}
 
-              {detectedUoCs.length > 0 && (
-                <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded text-blue-800 text-sm">
-                  Detected UoCs: <strong>{detectedUoCs.join(", ")}</strong>
+              <ToolkitFiles
+                files={toolkitFiles}
+                roles={roleOptions}
+                removable={(name) => uploads.some((u) => u.name === name)}
+                onRoleChange={setFileRole}
+                onRemove={(name) => extractToolkit(uploads.filter((u) => u.name !== name))}
+              />
+
+              {assessmentStructure && (
+                <div className="mt-4 text-sm text-gray-600">
+                  {assessmentStructure.sections.filter((sec) => sec.level > 0).length} sections ·{" "}
+                  {assessmentStructure.blocks.filter((blk) => blk.type === "question").length} questions ·{" "}
+                  {assessmentStructure.blocks.filter((blk) => blk.type === "table").length} tables
                 </div>
               )}
 
+              {assessmentStructure && <UnitCodePicker codes={unitCodes} onChange={setUnitCodes} />}
+
               {uploadError && (
                 <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
                   {uploadError}
@@ -383,7 +598,7 @@ export default function App() {
             <div className="flex justify-center">
               <button
                 onClick={validate}
-                disabled={!assessmentFile || isProcessing}
+                disabled={!toolkitFiles.length || !selectedCodes.length || isProcessing}
                 className="px-8 py-3 bg-indigo-600 text-white text-base rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 shadow-sm"
               >
                 {isProcessing ? "Analyzing..." : "Validate Assessment"}
@@ -392,6 +607,66 @@ export default function App() {
           </section>
         )}
 
+        {/* Qualification dashboard */}
+        {activeTab === "qualification" && (
+          <QualificationDashboard
+            onOpenReport={(report) => {
+              setReports([report]);
+              setActiveReportIdx(0);
+              setActiveTab("results");
+            }}
+          />
+        )}
+
+        {/* Saved projects + version history */}
+        {activeTab === "projects" && (
+          <Projects
+            uploads={uploads}
+            roles={Object.fromEntries(toolkitFiles.map((f) => [f.name, f.role]))}
+            codes={selectedCodes}
+            onOpenReports={(saved) => {
+              setReports(saved);
+              setActiveReportIdx(0);
+              setActiveTab("results");
+            }}
+          />
+        )}
+
+        {/* Validation plan across the products on scope */}
+        {activeTab === "schedule" && (
+          <Schedule
+            user={session.user}
+            onOpenReports={(linked) => {
+              setReports(linked);
+              setActiveReportIdx(0);
+              setActiveTab("results");
+            }}
+          />
+        )}
+
+        {/* Validation records and their sign-off */}
+        {activeTab === "sign-off" && (
+          <SignOffs
+            user={session.user}
+            onOpenReport={(report) => {
+              setReports([report]);
+              setActiveReportIdx(0);
+              setActiveTab("results");
+            }}
+          />
+        )}
+
+        {activeTab === "account" && (
+          <Account
+            user={session.user}
+            roles={session.roles}
+            onUserChange={(user) => setSession({ ...session, user })}
+          />
+        )}
+
+        {/* Scoring rubrics (compliance managers edit them) */}
+        {activeTab === "rubrics" && <Rubrics user={session.user} />}
+
         {/* Results (multi-UoC) */}
         {activeTab === "results" && reports.length > 0 && (
           <section className="grid grid-cols-1 md:grid-cols-4 gap-6">
@@ -406,7 +681,10 @@ export default function App() {
                     return (
                       <button
                         key={r.unit.code + idx}
-                        onClick={() => setActiveReportIdx(idx)}
+                        onClick={() => {
+                          setActiveReportIdx(idx);
+                          setSubmitMessage("");
+                        }}
                         className={`w-full text-left px-3 py-3 rounded-lg border transition ${
                           isActive
                             ? "border-indigo-500 bg-indigo-50 shadow-[0_0_0_2px_rgba(99,102,241,0.15)]"
@@ -415,7 +693,12 @@ export default function App() {
                         aria-current={isActive ? "true" : "false"}
                       >
                         <div className="flex items-center justify-between">
-                          <div className="font-semibold text-gray-900">{r.unit.code}</div>
+                          <div className="font-semibold text-gray-900">
+                            {r.unit.code}
+                            {isPlaceholder(r.provenance) && (
+                              <AlertTriangle className="inline w-3.5 h-3.5 ml-1 -mt-0.5 text-red-600" aria-label="Placeholder data" />
+                            )}
+                          </div>
                           <div className="text-xs text-gray-500">{pct}% PC</div>
                         </div>
                         <div className="text-xs text-gray-600 truncate">{r.unit.title}</div>
@@ -428,12 +711,49 @@ export default function App() {
 
             {/* Right: active report */}
             <section className="md:col-span-3 space-y-6">
+              {/* Scored against made-up data: nothing below can be relied on */}
+              {isPlaceholder(activeReport.provenance) && (
+                <div className="flex items-start gap-3 p-4 bg-red-50 border-2 border-red-300 rounded-2xl text-red-800">
+                  <AlertTriangle className="w-6 h-6 shrink-0" />
+                  <div>
+                    <div className="font-bold">Placeholder unit data: these results are not real</div>
+                    <p className="text-sm mt-1">
+                      {activeReport.unit.code}’s details couldn’t be fetched, so it was scored against made-up test criteria.
+                      Validate again once training.gov.au or the local unit library is reachable; this report can’t be signed off.
+                    </p>
+                  </div>
+                </div>
+              )}
+
               {/* Header + export */}
               <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
                 <div className="flex items-center justify-between gap-4">
                   <div>
                     <h2 className="text-2xl font-bold text-gray-900">{activeReport.unit.code}</h2>
-                    <p className="text-gray-600 mt-1">{activeReport.unit.title}</p>
+                    <p className="text-gray-600 mt-1">
+                      {activeReport.unit.title}
+                      {activeReport.unit.release && (
+                        <span className="ml-2 text-xs text-gray-500">Release {activeReport.unit.release}</span>
+                      )}
+                      {["superseded", "deleted"].includes(activeReport.rulesOfEvidence.currency?.unitStatus) && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800 capitalize">
+                          {activeReport.rulesOfEvidence.currency.unitStatus}
+                        </span>
+                      )}
+                    </p>
+                    {activeReport.rubric && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Scored with {activeReport.rubric.name} v{activeReport.rubric.version}
+                      </p>
+                    )}
+                    <p className={`text-xs mt-1 ${activeReport.provenance?.stale ? "text-amber-700" : "text-gray-500"}`}>
+                      Unit data: {provenanceLabel(activeReport.provenance)}
+                    </p>
+                    {activeReport.unit.prerequisites?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Prerequisites: {activeReport.unit.prerequisites.join(", ")}
+                      </p>
+                    )}
                     {activeReport.unit.url && (
                       <a
                         href={activeReport.unit.url}
@@ -446,24 +766,49 @@ export default function App() {
                     )}
                   </div>
                   <div className="flex items-center gap-2">
+                    {["docx", "pdf", "csv"].map((fmt) => (
+                      <button
+                        key={fmt}
+                        className="inline-flex items-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+                        disabled={!!exporting}
+                        onClick={() => exportReports(fmt)}
+                        title="All units in this session"
+                      >
+                        <Download className="w-4 h-4 mr-2" /> {exporting === fmt ? "Building…" : fmt.toUpperCase()}
+                      </button>
+                    ))}
+                    <button
+                      className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                      onClick={() =>
+                        download(
+                          new Blob([JSON.stringify(activeReport, null, 2)], { type: "application/json" }),
+                          `${activeReport.unit.code || "validation"}_report.json`
+                        )
+                      }
+                    >
+                      <Download className="w-4 h-4 mr-2" /> JSON
+                    </button>
                     <button
-                      className="inline-flex items-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
-                      onClick={() => {
-                        const blob = new Blob([JSON.stringify(activeReport, null, 2)], {
-                          type: "application/json",
-                        });
-                        const url = URL.createObjectURL(blob);
-                        const a = document.createElement("a");
-                        a.href = url;
-                        a.download = `${activeReport.unit.code || "validation"}_report.json`;
-                        a.click();
-                        URL.revokeObjectURL(url);
-                      }}
+                      className="inline-flex items-center px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+                      disabled={submitting}
+                      onClick={submitForSignOff}
+                      title="Start the review and sign-off for this unit"
                     >
-                      <Download className="w-4 h-4 mr-2" /> Export JSON
+                      <Send className="w-4 h-4 mr-2" /> {submitting ? "Submitting…" : "Submit for sign-off"}
                     </button>
                   </div>
                 </div>
+                {activeReport.workflow && (
+                  <p className="mt-3 text-sm text-gray-600">
+                    Workflow status: <span className="font-semibold capitalize">{activeReport.workflow.status.replace("-", " ")}</span>
+                    {activeReport.signOff &&
+                      ` · ${activeReport.signOff.outcome.replace(/-/g, " ")} by ${activeReport.signOff.name} (${activeReport.signOff.credentials}), ${activeReport.signOff.date}`}
+                  </p>
+                )}
+                {submitMessage && <div className="mt-3 text-sm text-gray-700">{submitMessage}</div>}
+                {exportError && (
+                  <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{exportError}</div>
+                )}
               </div>
 
               {/* Summary tiles */}
@@ -471,13 +816,13 @@ export default function App() {
                 <Tile
                   title="Performance Criteria"
                   value={`${activeReport.coverage.performanceCriteria.percentage}%`}
-                  sub={`${activeReport.coverage.performanceCriteria.assessed}/${activeReport.coverage.performanceCriteria.total} Covered`}
+                  sub={`${activeReport.coverage.performanceCriteria.assessed}/${activeReport.coverage.performanceCriteria.total} Covered${automatedNote(activeReport.coverage.performanceCriteria)}`}
                   leftBorder="border-indigo-500"
                 />
                 <Tile
                   title="Knowledge Evidence"
                   value={`${activeReport.coverage.knowledge.percentage}%`}
-                  sub={`${activeReport.coverage.knowledge.assessed}/${activeReport.coverage.knowledge.total} Covered`}
+                  sub={`${activeReport.coverage.knowledge.assessed}/${activeReport.coverage.knowledge.total} Covered${automatedNote(activeReport.coverage.knowledge)}`}
                   leftBorder="border-blue-500"
                 />
                 <div className="bg-white rounded-xl shadow-sm p-6 border-l-4 border-green-500">
@@ -485,14 +830,14 @@ export default function App() {
                   <div className="mt-1">
                     <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold bg-amber-100 text-amber-800">
                       <AlertTriangle className="w-4 h-4 mr-1" />
-                      {activeReport.coverage.performanceCriteria.percentage >= 90 &&
-                      activeReport.coverage.knowledge.percentage >= 85
+                      {activeReport.coverage.performanceCriteria.percentage >= overallBar.pc &&
+                      activeReport.coverage.knowledge.percentage >= overallBar.knowledge
                         ? "Looks Good"
                         : "Needs Review"}
                     </span>
                   </div>
                   <p className="text-xs text-gray-500 mt-2">
-                    Aim for ≥90% PC and ≥85% Knowledge coverage.
+                    Aim for ≥{overallBar.pc}% PC and ≥{overallBar.knowledge}% Knowledge coverage.
                   </p>
                 </div>
               </div>
@@ -502,19 +847,17 @@ export default function App() {
                 <h3 className="text-xl font-bold mb-4 text-gray-900">Rules of Evidence</h3>
                 <div className="grid md:grid-cols-2 gap-4">
                   {Object.entries(activeReport.rulesOfEvidence).map(([rule, data]) => (
-                    <div key={rule} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                      <div className="flex items-center">
-                        {data.status === "pass" ? (
-                          <span className="text-green-600 mr-3">✔</span>
-                        ) : (
-                          <AlertCircle className="w-5 h-5 text-amber-500 mr-3" />
-                        )}
-                        <span className="font-semibold capitalize text-gray-900">{rule}</span>
-                      </div>
-                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${statusPill(data.status)}`}>
-                        {data.score}%
-                      </span>
-                    </div>
+                    <RuleCard key={rule} rule={rule} data={data} />
+                  ))}
+                </div>
+              </div>
+
+              {/* Principles of Assessment */}
+              <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-xl font-bold mb-4 text-gray-900">Principles of Assessment</h3>
+                <div className="grid md:grid-cols-2 gap-4">
+                  {Object.entries(activeReport.principlesOfAssessment).map(([rule, data]) => (
+                    <RuleCard key={rule} rule={rule} data={data} />
                   ))}
                 </div>
               </div>
@@ -559,6 +902,105 @@ export default function App() {
                 </div>
               )}
 
+              {/* Unit requirements beyond PCs/KE */}
+              {activeReport.unitDetails &&
+                (activeReport.unitDetails.performanceEvidence.length > 0 ||
+                  activeReport.unitDetails.assessmentConditions.length > 0 ||
+                  activeReport.unitDetails.foundationSkills.length > 0) && (
+                  <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+                    <h3 className="text-xl font-bold mb-4 text-gray-900">Unit Requirements</h3>
+                    <div className="grid md:grid-cols-2 gap-6 text-sm text-gray-700">
+                      {activeReport.unitDetails.performanceEvidence.length > 0 && (
+                        <div>
+                          <div className="font-semibold mb-2 text-gray-800">Performance Evidence</div>
+                          <ul className="list-disc pl-5 space-y-1">
+                            {activeReport.unitDetails.performanceEvidence.map((t, i) => (
+                              <li key={`pe-${i}`}>{t}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {activeReport.unitDetails.assessmentConditions.length > 0 && (
+                        <div>
+                          <div className="font-semibold mb-2 text-gray-800">Assessment Conditions</div>
+                          <ul className="list-disc pl-5 space-y-1">
+                            {activeReport.unitDetails.assessmentConditions.map((t, i) => (
+                              <li key={`ac-${i}`}>{t}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {activeReport.unitDetails.foundationSkills.length > 0 && (
+                        <div className="md:col-span-2">
+                          <div className="font-semibold mb-2 text-gray-800">Foundation Skills</div>
+                          <ul className="space-y-1">
+                            {activeReport.unitDetails.foundationSkills.map((fs, i) => (
+                              <li key={`fs-${i}`}>
+                                {fs.skill && <strong className="mr-2">{fs.skill}</strong>}
+                                {fs.description}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+              {/* Toolkit: which file evidences which criterion */}
+              {activeReport.toolkit?.length > 1 && (
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+                  <h3 className="text-xl font-bold mb-4 text-gray-900">Evidence by File</h3>
+                  <div className="space-y-3">
+                    {activeReport.toolkit.map((f) => (
+                      <div key={f.file} className="text-sm">
+                        <div className="font-semibold text-gray-800">
+                          {f.file}
+                          {f.role && <span className="ml-2 text-xs font-normal text-gray-500">{roleLabel(f.role)}</span>}
+                        </div>
+                        <div className="text-gray-600 mt-1">{f.criteria.join(", ")}</div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {activeReport.mapping && <MappingCheck mapping={activeReport.mapping} />}
+
+              {/* Evidence trace */}
+              {(activeReport.coverage.performanceCriteria.items?.length > 0 ||
+                activeReport.coverage.knowledge.items?.length > 0) && (
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+                  <h3 className="text-xl font-bold mb-1 text-gray-900">Evidence Trace</h3>
+                  <p className="text-xs text-gray-500 mb-4">
+                    {activeReport.overrides?.length
+                      ? `${activeReport.overrides.length} validator override${activeReport.overrides.length > 1 ? "s" : ""} (purple) included in the scores.`
+                      : "Automated results. Validators can override a criterion, with a reason."}
+                  </p>
+                  {overrideError && (
+                    <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{overrideError}</div>
+                  )}
+                  <div className="space-y-6">
+                    {activeReport.coverage.performanceCriteria.items?.length > 0 &&
+                      (activeReport.unitDetails?.elements?.length > 0 ? (
+                        // PCs grouped under their element
+                        activeReport.unitDetails.elements.map((el) => (
+                          <EvidenceList
+                            key={`el-${el.number}`}
+                            title={`Element ${el.number}: ${el.title}`}
+                            items={activeReport.coverage.performanceCriteria.items.filter((it) => it.element === el.number)}
+                          />
+                        ))
+                      ) : (
+                        <EvidenceList title="Performance Criteria" items={activeReport.coverage.performanceCriteria.items} />
+                      ))}
+                    {activeReport.coverage.knowledge.items?.length > 0 && (
+                      <EvidenceList title="Knowledge Evidence" items={activeReport.coverage.knowledge.items} />
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Recommendations / Gaps */}
               <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
                 <h3 className="text-xl font-bold mb-4 text-gray-900">Gaps & Recommendations</h3>
@@ -587,6 +1029,12 @@ export default function App() {
                   </div>
                 )}
               </div>
+
+              <RemediationDrafts
+                drafts={activeReport.remediation}
+                onDownload={() => exportReports("addendum")}
+                downloading={exporting === "addendum"}
+              />
             </section>
           </section>
         )}
@@ -598,15 +1046,19 @@ export default function App() {
         )}
       </main>
 
-      {/* Simple loading overlay */}
+      {/* Loading overlay: per-unit progress once the job has started */}
       {isProcessing && (
         <div className="fixed inset-0 bg-black/10 backdrop-blur-[1px] flex items-center justify-center z-50">
-          <div className="bg-white rounded-xl shadow-lg px-6 py-4 border border-gray-200">
-            <div className="flex items-center gap-3">
-              <div className="w-4 h-4 rounded-full border-2 border-indigo-600 border-t-transparent animate-spin" />
-              <div className="text-sm text-gray-700">Analyzing your document…</div>
+          {job ? (
+            <ValidationProgress job={job} onCancel={cancelValidation} cancelling={cancelling} />
+          ) : (
+            <div className="bg-white rounded-xl shadow-lg px-6 py-4 border border-gray-200">
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-4 rounded-full border-2 border-indigo-600 border-t-transparent animate-spin" />
+                <div className="text-sm text-gray-700">Analyzing your document…</div>
+              </div>
             </div>
-          </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,97 @@
+// client/src/CriterionOverride.jsx
+import React, { useState } from "react";
+import { UserCheck } from "lucide-react";
+
+const CHOICES = [
+  ["covered", "Covered", true],
+  ["not-covered", "Not covered", false],
+  ["comment", "Comment only", undefined],
+];
+
+/**
+ * A validator's override on one criterion (item.override), shown apart from the
+ * engine's result, and the form to set, change or remove it.
+ * onSave({ code, covered, reason }) re-scores the report; covered: null removes the override.
+ */
+export default function CriterionOverride({ item, canOverride, onSave }) {
+  const o = item.override;
+  const [open, setOpen] = useState(false);
+  const [choice, setChoice] = useState("comment");
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const save = async (covered) => {
+    setBusy(true);
+    const ok = await onSave({ code: item.code, covered, reason });
+    setBusy(false);
+    if (ok) setOpen(false);
+  };
+
+  const startEdit = () => {
+    setChoice(o ? (o.covered === undefined ? "comment" : o.covered ? "covered" : "not-covered") : item.covered ? "not-covered" : "covered");
+    setReason(o?.reason || "");
+    setOpen(true);
+  };
+
+  return (
+    <div className="mt-2">
+      {o && (
+        <div className="text-xs bg-purple-50 border-l-4 border-purple-400 rounded p-2">
+          <div className="flex items-center gap-1 font-semibold text-purple-900">
+            <UserCheck className="w-3.5 h-3.5" />
+            {o.covered === undefined
+              ? "Validator comment"
+              : `Validator: ${o.covered ? "covered" : "not covered"} (automated: ${o.automated ? "covered" : "not covered"})`}
+          </div>
+          <div className="text-purple-900 mt-0.5">{o.reason}</div>
+          <div className="text-purple-700 mt-0.5">
+            {o.by.name}
+            {o.by.credentials && `, ${o.by.credentials}`} · {new Date(o.at).toLocaleString()}
+          </div>
+        </div>
+      )}
+      {canOverride && !open && (
+        <button type="button" className="text-xs text-purple-700 hover:underline mt-1" onClick={startEdit}>
+          {o ? "Change override" : "Override or comment"}
+        </button>
+      )}
+      {open && (
+        <div className="mt-2 space-y-2 text-xs">
+          <div className="flex gap-3">
+            {CHOICES.map(([value, label]) => (
+              <label key={value}>
+                <input type="radio" className="mr-1" checked={choice === value} onChange={() => setChoice(value)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={2}
+            placeholder="Reason (required): where the evidence is, or why the match is wrong"
+            className="w-full border border-gray-300 rounded px-2 py-1"
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={busy || !reason.trim()}
+              onClick={() => save(CHOICES.find(([value]) => value === choice)[2])}
+              className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-400"
+            >
+              {busy ? "Saving…" : "Save"}
+            </button>
+            {o && (
+              <button type="button" disabled={busy} onClick={() => save(null)} className="px-3 py-1 border border-gray-300 rounded">
+                Remove override
+              </button>
+            )}
+            <button type="button" onClick={() => setOpen(false)} className="px-3 py-1 text-gray-600">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
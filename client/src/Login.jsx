@@ -0,0 +1,83 @@
+// client/src/Login.jsx
+import React, { useState } from "react";
+import { apiFetch, readError, setToken } from "./api.js";
+
+const field = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+
+/**
+ * Sign-in form, or the first-run form that creates the first compliance manager.
+ * onSignedIn(user) is called once a token is stored.
+ */
+export default function Login({ setupRequired, onSignedIn }) {
+  const [form, setForm] = useState({ username: "", password: "", name: "", credentials: "" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const resp = await apiFetch(setupRequired ? "/api/auth/setup" : "/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      if (!resp.ok) {
+        setError(await readError(resp, "Sign-in failed"));
+        return;
+      }
+      const { token, user } = await resp.json();
+      setToken(token);
+      onSignedIn(user);
+    } catch {
+      setError("Network error while signing in.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-6">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white rounded-2xl shadow-sm border border-gray-200 p-8 space-y-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">RTO Assessment Validator</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {setupRequired
+              ? "Create the first account. It becomes the compliance manager, who adds everyone else."
+              : "Sign in to continue."}
+          </p>
+        </div>
+        <input className={field} placeholder="Username" autoComplete="username" value={form.username} onChange={set("username")} />
+        <input
+          className={field}
+          type="password"
+          placeholder="Password"
+          autoComplete={setupRequired ? "new-password" : "current-password"}
+          value={form.password}
+          onChange={set("password")}
+        />
+        {setupRequired && (
+          <>
+            <input className={field} placeholder="Full name" value={form.name} onChange={set("name")} />
+            <input
+              className={field}
+              placeholder="Credentials (e.g. TAE40122, vocational competency)"
+              value={form.credentials}
+              onChange={set("credentials")}
+            />
+          </>
+        )}
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+        <button
+          type="submit"
+          disabled={busy || !form.username || !form.password}
+          className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {busy ? "Please wait…" : setupRequired ? "Create account" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// client/src/MappingCheck.jsx
+import React from "react";
+import { CheckCircle, HelpCircle, XCircle } from "lucide-react";
+
+const STATUS = {
+  supported: { icon: CheckCircle, className: "text-green-600", label: "Supported" },
+  unsupported: { icon: XCircle, className: "text-red-600", label: "Not supported" },
+  unresolved: { icon: HelpCircle, className: "text-amber-600", label: "Can't check" },
+};
+
+/**
+ * The toolkit's own mapping matrix checked against the questions it names.
+ * mapping: report.mapping ({ claims, unmapped, orphanQuestions, summary }).
+ */
+export default function MappingCheck({ mapping }) {
+  const { claims, unmapped, orphanQuestions, summary } = mapping;
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+      <h3 className="text-xl font-bold mb-1 text-gray-900">Mapping Cross-check</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {summary.claims} mapping claims: {summary.supported} supported, {summary.unsupported} not supported by the
+        questions they name, {summary.unresolved} can't be checked.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2 pr-3 font-medium">Criterion</th>
+            <th className="py-2 pr-3 font-medium">Mapped to</th>
+            <th className="py-2 pr-3 font-medium">Check</th>
+            <th className="py-2 font-medium">Relevance</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {claims.map((c, i) => {
+            const s = STATUS[c.status];
+            const Icon = s.icon;
+            return (
+              <tr key={`${c.criterion}-${i}`} className="align-top">
+                <td className="py-2 pr-3">
+                  <div className="font-semibold text-gray-800">{c.criterion || "—"}</div>
+                  <div className="text-xs text-gray-500">{c.text}</div>
+                </td>
+                <td className="py-2 pr-3 text-gray-700">
+                  {c.refs.join(", ")}
+                  {c.source?.file && <div className="text-xs text-gray-400">{c.source.file}, row {c.source.row}</div>}
+                </td>
+                <td className={`py-2 pr-3 ${s.className}`}>
+                  <span className="inline-flex items-center gap-1">
+                    <Icon className="w-4 h-4" />
+                    {s.label}
+                  </span>
+                  {c.detail && <div className="text-xs text-gray-500">{c.detail}</div>}
+                </td>
+                <td className="py-2 text-gray-700">
+                  {c.status === "unresolved" ? "—" : `${c.score}%`}
+                  {c.evidence?.terms?.length > 0 && (
+                    <div className="text-xs text-gray-400">{c.evidence.terms.join(", ")}</div>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="grid md:grid-cols-2 gap-4 mt-4 text-sm">
+        <div>
+          <div className="font-semibold text-gray-800">Criteria with no mapping</div>
+          <div className="text-gray-600 mt-1">{unmapped.join(", ") || "None"}</div>
+        </div>
+        <div>
+          <div className="font-semibold text-gray-800">Questions mapped to nothing</div>
+          <div className="text-gray-600 mt-1">{orphanQuestions.join(", ") || "None"}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+// client/src/PlanUnit.jsx
+import React, { useState } from "react";
+import { ExternalLink, Link2, X } from "lucide-react";
+import { apiFetch } from "./api.js";
+
+const PLAN_STATUS = {
+  overdue: { label: "Overdue", pill: "bg-red-100 text-red-800" },
+  due: { label: "Due soon", pill: "bg-amber-100 text-amber-800" },
+  scheduled: { label: "Scheduled", pill: "bg-green-100 text-green-800" },
+  unscheduled: { label: "Unscheduled", pill: "bg-gray-100 text-gray-700" },
+  "not-sampled": { label: "Not sampled", pill: "bg-gray-50 text-gray-400" },
+};
+
+const input = "border border-gray-300 rounded px-1.5 py-1 text-xs";
+
+/**
+ * One unit on the validation plan: risk, sample, dates, status and linked reports.
+ * onChange(fields) / onLink(candidate) / onUnlink(index) / onRemove() save through the parent;
+ * onOpen(link) shows a linked report. canEdit hides the controls for assessors.
+ */
+export default function PlanUnit({ unit, risks, canEdit, onChange, onLink, onUnlink, onRemove, onOpen }) {
+  const [candidates, setCandidates] = useState(null); // null until "Link report" is clicked
+
+  const pickReport = async () => {
+    const resp = await apiFetch(`/api/plan/candidates/${unit.code}`).catch(() => null);
+    const data = resp?.ok ? await resp.json() : { candidates: [] };
+    const linked = (c) => unit.links.some((l) => l.kind === c.kind && l.id === c.id && l.version === c.version);
+    setCandidates(data.candidates.filter((c) => !linked(c)));
+  };
+
+  const status = PLAN_STATUS[unit.status] || { label: unit.status, pill: "" };
+  return (
+    <tr className="border-b border-gray-100 align-top">
+      <td className="py-2 pr-2">
+        <div className="font-semibold text-gray-900">{unit.code}</div>
+        <div className="text-xs text-gray-500">
+          {unit.title}
+          {unit.type && <span className="ml-1">({unit.type})</span>}
+        </div>
+      </td>
+      <td className="pr-2">
+        <select className={input} value={unit.risk} disabled={!canEdit} onChange={(e) => onChange({ risk: e.target.value })}>
+          {Object.entries(risks).map(([risk, years]) => (
+            <option key={risk} value={risk}>
+              {risk} ({years} yr)
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className="pr-2 text-center">
+        <input type="checkbox" checked={unit.sampled} disabled={!canEdit} onChange={(e) => onChange({ sampled: e.target.checked })} />
+      </td>
+      <td className="pr-2">
+        <input
+          type="date"
+          className={input}
+          value={unit.plannedDate || ""}
+          disabled={!canEdit}
+          onChange={(e) => onChange({ plannedDate: e.target.value })}
+        />
+      </td>
+      <td className="pr-2 text-xs text-gray-700">{unit.lastValidated || "—"}</td>
+      <td className="pr-2 text-xs">
+        <div className="text-gray-900">{unit.dueDate || "—"}</div>
+        <span className={`inline-block mt-1 px-2 py-0.5 rounded font-semibold ${status.pill}`}>{status.label}</span>
+      </td>
+      <td className="text-xs">
+        <ul className="space-y-1">
+          {unit.links.map((l, i) => (
+            <li key={`${l.kind}-${l.id}-${l.version || ""}`} className="flex items-center gap-1">
+              {l.missing ? (
+                <span className="text-gray-400 line-through">deleted report</span>
+              ) : (
+                <button className="text-indigo-700 hover:underline text-left" onClick={() => onOpen(l)}>
+                  {l.label}
+                  <ExternalLink className="inline w-3 h-3 ml-0.5" />
+                </button>
+              )}
+              {l.date && <span className="text-gray-500">{l.date}</span>}
+              {l.status && l.status !== "signed-off" && <span className="text-amber-700">({l.status})</span>}
+              {canEdit && (
+                <button className="text-gray-400 hover:text-red-600" title="Unlink" onClick={() => onUnlink(i)}>
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {canEdit &&
+          (candidates ? (
+            <select
+              className={`${input} mt-1`}
+              value=""
+              onChange={(e) => {
+                const picked = candidates[Number(e.target.value)];
+                setCandidates(null);
+                if (picked) onLink(picked);
+              }}
+            >
+              <option value="">{candidates.length ? "Pick a saved report…" : "No saved reports for this unit"}</option>
+              {candidates.map((c, i) => (
+                <option key={`${c.kind}-${c.id}-${c.version || ""}`} value={i}>
+                  {c.label} · {c.date}
+                  {c.status ? ` · ${c.status}` : ""}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <button className="mt-1 inline-flex items-center gap-1 text-indigo-700 hover:underline" onClick={pickReport}>
+              <Link2 className="w-3 h-3" /> Link report
+            </button>
+          ))}
+      </td>
+      <td className="pl-2 text-right">
+        {canEdit && (
+          <button className="text-gray-400 hover:text-red-600" title="Remove from plan" onClick={onRemove}>
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+}
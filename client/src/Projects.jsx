@@ -0,0 +1,348 @@
+// client/src/Projects.jsx
+import React, { useEffect, useState } from "react";
+import { FolderOpen, GitCompare, Plus, Save } from "lucide-react";
+import { apiFetch, authedUrl, readError } from "./api.js";
+
+const fmtDate = (iso) => new Date(iso).toLocaleString();
+
+/**
+ * Saved projects: versions of a tool with their reports, and a comparison of any two.
+ * uploads/roles/codes describe the toolkit currently on the Upload tab (what "Save version" stores);
+ * onOpenReports(reports) shows a saved version's reports in the Results view.
+ */
+export default function Projects({ uploads, roles, codes, onOpenReports }) {
+  const [projects, setProjects] = useState([]);
+  const [active, setActive] = useState(null); // full project
+  const [newName, setNewName] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [diff, setDiff] = useState(null);
+
+  const call = async (label, url, opts, fallback) => {
+    setBusy(label);
+    setError("");
+    try {
+      const resp = await apiFetch(url, opts);
+      if (!resp.ok) {
+        setError(await readError(resp, fallback));
+        return null;
+      }
+      return await resp.json();
+    } catch {
+      setError("Network error.");
+      return null;
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const loadProjects = async () => {
+    const data = await call("list", "/api/projects", undefined, "Could not load projects");
+    if (data) setProjects(data.projects);
+  };
+
+  const openProject = async (id) => {
+    const data = await call("open", `/api/projects/${id}`, undefined, "Could not load project");
+    if (!data) return;
+    setActive(data);
+    setDiff(null);
+    const n = data.versions.length;
+    setRange({ from: n > 1 ? String(data.versions[n - 2].version) : "", to: n ? String(data.versions[n - 1].version) : "" });
+  };
+
+  useEffect(() => {
+    apiFetch(`/api/projects`)
+      .then((resp) => (resp.ok ? resp.json() : { projects: [] }))
+      .then((data) => setProjects(data.projects))
+      .catch(() => setError("Network error while loading projects."));
+  }, []);
+
+  const createProject = async (e) => {
+    e.preventDefault();
+    const data = await call(
+      "create",
+      "/api/projects",
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ name: newName }) },
+      "Could not create project"
+    );
+    if (!data) return;
+    setNewName("");
+    await loadProjects();
+    await openProject(data.id);
+  };
+
+  const saveVersion = async () => {
+    const form = new FormData();
+    uploads.forEach((f) => form.append("assessment", f));
+    form.append("roles", JSON.stringify(roles));
+    form.append("codes", codes.join(","));
+    form.append("note", note);
+    const data = await call("save", `/api/projects/${active.id}/versions`, { method: "POST", body: form }, "Could not save version");
+    if (!data) return;
+    setNote("");
+    await loadProjects();
+    await openProject(active.id);
+  };
+
+  const openVersion = async (n) => {
+    const data = await call("version", `/api/projects/${active.id}/versions/${n}`, undefined, "Could not load version");
+    if (data) onOpenReports(data.reports);
+  };
+
+  const compare = async () => {
+    const data = await call(
+      "diff",
+      `/api/projects/${active.id}/diff?from=${range.from}&to=${range.to}`,
+      undefined,
+      "Could not compare versions"
+    );
+    if (data) setDiff(data);
+  };
+
+  return (
+    <section className="grid grid-cols-12 gap-6">
+      {/* Project list */}
+      <aside className="col-span-12 md:col-span-4">
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+            <FolderOpen className="w-4 h-4" /> Projects
+          </h3>
+          <form onSubmit={createProject} className="flex gap-2 mb-3">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New project name"
+              className="flex-1 border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim() || !!busy}
+              className="px-2 py-1.5 bg-indigo-600 text-white rounded-lg disabled:bg-gray-400"
+              title="Create project"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+          {projects.length === 0 && <p className="text-sm text-gray-500">No saved projects yet.</p>}
+          <ul className="space-y-2">
+            {projects.map((p) => (
+              <li key={p.id}>
+                <button
+                  onClick={() => openProject(p.id)}
+                  className={`w-full text-left p-3 rounded-lg border ${
+                    active?.id === p.id ? "border-indigo-500 bg-indigo-50" : "border-gray-200 hover:bg-gray-50"
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900 text-sm">{p.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {p.versions} version{p.versions === 1 ? "" : "s"} · updated {fmtDate(p.updatedAt)}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </aside>
+
+      <div className="col-span-12 md:col-span-8 space-y-6">
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+        {!active && <p className="text-sm text-gray-500">Pick or create a project.</p>}
+
+        {active && (
+          <>
+            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+              <h2 className="text-2xl font-bold text-gray-900">{active.name}</h2>
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                <input
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="What changed in this version?"
+                  className="flex-1 min-w-[12rem] border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                />
+                <button
+                  onClick={saveVersion}
+                  disabled={!uploads.length || !!busy}
+                  className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+                  title={uploads.length ? "Validate the current toolkit and save it" : "Upload a toolkit first"}
+                >
+                  <Save className="w-4 h-4 mr-2" /> {busy === "save" ? "Saving…" : "Save current toolkit as new version"}
+                </button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 overflow-x-auto">
+              <h3 className="text-lg font-semibold mb-3">Versions</h3>
+              {active.versions.length === 0 ? (
+                <p className="text-sm text-gray-500">No versions saved yet.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-3">#</th>
+                      <th className="py-2 pr-3">Saved</th>
+                      <th className="py-2 pr-3">Note</th>
+                      <th className="py-2 pr-3">Files</th>
+                      <th className="py-2 pr-3">Units (PC / KE)</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...active.versions].reverse().map((v) => (
+                      <tr key={v.version} className="border-b last:border-0 align-top">
+                        <td className="py-2 pr-3 font-semibold">v{v.version}</td>
+                        <td className="py-2 pr-3 text-xs text-gray-600">{fmtDate(v.createdAt)}</td>
+                        <td className="py-2 pr-3">{v.note || "—"}</td>
+                        <td className="py-2 pr-3 text-xs text-gray-600">
+                          {v.uploads.map((f) => (
+                            <div key={f.name}>
+                              <a
+                                href={authedUrl(`/api/projects/${active.id}/versions/${v.version}/files/${encodeURIComponent(f.name)}`)}
+                                className="underline"
+                              >
+                                {f.name}
+                              </a>
+                            </div>
+                          ))}
+                        </td>
+                        <td className="py-2 pr-3 text-xs">
+                          {v.units.map((u) => (
+                            <div key={u.code}>
+                              {u.code}: {u.pc}% / {u.knowledge}%
+                            </div>
+                          ))}
+                        </td>
+                        <td className="py-2 text-right">
+                          <button onClick={() => openVersion(v.version)} className="text-indigo-600 underline text-xs">
+                            Open report
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {active.versions.length > 1 && (
+              <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+                  <GitCompare className="w-5 h-5" /> Compare versions
+                </h3>
+                <div className="flex items-center gap-2 text-sm">
+                  {["from", "to"].map((end) => (
+                    <select
+                      key={end}
+                      value={range[end]}
+                      onChange={(e) => setRange((r) => ({ ...r, [end]: e.target.value }))}
+                      className="border border-gray-300 rounded px-2 py-1"
+                    >
+                      {active.versions.map((v) => (
+                        <option key={v.version} value={v.version}>
+                          v{v.version}
+                        </option>
+                      ))}
+                    </select>
+                  ))}
+                  <button
+                    onClick={compare}
+                    disabled={!range.from || !range.to || range.from === range.to || !!busy}
+                    className="px-3 py-1 bg-indigo-600 text-white rounded-lg disabled:bg-gray-400"
+                  >
+                    Compare
+                  </button>
+                </div>
+                {diff && <VersionDiff diff={diff} />}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function CriteriaList({ title, rows, tone }) {
+  if (!rows.length) return null;
+  return (
+    <div className="mt-2">
+      <div className="text-xs font-semibold text-gray-700">{title}</div>
+      <ul className="mt-1 space-y-1">
+        {rows.map((r) => (
+          <li key={r.code} className={`text-xs rounded px-2 py-1 ${tone}`}>
+            <strong className="mr-1">{r.code}</strong>
+            {r.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function VersionDiff({ diff }) {
+  const s = diff.summary;
+  return (
+    <div className="mt-4 space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        {[
+          ["Missing → covered", s.nowCovered, "text-green-700"],
+          ["Covered → missing", s.nowMissing, "text-red-700"],
+          ["Gaps closed", s.gapsClosed, "text-green-700"],
+          ["New gaps", s.gapsOpened, "text-red-700"],
+        ].map(([label, n, tone]) => (
+          <div key={label} className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-gray-500">{label}</div>
+            <div className={`text-xl font-bold ${n ? tone : "text-gray-900"}`}>{n}</div>
+          </div>
+        ))}
+      </div>
+      {diff.units.map((u) => (
+        <div key={u.code} className="border border-gray-200 rounded-lg p-4">
+          <div className="font-semibold text-gray-900">
+            {u.code} {u.title}
+            {u.change !== "compared" && <span className="ml-2 text-xs font-normal text-gray-500">({u.change})</span>}
+          </div>
+          <div className="text-xs text-gray-600 mt-1">
+            PC {u.performanceCriteria.before ?? "—"}% → {u.performanceCriteria.after ?? "—"}% · KE{" "}
+            {u.knowledge.before ?? "—"}% → {u.knowledge.after ?? "—"}%
+          </div>
+          <CriteriaList
+            title="Now covered"
+            rows={[...u.performanceCriteria.nowCovered, ...u.knowledge.nowCovered]}
+            tone="bg-green-50 text-green-800"
+          />
+          <CriteriaList
+            title="No longer covered"
+            rows={[...u.performanceCriteria.nowMissing, ...u.knowledge.nowMissing]}
+            tone="bg-red-50 text-red-800"
+          />
+          {u.gapsClosed.length > 0 && (
+            <div className="mt-2">
+              <div className="text-xs font-semibold text-gray-700">Gaps closed</div>
+              <ul className="mt-1 text-xs text-gray-600 list-disc ml-5">
+                {u.gapsClosed.map((g, i) => (
+                  <li key={i}>
+                    {g.element}: {g.description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {u.gapsOpened.length > 0 && (
+            <div className="mt-2">
+              <div className="text-xs font-semibold text-gray-700">New gaps</div>
+              <ul className="mt-1 text-xs text-red-700 list-disc ml-5">
+                {u.gapsOpened.map((g, i) => (
+                  <li key={i}>
+                    {g.element}: {g.description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
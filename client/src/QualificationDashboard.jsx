@@ -0,0 +1,228 @@
+// client/src/QualificationDashboard.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { GraduationCap, Upload } from "lucide-react";
+import { apiFetch, followEvents } from "./api.js";
+import { isPlaceholder } from "./provenance.js";
+import ValidationProgress from "./ValidationProgress.jsx";
+
+const STATUS = {
+  covered: { label: "Covered", cls: "bg-green-100 text-green-800" },
+  "under-covered": { label: "Under-covered", cls: "bg-yellow-100 text-yellow-800" },
+  "no-tool": { label: "No tool", cls: "bg-red-100 text-red-800" },
+  unavailable: { label: "No unit data", cls: "bg-gray-200 text-gray-800" },
+};
+
+/**
+ * Validate a set of assessment tools against a whole qualification.
+ * onOpenReport(report) hands a unit's report to the Results view.
+ */
+export default function QualificationDashboard({ onOpenReport }) {
+  const [code, setCode] = useState("");
+  const [files, setFiles] = useState([]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null); // the unit lookups: { id, progress, tasks }
+  const [cancelling, setCancelling] = useState(false);
+  const stopFollowing = useRef(null);
+
+  useEffect(() => () => stopFollowing.current?.(), []);
+
+  // the job is over, one way or another
+  const endJob = (message) => {
+    stopFollowing.current?.();
+    stopFollowing.current = null;
+    setJob(null);
+    setCancelling(false);
+    setBusy(false);
+    if (message) setError(message);
+  };
+
+  const run = async () => {
+    setError("");
+    setResult(null);
+    setBusy(true);
+    try {
+      // the unit lookups run as a background job, like single-tool validation
+      const form = new FormData();
+      files.forEach((f) => form.append("assessment", f));
+      const resp = await apiFetch(`/api/qualification/${encodeURIComponent(code.trim())}/validate/jobs`, {
+        method: "POST",
+        body: form,
+      });
+      const started = await resp.json().catch(() => ({}));
+      if (!resp.ok) return endJob(started.error || `Qualification validation failed: HTTP ${resp.status}`);
+
+      setJob(started);
+      const updateTask = (task) =>
+        setJob((j) => {
+          if (!j) return j;
+          const tasks = j.tasks.map((t) => (t.item === task.item ? task : t));
+          const settled = tasks.filter((t) => ["done", "failed", "cancelled"].includes(t.status)).length;
+          return { ...j, tasks, progress: { ...j.progress, settled } };
+        });
+      stopFollowing.current = followEvents(`/api/validate/jobs/${started.id}/events`, {
+        snapshot: setJob,
+        task: updateTask,
+        done: (finished) => {
+          setResult(finished.result);
+          endJob();
+        },
+        cancelled: () => endJob("Qualification validation cancelled."),
+        failed: (failed) => endJob(failed.error || "Qualification validation failed."),
+        onLost: () => endJob("Lost touch with the validation; try again."),
+      });
+    } catch {
+      endJob("Network error while validating qualification.");
+    }
+  };
+
+  // the server aborts the lookups and the stream reports "cancelled"
+  const cancel = async () => {
+    setCancelling(true);
+    const resp = await apiFetch(`/api/validate/jobs/${job.id}`, { method: "DELETE" }).catch(() => null);
+    if (!resp?.ok) setCancelling(false);
+  };
+
+  const s = result?.summary;
+
+  return (
+    <section className="space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-indigo-600" /> Validate a qualification
+        </h3>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Qualification code, e.g. MAR20318"
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm w-64"
+          />
+          <input
+            id="qual-files"
+            type="file"
+            multiple
+            accept=".docx,.pdf,.doc,.rtf,.odt,.txt,.xlsx,.xml,.gift,.zip"
+            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+            className="hidden"
+          />
+          <label
+            htmlFor="qual-files"
+            className="inline-flex items-center px-4 py-2 bg-white border border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50 text-sm"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            {files.length ? `${files.length} tool${files.length > 1 ? "s" : ""} selected` : "Choose tools"}
+          </label>
+          <button
+            onClick={run}
+            disabled={!code.trim() || !files.length || busy}
+            className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            {busy ? "Validating…" : "Validate qualification"}
+          </button>
+        </div>
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+        )}
+        {job && (
+          <div className="mt-4">
+            <ValidationProgress job={job} onCancel={cancel} cancelling={cancelling} />
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <>
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+            <h2 className="text-2xl font-bold text-gray-900">{result.qualification.code}</h2>
+            <p className="text-gray-600 mt-1">{result.qualification.title}</p>
+            {result.packagingRules?.total != null && (
+              <p className="text-xs text-gray-500 mt-2">
+                Packaging: {result.packagingRules.total} units ({result.packagingRules.core} core,{" "}
+                {result.packagingRules.electives} elective)
+              </p>
+            )}
+            <div className="grid md:grid-cols-4 gap-4 mt-4 text-sm">
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-500">Core units with a tool</div>
+                <div className="text-xl font-bold">
+                  {s.coreWithTools}/{s.coreTotal}
+                </div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-500">Electives with a tool</div>
+                <div className="text-xl font-bold">
+                  {s.electivesWithTools}
+                  {s.electivesRequired != null ? `/${s.electivesRequired}` : ""}
+                </div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-500">Under-covered</div>
+                <div className="text-xl font-bold">{s.underCovered.length}</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-500">Packaging</div>
+                <div className={`text-xl font-bold ${s.packagingMet ? "text-green-700" : "text-red-700"}`}>
+                  {s.packagingMet ? "Met" : "Not met"}
+                </div>
+              </div>
+            </div>
+            {result.unmatchedTools.length > 0 && (
+              <p className="text-xs text-amber-700 mt-3">
+                Tools not matched to any unit in this qualification:{" "}
+                {result.unmatchedTools.map((t) => t.name).join(", ")}
+              </p>
+            )}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-3">Unit</th>
+                  <th className="py-2 pr-3">Type</th>
+                  <th className="py-2 pr-3">Tools</th>
+                  <th className="py-2 pr-3">PC</th>
+                  <th className="py-2 pr-3">Knowledge</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {result.units.map((u) => (
+                  <tr key={u.code} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-3">
+                      <div className="font-semibold text-gray-900">{u.code}</div>
+                      <div className="text-xs text-gray-600">{u.title}</div>
+                    </td>
+                    <td className="py-2 pr-3 capitalize">{u.type}</td>
+                    <td className="py-2 pr-3 text-xs text-gray-600">{u.tools.join(", ") || "—"}</td>
+                    <td className="py-2 pr-3">{u.tools.length ? `${u.pc}%` : "—"}</td>
+                    <td className="py-2 pr-3">{u.tools.length ? `${u.knowledge}%` : "—"}</td>
+                    <td className="py-2 pr-3">
+                      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS[u.status].cls}`}>
+                        {STATUS[u.status].label}
+                      </span>
+                      {isPlaceholder(u.report?.provenance) && (
+                        <div className="text-xs font-semibold text-red-700 mt-1">Placeholder data</div>
+                      )}
+                      {u.error && <div className="text-xs text-gray-500 mt-1">{u.error}</div>}
+                    </td>
+                    <td className="py-2 text-right">
+                      {u.report && (
+                        <button onClick={() => onOpenReport(u.report)} className="text-indigo-600 underline text-xs">
+                          View report
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,48 @@
+// client/src/RemediationDrafts.jsx
+import React from "react";
+import { Download } from "lucide-react";
+
+const FORMAT_LABEL = {
+  "short-answer": "Short-answer question",
+  observation: "Observation checklist item",
+  scenario: "Scenario prompt",
+};
+
+/**
+ * Template-drafted items for the unit's uncovered criteria (report.remediation).
+ * onDownload builds the DOCX addendum for every unit in the session.
+ */
+export default function RemediationDrafts({ drafts, onDownload, downloading }) {
+  if (!drafts?.length) return null;
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-xl font-bold text-gray-900">Draft Remediation Items</h3>
+        <button
+          className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-sm disabled:opacity-50"
+          onClick={onDownload}
+          disabled={downloading}
+          title="All units in this session"
+        >
+          <Download className="w-4 h-4 mr-2" /> {downloading ? "Building…" : "Addendum (DOCX)"}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Built from templates for each uncovered criterion. Edit them to suit the tool and fill in the benchmarks.
+      </p>
+      <div className="space-y-3">
+        {drafts.map((d) => (
+          <div key={d.code} className="border border-gray-200 rounded-lg p-4 text-sm">
+            <div className="flex items-center gap-3 mb-1">
+              <span className="font-bold text-gray-900">{d.code}</span>
+              <span className="text-xs text-gray-500">{FORMAT_LABEL[d.format] || d.format}</span>
+            </div>
+            <div className="text-xs text-gray-500 mb-2">{d.criterion}</div>
+            <p className="text-gray-800">{d.prompt}</p>
+            <p className="text-gray-500 italic mt-1">{d.benchmark}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+// client/src/Rubrics.jsx
+import React, { useEffect, useState } from "react";
+import { SlidersHorizontal, Trash2 } from "lucide-react";
+import { apiFetch, readError } from "./api.js";
+
+const field = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm w-20";
+
+// [label, path into the rubric values, hint]
+const FIELDS = [
+  ["Coverage threshold", ["coveredAt"], "relevance % a criterion needs to count as covered"],
+  ["PC weighting", ["sufficiencyWeights", "pc"], "% of sufficiency from performance criteria"],
+  ["Knowledge weighting", ["sufficiencyWeights", "knowledge"], "the rest; the two add up to 100"],
+  ["Validity pass", ["validity", "pass"]],
+  ["Validity warning", ["validity", "warning"]],
+  ["Sufficiency pass", ["sufficiency", "pass"]],
+  ["Sufficiency warning", ["sufficiency", "warning"]],
+  ["Principles pass", ["principles", "pass"], "authenticity, fairness, flexibility, reliability"],
+  ["Principles warning", ["principles", "warning"]],
+  ["Overall PC coverage", ["overall", "pc"], "needed for “Looks Good”"],
+  ["Overall knowledge coverage", ["overall", "knowledge"]],
+  ["Gaps listed per kind", ["maxGapsPerKind"], "uncovered PCs, KEs and mapping problems"],
+];
+
+const getAt = (values, [a, b]) => (b ? values[a][b] : values[a]);
+const setAt = (values, [a, b], v) => (b ? { ...values, [a]: { ...values[a], [b]: v } } : { ...values, [a]: v });
+
+/**
+ * The scoring rubrics: the organisation's and one per training package. Compliance
+ * managers edit them (every save is a new version); everyone else can read them.
+ */
+export default function Rubrics({ user }) {
+  const canEdit = user.roles.includes("compliance-manager");
+  const [data, setData] = useState(null); // { rubrics, defaults, organisation }
+  const [scope, setScope] = useState("");
+  const [draft, setDraft] = useState(null); // { name, values, note }
+  const [history, setHistory] = useState([]);
+  const [newPackage, setNewPackage] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = () =>
+    apiFetch("/api/rubrics")
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject()))
+      .then(setData)
+      .catch(() => setError("Could not load the rubrics."));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // opens a saved scope, or a new one seeded from what it would inherit
+  const open = async (key) => {
+    setError("");
+    setScope(key);
+    const saved = data.rubrics.find((r) => r.scope === key);
+    if (saved) {
+      const resp = await apiFetch(`/api/rubrics/${key}`).catch(() => null);
+      setHistory(resp?.ok ? (await resp.json()).versions.slice().reverse() : []);
+      setDraft({ name: saved.name, values: saved.values, note: "" });
+      return;
+    }
+    const inherited = data.rubrics.find((r) => r.scope === data.organisation);
+    setHistory([]);
+    setDraft({ name: "", values: inherited?.values || data.defaults, note: "" });
+  };
+
+  const save = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const resp = await apiFetch(`/api/rubrics/${scope}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(draft),
+      });
+      if (!resp.ok) return setError(await readError(resp, "Could not save the rubric"));
+      const saved = await resp.json();
+      const rubrics = [...data.rubrics.filter((r) => r.scope !== saved.scope), saved];
+      setData({ ...data, rubrics });
+      setScope(saved.scope);
+      const full = await apiFetch(`/api/rubrics/${saved.scope}`).then((r) => r.json());
+      setHistory(full.versions.slice().reverse());
+      setDraft({ name: saved.name, values: saved.values, note: "" });
+    } catch {
+      setError("Network error.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the ${scope} rubric? Its units go back to the organisation's rubric.`)) return;
+    const resp = await apiFetch(`/api/rubrics/${scope}`, { method: "DELETE" }).catch(() => null);
+    if (!resp?.ok) return setError(resp ? await readError(resp, "Could not delete the rubric") : "Network error.");
+    setScope("");
+    setDraft(null);
+    load();
+  };
+
+  if (!data) return error ? <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div> : null;
+
+  const hasOrganisation = data.rubrics.some((r) => r.scope === data.organisation);
+  return (
+    <section className="grid grid-cols-1 md:grid-cols-4 gap-6">
+      <aside className="md:col-span-1 bg-white rounded-2xl shadow-sm border border-gray-200 p-4 space-y-2 text-sm">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4" /> Rubrics
+        </h3>
+        <p className="text-xs text-gray-500">
+          A unit is scored with its training package’s rubric, else the organisation’s, else the built-in defaults.
+        </p>
+        {!hasOrganisation && (
+          <button className="block w-full text-left px-2 py-1.5 rounded hover:bg-gray-50 text-gray-500 italic" onClick={() => open(data.organisation)}>
+            Organisation (built-in defaults)
+          </button>
+        )}
+        {data.rubrics.map((r) => (
+          <button
+            key={r.scope}
+            className={`block w-full text-left px-2 py-1.5 rounded ${scope === r.scope ? "bg-indigo-50 text-indigo-800" : "hover:bg-gray-50"}`}
+            onClick={() => open(r.scope)}
+          >
+            <div className="font-semibold">{r.name}</div>
+            <div className="text-xs text-gray-500">
+              {r.scope} · v{r.version}
+            </div>
+          </button>
+        ))}
+        {canEdit && (
+          <form
+            className="flex gap-2 pt-2 border-t border-gray-100"
+            onSubmit={(e) => {
+              e.preventDefault();
+              open(newPackage.trim().toUpperCase());
+              setNewPackage("");
+            }}
+          >
+            <input
+              className={field}
+              placeholder="e.g. MAR"
+              maxLength={3}
+              value={newPackage}
+              onChange={(e) => setNewPackage(e.target.value)}
+            />
+            <button type="submit" disabled={!/^[A-Za-z]{3}$/.test(newPackage.trim())} className="text-indigo-700 hover:underline disabled:text-gray-400">
+              Add package
+            </button>
+          </form>
+        )}
+      </aside>
+
+      <div className="md:col-span-3 bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4">
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+        {!draft ? (
+          <p className="text-sm text-gray-500">Pick a rubric to see its thresholds.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between gap-4">
+              <input
+                className="border border-gray-300 rounded-lg px-2 py-1.5 text-lg font-semibold flex-1"
+                placeholder={scope === data.organisation ? "Organisation rubric" : `${scope} training package`}
+                value={draft.name}
+                disabled={!canEdit}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              />
+              {canEdit && scope !== data.organisation && history.length > 0 && (
+                <button className="text-gray-400 hover:text-red-600" title="Delete rubric" onClick={remove}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            <table className="w-full text-sm">
+              <tbody>
+                {FIELDS.map(([label, path, hint]) => (
+                  <tr key={label} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-800">{label}</td>
+                    <td className="pr-4">
+                      <input
+                        type="number"
+                        className={field}
+                        value={getAt(draft.values, path)}
+                        disabled={!canEdit}
+                        onChange={(e) => setDraft({ ...draft, values: setAt(draft.values, path, e.target.value === "" ? "" : Number(e.target.value)) })}
+                      />
+                    </td>
+                    <td className="text-xs text-gray-500">
+                      {hint}
+                      {getAt(draft.values, path) !== getAt(data.defaults, path) && (
+                        <span className="ml-1">(built-in {getAt(data.defaults, path)})</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {canEdit && (
+              <div className="flex items-center gap-3">
+                <input
+                  className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm flex-1"
+                  placeholder="What changed and why (kept with the version)"
+                  value={draft.note}
+                  onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                />
+                <button
+                  onClick={save}
+                  disabled={busy}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 text-sm"
+                >
+                  Save as new version
+                </button>
+              </div>
+            )}
+
+            {history.length > 0 && (
+              <div>
+                <div className="text-sm font-semibold text-gray-800 mb-1">Versions</div>
+                <ul className="text-xs text-gray-600 space-y-1">
+                  {history.map((v) => (
+                    <li key={v.version}>
+                      <span className="font-semibold text-gray-900">v{v.version}</span> · {v.createdAt.slice(0, 10)}
+                      {v.by && ` · ${v.by.name}`}
+                      {v.note && ` — ${v.note}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,253 @@
+// client/src/Schedule.jsx
+import React, { useEffect, useState } from "react";
+import { CalendarClock, Plus, Trash2 } from "lucide-react";
+import { apiFetch, readError } from "./api.js";
+import PlanUnit from "./PlanUnit.jsx";
+
+const CYCLE_LABEL = { current: "In cycle", overdue: "Cycle overdue", "never-validated": "Never validated" };
+
+const Tile = ({ label, value, tone }) => (
+  <div className={`bg-white rounded-xl shadow-sm p-4 border-l-4 ${tone}`}>
+    <div className="text-xs text-gray-600 font-semibold">{label}</div>
+    <div className="text-2xl font-extrabold text-gray-900">{value}</div>
+  </div>
+);
+
+/**
+ * The validation schedule: training products on scope, their sampled units and
+ * when each is due. user decides whether the plan is editable; onOpenReports(reports)
+ * shows a linked report in the Results view.
+ */
+export default function Schedule({ user, onOpenReports }) {
+  const [plan, setPlan] = useState(null); // GET /api/plan
+  const [draft, setDraft] = useState({ code: "", kind: "qualification", title: "" });
+  const [unitCodes, setUnitCodes] = useState({}); // product id -> codes being added
+  const [dueOnly, setDueOnly] = useState(false);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const canEdit = user.roles.some((r) => r === "compliance-manager" || r === "validator");
+
+  const reload = () =>
+    apiFetch("/api/plan")
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(resp)))
+      .then(setPlan)
+      .catch(() => setError("Could not load the validation plan."));
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  // every change returns the product recomputed; the totals need a reload
+  const send = async (label, url, method, body) => {
+    setBusy(label);
+    setError("");
+    try {
+      const resp = await apiFetch(url, {
+        method,
+        ...(body ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) } : {}),
+      });
+      if (!resp.ok) {
+        setError(await readError(resp, "Could not update the plan"));
+        return null;
+      }
+      const data = await resp.json();
+      await reload();
+      return data;
+    } catch {
+      setError("Network error.");
+      return null;
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const addProduct = async (e) => {
+    e.preventDefault();
+    setNotice("");
+    const product = await send("add", "/api/plan/products", "POST", draft);
+    if (!product) return;
+    setDraft({ ...draft, code: "", title: "" });
+    if (product.warning) setNotice(product.warning);
+  };
+
+  const unitUrl = (product, code) => `/api/plan/products/${product.id}/units/${encodeURIComponent(code)}`;
+
+  const openLink = async (link) => {
+    setError("");
+    const url = link.kind === "project" ? `/api/projects/${link.id}/versions/${link.version}` : `/api/sign-offs/${link.id}`;
+    const resp = await apiFetch(url).catch(() => null);
+    if (!resp?.ok) {
+      setError("Could not open the linked report.");
+      return;
+    }
+    const data = await resp.json();
+    onOpenReports(link.kind === "project" ? data.reports : [data.report]);
+  };
+
+  if (!plan) return error ? <div className="text-sm text-red-700">{error}</div> : null;
+
+  const visible = (u) => !dueOnly || u.status === "overdue" || u.status === "due";
+  return (
+    <section className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <Tile label="Products on scope" value={plan.summary.products} tone="border-indigo-500" />
+        <Tile label="Overdue units" value={plan.summary.overdue} tone="border-red-500" />
+        <Tile label="Due in 90 days" value={plan.summary.due} tone="border-amber-500" />
+        <Tile label="Unscheduled units" value={plan.summary.unscheduled} tone="border-gray-400" />
+        <Tile label={`Outside ${plan.cycleYears}-year cycle`} value={plan.summary.productsOutOfCycle} tone="border-purple-500" />
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        {canEdit ? (
+          <form onSubmit={addProduct} className="flex flex-wrap gap-2 items-center">
+            <input
+              value={draft.code}
+              onChange={(e) => setDraft({ ...draft, code: e.target.value })}
+              placeholder="Product code (e.g. MAR20318)"
+              className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+            />
+            <select
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+              className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+            >
+              {plan.kinds.map((k) => (
+                <option key={k} value={k}>
+                  {k}
+                </option>
+              ))}
+            </select>
+            <input
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              placeholder="Title (optional)"
+              className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!draft.code.trim() || busy === "add"}
+              className="inline-flex items-center px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              <Plus className="w-4 h-4 mr-1" /> {busy === "add" ? "Adding…" : "Add to plan"}
+            </button>
+          </form>
+        ) : (
+          <div />
+        )}
+        <label className="text-sm text-gray-700 whitespace-nowrap">
+          <input type="checkbox" className="mr-1" checked={dueOnly} onChange={(e) => setDueOnly(e.target.checked)} />
+          Due and overdue only
+        </label>
+      </div>
+      {canEdit && draft.kind === "qualification" && (
+        <p className="text-xs text-gray-500 -mt-4">A qualification’s core and elective units are loaded from training.gov.au.</p>
+      )}
+
+      {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+      {notice && <div className="p-3 bg-amber-50 border border-amber-200 rounded text-amber-800 text-sm">{notice}</div>}
+
+      {plan.products.length === 0 && (
+        <div className="text-sm text-gray-500">
+          Nothing on the plan yet. Add each qualification, skill set or unit on your scope of registration.
+        </div>
+      )}
+
+      {plan.products.map((p) => {
+        const units = p.units.filter(visible);
+        if (dueOnly && !units.length) return null;
+        return (
+          <div key={p.id} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6">
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <div>
+                <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+                  <CalendarClock className="w-5 h-5 text-indigo-600" /> {p.code}
+                  <span className="text-xs font-normal text-gray-500">{p.kind}</span>
+                </h3>
+                <p className="text-sm text-gray-600">{p.title}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {p.summary.sampled} of {p.summary.units} units sampled · last validated {p.summary.lastValidated || "never"} ·{" "}
+                  <span className={p.summary.cycleStatus === "current" ? "text-green-700" : "text-red-700"}>
+                    {CYCLE_LABEL[p.summary.cycleStatus]}
+                    {p.summary.cycleDue && ` (until ${p.summary.cycleDue})`}
+                  </span>
+                  {p.summary.nextDue && ` · next due ${p.summary.nextDue}`}
+                </p>
+              </div>
+              {canEdit && (
+                <button
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove from plan"
+                  onClick={() => window.confirm(`Remove ${p.code} from the plan?`) && send(p.id, `/api/plan/products/${p.id}`, "DELETE")}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            {units.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="py-2">Unit</th>
+                      <th>Risk</th>
+                      <th className="text-center">Sampled</th>
+                      <th>Planned</th>
+                      <th>Last validated</th>
+                      <th>Due</th>
+                      <th>Reports</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {units.map((u) => (
+                      <PlanUnit
+                        key={u.code}
+                        unit={u}
+                        risks={plan.risks}
+                        canEdit={canEdit}
+                        onChange={(fields) => send(u.code, unitUrl(p, u.code), "PATCH", fields)}
+                        onLink={(c) => send(u.code, `${unitUrl(p, u.code)}/links`, "POST", c)}
+                        onUnlink={(i) => send(u.code, `${unitUrl(p, u.code)}/links/${i}`, "DELETE")}
+                        onRemove={() => send(u.code, unitUrl(p, u.code), "DELETE")}
+                        onOpen={openLink}
+                      />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {canEdit && !dueOnly && (
+              <form
+                className="flex gap-2 mt-3"
+                onSubmit={async (e) => {
+                  e.preventDefault();
+                  if (await send(p.id, `/api/plan/products/${p.id}/units`, "POST", { codes: unitCodes[p.id] })) {
+                    setUnitCodes({ ...unitCodes, [p.id]: "" });
+                  }
+                }}
+              >
+                <input
+                  value={unitCodes[p.id] || ""}
+                  onChange={(e) => setUnitCodes({ ...unitCodes, [p.id]: e.target.value })}
+                  placeholder="Add units: MARN008, MARJ006"
+                  className="flex-1 border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!unitCodes[p.id]?.trim() || busy === p.id}
+                  className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Add units
+                </button>
+              </form>
+            )}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
@@ -0,0 +1,237 @@
+// client/src/SignOffs.jsx
+import React, { useEffect, useState } from "react";
+import { ClipboardCheck } from "lucide-react";
+import { apiFetch, readError } from "./api.js";
+import { userRoleLabel } from "./roles.js";
+
+const STATUS_LABEL = { draft: "Draft", reviewed: "Reviewed", "signed-off": "Signed off" };
+const STATUS_PILL = {
+  draft: "bg-gray-100 text-gray-700",
+  reviewed: "bg-blue-100 text-blue-800",
+  "signed-off": "bg-green-100 text-green-800",
+};
+const STEP_LABEL = { review: "Mark reviewed", "sign-off": "Sign off", return: "Return to draft" };
+const OUTCOME_LABEL = {
+  approved: "Approved",
+  "approved-with-changes": "Approved with changes",
+  "not-approved": "Not approved",
+};
+
+const fmtDate = (iso) => new Date(iso).toLocaleString();
+
+const fetchRecords = (status) =>
+  apiFetch(`/api/sign-offs${status ? `?status=${status}` : ""}`).then((resp) => (resp.ok ? resp.json() : { records: [] }));
+
+/**
+ * Validation records moving through draft -> reviewed -> signed off.
+ * user is the signed-in user (decides which steps are offered);
+ * onOpenReport(report) shows a record's report in the Results view.
+ */
+export default function SignOffs({ user, onOpenReport }) {
+  const [records, setRecords] = useState([]);
+  const [steps, setSteps] = useState({});
+  const [outcomes, setOutcomes] = useState([]);
+  const [filter, setFilter] = useState("");
+  const [active, setActive] = useState(null);
+  const [note, setNote] = useState("");
+  const [outcome, setOutcome] = useState("");
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchRecords(filter)
+      .then((data) => {
+        setRecords(data.records);
+        if (data.steps) setSteps(data.steps);
+        if (data.outcomes) setOutcomes(data.outcomes);
+      })
+      .catch(() => setError("Network error while loading validation records."));
+  }, [filter]);
+
+  const open = async (id) => {
+    setError("");
+    const resp = await apiFetch(`/api/sign-offs/${id}`).catch(() => null);
+    if (!resp?.ok) {
+      setError(resp ? await readError(resp, "Could not load the record") : "Network error.");
+      return;
+    }
+    setActive(await resp.json());
+    setNote("");
+    setOutcome("");
+  };
+
+  const take = async (step) => {
+    setBusy(step);
+    setError("");
+    try {
+      const resp = await apiFetch(`/api/sign-offs/${active.id}/${step}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ note, ...(step === "sign-off" ? { outcome } : {}) }),
+      });
+      if (!resp.ok) {
+        setError(await readError(resp, "Could not update the record"));
+        return;
+      }
+      setActive(await resp.json());
+      setNote("");
+      setOutcome("");
+      setRecords((await fetchRecords(filter)).records);
+    } catch {
+      setError("Network error.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  // steps this user may take from the record's current status
+  const available = active
+    ? Object.entries(steps).filter(
+        ([, s]) => s.from.includes(active.status) && user.roles.some((r) => s.roles.includes(r))
+      )
+    : [];
+
+  return (
+    <section className="grid grid-cols-12 gap-6">
+      <aside className="col-span-12 md:col-span-5">
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+              <ClipboardCheck className="w-4 h-4" /> Validation records
+            </h3>
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              <option value="">All</option>
+              {Object.entries(STATUS_LABEL).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {records.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Nothing here yet. Submit a unit from the Results view to start its sign-off.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {records.map((r) => (
+                <button
+                  key={r.id}
+                  onClick={() => open(r.id)}
+                  className={`w-full text-left px-3 py-2 rounded-lg border text-sm ${
+                    active?.id === r.id ? "border-indigo-500 bg-indigo-50" : "border-gray-200 hover:bg-gray-50"
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-semibold text-gray-900">{r.unit.code}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_PILL[r.status]}`}>
+                      {STATUS_LABEL[r.status]}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {r.assessment || "—"} · PC {r.pc ?? "?"}% · KE {r.knowledge ?? "?"}%
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {r.lastStep.by}, {fmtDate(r.lastStep.at)}
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </aside>
+
+      <div className="col-span-12 md:col-span-7 space-y-4">
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+        {active ? (
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-5">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <h3 className="text-xl font-bold text-gray-900">
+                  {active.unit.code} {active.unit.title}
+                </h3>
+                <p className="text-sm text-gray-500">{active.assessment}</p>
+              </div>
+              <button
+                onClick={() => onOpenReport(active.report)}
+                className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+              >
+                Open report
+              </button>
+            </div>
+
+            <ol className="space-y-2">
+              {active.report.workflow.steps.map((s, i) => (
+                <li key={i} className="text-sm border-l-4 border-indigo-200 pl-3">
+                  <div className="font-semibold text-gray-900">
+                    {STATUS_LABEL[s.status]}
+                    {s.outcome && <span className="ml-2 font-normal">· {OUTCOME_LABEL[s.outcome]}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {s.by.name}
+                    {s.by.credentials && ` (${s.by.credentials})`} · {s.by.roles.map(userRoleLabel).join(", ")} ·{" "}
+                    {fmtDate(s.at)}
+                  </div>
+                  {s.note && <div className="text-gray-700 mt-1">{s.note}</div>}
+                </li>
+              ))}
+            </ol>
+
+            {available.length > 0 && (
+              <div className="border-t border-gray-200 pt-4 space-y-3">
+                {!user.credentials && available.some(([name]) => name !== "return") && (
+                  <p className="text-xs text-amber-700">
+                    Add your credentials on the Account tab; the record shows them against your step.
+                  </p>
+                )}
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  rows={2}
+                  placeholder="Note (required when returning to draft)"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                />
+                {available.some(([name]) => name === "sign-off") && (
+                  <select
+                    value={outcome}
+                    onChange={(e) => setOutcome(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+                  >
+                    <option value="">Outcome…</option>
+                    {outcomes.map((o) => (
+                      <option key={o} value={o}>
+                        {OUTCOME_LABEL[o] || o}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <div className="flex gap-2">
+                  {available.map(([name]) => (
+                    <button
+                      key={name}
+                      onClick={() => take(name)}
+                      disabled={!!busy || (name === "sign-off" && !outcome) || (name === "return" && !note.trim())}
+                      className={`px-4 py-2 rounded-lg text-sm disabled:opacity-50 ${
+                        name === "return"
+                          ? "bg-white border border-gray-300 hover:bg-gray-50"
+                          : "bg-indigo-600 text-white hover:bg-indigo-700"
+                      }`}
+                    >
+                      {busy === name ? "Saving…" : STEP_LABEL[name] || name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-sm text-gray-500">Pick a record to see its history and take the next step.</div>
+        )}
+      </div>
+    </section>
+  );
+}
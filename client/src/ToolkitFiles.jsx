@@ -0,0 +1,46 @@
+// client/src/ToolkitFiles.jsx
+import React from "react";
+import { FileText, X } from "lucide-react";
+import { roleLabel } from "./roles.js";
+
+/**
+ * The files that make up the assessment toolkit, each with its role.
+ * files: [{ name, role }]; removable(name) says whether a file can be dropped on its own
+ * (files unpacked from a zip go with the zip).
+ */
+export default function ToolkitFiles({ files, roles, removable, onRoleChange, onRemove }) {
+  if (!files.length) return null;
+  return (
+    <div className="mt-6 text-left">
+      <div className="text-sm font-semibold text-gray-800 mb-2">Toolkit files</div>
+      <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+        {files.map((f) => (
+          <li key={f.name} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <FileText className="w-4 h-4 text-gray-400 shrink-0" />
+            <span className="flex-1 min-w-0 truncate text-gray-800" title={f.name}>
+              {f.name}
+            </span>
+            <select
+              value={f.role}
+              onChange={(e) => onRoleChange(f.name, e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-xs"
+            >
+              {roles.map((r) => (
+                <option key={r} value={r}>
+                  {roleLabel(r)}
+                </option>
+              ))}
+            </select>
+            {removable(f.name) ? (
+              <button type="button" onClick={() => onRemove(f.name)} className="text-gray-400 hover:text-gray-600" title="Remove">
+                <X className="w-4 h-4" />
+              </button>
+            ) : (
+              <span className="w-4" />
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
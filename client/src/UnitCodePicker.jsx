@@ -0,0 +1,97 @@
+// client/src/UnitCodePicker.jsx
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+
+// Same shape the server detects: package prefix + field + 3-4 digits (+ old release letter)
+const CODE_SHAPE = /^[A-Z]{4,8}\d{3,4}[A-Z]?$/;
+
+const confidencePill = (c) =>
+  c >= 0.75 ? "bg-green-100 text-green-800" : c >= 0.5 ? "bg-yellow-100 text-yellow-800" : "bg-gray-100 text-gray-700";
+
+/**
+ * Review detected unit codes before validation.
+ * codes: [{ code, confidence, accepted, reasons, contexts, manual? }] (from /api/extract `candidates`)
+ */
+export default function UnitCodePicker({ codes, onChange }) {
+  const [draft, setDraft] = useState("");
+  const [draftError, setDraftError] = useState("");
+
+  const toggle = (code) => onChange(codes.map((c) => (c.code === code ? { ...c, accepted: !c.accepted } : c)));
+
+  const add = (e) => {
+    e.preventDefault();
+    const code = draft.toUpperCase().replace(/[\s-]+/g, "");
+    if (!CODE_SHAPE.test(code)) return setDraftError(`"${draft}" doesn't look like a unit code.`);
+    setDraftError("");
+    setDraft("");
+    if (codes.some((c) => c.code === code)) {
+      return onChange(codes.map((c) => (c.code === code ? { ...c, accepted: true } : c)));
+    }
+    onChange([...codes, { code, confidence: null, accepted: true, reasons: ["added by you"], contexts: [], manual: true }]);
+  };
+
+  return (
+    <div className="mt-6 text-left">
+      <div className="text-sm font-semibold text-gray-800 mb-2">Units to validate</div>
+      {codes.length === 0 && (
+        <p className="text-sm text-gray-500 mb-2">No unit codes found in this file. Add the codes it assesses below.</p>
+      )}
+      <ul className="space-y-2">
+        {codes.map((c) => (
+          <li
+            key={c.code}
+            className={`border rounded-lg p-3 ${c.accepted ? "border-indigo-200 bg-indigo-50/40" : "border-gray-200 opacity-70"}`}
+          >
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input type="checkbox" checked={c.accepted} onChange={() => toggle(c.code)} className="mt-1" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold text-gray-900">{c.code}</span>
+                  {c.manual ? (
+                    <span className="px-2 py-0.5 rounded text-xs bg-indigo-100 text-indigo-800">added</span>
+                  ) : (
+                    <span className={`px-2 py-0.5 rounded text-xs ${confidencePill(c.confidence)}`}>
+                      {Math.round(c.confidence * 100)}% confidence
+                    </span>
+                  )}
+                  {c.manual && (
+                    <button
+                      type="button"
+                      onClick={() => onChange(codes.filter((x) => x.code !== c.code))}
+                      className="ml-auto text-gray-400 hover:text-gray-600"
+                      title="Remove"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                {!c.manual && <div className="text-xs text-gray-500 mt-1">{c.reasons.join(" · ")}</div>}
+                {c.contexts.map((ctx, i) => (
+                  <div key={i} className="text-xs text-gray-600 mt-1 truncate" title={ctx.snippet}>
+                    {ctx.label && <span className="font-medium text-gray-700">{ctx.label}: </span>}…{ctx.snippet}…
+                  </div>
+                ))}
+              </div>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={add} className="mt-3 flex items-center gap-2">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Add a unit code, e.g. MARN008"
+          className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm w-64"
+        />
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          className="inline-flex items-center px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" /> Add
+        </button>
+      </form>
+      {draftError && <div className="text-xs text-red-700 mt-1">{draftError}</div>}
+    </div>
+  );
+}
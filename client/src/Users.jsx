@@ -0,0 +1,158 @@
+// client/src/Users.jsx
+import React, { useEffect, useState } from "react";
+import { Users as UsersIcon } from "lucide-react";
+import { apiFetch, readError } from "./api.js";
+import { userRoleLabel } from "./roles.js";
+
+const field = "border border-gray-300 rounded-lg px-2 py-1.5 text-sm";
+const EMPTY = { username: "", name: "", credentials: "", password: "", roles: ["assessor"] };
+
+/** Compliance managers: add users, change their roles, disable them, reset passwords. */
+export default function Users({ roles, currentUserId }) {
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState(EMPTY);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    apiFetch("/api/users")
+      .then((resp) => (resp.ok ? resp.json() : { users: [] }))
+      .then((data) => setUsers(data.users))
+      .catch(() => setError("Network error while loading users."));
+  }, []);
+
+  const send = async (label, url, method, body) => {
+    setBusy(label);
+    setError("");
+    try {
+      const resp = await apiFetch(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+      if (!resp.ok) {
+        setError(await readError(resp, "Could not save the user"));
+        return null;
+      }
+      return await resp.json();
+    } catch {
+      setError("Network error.");
+      return null;
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const update = async (id, fields) => {
+    const saved = await send(id, `/api/users/${id}`, "PATCH", fields);
+    if (saved) setUsers(users.map((u) => (u.id === id ? saved : u)));
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    const saved = await send("create", "/api/users", "POST", draft);
+    if (!saved) return;
+    setUsers([...users, saved].sort((a, b) => a.name.localeCompare(b.name)));
+    setDraft(EMPTY);
+  };
+
+  const resetPassword = (u) => {
+    const password = window.prompt(`New password for ${u.name} (at least 8 characters)`);
+    if (password) update(u.id, { password });
+  };
+
+  const toggle = (list, role) => (list.includes(role) ? list.filter((r) => r !== role) : [...list, role]);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4">
+      <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+        <UsersIcon className="w-5 h-5" /> Users
+      </h3>
+      {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2">User</th>
+            <th>Credentials</th>
+            <th>Roles</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((u) => (
+            <tr key={u.id} className={`border-b border-gray-100 ${u.disabled ? "opacity-50" : ""}`}>
+              <td className="py-2">
+                <div className="font-semibold text-gray-900">{u.name}</div>
+                <div className="text-xs text-gray-500">{u.username}</div>
+              </td>
+              <td className="text-gray-700">{u.credentials || "—"}</td>
+              <td>
+                {roles.map((r) => (
+                  <label key={r} className="mr-3 whitespace-nowrap">
+                    <input
+                      type="checkbox"
+                      className="mr-1"
+                      checked={u.roles.includes(r)}
+                      disabled={busy === u.id}
+                      onChange={() => update(u.id, { roles: toggle(u.roles, r) })}
+                    />
+                    {userRoleLabel(r)}
+                  </label>
+                ))}
+              </td>
+              <td className="text-right whitespace-nowrap">
+                <button className="text-indigo-700 hover:underline mr-3" onClick={() => resetPassword(u)}>
+                  Reset password
+                </button>
+                {u.id !== currentUserId && (
+                  <button className="text-indigo-700 hover:underline" onClick={() => update(u.id, { disabled: !u.disabled })}>
+                    {u.disabled ? "Enable" : "Disable"}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={create} className="border-t border-gray-200 pt-4 space-y-3">
+        <div className="text-sm font-semibold text-gray-800">Add a user</div>
+        <div className="grid md:grid-cols-2 gap-3">
+          <input className={field} placeholder="Username" value={draft.username} onChange={(e) => setDraft({ ...draft, username: e.target.value })} />
+          <input className={field} placeholder="Full name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <input
+            className={field}
+            placeholder="Credentials"
+            value={draft.credentials}
+            onChange={(e) => setDraft({ ...draft, credentials: e.target.value })}
+          />
+          <input
+            className={field}
+            type="password"
+            placeholder="Initial password"
+            autoComplete="new-password"
+            value={draft.password}
+            onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+          />
+        </div>
+        <div className="text-sm">
+          {roles.map((r) => (
+            <label key={r} className="mr-4">
+              <input
+                type="checkbox"
+                className="mr-1"
+                checked={draft.roles.includes(r)}
+                onChange={() => setDraft({ ...draft, roles: toggle(draft.roles, r) })}
+              />
+              {userRoleLabel(r)}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={busy === "create" || !draft.username || !draft.password || !draft.roles.length}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 text-sm"
+        >
+          Add user
+        </button>
+      </form>
+    </div>
+  );
+}
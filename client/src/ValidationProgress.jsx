@@ -0,0 +1,53 @@
+// client/src/ValidationProgress.jsx
+import React from "react";
+import { CheckCircle2, Clock, RotateCw, XCircle } from "lucide-react";
+import { isPlaceholder, provenanceLabel } from "./provenance.js";
+
+const TASK_STATUS = {
+  queued: { label: "Waiting", icon: Clock, tone: "text-gray-400" },
+  running: { label: "Looking up", icon: RotateCw, tone: "text-indigo-600 animate-spin" },
+  retrying: { label: "Retrying", icon: RotateCw, tone: "text-amber-600" },
+  done: { label: "Ready", icon: CheckCircle2, tone: "text-green-600" },
+  failed: { label: "Failed", icon: XCircle, tone: "text-red-600" },
+  cancelled: { label: "Cancelled", icon: XCircle, tone: "text-gray-400" },
+};
+
+/** Per-unit progress of a background validation job, with a cancel button. */
+export default function ValidationProgress({ job, onCancel, cancelling }) {
+  const { settled, total } = job.progress;
+  return (
+    <div className="bg-white rounded-xl shadow-lg px-6 py-4 border border-gray-200 w-96 space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold text-gray-800">Looking up units…</span>
+        <span className="text-gray-500">
+          {settled}/{total}
+        </span>
+      </div>
+      <div className="h-1.5 bg-gray-100 rounded">
+        <div className="h-1.5 bg-indigo-600 rounded transition-all" style={{ width: `${total ? (settled * 100) / total : 0}%` }} />
+      </div>
+      <ul className="text-sm space-y-1 max-h-64 overflow-y-auto">
+        {job.tasks.map((t) => {
+          const s = TASK_STATUS[t.status] || TASK_STATUS.queued;
+          const Icon = s.icon;
+          const note =
+            t.status === "retrying" ? `attempt ${t.attempt} failed` : t.status === "done" ? provenanceLabel(t.summary?.provenance) : t.error || "";
+          const flagged = t.status === "done" && isPlaceholder(t.summary?.provenance);
+          return (
+            <li key={t.item} className="flex items-center gap-2">
+              <Icon className={`w-4 h-4 shrink-0 ${s.tone}`} />
+              <span className="font-semibold text-gray-900 w-24">{t.item}</span>
+              <span className="text-gray-600">{s.label}</span>
+              {note && <span className={`text-xs truncate ${flagged ? "text-red-700 font-semibold" : "text-gray-500"}`}>· {note}</span>}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="text-right">
+        <button onClick={onCancel} disabled={cancelling} className="text-sm text-gray-600 hover:text-red-600 disabled:opacity-50">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
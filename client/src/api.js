@@ -0,0 +1,65 @@
+// client/src/api.js
+export const API_BASE = "http://localhost:5050";
+
+/* ------------------------------ session ------------------------------ */
+// The sign-in token lives in localStorage so a reload keeps the session.
+const TOKEN_KEY = "rto-validator-token";
+let token = localStorage.getItem(TOKEN_KEY) || "";
+const signOutListeners = new Set();
+
+export const getToken = () => token;
+
+export function setToken(next) {
+  token = next || "";
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+// Called when the server rejects the session (expired, password changed, account disabled).
+export function onSignedOut(fn) {
+  signOutListeners.add(fn);
+  return () => signOutListeners.delete(fn);
+}
+
+/** fetch() against the API with the session token; a 401 ends the session. */
+export async function apiFetch(path, opts = {}) {
+  const headers = { ...(opts.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+  const resp = await fetch(`${API_BASE}${path}`, { ...opts, headers });
+  if (resp.status === 401 && token) {
+    setToken("");
+    signOutListeners.forEach((fn) => fn());
+  }
+  return resp;
+}
+
+// For plain links (downloads), which can't send the Authorization header.
+export const authedUrl = (path) => `${API_BASE}${path}${path.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(token)}`;
+
+// Best error message from a failed fetch Response.
+export async function readError(resp, fallback) {
+  let msg = fallback || `Request failed: HTTP ${resp.status}`;
+  try {
+    const maybe = await resp.json();
+    if (maybe?.error) msg = maybe.error;
+  } catch {
+    /* keep the HTTP status message */
+  }
+  return msg;
+}
+
+/**
+ * Follow a background job's Server-Sent Events (EventSource can't send the
+ * Authorization header, hence the token in the URL). handlers: { [event]: (data) => void },
+ * plus onLost() when the stream closes for good. Returns a function that stops following.
+ */
+export function followEvents(path, handlers) {
+  const source = new EventSource(authedUrl(path));
+  for (const [event, fn] of Object.entries(handlers)) {
+    if (event !== "onLost") source.addEventListener(event, (e) => fn(JSON.parse(e.data)));
+  }
+  // the browser reconnects by itself after a dropped connection; CLOSED means it gave up
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) handlers.onLost?.();
+  };
+  return () => source.close();
+}
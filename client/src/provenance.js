@@ -0,0 +1,23 @@
+// client/src/provenance.js
+// Where a report's unit details came from (the server's lib/provenance.js).
+
+export const isPlaceholder = (p) => p?.kind === "placeholder";
+
+const day = (iso) => (iso ? String(iso).slice(0, 10) : "unknown date");
+
+/** e.g. "Live from tga-html, 2026-10-19" / "Cached copy from tga-html, 2026-10-01 (expired)". */
+export function provenanceLabel(p) {
+  if (!p) return "Unit data source not recorded";
+  switch (p.kind) {
+    case "live":
+      return `Live from ${p.source}, ${day(p.retrievedAt)}`;
+    case "cached":
+      return `Cached copy from ${p.source || "an earlier lookup"}, ${day(p.retrievedAt)}${p.stale ? " (expired)" : ""}`;
+    case "local":
+      return `Local unit library, ${day(p.retrievedAt)}`;
+    case "placeholder":
+      return "Placeholder test data";
+    default:
+      return p.kind;
+  }
+}
@@ -0,0 +1,20 @@
+// client/src/roles.js
+// Display names for toolkit file roles (the server's ROLES in lib/toolkit.js).
+const ROLE_LABELS = {
+  "student-task": "Student task",
+  "marking-guide": "Marking guide",
+  "observation-checklist": "Observation checklist",
+  mapping: "Mapping document",
+  other: "Other",
+};
+
+export const roleLabel = (role) => ROLE_LABELS[role] || role || "";
+
+// Display names for user roles (the server's USER_ROLES in lib/auth.js).
+const USER_ROLE_LABELS = {
+  assessor: "Assessor",
+  validator: "Validator",
+  "compliance-manager": "Compliance manager",
+};
+
+export const userRoleLabel = (role) => USER_ROLE_LABELS[role] || role || "";
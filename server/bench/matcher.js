@@ -0,0 +1,84 @@
+// server/bench/matcher.js
+// Compare the original whole-document token-overlap heuristic with the
+// passage matcher on the labelled set in ./matcher-samples.json.
+//
+//   npm run bench:matcher            # summary + disagreements
+//   npm run bench:matcher -- --sweep # also sweep the matcher threshold
+import { readFileSync } from "node:fs";
+import { coverageCheck, passagesFrom, tokenize } from "../lib/engine.js";
+import { buildIndex, COVERED_AT, matchCriterion } from "../lib/matcher.js";
+import { structureFromText } from "../lib/structure.js";
+
+const samples = JSON.parse(readFileSync(new URL("./matcher-samples.json", import.meta.url), "utf8"));
+const sweep = process.argv.includes("--sweep");
+
+// The pre-matcher rule: 35% of the criterion's tokens anywhere in the file.
+function legacyCovered(fullText, criterionText) {
+  const textTokens = new Set(tokenize(fullText));
+  const key = tokenize(criterionText);
+  return key.filter((k) => textTokens.has(k)).length / key.length >= 0.35;
+}
+
+function score(rows) {
+  const tp = rows.filter((r) => r.pred && r.label).length;
+  const fp = rows.filter((r) => r.pred && !r.label).length;
+  const fn = rows.filter((r) => !r.pred && r.label).length;
+  const tn = rows.filter((r) => !r.pred && !r.label).length;
+  const precision = tp / (tp + fp || 1);
+  const recall = tp / (tp + fn || 1);
+  const f1 = (2 * precision * recall) / (precision + recall || 1);
+  return { tp, fp, fn, tn, precision, recall, f1, accuracy: (tp + tn) / rows.length };
+}
+
+const legacy = [];
+const matcher = [];
+const relevances = [];
+
+for (const [docId, doc] of Object.entries(samples.documents)) {
+  const passages = passagesFrom(structureFromText(doc.text));
+  const { items } = coverageCheck(doc.text, doc.criteria, passages);
+  const index = buildIndex(passages);
+  for (const crit of doc.criteria) {
+    const item = items.find((it) => it.code === crit.code);
+    const row = { docId, code: crit.code, text: crit.text, label: crit.covered };
+    legacy.push({ ...row, pred: legacyCovered(doc.text, crit.text) });
+    matcher.push({ ...row, pred: item.covered, score: item.score, where: item.evidence[0]?.label });
+    relevances.push({ label: crit.covered, relevance: matchCriterion(index, crit.text).relevance });
+  }
+}
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(7);
+const line = (name, m) =>
+  console.log(
+    `${name.padEnd(26)}${pct(m.precision)}${pct(m.recall)}${pct(m.f1)}${pct(m.accuracy)}   TP ${m.tp} FP ${m.fp} FN ${m.fn} TN ${m.tn}`
+  );
+
+console.log(`${matcher.length} labelled criteria across ${Object.keys(samples.documents).length} documents\n`);
+console.log(`${"".padEnd(26)}   prec    rec     f1    acc`);
+line("legacy (35% of tokens)", score(legacy));
+line(`matcher (>= ${COVERED_AT})`, score(matcher));
+
+// one document holds only shared-word traps for the synonym groups (see ../lib/synonyms.js)
+console.log("\nBy document (matcher):");
+for (const docId of Object.keys(samples.documents)) {
+  const m = score(matcher.filter((r) => r.docId === docId));
+  console.log(`  ${docId.padEnd(24)}${pct(m.accuracy)}   FP ${m.fp} FN ${m.fn}`);
+}
+
+console.log("\nDisagreements with the label:");
+for (let i = 0; i < matcher.length; i++) {
+  const m = matcher[i];
+  const l = legacy[i];
+  if (m.pred === m.label && l.pred === m.label) continue;
+  const flag = (p) => (p === m.label ? "ok " : p ? "FP " : "FN ");
+  console.log(
+    `  legacy ${flag(l.pred)} matcher ${flag(m.pred)} ${m.docId} ${m.code} (${m.score}${m.where ? ` @ ${m.where}` : ""}): ${m.text}`
+  );
+}
+
+if (sweep) {
+  console.log("\nMatcher threshold sweep:");
+  for (let t = 0.3; t <= 0.8001; t += 0.05) {
+    line(`  >= ${t.toFixed(2)}`, score(relevances.map((r) => ({ label: r.label, pred: r.relevance >= t }))));
+  }
+}
@@ -0,0 +1,78 @@
+// server/fixtures/mock-units.js
+// Placeholder units for development and tests only: plausible-looking data to
+// exercise the UI while the unit sources are unreachable. Never real units.
+// The API loads this file only when placeholders are enabled (UOC_PLACEHOLDERS,
+// off by default under NODE_ENV=production), and every report scored against
+// one of these says so.
+export const MOCKS = {
+  MARN008: {
+    unit: { code: "MARN008", title: "Apply seamanship skills aboard a vessel up to 12 metres (Mock)" },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Maintain safe deck practices and housekeeping." },
+      { pcCode: "1.2", description: "Perform mooring and anchoring operations." },
+      { pcCode: "2.1", description: "Handle lines, ropes and knots for small vessel operations." }
+    ],
+    knowledgeEvidence: [
+      "Basic seamanship terminology and safety practices.",
+      "Characteristics and safe use of common knots and splices.",
+      "Hazards associated with lines under load and snap-back zones."
+    ],
+  },
+  MARJ006: {
+    unit: { code: "MARJ006", title: "Follow environmental work practices (Mock)" },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Identify environmental requirements in the work area." },
+      { pcCode: "1.2", description: "Handle waste, spills and emissions correctly." }
+    ],
+    knowledgeEvidence: [
+      "Company procedures for waste segregation and disposal.",
+      "Reporting requirements for environmental incidents."
+    ],
+  },
+  MARK007: {
+    unit: { code: "MARK007", title: "Handle a vessel up to 24 metres (Mock)" },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Plan and conduct basic manoeuvres considering wind and tide." },
+      { pcCode: "1.2", description: "Use helm and engine controls to maintain course and speed." }
+    ],
+    knowledgeEvidence: [
+      "Effects of wind, tide and current on vessel handling.",
+      "Use of propulsion and rudder to pivot and stop a vessel."
+    ],
+  },
+  MARC037: {
+    unit: { code: "MARC037", title: "Operate deck machinery (Mock)" },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Prepare, operate and secure windlass and capstan safely." },
+      { pcCode: "1.2", description: "Communicate effectively during lifting operations." }
+    ],
+    knowledgeEvidence: [
+      "Safe working loads and risk controls for deck machinery.",
+      "Lock-out/tag-out procedures."
+    ],
+  },
+  MARI003: {
+    unit: { code: "MARI003", title: "Comply with regulations to ensure safe operation (Mock)" },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Identify applicable maritime regulations and codes." },
+      { pcCode: "1.2", description: "Apply organisational procedures to maintain compliance." }
+    ],
+    knowledgeEvidence: [
+      "Key provisions of local marine safety legislation.",
+      "Recordkeeping and reporting obligations."
+    ],
+  },
+};
+
+/** The placeholder for `code`: one of the MOCKS, or a generic two-criterion unit. */
+export function mockUnit(code) {
+  const mock = MOCKS[code] || {
+    unit: { code, title: `${code} (Mock Unit for testing)` },
+    elementsAndPC: [
+      { pcCode: "1.1", description: "Example performance criterion." },
+      { pcCode: "1.2", description: "Another performance criterion." },
+    ],
+    knowledgeEvidence: ["Example knowledge item A.", "Example knowledge item B."],
+  };
+  return { ...mock, url: `https://training.gov.au/Training/Details/${code}`, source: "mock" };
+}
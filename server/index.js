@@ -1,17 +1,49 @@
 // server/index.js
 import express from "express";
 import cors from "cors";
-import axios from "axios";
-import { load } from "cheerio";
 import fileUpload from "express-fileupload";
-import mammoth from "mammoth";
+import { extractDocument, UnsupportedFileError } from "./lib/extract.js";
+import { combineToolkit, expandUploads, extractToolkit, guessRole, ROLES } from "./lib/toolkit.js";
+import { checkCode, detectUnitCodes, findUocCandidates, UnitCodeError } from "./lib/unitCodes.js";
+import { configFromEnv, createUnitService } from "./lib/unitService.js";
+import { remediationToDocx, reportsToCsv, reportsToDocx, reportsToPdf } from "./lib/reportExport.js";
+import { createProjectStore } from "./lib/projectStore.js";
+import { diffVersions } from "./lib/versionDiff.js";
+import { AuthError, createAuth, loadSecret, USER_ROLES } from "./lib/auth.js";
+import { createReportSeal } from "./lib/reportSeal.js";
+import { createSignOffStore, OUTCOMES, STEPS, WorkflowError } from "./lib/signOffStore.js";
+import { OverrideError, setOverride } from "./lib/overrides.js";
+import { createValidationPlan, CYCLE_YEARS, PlanError, PRODUCT_KINDS, RISK_INTERVAL_YEARS } from "./lib/validationPlan.js";
+import { DEFAULT_RUBRIC, ORGANISATION, RubricError } from "./lib/rubric.js";
+import { JobError } from "./lib/jobs.js";
 
 const app = express();
 const PORT = process.env.PORT || 5050;
+const config = configFromEnv();
+const DATA_DIR = config.dataDir;
+const UOC_CACHE_TTL_HOURS = config.cacheTtlHours;
+// reports carry a seal so the server can tell its own from edited ones when they come back
+const reportSeal = createReportSeal(loadSecret(DATA_DIR, process.env.AUTH_SECRET));
+const {
+  providers,
+  uocStore,
+  rubricStore,
+  rubricFor,
+  getUocPayload,
+  getQualificationPayload,
+  validateAssessment,
+  startValidation,
+  validateQualificationTools,
+  startQualificationValidation,
+  jobs,
+} = createUnitService({ ...config, sealReport: reportSeal.seal });
 
 /* ---------------------------- middleware ---------------------------- */
 // IMPORTANT: order matters
-app.use(cors({ origin: "http://localhost:5173" }));
+// Content-Disposition carries export file names
+// CORS_ORIGIN: comma-separated origins allowed to call the API (the client's dev server by default)
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || "http://localhost:5173").split(",").map((o) => o.trim());
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ["Content-Disposition"] }));
 app.use(express.json({ limit: "15mb" }));
 app.use(
   fileUpload({
@@ -20,225 +52,675 @@ app.use(
   })
 );
 
-/* ------------------------------ helpers ----------------------------- */
-// Find likely UoC codes in free text (e.g., MARN008, MARH013, HLTAID011, BSBOPS201)
-const UOC_CANDIDATE_REGEX = /\b([A-Z]{3,10}[A-Z]*\d{2,4})\b/g;
-const BLACKLIST = new Set(["PDF2023", "DOCX2021", "COVID19", "ABN2021", "ISO9001"]);
+/* ------------------------------ storage ----------------------------- */
+// Saved validation projects: uploaded versions, extracted text and reports.
+const projectStore = createProjectStore({ dir: `${DATA_DIR}/projects` });
+// Reports going through draft -> reviewed -> signed off.
+const signOffStore = createSignOffStore({ file: `${DATA_DIR}/sign-offs.json`, reportSeal });
+// The validation schedule: products on scope, sampled units, due dates.
+const validationPlan = createValidationPlan({ file: `${DATA_DIR}/validation-plan.json`, projectStore, signOffStore });
 
-function findUocCandidates(text) {
-  const hits = new Set();
-  if (!text) return [];
-  for (const m of text.toUpperCase().matchAll(UOC_CANDIDATE_REGEX)) {
-    const code = m[1];
-    if (!BLACKLIST.has(code) && /[A-Z]/.test(code) && /\d/.test(code)) hits.add(code);
+/* -------------------------------- auth -------------------------------- */
+// Everything under /api needs a signed-in user except signing in itself.
+const auth = createAuth({ dataDir: DATA_DIR, secret: process.env.AUTH_SECRET });
+
+// AuthError / WorkflowError / PlanError / OverrideError / RubricError / JobError / UnitCodeError carry their HTTP status
+const STATUS_ERRORS = [AuthError, WorkflowError, PlanError, OverrideError, RubricError, JobError, UnitCodeError];
+// a lookup that fails is "not found", unless the code itself was no good
+const lookupStatus = (e) => (e instanceof UnitCodeError ? e.status : 404);
+function sendError(res, e, what) {
+  if (STATUS_ERRORS.some((E) => e instanceof E)) {
+    return res.status(e.status).json({ error: e.message });
   }
-  return Array.from(hits);
+  console.error(`${what} failed:`, e);
+  res.status(500).json({ error: `Failed to ${what}` });
 }
 
-/* ------------------------------ caching ----------------------------- */
-const cache = new Map(); // code -> payload used by UI
-
-/* --------------------------- mock fallbacks -------------------------- */
-/** 
- * Used when TGA is unavailable (e.g., 404s today).
- * Add/adjust as needed. These are plausible examples to exercise your UI.
- */
-const MOCKS = {
-  MARN008: {
-    unit: { code: "MARN008", title: "Apply seamanship skills aboard a vessel up to 12 metres (Mock)" },
-    elementsAndPC: [
-      { pcCode: "1.1", description: "Maintain safe deck practices and housekeeping." },
-      { pcCode: "1.2", description: "Perform mooring and anchoring operations." },
-      { pcCode: "2.1", description: "Handle lines, ropes and knots for small vessel operations." }
-    ],
-    knowledgeEvidence: [
-      "Basic seamanship terminology and safety practices.",
-      "Characteristics and safe use of common knots and splices.",
-      "Hazards associated with lines under load and snap-back zones."
-    ],
-  },
-  MARJ006: {
-    unit: { code: "MARJ006", title: "Follow environmental work practices (Mock)" },
-    elementsAndPC: [
-      { pcCode: "1.1", description: "Identify environmental requirements in the work area." },
-      { pcCode: "1.2", description: "Handle waste, spills and emissions correctly." }
-    ],
-    knowledgeEvidence: [
-      "Company procedures for waste segregation and disposal.",
-      "Reporting requirements for environmental incidents."
-    ],
-  },
-  MARK007: {
-    unit: { code: "MARK007", title: "Handle a vessel up to 24 metres (Mock)" },
-    elementsAndPC: [
-      { pcCode: "1.1", description: "Plan and conduct basic manoeuvres considering wind and tide." },
-      { pcCode: "1.2", description: "Use helm and engine controls to maintain course and speed." }
-    ],
-    knowledgeEvidence: [
-      "Effects of wind, tide and current on vessel handling.",
-      "Use of propulsion and rudder to pivot and stop a vessel."
-    ],
-  },
-  MARC037: {
-    unit: { code: "MARC037", title: "Operate deck machinery (Mock)" },
-    elementsAndPC: [
-      { pcCode: "1.1", description: "Prepare, operate and secure windlass and capstan safely." },
-      { pcCode: "1.2", description: "Communicate effectively during lifting operations." }
-    ],
-    knowledgeEvidence: [
-      "Safe working loads and risk controls for deck machinery.",
-      "Lock-out/tag-out procedures."
-    ],
-  },
-  MARI003: {
-    unit: { code: "MARI003", title: "Comply with regulations to ensure safe operation (Mock)" },
-    elementsAndPC: [
-      { pcCode: "1.1", description: "Identify applicable maritime regulations and codes." },
-      { pcCode: "1.2", description: "Apply organisational procedures to maintain compliance." }
-    ],
-    knowledgeEvidence: [
-      "Key provisions of local marine safety legislation.",
-      "Recordkeeping and reporting obligations."
-    ],
-  },
-};
+app.get("/api/auth/status", (req, res) => {
+  const header = req.get("authorization") || "";
+  res.json({ setupRequired: auth.setupRequired(), user: auth.verify(header.replace(/^Bearer /, "")), roles: USER_ROLES });
+});
 
-/* ------------- scrape/parse from training.gov.au (when up) ---------- */
-async function fetchFromTGA(code) {
-  const url = `https://training.gov.au/Training/Details/${encodeURIComponent(code)}`;
-
-  const { data: html, status } = await axios.get(url, {
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36",
-      "Accept-Language": "en-AU,en;q=0.9",
-    },
-    timeout: 15000,
-    validateStatus: () => true, // we’ll handle non-200s
-  });
+// first run only: creates the first compliance manager
+app.post("/api/auth/setup", async (req, res) => {
+  try {
+    res.status(201).json(await auth.setup(req.body || {}));
+  } catch (e) {
+    sendError(res, e, "set up");
+  }
+});
 
-  if (status !== 200) {
-    const err = new Error(`TGA returned ${status}`);
-    err.status = status;
-    throw err;
-  }
-
-  const $ = load(html);
-  const h1 = $("h1").first().text().trim();
-  if (!h1) throw new Error("No title on page (unexpected TGA markup)");
-
-  // Try to pull out “Elements and Performance Criteria” rows (best-effort).
-  // The TGA site markup can change; this is a heuristic. If it fails, the client will still work.
-  const elementsAndPC = [];
-  const pcSection = $("h2,h3")
-    .filter((i, el) => /elements.*performance criteria/i.test($(el).text()))
-    .first()
-    .parent();
-  pcSection.find("tr").each((_, tr) => {
-    const cols = $(tr).find("td");
-    if (cols.length >= 2) {
-      const pcCode = $(cols[0]).text().trim();
-      const description = $(cols[1]).text().trim();
-      if (pcCode && description) elementsAndPC.push({ pcCode, description });
-    }
-  });
+app.post("/api/auth/login", (req, res) => {
+  try {
+    res.json(auth.login(req.body?.username, req.body?.password));
+  } catch (e) {
+    sendError(res, e, "sign in");
+  }
+});
 
-  // Try to pull out “Knowledge Evidence” bullet points (best-effort).
-  const knowledgeEvidence = [];
-  const keHeader = $("h2,h3")
-    .filter((i, el) => /knowledge evidence/i.test($(el).text()))
-    .first();
-  keHeader.nextAll("ul").first().find("li").each((_, li) => {
-    const t = $(li).text().trim();
-    if (t) knowledgeEvidence.push(t);
-  });
+app.use("/api", auth.middleware());
+const managersOnly = auth.requireRole("compliance-manager");
 
-  return {
-    unit: { code, title: h1 },
-    url,
-    elementsAndPC,
-    knowledgeEvidence,
-    source: "tga",
-  };
+app.get("/api/auth/me", (req, res) => res.json(req.user));
+
+// own name / credentials / password ({ currentPassword } needed to change it)
+app.patch("/api/auth/me", async (req, res) => {
+  try {
+    res.json(await auth.updateProfile(req.user.id, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "update the profile");
+  }
+});
+
+app.get("/api/users", managersOnly, (_req, res) => res.json({ users: auth.listUsers(), roles: USER_ROLES }));
+
+app.post("/api/users", managersOnly, async (req, res) => {
+  try {
+    res.status(201).json(await auth.createUser(req.body || {}));
+  } catch (e) {
+    sendError(res, e, "create the user");
+  }
+});
+
+app.patch("/api/users/:id", managersOnly, async (req, res) => {
+  try {
+    res.json(await auth.updateUser(req.params.id, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "update the user");
+  }
+});
+
+/* ----------------------------- validation ---------------------------- */
+// codes arrive as an array (JSON) or a comma-separated string (multipart)
+function parseCodes(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || "").split(",");
+  return [...new Set(list.map((c) => String(c).trim()).filter(Boolean).map(checkCode))];
 }
 
-/* -------------------- unified TGA + fallback fetcher ------------------ */
-async function getUocPayload(codeRaw) {
-  const code = String(codeRaw || "").toUpperCase();
-  if (!code) throw new Error("No code");
-
-  // cache first
-  if (cache.has(code)) return cache.get(code);
-
-  // try TGA
-  try {
-    const live = await fetchFromTGA(code);
-    cache.set(code, live);
-    return live;
-  } catch (err) {
-    // fallback to mock (for testing while TGA is down)
-    const mock = MOCKS[code] || {
-      unit: { code, title: `${code} (Mock Unit for testing)` },
-      elementsAndPC: [
-        { pcCode: "1.1", description: "Example performance criterion." },
-        { pcCode: "1.2", description: "Another performance criterion." },
-      ],
-      knowledgeEvidence: ["Example knowledge item A.", "Example knowledge item B."],
-    };
-    const payload = { ...mock, url: `https://training.gov.au/Training/Details/${code}`, source: "mock" };
-    cache.set(code, payload);
-    return payload;
+// file name -> role, from a JSON object or a multipart JSON string
+function parseRoles(raw) {
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
   }
 }
 
+// toolkit files as the client sends them back (roles may have been changed)
+function toolkitFromBody(files) {
+  return combineToolkit(
+    files.map((f, i) => {
+      const name = f.name || `File ${i + 1}`;
+      return { name, role: ROLES.includes(f.role) ? f.role : guessRole(name, f.text || ""), text: f.text || "", structure: f.structure };
+    })
+  );
+}
+
 /* -------------------------------- routes ------------------------------ */
 
 // health
 app.get("/health", (_req, res) => {
-  res.json({ ok: true, service: "rto-validator-api", port: PORT });
+  res.json({
+    ok: true,
+    service: "rto-validator-api",
+    port: PORT,
+    sources: providers.map((p) => p.name),
+    placeholders: config.placeholders,
+  });
 });
 
-// look up a single code -> returns shape that the client expects
+// look up a single code -> returns shape that the client expects (?refresh=1 bypasses the cache)
 app.get("/api/uoc/:code", async (req, res) => {
   try {
-    const payload = await getUocPayload(req.params.code);
+    const payload = await getUocPayload(req.params.code, { refresh: req.query.refresh === "1" });
     res.json(payload);
   } catch (e) {
-    res.status(404).json({ found: false, code: req.params.code, error: e.message || "Not found" });
+    res.status(lookupStatus(e)).json({ found: false, code: req.params.code, error: e.message || "Not found" });
   }
 });
 
-// upload a .docx/.txt, extract text, detect codes
+// upload one or more .docx/.pdf/.doc/.rtf/.odt/.txt files (or a zip of them), extract text,
+// pages and the structured document model per file, combine them and detect codes.
+// Optional 'roles' field: JSON { [fileName]: role } to override the guessed roles.
 app.post("/api/extract", async (req, res) => {
   try {
     if (!req.files || !req.files.assessment) {
       return res.status(400).json({ error: "No file uploaded (field name must be 'assessment')." });
     }
 
-    const file = req.files.assessment;
-    const ct = file.mimetype || "";
-    let text = "";
-
-    if (
-      ct.includes("vnd.openxmlformats-officedocument.wordprocessingml.document") ||
-      file.name.toLowerCase().endsWith(".docx")
-    ) {
-      const { value } = await mammoth.extractRawText({ buffer: file.data });
-      text = value || "";
-    } else if (ct.includes("text/plain") || file.name.toLowerCase().endsWith(".txt")) {
-      text = file.data.toString("utf8");
-    } else {
-      return res.status(400).json({ error: `Unsupported file type: ${ct || file.name}` });
-    }
-
-    const detected = findUocCandidates(text);
-    res.json({ text, detected });
+    const { files, text, structure } = await extractToolkit(req.files.assessment, parseRoles(req.body?.roles));
+    // candidates carry confidence + context so the user can confirm them; detected = pre-accepted codes
+    const candidates = detectUnitCodes(text, structure);
+    const detected = candidates.filter((c) => c.accepted).map((c) => c.code);
+    const pages = files.length === 1 ? files[0].pages : undefined;
+    res.json({ text, pages, structure, detected, candidates, files, roles: ROLES });
   } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
     console.error("extract failed:", e);
     res.status(500).json({ error: "Failed to process file" });
   }
 });
 
+// what to validate, from any of the bodies /api/validate accepts
+async function validationInput(req) {
+  let text = req.body?.text || "";
+  let structure = req.body?.structure || null;
+  if (req.files?.assessment) ({ text, structure } = await extractToolkit(req.files.assessment, parseRoles(req.body?.roles)));
+  else if (Array.isArray(req.body?.files) && req.body.files.length) ({ text, structure } = toolkitFromBody(req.body.files));
+
+  const detected = findUocCandidates(text, structure);
+  const codes = parseCodes(req.body?.codes);
+  return { text, structure, detected, codes: codes.length ? codes : detected };
+}
+
+// score assessment text against one or more units -> { detected, reports }
+// Accepts JSON { files: [{ name, role, text, structure }], codes } (a toolkit), JSON { text, codes, structure? },
+// or multipart with one or more 'assessment' files / zips (+ optional 'codes' and 'roles').
+app.post("/api/validate", async (req, res) => {
+  try {
+    const { text, structure, detected, codes } = await validationInput(req);
+    const reports = await validateAssessment(text, codes, structure);
+    res.json({ detected, reports });
+  } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
+    sendError(res, e, "validate assessment");
+  }
+});
+
+/* --------------------------- validation jobs --------------------------- */
+// The same validation in the background: one task per unit lookup, progress
+// over Server-Sent Events. EventSource can't send headers, so the events
+// stream takes the token as ?access_token=.
+
+// a job is its starter's (compliance managers see all of them)
+function ownJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || (job.owner !== req.user.id && !req.user.roles.includes("compliance-manager"))) {
+    throw new JobError("No such job.", 404);
+  }
+  return job;
+}
+
+// same bodies as /api/validate -> 202 job snapshot; the result is { detected, reports }
+app.post("/api/validate/jobs", async (req, res) => {
+  try {
+    const { text, structure, detected, codes } = await validationInput(req);
+    res.status(202).json(startValidation(text, codes, structure, { owner: req.user.id, detected }));
+  } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
+    sendError(res, e, "start the validation");
+  }
+});
+
+app.get("/api/validate/jobs/:id", (req, res) => {
+  try {
+    res.json(ownJob(req));
+  } catch (e) {
+    sendError(res, e, "load the job");
+  }
+});
+
+// events: "snapshot" (first), "task" per change, then "done" | "cancelled" | "failed" and the stream ends
+app.get("/api/validate/jobs/:id/events", (req, res) => {
+  let job;
+  try {
+    job = ownJob(req);
+  } catch (e) {
+    return sendError(res, e, "follow the job");
+  }
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("snapshot", job);
+  if (job.status !== "running") {
+    send(job.status, job);
+    return res.end();
+  }
+  // a comment now and then keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const stop = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+  const unsubscribe = jobs.subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event !== "task") {
+      stop();
+      res.end();
+    }
+  });
+  req.on("close", stop);
+});
+
+app.delete("/api/validate/jobs/:id", (req, res) => {
+  try {
+    res.json(jobs.cancel(ownJob(req).id));
+  } catch (e) {
+    sendError(res, e, "cancel the job");
+  }
+});
+
+/* ---------------------------- qualifications -------------------------- */
+app.get("/api/qualification/:code", async (req, res) => {
+  try {
+    res.json(await getQualificationPayload(req.params.code, { refresh: req.query.refresh === "1" }));
+  } catch (e) {
+    res.status(lookupStatus(e)).json({ found: false, code: req.params.code, error: e.message || "Not found" });
+  }
+});
+
+// the tools to validate against a qualification, with the codes each references
+// Accepts multipart with one or more 'assessment' files or zips, or JSON { tools: [{ name, text, structure? }] }.
+async function qualificationTools(req) {
+  let tools = [];
+  if (req.files?.assessment) {
+    // each file is a tool; zips are unpacked into their documents
+    for (const f of await expandUploads(req.files.assessment)) {
+      const { text, structure } = await extractDocument(f);
+      tools.push({ name: f.name, text, structure });
+    }
+  } else if (Array.isArray(req.body?.tools)) {
+    tools = req.body.tools.map((t, i) => ({ name: t.name || `Tool ${i + 1}`, text: t.text || "", structure: t.structure }));
+  }
+  // the qualification's unit list is the filter here, so keep lower-confidence candidates too
+  return tools.map((t) => ({ ...t, detected: detectUnitCodes(t.text, t.structure).map((c) => c.code) }));
+}
+
+// validate a set of tools against a qualification -> dashboard
+// (the unit lookups run as a job, like /api/validate; see /api/validate/jobs for progress)
+app.post("/api/qualification/:code/validate", async (req, res) => {
+  let qual;
+  try {
+    qual = await getQualificationPayload(req.params.code);
+  } catch (e) {
+    return res.status(lookupStatus(e)).json({ found: false, code: req.params.code, error: e.message || "Not found" });
+  }
+
+  try {
+    const tools = await qualificationTools(req);
+    if (!tools.length) return res.status(400).json({ error: "No assessment tools supplied." });
+    res.json(await validateQualificationTools(qual, tools));
+  } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
+    sendError(res, e, "validate qualification");
+  }
+});
+
+// same bodies -> 202 job snapshot; follow, read and cancel it at /api/validate/jobs/:id
+app.post("/api/qualification/:code/validate/jobs", async (req, res) => {
+  let qual;
+  try {
+    qual = await getQualificationPayload(req.params.code);
+  } catch (e) {
+    return res.status(lookupStatus(e)).json({ found: false, code: req.params.code, error: e.message || "Not found" });
+  }
+
+  try {
+    const tools = await qualificationTools(req);
+    if (!tools.length) return res.status(400).json({ error: "No assessment tools supplied." });
+    res.status(202).json(startQualificationValidation(qual, tools, { owner: req.user.id }));
+  } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
+    sendError(res, e, "start the validation");
+  }
+});
+
+/* ------------------------------- projects ------------------------------ */
+app.get("/api/projects", (_req, res) => {
+  res.json({ projects: projectStore.list() });
+});
+
+app.post("/api/projects", async (req, res) => {
+  try {
+    res.status(201).json(await projectStore.create(req.body?.name));
+  } catch (e) {
+    sendError(res, e, "create the project");
+  }
+});
+
+app.get("/api/projects/:id", (req, res) => {
+  const project = projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "No such project" });
+  res.json(project);
+});
+
+// a project's versions may back the validation plan and sign-offs, so only compliance managers delete one
+app.delete("/api/projects/:id", managersOnly, async (req, res) => {
+  try {
+    const removed = await projectStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "No such project" });
+    res.json({ removed: true });
+  } catch (e) {
+    sendError(res, e, "delete the project");
+  }
+});
+
+// save a new version: multipart 'assessment' files/zips (+ 'roles', 'codes', 'note');
+// the tool is extracted and validated here so the stored report is the server's own
+app.post("/api/projects/:id/versions", async (req, res) => {
+  if (!projectStore.get(req.params.id)) return res.status(404).json({ error: "No such project" });
+  if (!req.files?.assessment) return res.status(400).json({ error: "No file uploaded (field name must be 'assessment')." });
+
+  try {
+    const uploads = [].concat(req.files.assessment);
+    const { files, text, structure } = await extractToolkit(uploads, parseRoles(req.body?.roles));
+    const requested = parseCodes(req.body?.codes);
+    const codes = requested.length ? requested : findUocCandidates(text, structure);
+    const reports = await validateAssessment(text, codes, structure);
+    const version = await projectStore.addVersion(req.params.id, {
+      note: req.body?.note,
+      files,
+      codes,
+      reports,
+      uploads: uploads.map((u) => ({ name: u.name, data: u.data })),
+    });
+    res.status(201).json(version);
+  } catch (e) {
+    if (e instanceof UnsupportedFileError) return res.status(400).json({ error: e.message });
+    sendError(res, e, "save version");
+  }
+});
+
+app.get("/api/projects/:id/versions/:n", async (req, res) => {
+  try {
+    const version = await projectStore.getVersion(req.params.id, req.params.n);
+    if (!version) return res.status(404).json({ error: "No such version" });
+    res.json(version);
+  } catch (e) {
+    sendError(res, e, "load the version");
+  }
+});
+
+// the original upload, as it was saved
+app.get("/api/projects/:id/versions/:n/files/:name", async (req, res) => {
+  try {
+    const upload = await projectStore.readUpload(req.params.id, req.params.n, req.params.name);
+    if (!upload) return res.status(404).json({ error: "No such file" });
+    res.attachment(upload.name).send(upload.data);
+  } catch (e) {
+    sendError(res, e, "read the file");
+  }
+});
+
+// ?from=1&to=2 (defaults: the last two versions)
+app.get("/api/projects/:id/diff", async (req, res) => {
+  const project = projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "No such project" });
+  const last = project.versions.length ? project.versions[project.versions.length - 1].version : 0;
+  const to = Number(req.query.to) || last;
+  const from = Number(req.query.from) || to - 1;
+  try {
+    const [a, b] = await Promise.all([projectStore.getVersion(project.id, from), projectStore.getVersion(project.id, to)]);
+    if (!a || !b) return res.status(404).json({ error: "Both versions must exist to compare them." });
+    res.json(diffVersions(a, b));
+  } catch (e) {
+    sendError(res, e, "compare the versions");
+  }
+});
+
+/* ------------------------------ overrides ------------------------------ */
+// A validator's call on one criterion. Body: { report, code, covered?: true | false | null, reason }
+// (no covered: a comment only; null: remove). Returns the report re-scored with its overrides.
+app.post("/api/overrides", auth.requireRole("validator", "compliance-manager"), (req, res) => {
+  try {
+    const { report, ...change } = req.body || {};
+    if (!reportSeal.verify(report)) {
+      throw new OverrideError("This report doesn't match one the server produced; validate the tool again.");
+    }
+    res.json(reportSeal.seal(setOverride(report, change, req.user)));
+  } catch (e) {
+    sendError(res, e, "apply the override");
+  }
+});
+
+/* ------------------------------- rubrics ------------------------------- */
+// Anyone can see what reports are scored with; only compliance managers change it.
+app.get("/api/rubrics", (_req, res) => {
+  res.json({ rubrics: rubricStore.list(), defaults: DEFAULT_RUBRIC, organisation: ORGANISATION });
+});
+
+// ?unit=<code> -> the rubric that unit would be scored with
+app.get("/api/rubrics/resolve", (req, res) => res.json(rubricFor(req.query.unit)));
+
+app.get("/api/rubrics/:scope", (req, res) => {
+  try {
+    const rubric = rubricStore.get(req.params.scope);
+    if (!rubric) return res.status(404).json({ error: "No rubric saved for that scope." });
+    res.json(rubric);
+  } catch (e) {
+    sendError(res, e, "load the rubric");
+  }
+});
+
+// saves a new version. Body: { name?, values, note? }
+app.put("/api/rubrics/:scope", managersOnly, async (req, res) => {
+  try {
+    res.json(await rubricStore.save(req.params.scope, req.body || {}, req.user));
+  } catch (e) {
+    sendError(res, e, "save the rubric");
+  }
+});
+
+app.delete("/api/rubrics/:scope", managersOnly, async (req, res) => {
+  try {
+    await rubricStore.remove(req.params.scope);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "delete the rubric");
+  }
+});
+
+/* ------------------------------ sign-off ------------------------------ */
+// ?status=draft|reviewed|signed-off
+app.get("/api/sign-offs", (req, res) => {
+  res.json({ records: signOffStore.list({ status: req.query.status }), steps: STEPS, outcomes: OUTCOMES });
+});
+
+// start the workflow for one unit's report. Body: { report, assessment? }
+app.post("/api/sign-offs", async (req, res) => {
+  try {
+    res.status(201).json(await signOffStore.create(req.body || {}, req.user));
+  } catch (e) {
+    sendError(res, e, "start the sign-off");
+  }
+});
+
+app.get("/api/sign-offs/:id", (req, res) => {
+  const record = signOffStore.get(req.params.id);
+  if (!record) return res.status(404).json({ error: "No such validation record." });
+  res.json(record);
+});
+
+// :step is review, sign-off or return. Body: { note?, outcome? (sign-off) }
+app.post("/api/sign-offs/:id/:step", async (req, res) => {
+  try {
+    res.json(await signOffStore.advance(req.params.id, req.params.step, req.user, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "update the sign-off");
+  }
+});
+
+/* --------------------------- validation plan --------------------------- */
+// Anyone can see the schedule; compliance managers and validators maintain it.
+const planners = auth.requireRole("compliance-manager", "validator");
+
+app.get("/api/plan", (_req, res) => {
+  res.json({ ...validationPlan.list(), risks: RISK_INTERVAL_YEARS, kinds: PRODUCT_KINDS, cycleYears: CYCLE_YEARS });
+});
+
+// Body: { code, title?, kind?, units?: [{ code, title }] }. A qualification sent
+// without units gets its core and elective units from training.gov.au.
+app.post("/api/plan/products", planners, async (req, res) => {
+  const body = req.body || {};
+  let units = Array.isArray(body.units) ? body.units : [];
+  let title = body.title;
+  let warning;
+  if ((body.kind || "qualification") === "qualification" && !units.length && body.code) {
+    try {
+      const qual = await getQualificationPayload(body.code);
+      units = [
+        ...qual.coreUnits.map((u) => ({ ...u, type: "core" })),
+        ...qual.electiveUnits.map((u) => ({ ...u, type: "elective" })),
+      ];
+      title = title || qual.qualification.title;
+    } catch (e) {
+      warning = `Couldn't load ${String(body.code).toUpperCase()}'s units (${e.message}); add them by hand.`;
+    }
+  }
+  try {
+    const product = await validationPlan.addProduct({ ...body, title, units });
+    res.status(201).json(warning ? { ...product, warning } : product);
+  } catch (e) {
+    sendError(res, e, "add the training product");
+  }
+});
+
+app.get("/api/plan/products/:id", (req, res) => {
+  const product = validationPlan.get(req.params.id);
+  if (!product) return res.status(404).json({ error: "No such training product." });
+  res.json(product);
+});
+
+app.patch("/api/plan/products/:id", planners, async (req, res) => {
+  try {
+    res.json(await validationPlan.updateProduct(req.params.id, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "update the training product");
+  }
+});
+
+app.delete("/api/plan/products/:id", planners, async (req, res) => {
+  try {
+    res.json({ removed: await validationPlan.removeProduct(req.params.id) });
+  } catch (e) {
+    sendError(res, e, "remove the training product");
+  }
+});
+
+// Body: { units: [{ code, title? }] } or { codes: "BSBWHS311, BSBOPS304" }
+app.post("/api/plan/products/:id/units", planners, async (req, res) => {
+  try {
+    const units = Array.isArray(req.body?.units) ? req.body.units : parseCodes(req.body?.codes).map((code) => ({ code }));
+    res.json(await validationPlan.addUnits(req.params.id, units));
+  } catch (e) {
+    sendError(res, e, "add units");
+  }
+});
+
+// Body: any of { risk, sampled, plannedDate, lastValidated, validator, notes }
+app.patch("/api/plan/products/:id/units/:code", planners, async (req, res) => {
+  try {
+    res.json(await validationPlan.updateUnit(req.params.id, req.params.code, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "update the unit");
+  }
+});
+
+app.delete("/api/plan/products/:id/units/:code", planners, async (req, res) => {
+  try {
+    res.json(await validationPlan.removeUnit(req.params.id, req.params.code));
+  } catch (e) {
+    sendError(res, e, "remove the unit");
+  }
+});
+
+// saved reports (project versions, sign-off records) that could satisfy a unit
+app.get("/api/plan/candidates/:code", (req, res) => {
+  res.json({ candidates: validationPlan.candidates(req.params.code) });
+});
+
+// Body: { kind: "project", id, version } or { kind: "sign-off", id }
+app.post("/api/plan/products/:id/units/:code/links", planners, async (req, res) => {
+  try {
+    res.status(201).json(await validationPlan.link(req.params.id, req.params.code, req.body || {}));
+  } catch (e) {
+    sendError(res, e, "link the report");
+  }
+});
+
+app.delete("/api/plan/products/:id/units/:code/links/:index", planners, async (req, res) => {
+  try {
+    res.json(await validationPlan.unlink(req.params.id, req.params.code, req.params.index));
+  } catch (e) {
+    sendError(res, e, "unlink the report");
+  }
+});
+
+/* ------------------------------- exports ------------------------------- */
+const DOCX_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const EXPORTS = {
+  docx: { type: DOCX_TYPE, render: reportsToDocx },
+  pdf: { type: "application/pdf", render: reportsToPdf },
+  csv: { type: "text/csv; charset=utf-8", render: reportsToCsv },
+  // draft items for the uncovered criteria
+  addendum: { type: DOCX_TYPE, render: remediationToDocx, name: "remediation-addendum", ext: "docx" },
+};
+
+// render the session's reports as a file. Body: { reports, assessment? }. Every report
+// must be sealed; its sign-off history and block only ever come from the stored
+// record (see signOffStore.exportable).
+app.post("/api/export/:format", async (req, res) => {
+  const format = EXPORTS[req.params.format];
+  if (!format) return res.status(400).json({ error: `Unknown export format (use ${Object.keys(EXPORTS).join(", ")}).` });
+  if (!Array.isArray(req.body?.reports) || !req.body.reports.length) return res.status(400).json({ error: "No reports to export." });
+
+  try {
+    const reports = req.body.reports.map((r) => signOffStore.exportable(r));
+    const body = await format.render({ reports, assessment: req.body.assessment });
+    const name = `${format.name || "validation-report"}-${new Date().toISOString().slice(0, 10)}.${format.ext || req.params.format}`;
+    res.set("Content-Type", format.type);
+    res.set("Content-Disposition", `attachment; filename="${name}"`);
+    res.send(body);
+  } catch (e) {
+    sendError(res, e, "build the report");
+  }
+});
+
+/* ---------------------------- admin: uoc cache ------------------------- */
+// unit sources and the cache are the compliance manager's to manage
+app.use("/api/admin", managersOnly);
+
+app.get("/api/admin/sources", (_req, res) => {
+  res.json({
+    order: config.sources,
+    sources: providers.map((p) => ({ name: p.name, enabled: p.enabled !== false, target: p.describe() })),
+    // whether made-up units stand in when nothing real is available (UOC_PLACEHOLDERS)
+    placeholders: config.placeholders,
+  });
+});
+
+app.get("/api/admin/uoc", (_req, res) => {
+  res.json({ ttlHours: UOC_CACHE_TTL_HOURS, units: uocStore.list() });
+});
+
+app.get("/api/admin/uoc/:code", (req, res) => {
+  const entries = uocStore.entries(req.params.code);
+  if (!entries.length) return res.status(404).json({ error: `${req.params.code} is not cached` });
+  res.json({ code: entries[0].code, entries });
+});
+
+// ?release=<n> evicts one release; otherwise every release of the code
+app.delete("/api/admin/uoc/:code", async (req, res) => {
+  try {
+    const evicted = await uocStore.evict(req.params.code, req.query.release);
+    res.json({ code: req.params.code.toUpperCase(), evicted });
+  } catch (e) {
+    sendError(res, e, "evict the unit");
+  }
+});
+
+app.post("/api/admin/uoc/:code/refresh", async (req, res) => {
+  try {
+    // no stale or placeholder stand-ins: a refresh either gets real data or fails
+    res.json(await getUocPayload(req.params.code, { refresh: true, fallback: false }));
+  } catch (e) {
+    res.status(e instanceof UnitCodeError ? e.status : 502).json({ error: `Refresh failed: ${e.message}` });
+  }
+});
+
 // quick alias (old client code compatibility)
 app.post("/api/auto-detect", (req, res, next) => {
   req.url = "/api/extract";
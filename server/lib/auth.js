@@ -0,0 +1,209 @@
+// server/lib/auth.js
+// Accounts and sign-in. Passwords are scrypt-hashed; a session is a signed
+// token (user id, session version, expiry) so restarts don't log everyone
+// out, and bumping a user's session version (password or role change,
+// account disabled) ends their existing sessions.
+import { createHmac, randomBytes, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { createJsonFile } from "./jsonFile.js";
+
+export const USER_ROLES = ["assessor", "validator", "compliance-manager"];
+
+const SESSION_HOURS = 12;
+const MIN_PASSWORD = 8;
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* ----------------------------- passwords ----------------------------- */
+function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  return `scrypt:${salt}:${scryptSync(password, salt, 64).toString("hex")}`;
+}
+
+function checkPassword(password, stored) {
+  const [, salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(String(password), salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+function validPassword(password) {
+  if (String(password || "").length < MIN_PASSWORD) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD} characters.`);
+  }
+  return String(password);
+}
+
+// AUTH_SECRET, else a random one kept next to the data so tokens survive restarts
+export function loadSecret(dataDir, configured) {
+  if (configured) return configured;
+  const file = path.join(dataDir, "auth-secret");
+  if (existsSync(file)) return readFileSync(file, "utf8").trim();
+  const secret = randomBytes(32).toString("hex");
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+const b64 = (s) => Buffer.from(s).toString("base64url");
+
+/* ------------------------------- users -------------------------------- */
+// What the API returns for a user: never the hash or session version.
+const publicUser = ({ passwordHash: _hash, sessionVersion: _v, ...u }) => u;
+
+function cleanRoles(roles) {
+  const list = [...new Set([].concat(roles || []).filter((r) => USER_ROLES.includes(r)))];
+  if (!list.length) throw new AuthError(`Give the user at least one role (${USER_ROLES.join(", ")}).`);
+  return list;
+}
+
+/**
+ * createAuth({ dataDir, secret? }) -> auth
+ *   setupRequired()                         true until the first account exists
+ *   setup({ username, password, name, credentials })   first account, a compliance manager
+ *   login(username, password)               { token, user }
+ *   verify(token)                           user, or null
+ *   listUsers() / createUser(fields) / updateUser(id, fields) / updateProfile(id, fields)
+ *   middleware()                            sets req.user from "Authorization: Bearer <token>"
+ *                                           (or ?access_token= for links and event streams); 401 without
+ *   requireRole(...roles)                   403 unless req.user has one of them
+ */
+export function createAuth({ dataDir, secret }) {
+  const store = createJsonFile(path.join(dataDir, "users.json"));
+  const users = store.read({ users: {} }).users || {};
+  const save = () => store.write({ version: 1, users });
+  const key = loadSecret(dataDir, secret);
+
+  const byUsername = (username) =>
+    Object.values(users).find((u) => u.username === String(username || "").trim().toLowerCase());
+  const sign = (body) => createHmac("sha256", key).update(body).digest("base64url");
+
+  function issue(user) {
+    const body = b64(JSON.stringify({ sub: user.id, v: user.sessionVersion, exp: Date.now() + SESSION_HOURS * 3600 * 1000 }));
+    return `${body}.${sign(body)}`;
+  }
+
+  async function addUser({ username, password, name, credentials, roles }) {
+    const handle = String(username || "").trim().toLowerCase();
+    if (!/^[a-z0-9._@-]{3,64}$/.test(handle)) {
+      throw new AuthError("Username must be 3-64 letters, digits or . _ @ -");
+    }
+    if (byUsername(handle)) throw new AuthError(`${handle} is already taken.`, 409);
+    const user = {
+      id: randomUUID(),
+      username: handle,
+      name: String(name || "").trim() || handle,
+      credentials: String(credentials || "").trim(),
+      roles: cleanRoles(roles),
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      passwordHash: hashPassword(validPassword(password)),
+      sessionVersion: 1,
+    };
+    users[user.id] = user;
+    await save();
+    return user;
+  }
+
+  const auth = {
+    setupRequired: () => Object.keys(users).length === 0,
+
+    async setup(fields) {
+      if (!auth.setupRequired()) throw new AuthError("Setup is already done; sign in instead.", 409);
+      const user = await addUser({ ...fields, roles: ["compliance-manager"] });
+      return { token: issue(user), user: publicUser(user) };
+    },
+
+    login(username, password) {
+      const user = byUsername(username);
+      // same message either way: don't reveal which usernames exist
+      if (!user || user.disabled || !checkPassword(password, user.passwordHash)) {
+        throw new AuthError("Wrong username or password.", 401);
+      }
+      return { token: issue(user), user: publicUser(user) };
+    },
+
+    verify(token) {
+      const [body, sig] = String(token || "").split(".");
+      if (!body || !sig) return null;
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(sig);
+      if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      } catch {
+        return null;
+      }
+      const user = users[claims.sub];
+      if (!user || user.disabled || claims.v !== user.sessionVersion || claims.exp < Date.now()) return null;
+      return publicUser(user);
+    },
+
+    listUsers: () => Object.values(users).map(publicUser).sort((a, b) => a.name.localeCompare(b.name)),
+
+    createUser: async (fields) => publicUser(await addUser(fields)),
+
+    // compliance managers: name, credentials, roles, disabled, password
+    async updateUser(id, fields) {
+      const user = users[id];
+      if (!user) throw new AuthError("No such user.", 404);
+      const next = { ...user };
+      if (fields.name !== undefined) next.name = String(fields.name).trim() || user.username;
+      if (fields.credentials !== undefined) next.credentials = String(fields.credentials).trim();
+      if (fields.roles !== undefined) next.roles = cleanRoles(fields.roles);
+      if (fields.disabled !== undefined) next.disabled = !!fields.disabled;
+      if (fields.password) next.passwordHash = hashPassword(validPassword(fields.password));
+
+      // never lock the organisation out of user management
+      const managers = Object.values({ ...users, [id]: next }).filter(
+        (u) => !u.disabled && u.roles.includes("compliance-manager")
+      );
+      if (!managers.length) throw new AuthError("At least one active compliance manager is needed.", 409);
+
+      const endSessions =
+        next.roles.join() !== user.roles.join() || next.disabled !== user.disabled || next.passwordHash !== user.passwordHash;
+      if (endSessions) next.sessionVersion += 1;
+      users[id] = next;
+      await save();
+      return publicUser(next);
+    },
+
+    // the signed-in user's own name, credentials and password
+    async updateProfile(id, { name, credentials, password, currentPassword }) {
+      const user = users[id];
+      if (!user) throw new AuthError("No such user.", 404);
+      if (password && !checkPassword(currentPassword, user.passwordHash)) {
+        throw new AuthError("Current password is wrong.", 403);
+      }
+      const updated = await auth.updateUser(id, { name, credentials, password });
+      return { user: updated, ...(password ? { token: issue(users[id]) } : {}) };
+    },
+
+    middleware() {
+      return (req, res, next) => {
+        const header = req.get("authorization") || "";
+        const token = header.startsWith("Bearer ") ? header.slice(7) : req.query.access_token;
+        const user = auth.verify(token);
+        if (!user) return res.status(401).json({ error: "Sign in to continue." });
+        req.user = user;
+        next();
+      };
+    },
+
+    requireRole(...roles) {
+      return (req, res, next) => {
+        if (req.user?.roles.some((r) => roles.includes(r))) return next();
+        res.status(403).json({ error: `Only ${roles.join(" or ")} users can do this.` });
+      };
+    },
+  };
+  return auth;
+}
@@ -0,0 +1,122 @@
+// server/lib/currency.js
+// Currency rule of evidence: is the tool written for a unit (and release) that
+// is still current? A tool for a superseded or deleted unit is an audit
+// finding no matter how well it covers the criteria.
+import { referencedRelease } from "./unitCodes.js";
+
+const EQUIVALENCE = {
+  equivalent: "equivalent",
+  "not-equivalent": "not equivalent",
+};
+
+/**
+ * Check a unit payload (+ the assessment text, for the release it cites).
+ * Returns { rule: { status, score, detail, unitStatus, currentRelease, referencedRelease, supersededBy? }, gap? }.
+ * Gaps use the report's gap shape.
+ */
+export function assessCurrency(payload, assessmentText) {
+  const code = payload.unit?.code || payload.code;
+  const currentRelease = payload.unit?.release || null;
+  const unitStatus = payload.currency?.status || null;
+  const next = payload.currency?.supersededBy || null;
+  const cited = referencedRelease(assessmentText, code);
+  const base = { unitStatus, currentRelease, referencedRelease: cited };
+
+  if (unitStatus === "deleted") {
+    // a deleted unit can still name the unit that took over its outcomes
+    const replacement = next ? `${next.code}${next.title ? ` ${next.title}` : ""}` : null;
+    return {
+      rule: {
+        status: "fail",
+        score: 0,
+        detail: `${code} has been deleted from its training package.`,
+        ...base,
+        ...(next ? { supersededBy: next } : {}),
+      },
+      gap: {
+        type: "critical",
+        element: code,
+        description: replacement
+          ? `${code} has been deleted; its outcomes are now covered by ${replacement}.`
+          : `${code} has been deleted and has no replacement unit.`,
+        recommendation: replacement
+          ? `Take ${code} off scope and re-map this tool against ${next.code}.`
+          : "Take the unit off scope or map this tool to the unit that now covers the outcome.",
+        priority: "HIGH",
+      },
+    };
+  }
+
+  if (unitStatus === "superseded" || next) {
+    const equivalent = next?.equivalence === "equivalent";
+    const eq = EQUIVALENCE[next?.equivalence] || "equivalence not published";
+    const replacement = next ? `${next.code}${next.title ? ` ${next.title}` : ""}` : "a newer unit";
+    return {
+      rule: {
+        status: equivalent ? "warning" : "fail",
+        score: equivalent ? 60 : 20,
+        detail: `${code} is superseded by ${next?.code || "a newer unit"} (${eq}).`,
+        ...base,
+        supersededBy: next,
+      },
+      gap: {
+        type: "critical",
+        element: code,
+        description: `${code} is superseded by ${replacement}; the replacement is ${eq}.`,
+        recommendation: equivalent
+          ? `Update the tool to ${next.code}; outcomes are unchanged, so check the mapping and re-issue.`
+          : `Re-map the tool against ${next?.code || "the replacement unit"}; its requirements differ, so this tool can't be used for it as is.`,
+        priority: equivalent ? "MEDIUM" : "HIGH",
+      },
+    };
+  }
+
+  if (unitStatus !== "current") {
+    return {
+      rule: {
+        status: "warning",
+        score: 50,
+        detail: "The unit source didn't say whether this unit is current; check it on training.gov.au.",
+        ...base,
+      },
+    };
+  }
+
+  if (cited && currentRelease && Number(cited) !== Number(currentRelease)) {
+    const older = Number(cited) < Number(currentRelease);
+    // what changed since the cited release, from the modification history
+    const changes = (payload.releases || [])
+      .filter((r) => Number(r.release) > Number(cited) && r.comments)
+      .map((r) => `Release ${r.release}: ${r.comments}`);
+    return {
+      rule: {
+        status: "warning",
+        score: 70,
+        detail: older
+          ? `The tool cites Release ${cited}; the current release is ${currentRelease}.`
+          : `The tool cites Release ${cited}, but the latest published release is ${currentRelease}.`,
+        ...base,
+      },
+      gap: {
+        type: "improvement",
+        element: code,
+        description: `Tool written for ${code} Release ${cited}; current release is ${currentRelease}.${
+          changes.length ? ` Changes: ${changes.join(" ")}` : ""
+        }`,
+        recommendation: "Review the modification history and update the tool and its release reference.",
+        priority: "MEDIUM",
+      },
+    };
+  }
+
+  return {
+    rule: {
+      status: "pass",
+      score: 100,
+      detail: cited
+        ? `Current; the tool cites the current release (${currentRelease}).`
+        : `Current${currentRelease ? ` (Release ${currentRelease})` : ""}; the tool doesn't cite a release.`,
+      ...base,
+    },
+  };
+}
@@ -0,0 +1,321 @@
+// server/lib/engine.js
+// Coverage + scoring engine. Pure functions: unit payload + assessment text in,
+// report out. Shared by the HTTP routes and anything else that needs a report.
+import { structureFromText } from "./structure.js";
+import { buildIndex, COVERED_AT, matchCriterion } from "./matcher.js";
+import { assessCurrency } from "./currency.js";
+import { assessPrinciples } from "./principles.js";
+import { checkMapping, parseMappingClaims } from "./mappingMatrix.js";
+import { draftRemediation, recommendationFor } from "./remediation.js";
+import { BUILT_IN_RUBRIC, DEFAULT_RUBRIC } from "./rubric.js";
+import { isPlaceholder } from "./provenance.js";
+
+/* ---------------------- text coverage helpers ---------------------- */
+// Plain tokenizer from the original whole-document heuristic. The coverage
+// check now goes through ./matcher.js; this stays for the matcher benchmark.
+const STOP = new Set([
+  "the","and","a","an","for","to","of","in","on","by","with","as","that","are","is","be","or","at",
+  "from","this","it","into","over","under","up","down","across","about","between","their","your",
+  "you","we","our","they"
+]);
+
+export const tokenize = (t) =>
+  (t || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !STOP.has(w));
+
+/* ----------------------------- passages ----------------------------- */
+// Flatten the structured model into scoreable passages. Tables are split into
+// rows so a marking-guide row can be cited on its own.
+export function passagesFrom(structure) {
+  const out = [];
+  for (const blk of structure?.blocks || []) {
+    if (blk.type === "heading") continue;
+    if (blk.type === "table") {
+      blk.rows.forEach((row, r) => {
+        const text = row.map((c) => c.text).filter(Boolean).join(" | ");
+        if (text) out.push({ id: `${blk.id}.r${r + 1}`, label: `${blk.label}, row ${r + 1}`, page: blk.page, file: blk.file, role: blk.role, text });
+      });
+    } else {
+      out.push({ id: blk.id, label: blk.label, page: blk.page, file: blk.file, role: blk.role, text: blk.text });
+    }
+  }
+  return out;
+}
+
+// Short excerpt centred on the first matched term.
+function snippetAround(text, terms, max = 240) {
+  if (text.length <= max) return text;
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.search(new RegExp(`\\b${t}\\b`))).filter((i) => i >= 0), text.length);
+  const start = Math.max(0, Math.min(first - Math.floor(max / 3), text.length - max));
+  return `${start > 0 ? "…" : ""}${text.slice(start, start + max).trim()}${start + max < text.length ? "…" : ""}`;
+}
+
+/* ----------------------------- coverage ------------------------------ */
+// targets: [{ code, text }]. A target is covered when the passages matching it
+// are relevant enough (coveredAt, 0..1; see ./matcher.js); the top passages become its evidence.
+// A target with no words to match on (blank, or only stopwords) can't be scored:
+// it's listed under `skipped` and left out of the total.
+export const coverageCheck = (fullText, targets, passages, coveredAt = COVERED_AT) => {
+  const pool = passages?.length ? passages : passagesFrom(structureFromText(fullText));
+  const index = buildIndex(pool);
+  const missing = [];
+  const items = [];
+  const skipped = [];
+  let covered = 0;
+
+  for (const t of targets) {
+    if (!tokenize(t.text).length) {
+      skipped.push(t.code || t.text);
+      continue;
+    }
+    const { relevance, evidence } = matchCriterion(index, t.text);
+    const isCovered = relevance >= coveredAt;
+    if (isCovered) covered += 1;
+    else missing.push(t.code || t.text.slice(0, 60));
+
+    items.push({
+      code: t.code,
+      text: t.text,
+      ...(t.element ? { element: t.element } : {}),
+      covered: isCovered,
+      score: Math.round(relevance * 100),
+      evidence: evidence.map((r) => ({
+        blockId: r.passage.id,
+        label: r.passage.label,
+        ...(r.passage.page ? { page: r.passage.page } : {}),
+        ...(r.passage.file ? { file: r.passage.file } : {}),
+        ...(r.passage.role ? { role: r.passage.role } : {}),
+        snippet: snippetAround(r.passage.text, r.terms),
+        terms: r.terms,
+        score: Math.round(r.relevance * 100),
+      })),
+    });
+  }
+
+  return {
+    total: items.length,
+    assessed: covered,
+    percentage: items.length ? Math.round((covered * 100) / items.length) : 0,
+    missing,
+    skipped,
+    items,
+  };
+};
+
+// For toolkits: which file (and its role) evidences which covered criteria.
+export function evidenceByFile(...coverages) {
+  const files = new Map();
+  for (const cov of coverages) {
+    for (const item of cov.items.filter((i) => i.covered)) {
+      for (const ev of item.evidence) {
+        if (!ev.file) continue;
+        if (!files.has(ev.file)) files.set(ev.file, { file: ev.file, role: ev.role || null, criteria: [] });
+        const entry = files.get(ev.file);
+        if (!entry.criteria.includes(item.code)) entry.criteria.push(item.code);
+      }
+    }
+  }
+  return [...files.values()];
+}
+
+/* ----------------------------- reports ------------------------------ */
+const status = (score, passAt, warnAt) => (score >= passAt ? "pass" : score >= warnAt ? "warning" : "fail");
+
+export const PC_GAP = "Performance criterion not clearly evidenced in assessment text.";
+export const KE_GAP = "Knowledge evidence coverage could be strengthened.";
+
+// The two rules of evidence that follow from coverage alone, by the rubric's weights and cut-offs.
+export function coverageRules(pcCov, keCov, rubric = DEFAULT_RUBRIC) {
+  const { pc, knowledge } = rubric.sufficiencyWeights;
+  const validity = pcCov.percentage;
+  const sufficiency = Math.min(100, Math.round((pcCov.percentage * pc + keCov.percentage * knowledge) / 100));
+  return {
+    validity: { status: status(validity, rubric.validity.pass, rubric.validity.warning), score: validity },
+    sufficiency: { status: status(sufficiency, rubric.sufficiency.pass, rubric.sufficiency.warning), score: sufficiency },
+  };
+}
+
+// Gaps for the first `limit` uncovered PCs and KEs; each recommends its drafted item.
+// `source` lets ./overrides.js find and rebuild them.
+export function coverageGaps(pcCov, keCov, remediation, limit = DEFAULT_RUBRIC.maxGapsPerKind) {
+  const draftFor = new Map(remediation.map((d) => [d.code, d]));
+  const recommend = (code, fallback) => (draftFor.has(code) ? recommendationFor(draftFor.get(code)) : fallback);
+  return [
+    ...pcCov.missing.slice(0, limit).map((pc) => ({
+      type: "critical",
+      source: "coverage",
+      element: pc,
+      description: PC_GAP,
+      recommendation: recommend(pc, "Add/clarify an assessment task or marking checklist item for this PC."),
+      priority: "HIGH",
+    })),
+    ...keCov.missing.slice(0, limit).map((k) => ({
+      type: "improvement",
+      source: "coverage",
+      element: k,
+      description: KE_GAP,
+      recommendation: recommend(k, "Add a short-answer/scenario question to explicitly test this knowledge."),
+      priority: "MEDIUM",
+    })),
+  ];
+}
+
+// Report used when there is nothing to score against (no code, lookup failed).
+export function buildEmptyReport(unit, gap) {
+  return {
+    unit,
+    coverage: {
+      performanceCriteria: { total: 0, assessed: 0, percentage: 0, missing: [], items: [] },
+      knowledge: { total: 0, assessed: 0, percentage: 0, missing: [], items: [] },
+    },
+    rulesOfEvidence: {
+      validity: { status: "fail", score: 0 },
+      sufficiency: { status: "fail", score: 0 },
+      authenticity: { status: "warning", score: 50 },
+      currency: { status: "warning", score: 50 },
+    },
+    principlesOfAssessment: {
+      fairness: { status: "warning", score: 50 },
+      flexibility: { status: "warning", score: 50 },
+      validity: { status: "fail", score: 0 },
+      reliability: { status: "warning", score: 50 },
+    },
+    gaps: [{ type: "critical", priority: "HIGH", ...gap }],
+  };
+}
+
+/**
+ * Score an assessment's text against a unit payload (the shape returned by
+ * GET /api/uoc/:code). `structure` is the model from /api/extract; when it's
+ * missing one is derived from the plain text so evidence still has locations.
+ * `rubric` ({ scope, name, version, values }, see ./rubric.js) sets the
+ * thresholds and is recorded in the report, as is the payload's provenance
+ * (placeholder data adds a critical gap).
+ */
+export function buildReport(uocPayload, assessmentText, structure, rubric = BUILT_IN_RUBRIC) {
+  const values = rubric.values;
+  // Normalize unit
+  const unit = uocPayload.unit?.code
+    ? { code: uocPayload.unit.code, title: uocPayload.unit.title || uocPayload.title || "", url: uocPayload.url }
+    : { code: uocPayload.code, title: uocPayload.title || "", url: uocPayload.url };
+  if (uocPayload.unit?.release) unit.release = uocPayload.unit.release;
+  unit.prerequisites = uocPayload.prerequisites || [];
+
+  const pcs = (uocPayload.elementsAndPC || [])
+    .filter((p) => p.pcCode && p.description)
+    .map((p) => ({ code: `PC ${p.pcCode}`, text: p.description, element: p.element }));
+
+  const kes = (uocPayload.knowledgeEvidence || []).map((t, i) => ({
+    code: `K${i + 1}`,
+    text: t,
+  }));
+
+  const model = structure?.blocks ? structure : structureFromText(assessmentText);
+  const all = passagesFrom(model);
+  // A mapping matrix quotes the criteria it claims, so it can't be evidence of them.
+  const claims = parseMappingClaims(model);
+  const mappingBlocks = new Set(claims.map((c) => c.source.blockId));
+  const isMapping = (p) => p.role === "mapping" || mappingBlocks.has(p.id.replace(/\.r\d+$/, ""));
+  const passages = all.some((p) => !isMapping(p)) ? all.filter((p) => !isMapping(p)) : all;
+  const pcCov = coverageCheck(assessmentText, pcs, passages, values.coveredAt / 100);
+  const keCov = coverageCheck(assessmentText, kes, passages, values.coveredAt / 100);
+
+  const currency = assessCurrency(uocPayload, assessmentText);
+  const principles = assessPrinciples(assessmentText, model, values.principles);
+  const { validity, sufficiency } = coverageRules(pcCov, keCov, values);
+
+  const rulesOfEvidence = {
+    validity,
+    sufficiency,
+    authenticity: principles.authenticity,
+    currency: currency.rule,
+  };
+
+  const principlesOfAssessment = {
+    fairness: principles.fairness,
+    flexibility: principles.flexibility,
+    validity: { ...validity },
+    reliability: principles.reliability,
+  };
+
+  // a drafted item per uncovered criterion; the gaps quote the draft
+  const remediation = draftRemediation(pcCov, keCov);
+
+  const gaps = [];
+  // scored against made-up data: the first thing anyone reading the report must see
+  if (isPlaceholder(uocPayload.provenance)) {
+    gaps.push({
+      type: "critical",
+      element: unit.code,
+      description: "Scored against PLACEHOLDER unit data, not the unit of competency; none of these results can be relied on.",
+      recommendation: "Validate again once the unit's details can be fetched from training.gov.au or the local unit library.",
+      priority: "HIGH",
+      source: "provenance",
+    });
+  }
+  if (currency.gap) gaps.push(currency.gap);
+  gaps.push(...coverageGaps(pcCov, keCov, remediation, values.maxGapsPerKind));
+  const mapping = checkMapping({
+    claims,
+    unitCode: unit.code,
+    targets: [...pcs, ...kes],
+    structure: model,
+    passages: all,
+    coveredAt: values.coveredAt / 100,
+  });
+  mapping?.claims
+    .filter((c) => c.status !== "supported")
+    .slice(0, values.maxGapsPerKind)
+    .forEach((c) =>
+      gaps.push({
+        type: "improvement",
+        element: c.criterion || c.text.slice(0, 60),
+        description:
+          c.status === "unsupported"
+            ? `Mapped to ${c.questions.join(", ")}, but ${c.questions.length > 1 ? "those questions don't" : "that question doesn't"} address it (relevance ${c.score}%).`
+            : `Mapping claim can't be checked: ${c.detail}`,
+        recommendation:
+          c.status === "unsupported"
+            ? "Correct the mapping or revise the questions so they address this criterion."
+            : "Fix the reference in the mapping document.",
+        priority: c.status === "unsupported" ? "MEDIUM" : "LOW",
+      })
+    );
+  if (mapping?.unmapped.length) {
+    gaps.push({
+      type: "improvement",
+      element: "Mapping",
+      description: `The mapping document doesn't map ${mapping.unmapped.join(", ")}.`,
+      recommendation: "Map every criterion to the questions or tasks that assess it.",
+      priority: "LOW",
+    });
+  }
+  gaps.push(...principles.gaps);
+
+  return {
+    unit,
+    coverage: {
+      performanceCriteria: pcCov,
+      knowledge: keCov,
+    },
+    rulesOfEvidence,
+    principlesOfAssessment,
+    gaps,
+    toolkit: evidenceByFile(pcCov, keCov),
+    ...(mapping ? { mapping } : {}),
+    remediation,
+    rubric: { scope: rubric.scope, name: rubric.name, version: rubric.version, values },
+    ...(uocPayload.provenance ? { provenance: uocPayload.provenance } : {}),
+    // the rest of the unit, for display alongside the scores
+    unitDetails: {
+      elements: (uocPayload.elements || []).map(({ number, title }) => ({ number, title })),
+      performanceEvidence: uocPayload.performanceEvidence || [],
+      assessmentConditions: uocPayload.assessmentConditions || [],
+      foundationSkills: uocPayload.foundationSkills || [],
+    },
+  };
+}
@@ -0,0 +1,292 @@
+// server/lib/extract.js
+// Text extraction from uploaded files.
+import mammoth from "mammoth";
+import { load } from "cheerio";
+import { structureFromHtml, structureFromQuestions, structureFromText } from "./structure.js";
+import { looksLikeGift, parseGift, parseMoodleXml, parseQtiPackage, parseQtiXml, QuestionBankError, quizText } from "./questionBank.js";
+
+/* ---------------------------- extraction ----------------------------- */
+export class UnsupportedFileError extends Error {}
+
+const FORMATS = [
+  { kind: "docx", ext: [".docx"], mime: ["vnd.openxmlformats-officedocument.wordprocessingml.document"] },
+  { kind: "pdf", ext: [".pdf"], mime: ["application/pdf"] },
+  { kind: "doc", ext: [".doc"], mime: ["application/msword"] },
+  { kind: "rtf", ext: [".rtf"], mime: ["application/rtf", "text/rtf"] },
+  { kind: "odt", ext: [".odt"], mime: ["vnd.oasis.opendocument.text"] },
+  { kind: "xlsx", ext: [".xlsx"], mime: ["vnd.openxmlformats-officedocument.spreadsheetml.sheet"] },
+  { kind: "txt", ext: [".txt"], mime: ["text/plain"] },
+  // LMS question banks: Moodle XML or a QTI item (.xml), GIFT (.gift, or .txt that reads as GIFT)
+  { kind: "xml", ext: [".xml"], mime: ["application/xml", "text/xml"] },
+  { kind: "gift", ext: [".gift"], mime: [] },
+];
+
+// Extensions the upload field accepts (mirrors the client's accept= list).
+export const SUPPORTED_EXTENSIONS = FORMATS.flatMap((f) => f.ext);
+
+function detectKind(file) {
+  const ct = file.mimetype || "";
+  const name = (file.name || "").toLowerCase();
+  // extension wins: browsers often send application/octet-stream for .doc/.odt
+  const byExt = FORMATS.find((f) => f.ext.some((e) => name.endsWith(e)));
+  if (byExt) return byExt.kind;
+  // ./toolkit.js unpacks ordinary zips; one that reaches here is a QTI content package
+  if (name.endsWith(".zip") || /zip/.test(ct)) return "qti-package";
+  return FORMATS.find((f) => f.mime.some((m) => ct.includes(m)))?.kind;
+}
+
+// pages: [{ page, text }] -> single text blob
+const joinPages = (pages) => pages.map((p) => p.text).join("\n\n");
+
+async function extractPdf(buffer) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc = await getDocument({ data: new Uint8Array(buffer), useSystemFonts: true, verbosity: 0 }).promise;
+  const pages = [];
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const { items } = await page.getTextContent();
+      // hasEOL marks the end of a visual line; keep those so questions stay on their own lines
+      const text = items.map((it) => it.str + (it.hasEOL ? "\n" : "")).join("");
+      pages.push({ page: n, text: text.trim() });
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return pages;
+}
+
+async function extractDoc(buffer) {
+  const { default: WordExtractor } = await import("word-extractor");
+  const doc = await new WordExtractor().extract(buffer);
+  return doc.getBody() || "";
+}
+
+// Minimal RTF reader: drops control words and groups we can't render,
+// keeps paragraph breaks and splits pages on \page.
+function rtfToPages(rtf) {
+  const pages = [];
+  let out = "";
+  let depth = 0;
+  let skipDepth = null; // depth of a destination group we're ignoring (fonttbl, pict, ...)
+  const SKIP = /^(fonttbl|colortbl|stylesheet|info|pict|header|footer|object|themedata|datastore|latentstyles|generator|\*)$/;
+
+  for (let i = 0; i < rtf.length; i++) {
+    const ch = rtf[i];
+    if (ch === "{") {
+      depth++;
+      continue;
+    }
+    if (ch === "}") {
+      if (skipDepth === depth) skipDepth = null;
+      depth--;
+      continue;
+    }
+    if (ch === "\\") {
+      const next = rtf[i + 1];
+      if (next === "\\" || next === "{" || next === "}") {
+        if (skipDepth === null) out += next;
+        i++;
+        continue;
+      }
+      if (next === "'") {
+        if (skipDepth === null) out += String.fromCharCode(parseInt(rtf.slice(i + 2, i + 4), 16));
+        i += 3;
+        continue;
+      }
+      if (next === "*") {
+        if (skipDepth === null) skipDepth = depth;
+        i++;
+        continue;
+      }
+      const m = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1, i + 40));
+      if (!m) {
+        i++;
+        continue;
+      }
+      i += m[0].length;
+      const word = m[1];
+      if (skipDepth !== null) continue;
+      if (SKIP.test(word)) skipDepth = depth;
+      else if (word === "par" || word === "line") out += "\n";
+      else if (word === "tab" || word === "cell") out += "\t";
+      else if (word === "row") out += "\n";
+      else if (word === "u") {
+        out += String.fromCharCode((Number(m[2]) + 65536) % 65536);
+        // skip the single-byte fallback that follows a \uN escape
+        if (!/[\\{}]/.test(rtf[i + 1] || "")) i++;
+      }
+      else if (word === "page") {
+        pages.push(out);
+        out = "";
+      }
+      continue;
+    }
+    if (ch === "\r" || ch === "\n") continue;
+    if (skipDepth === null) out += ch;
+  }
+  pages.push(out);
+  return pages.map((t, idx) => ({ page: idx + 1, text: t.trim() }));
+}
+
+async function extractOdt(buffer) {
+  const { default: JSZip } = await import("jszip");
+  const zip = await JSZip.loadAsync(buffer);
+  const entry = zip.file("content.xml");
+  if (!entry) throw new UnsupportedFileError("Not a valid .odt file (content.xml missing)");
+  const $ = load(await entry.async("string"), { xmlMode: true });
+
+  // ODT has no fixed pages; soft/hard page breaks are the best we have
+  const pages = [];
+  let current = [];
+  $("office\\:body office\\:text")
+    .find("text\\:h, text\\:p")
+    .each((_, el) => {
+      // nested paragraphs (e.g. inside list items / table cells) are visited on their own
+      if ($(el).parents("text\\:p, text\\:h").length) return;
+      if ($(el).find("text\\:soft-page-break").length || $(el).prev().is("text\\:soft-page-break")) {
+        if (current.length) pages.push(current);
+        current = [];
+      }
+      $(el).find("text\\:tab").replaceWith("\t");
+      $(el).find("text\\:line-break").replaceWith("\n");
+      $(el).find("text\\:s").replaceWith(" ");
+      current.push($(el).text());
+    });
+  if (current.length || !pages.length) pages.push(current);
+  return pages.map((lines, idx) => ({ page: idx + 1, text: lines.join("\n").trim() }));
+}
+
+// Spreadsheets are mostly mapping matrices. Each sheet becomes a heading and
+// a table, written as HTML so the structure model reads it like a .docx table.
+async function extractXlsx(buffer) {
+  const { default: JSZip } = await import("jszip");
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = async (name) => load((await zip.file(name)?.async("string")) || "", { xmlMode: true });
+  if (!zip.file("xl/workbook.xml")) throw new UnsupportedFileError("Not a valid .xlsx file (workbook.xml missing)");
+
+  const $strings = await xml("xl/sharedStrings.xml");
+  // rich text runs (<r><t>) and plain <t>, but not phonetic hints (<rPh>)
+  const shared = $strings("si")
+    .map((_, si) => $strings(si).children("t").text() + $strings(si).children("r").children("t").text())
+    .get();
+  const $book = await xml("xl/workbook.xml");
+  const $rels = await xml("xl/_rels/workbook.xml.rels");
+  const targets = new Map($rels("Relationship").map((_, r) => [[$rels(r).attr("Id"), $rels(r).attr("Target")]]).get());
+
+  // "AB12" -> 27 (zero-based column)
+  const column = (ref) => [...String(ref).replace(/\d+$/, "")].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  const esc = (t) => t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  const sheets = [];
+  for (const el of $book("sheet").get()) {
+    const name = $book(el).attr("name") || `Sheet ${sheets.length + 1}`;
+    const target = (targets.get($book(el).attr("r:id")) || "").replace(/^\/?(xl\/)?/, "xl/");
+    const $ = await xml(target);
+    const rows = $("sheetData row")
+      .map((_, row) => {
+        const cells = [];
+        $(row)
+          .children("c")
+          .each((__, c) => {
+            const type = $(c).attr("t");
+            const value = $(c).children("v").text();
+            const text = type === "s" ? shared[Number(value)] : type === "inlineStr" ? $(c).find("is t").text() : value;
+            const at = $(c).attr("r") ? column($(c).attr("r")) : cells.length;
+            while (cells.length < at) cells.push("");
+            cells[at] = text || "";
+          });
+        return cells.some((t) => t.trim()) ? [cells] : [];
+      })
+      .get();
+    if (rows.length) sheets.push({ name, rows });
+  }
+
+  const text = sheets.map((s) => [s.name, ...s.rows.map((r) => r.join(" | "))].join("\n")).join("\n\n");
+  const html = sheets
+    .map((s) => `<h2>${esc(s.name)}</h2><table>${s.rows.map((r) => `<tr>${r.map((t) => `<td>${esc(t)}</td>`).join("")}</tr>`).join("")}</table>`)
+    .join("");
+  return { text, html };
+}
+
+// quiz model -> { text, structure }; a file that doesn't parse is one we can't read
+async function extractQuiz(parse) {
+  try {
+    const quiz = await parse();
+    return { text: quizText(quiz), pages: null, structure: structureFromQuestions(quiz) };
+  } catch (e) {
+    if (e instanceof QuestionBankError) throw new UnsupportedFileError(e.message);
+    throw e;
+  }
+}
+
+// .xml is either a Moodle export or a single QTI item
+function xmlQuiz(xml) {
+  if (/<quiz[\s>]/.test(xml)) return parseMoodleXml(xml);
+  if (/<assessmentItem[\s>]/.test(xml)) return parseQtiXml(xml);
+  throw new QuestionBankError("Unsupported .xml file: expected a Moodle XML question export or a QTI 2.x item.");
+}
+
+async function extractByKind(kind, file) {
+  const buffer = file.data;
+
+  switch (kind) {
+    case "docx": {
+      const [{ value: text }, { value: html }] = await Promise.all([
+        mammoth.extractRawText({ buffer }),
+        mammoth.convertToHtml({ buffer }),
+      ]);
+      return { text: text || "", pages: null, structure: structureFromHtml(html) };
+    }
+    case "txt": {
+      const text = buffer.toString("utf8");
+      return looksLikeGift(text) ? extractQuiz(() => parseGift(text)) : { text, pages: null };
+    }
+    case "doc":
+      return { text: await extractDoc(buffer), pages: null };
+    case "pdf": {
+      const pages = await extractPdf(buffer);
+      return { text: joinPages(pages), pages };
+    }
+    case "rtf": {
+      const pages = rtfToPages(buffer.toString("latin1"));
+      return { text: joinPages(pages), pages: pages.length > 1 ? pages : null };
+    }
+    case "odt": {
+      const pages = await extractOdt(buffer);
+      return { text: joinPages(pages), pages: pages.length > 1 ? pages : null };
+    }
+    case "xlsx": {
+      const { text, html } = await extractXlsx(buffer);
+      return { text, pages: null, structure: structureFromHtml(html) };
+    }
+    case "xml":
+      return extractQuiz(() => xmlQuiz(buffer.toString("utf8")));
+    case "gift":
+      return extractQuiz(() => parseGift(buffer.toString("utf8")));
+    case "qti-package":
+      return extractQuiz(() => parseQtiPackage(buffer));
+    default:
+      throw new UnsupportedFileError(
+        `Unsupported file type: ${file.mimetype || file.name}. Supported: ${SUPPORTED_EXTENSIONS.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Extract text from an express-fileupload file object.
+ * Returns { text, pages, structure }:
+ *  - pages is [{ page, text }] for paged formats (PDF, RTF with page breaks,
+ *    ODT with soft page breaks) and null otherwise
+ *  - structure is the section/question/table model from ./structure.js; for
+ *    question banks every LMS question is a question block
+ * Throws UnsupportedFileError for formats we can't read.
+ */
+export async function extractDocument(file) {
+  const doc = await extractByKind(detectKind(file), file);
+  return { ...doc, structure: doc.structure || structureFromText(doc.text, doc.pages) };
+}
+
+export async function extractText(file) {
+  return (await extractDocument(file)).text;
+}
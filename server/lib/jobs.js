@@ -0,0 +1,211 @@
+// server/lib/jobs.js
+// Background jobs made of per-item tasks (one unit lookup each), run through a
+// pool shared by every job so a clustered tool with many units never has more
+// than `concurrency` requests in flight upstream. A failed task is retried with
+// exponential backoff while the error is transient; cancelling a job aborts its
+// running tasks (their AbortSignal) and drops the queued ones.
+//
+// Jobs live in memory: they're a view of work in progress, not a record. Finished
+// jobs are kept for `keepMs` so a client that reconnects can still read the result.
+import { EventEmitter } from "node:events";
+import { randomUUID } from "node:crypto";
+
+export class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// resolves after ms, or rejects as soon as the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(done, ms);
+    function done() {
+      signal.removeEventListener("abort", abort);
+      resolve();
+    }
+    function abort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+const cancelled = () => Object.assign(new Error("Cancelled"), { name: "AbortError" });
+
+/* -------------------------------- pool -------------------------------- */
+// at most `size` functions running at once, first come first served
+function createPool(size) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    while (active < size && waiting.length) {
+      const { fn, resolve, reject } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+  return {
+    run: (fn) =>
+      new Promise((resolve, reject) => {
+        waiting.push({ fn, resolve, reject });
+        next();
+      }),
+    // a queued function that hasn't started yet is taken out
+    drop(fn) {
+      const i = waiting.findIndex((w) => w.fn === fn);
+      if (i >= 0) waiting.splice(i, 1)[0].reject(cancelled());
+    },
+    stats: () => ({ size, active, waiting: waiting.length }),
+  };
+}
+
+/**
+ * createJobRunner({ concurrency, retries, backoffMs, keepMs }) -> runner
+ *   start({ owner, items, run, retryable, summarize, finish })   starts a job, returns its snapshot
+ *       run(item, { signal, attempt, final }) -> value   one task; `final` on the last attempt
+ *       retryable(error) -> boolean                     retry this failure? (default: yes)
+ *       summarize(value) -> object                      shown on the finished task as `summary`
+ *       finish(tasks) -> result                          once every task has settled
+ *   get(id)             snapshot { id, owner, status, tasks, progress, result? }, or null
+ *   cancel(id)          aborts the job; throws JobError when it isn't running
+ *   subscribe(id, fn)   fn(event, data) on "task", then one of "done", "cancelled", "failed"; returns unsubscribe
+ *   wait(id)            resolves with the final snapshot
+ *   stats()             pool usage
+ */
+export function createJobRunner({ concurrency = 3, retries = 2, backoffMs = 1000, keepMs = 15 * 60 * 1000 } = {}) {
+  const pool = createPool(Math.max(1, concurrency));
+  const jobs = new Map();
+
+  const snapshot = (job) => {
+    const settled = job.tasks.filter((t) => ["done", "failed", "cancelled"].includes(t.status)).length;
+    return {
+      id: job.id,
+      owner: job.owner,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || null,
+      progress: { settled, total: job.tasks.length },
+      tasks: job.tasks.map(({ value: _value, ...t }) => t),
+      ...(job.status === "done" ? { result: job.result } : {}),
+      ...(job.error ? { error: job.error } : {}),
+    };
+  };
+
+  const prune = () => {
+    const cutoff = Date.now() - keepMs;
+    for (const [id, job] of jobs) if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  };
+
+  function update(job, task, fields) {
+    Object.assign(task, fields);
+    const { value: _value, ...t } = task;
+    job.events.emit("task", t);
+  }
+
+  async function runTask(job, task, { run, retryable, summarize }) {
+    const { signal } = job.controller;
+    for (let attempt = 1; ; attempt++) {
+      const final = attempt > retries;
+      const attemptFn = () => {
+        update(job, task, { status: "running", attempt, nextAttemptAt: null });
+        return run(task.item, { signal, attempt, final });
+      };
+      try {
+        const onAbort = () => pool.drop(attemptFn);
+        signal.addEventListener("abort", onAbort, { once: true });
+        try {
+          task.value = await pool.run(attemptFn);
+        } finally {
+          signal.removeEventListener("abort", onAbort);
+        }
+        update(job, task, { status: "done", error: null, ...(summarize ? { summary: summarize(task.value) } : {}) });
+        return;
+      } catch (e) {
+        if (signal.aborted) return update(job, task, { status: "cancelled", error: null, nextAttemptAt: null });
+        if (final || !retryable(e)) return update(job, task, { status: "failed", error: e.message, nextAttemptAt: null });
+        // 1s, 2s, 4s ... with a little jitter so parallel retries don't line up
+        const wait = Math.round(backoffMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+        update(job, task, { status: "retrying", error: e.message, nextAttemptAt: new Date(Date.now() + wait).toISOString() });
+        try {
+          await sleep(wait, signal);
+        } catch {
+          return update(job, task, { status: "cancelled", error: null, nextAttemptAt: null });
+        }
+      }
+    }
+  }
+
+  async function execute(job, spec) {
+    await Promise.all(job.tasks.map((t) => runTask(job, t, spec)));
+    if (job.status === "running") {
+      try {
+        job.result = await spec.finish(job.tasks);
+        job.status = "done";
+      } catch (e) {
+        console.error("job failed:", e);
+        job.status = "failed";
+        job.error = "The job could not finish.";
+      }
+    }
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    job.events.emit(job.status, snapshot(job));
+    job.events.removeAllListeners();
+  }
+
+  return {
+    start({ owner = null, items, run, retryable = () => true, summarize, finish = (tasks) => tasks }) {
+      prune();
+      const job = {
+        id: randomUUID(),
+        owner,
+        status: "running",
+        createdAt: new Date().toISOString(),
+        tasks: items.map((item) => ({ item, status: "queued", attempt: 0, error: null, nextAttemptAt: null })),
+        controller: new AbortController(),
+        events: new EventEmitter(),
+      };
+      job.done = execute(job, { run, retryable, summarize, finish });
+      jobs.set(job.id, job);
+      return snapshot(job);
+    },
+
+    get: (id) => (jobs.has(id) ? snapshot(jobs.get(id)) : null),
+
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) throw new JobError("No such job.", 404);
+      if (job.status !== "running") throw new JobError(`The job is already ${job.status}.`, 409);
+      job.status = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      job.controller.abort(cancelled());
+      return snapshot(job);
+    },
+
+    subscribe(id, fn) {
+      const job = jobs.get(id);
+      if (!job) return () => {};
+      const listeners = ["task", "done", "cancelled", "failed"].map((event) => [event, (data) => fn(event, data)]);
+      for (const [event, l] of listeners) job.events.on(event, l);
+      return () => listeners.forEach(([event, l]) => job.events.off(event, l));
+    },
+
+    async wait(id) {
+      const job = jobs.get(id);
+      if (!job) throw new JobError("No such job.", 404);
+      await job.done;
+      return snapshot(job);
+    },
+
+    stats: () => pool.stats(),
+  };
+}
@@ -0,0 +1,47 @@
+// server/lib/jsonFile.js
+// A JSON document on disk for the small file-backed stores. Writes go to a
+// temp file and are renamed into place, one at a time, so a crash mid-write
+// never leaves half a file and concurrent saves land in order.
+import { mkdirSync, readFileSync } from "node:fs";
+import { rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export function createJsonFile(file) {
+  let writing = Promise.resolve();
+
+  return {
+    file,
+
+    // parsed contents, or `fallback` when there's no file yet. A file that can't be
+    // read or parsed throws: starting empty would quietly lose (or, for accounts,
+    // reopen first-run setup over) whatever it held.
+    read(fallback) {
+      let body;
+      try {
+        body = readFileSync(file, "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") return fallback;
+        throw new Error(`${file} could not be read: ${e.message}`);
+      }
+      try {
+        return JSON.parse(body);
+      } catch (e) {
+        throw new Error(`${file} is not valid JSON (${e.message}); fix or restore it before starting.`);
+      }
+    },
+
+    // resolves once the data is on disk; rejects when it couldn't be saved, so the
+    // caller (and the API response) knows. Later writes still go ahead.
+    write(data) {
+      const body = JSON.stringify(data, null, 2);
+      const saved = writing.then(async () => {
+        mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, body);
+        await rename(tmp, file);
+      });
+      writing = saved.catch(() => {});
+      return saved;
+    },
+  };
+}
@@ -0,0 +1,288 @@
+// server/lib/mappingMatrix.js
+// An RTO's own mapping matrix read as claims ("PC 1.2 is assessed by Task 2
+// Q4 and Q7") and checked against the questions it points at. Works on the
+// structure model, so a table in a .docx and a sheet in an .xlsx read the same.
+//
+// Layouts understood:
+//   list       PC 1.2 | <criterion text> | Task 2 Q4, Q7
+//   by question Q4 | PC 1.2, 1.3, K2
+//   matrix     criteria down the side, questions across the top (or the
+//              other way round) with a tick in the cells that apply
+import { buildIndex, COVERED_AT, matchCriterion } from "./matcher.js";
+
+const MAPPING_CONTEXT = /\bmapp(?:ing|ed)\b|\bmatrix\b/i;
+const UNIT_CODE = /\b[A-Z]{3,7}\d{3,4}[A-Z]?\b/g;
+
+// A cell that starts with a criterion: "PC 1.2", "1.2", "K3", "KE 3", "Knowledge evidence 3"
+const PC_START = /^\s*(?:pc\s*)?(\d{1,2}\.\d{1,2})(?!\.?\d)/i;
+const KE_START = /^\s*(?:ke|k|knowledge(?:\s+evidence)?)\s*#?\s*(\d{1,2})\b/i;
+// Every criterion in a cell such as "PC 1.2, 1.3, K2"
+const CRITERIA = /\b(?:pc\s*)?(\d{1,2}\.\d{1,2})\b|\b(?:ke|k)\s*(\d{1,2})\b/gi;
+
+// "Task 2", "Q4", "Questions 4", "- Q6" / "to 6" (ranges), ", 7" / "and 7" (lists)
+const REF_TOKENS =
+  /\b(task|part|section|activity|project)\s*#?\s*(\d{1,2}[a-z]?|[a-z])\b|\bq(?:uestions?|n)?\s*\.?\s*(\d{1,3}(?:\.\d{1,2})?[a-z]?)\b|(?:[-–]|\bto\b)\s*(q)?\s*(\d{1,3})\b|(?:,|&|\/|\band\b)\s*(\d{1,3}(?:\.\d{1,2})?[a-z]?)\b/gi;
+const REF_HEADER = /question|task|assess|mapp|evidence|item|where|location|method/i;
+const CRITERIA_HEADER = /criteri|\bpcs?\b|performance|knowledge|requirement|mapp/i;
+const NO_MARK = /^(?:[-–—]|n\/?a|no?|0|false)$/i;
+
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+const refKey = (r) => `${r.task || ""}|${r.number || ""}`;
+const refText = (r) => [r.task ? `Task ${r.task}` : "", r.number ? `Q${r.number}` : ""].filter(Boolean).join(" ");
+
+function criterionOf(text) {
+  const pc = PC_START.exec(text);
+  if (pc) return `PC ${pc[1]}`;
+  const ke = KE_START.exec(text);
+  return ke ? `K${Number(ke[1])}` : null;
+}
+
+const criteriaIn = (text) =>
+  [...String(text).matchAll(CRITERIA)].map((m) => (m[1] ? `PC ${m[1]}` : `K${Number(m[2])}`));
+
+/** "Task 2 Q4, 7 and Q9-11" -> [{ task: "2", number: "4" }, ...]; a bare "Task 3" means the whole task. */
+export function parseQuestionRefs(text) {
+  const refs = [];
+  let task = null;
+  let taskUsed = true;
+  let last = null; // last question number, for ranges and lists
+  const push = (number) => {
+    refs.push({ task, number });
+    taskUsed = true;
+    last = number;
+  };
+  for (const m of String(text || "").matchAll(REF_TOKENS)) {
+    if (m[1]) {
+      if (!taskUsed) refs.push({ task, number: null });
+      task = m[2].toUpperCase();
+      taskUsed = false;
+      last = null;
+    } else if (m[3]) push(m[3]);
+    else if (m[5] && last && /^\d+$/.test(last)) {
+      const from = Number(last);
+      for (let n = from + 1; n <= Math.min(Number(m[5]), from + 30); n++) push(String(n));
+    } else if (m[5] && m[4]) push(m[5]);
+    else if (m[6] && last) push(m[6]);
+  }
+  if (!taskUsed) refs.push({ task, number: null });
+  const seen = new Set();
+  return refs.filter((r) => !seen.has(refKey(r)) && seen.add(refKey(r)));
+}
+
+// A header cell naming exactly one question ("Q4", "Task 2 Q3")
+function singleRef(text) {
+  if (!/\bq/i.test(text) || clean(text).length > 24) return null;
+  const refs = parseQuestionRefs(text);
+  return refs.length === 1 && refs[0].number ? refs[0] : null;
+}
+
+const marked = (text) => !!clean(text) && !NO_MARK.test(clean(text));
+
+/* ------------------------------ parsing ------------------------------ */
+// rows: [[text]] -> [{ criterion | criterionText, refs, row }]
+function claimsFromRows(rows) {
+  const out = [];
+  const [header = []] = rows;
+
+  // matrix, questions across the top
+  for (const [h, head] of rows.slice(0, 3).entries()) {
+    const cols = head.map((t, c) => (singleRef(t) ? c : -1)).filter((c) => c >= 0);
+    if (cols.length < 2) continue;
+    rows.slice(h + 1).forEach((row, r) => {
+      const criterion = row.slice(0, cols[0]).map(criterionOf).find(Boolean);
+      const refs = cols.filter((c) => marked(row[c])).map((c) => singleRef(head[c]));
+      if (criterion && refs.length) out.push({ criterion, refs, row: h + r + 2 });
+    });
+    return out;
+  }
+
+  // matrix, criteria across the top
+  for (const [h, head] of rows.slice(0, 3).entries()) {
+    const cols = head.map((t, c) => (clean(t).length <= 12 && criterionOf(t) ? c : -1)).filter((c) => c >= 0);
+    if (cols.length < 2) continue;
+    rows.slice(h + 1).forEach((row, r) => {
+      const refs = parseQuestionRefs(row.slice(0, cols[0]).join(" ")).filter((x) => x.number);
+      if (!refs.length) return;
+      for (const c of cols.filter((c) => marked(row[c]))) out.push({ criterion: criterionOf(head[c]), refs, row: h + r + 2 });
+    });
+    return out;
+  }
+
+  const body = rows.slice(1);
+  const width = Math.max(...rows.map((r) => r.length));
+  const count = (test) => Array.from({ length: width }, (_, c) => body.filter((row) => test(row[c] || "")).length);
+  const hasQuestion = (t) => parseQuestionRefs(t).some((r) => r.number);
+
+  // list: one row per criterion, a column naming the questions
+  const critHits = count((t) => !!criterionOf(t));
+  const critCol = critHits.indexOf(Math.max(...critHits));
+  const refHits = count(hasQuestion);
+  const refCols = refHits
+    .map((n, c) => (c !== critCol && n && (REF_HEADER.test(header[c] || "") || n * 2 >= critHits[critCol]) ? c : -1))
+    .filter((c) => c >= 0);
+  // several criteria to a cell ("PC 1.2, 1.3, K2") is a by-question table, not a list
+  const listed = body.filter((row) => criteriaIn(row[critCol] || "").length > 1).length;
+  if (critHits[critCol] && refCols.length && listed * 2 < critHits[critCol]) {
+    body.forEach((row, r) => {
+      const refs = parseQuestionRefs(refCols.map((c) => row[c] || "").join("; "));
+      if (!refs.length) return;
+      const criterion = criterionOf(row[critCol] || "");
+      // a knowledge item quoted in full instead of numbered
+      const text = clean(row[critCol]);
+      if (criterion) out.push({ criterion, refs, row: r + 2 });
+      else if (text.length > 15) out.push({ criterionText: text, refs, row: r + 2 });
+    });
+    return out;
+  }
+
+  // by question: a question column and a column listing criteria
+  const qCol = refHits.indexOf(Math.max(...refHits));
+  // the column whose header names criteria, else the one holding them
+  const named = header.findIndex((t, c) => c !== qCol && CRITERIA_HEADER.test(t || ""));
+  const listCol = named >= 0 ? named : critCol !== qCol && critHits[critCol] ? critCol : -1;
+  if (refHits[qCol] && listCol >= 0) {
+    body.forEach((row, r) => {
+      const refs = parseQuestionRefs(row[qCol] || "").filter((x) => x.number);
+      if (!refs.length) return;
+      for (const criterion of new Set(criteriaIn(row[listCol] || ""))) out.push({ criterion, refs, row: r + 2 });
+    });
+  }
+  return out;
+}
+
+/**
+ * Mapping claims found in a structure: tables in files with the "mapping"
+ * role, or tables under a heading (or with a header row) that says mapping.
+ * Returns [{ criterion?, criterionText?, refs: [{ task, number }], units, source: { blockId, label, file?, row } }].
+ */
+export function parseMappingClaims(structure) {
+  const sections = new Map((structure?.sections || []).map((s) => [s.id, s]));
+  const claims = [];
+  for (const blk of structure?.blocks || []) {
+    if (blk.type !== "table") continue;
+    const section = sections.get(blk.sectionId);
+    const rows = blk.rows.map((r) => r.map((c) => c.text));
+    const context = [section?.title, blk.file, (rows[0] || []).join(" ")].join(" ");
+    if (blk.role !== "mapping" && !MAPPING_CONTEXT.test(context)) continue;
+    // a matrix that names its unit only applies to that unit
+    const units = [...new Set(`${section?.title || ""} ${blk.file || ""} ${blk.text}`.match(UNIT_CODE) || [])];
+    for (const c of claimsFromRows(rows)) {
+      const { row, ...claim } = c;
+      claims.push({
+        ...claim,
+        units,
+        source: { blockId: blk.id, label: blk.label, ...(blk.file ? { file: blk.file } : {}), row },
+      });
+    }
+  }
+  return claims;
+}
+
+/* ------------------------------ checking ----------------------------- */
+// Question "spans": a question block plus the paragraphs and tables under it,
+// up to the next question or heading. Mapping files and tables are skipped.
+function questionSpans(structure, skip) {
+  const sections = new Map((structure?.sections || []).map((s) => [s.id, s]));
+  const spans = [];
+  let open = null;
+  for (const blk of structure?.blocks || []) {
+    if (skip(blk) || blk.type === "heading") {
+      open = null;
+      continue;
+    }
+    if (blk.type === "question") {
+      const section = sections.get(blk.sectionId);
+      const task = section?.kind === "task" ? section.label.split(" ").pop().toUpperCase() : null;
+      open = { label: blk.label, file: blk.file, task, number: blk.number, blockIds: [blk.id] };
+      spans.push(open);
+    } else if (open) open.blockIds.push(blk.id);
+  }
+  return spans;
+}
+
+const resolve = (spans, ref) =>
+  spans.filter((s) => (!ref.task || s.task === ref.task) && (!ref.number || s.number === ref.number));
+
+// "s2.t1.r3" (a table row passage) -> "s2.t1"
+const blockOf = (passageId) => passageId.replace(/\.r\d+$/, "");
+
+/**
+ * Check a unit's mapping claims against the assessment.
+ *   claims    from parseMappingClaims
+ *   targets   the unit's criteria [{ code, text }] (PCs and KEs)
+ *   structure the combined model; passages: passagesFrom(structure)
+ *   coveredAt relevance (0..1) a mapped question needs to support the claim (the rubric's)
+ * Returns null when no claim applies to this unit, otherwise
+ *   { claims: [{ criterion, text, refs, questions, status, score, evidence, source }],
+ *     unmapped: [code], orphanQuestions: [label], summary }
+ * where status is "supported", "unsupported" (the questions don't address the
+ * criterion) or "unresolved" (unknown criterion or question).
+ */
+export function checkMapping({ claims, unitCode, targets, structure, passages, coveredAt = COVERED_AT }) {
+  const mine = claims.filter((c) => !c.units.length || c.units.includes(unitCode));
+  if (!mine.length) return null;
+
+  const mappingBlocks = new Set(claims.map((c) => c.source.blockId));
+  const skip = (blk) => blk.role === "mapping" || mappingBlocks.has(blk.id);
+  const spans = questionSpans(structure, skip);
+  const multiFile = new Set(spans.map((s) => s.file)).size > 1;
+  const spanLabel = (s) => (multiFile && s.file ? `${s.file}: ${s.label}` : s.label);
+
+  // IDF from the whole tool so scores match the coverage check
+  const index = buildIndex(passages.filter((p) => !skip({ id: blockOf(p.id), role: p.role })));
+  const byCode = new Map(targets.map((t) => [t.code, t]));
+  const targetIndex = buildIndex(targets.map((t) => ({ id: t.code, text: t.text })));
+  const used = new Set();
+
+  const results = mine.map((claim) => {
+    let target = claim.criterion ? byCode.get(claim.criterion) : null;
+    if (!claim.criterion) {
+      const best = matchCriterion(targetIndex, claim.criterionText, { limit: 1 });
+      if (best.relevance >= 0.6) target = byCode.get(best.evidence[0].passage.id);
+    }
+    const matched = claim.refs.map((ref) => ({ ref, spans: resolve(spans, ref) }));
+    const hit = [...new Set(matched.flatMap((m) => m.spans))];
+    hit.forEach((s) => used.add(s));
+    const base = {
+      criterion: target?.code || claim.criterion || null,
+      text: target?.text || claim.criterionText || "",
+      refs: claim.refs.map(refText),
+      questions: hit.map(spanLabel),
+      source: claim.source,
+    };
+    const notFound = matched.filter((m) => !m.spans.length).map((m) => refText(m.ref));
+    if (!target) return { ...base, status: "unresolved", score: 0, evidence: null, detail: "Criterion is not in this unit." };
+    if (!hit.length) {
+      return { ...base, status: "unresolved", score: 0, evidence: null, detail: `Not found in the assessment: ${notFound.join(", ")}.` };
+    }
+
+    const ids = new Set(hit.flatMap((s) => s.blockIds));
+    const { relevance, evidence } = matchCriterion(
+      { ...index, docs: index.docs.filter((d) => ids.has(blockOf(d.passage.id))) },
+      target.text,
+      { limit: 1 }
+    );
+    const top = evidence[0];
+    return {
+      ...base,
+      status: relevance >= coveredAt ? "supported" : "unsupported",
+      score: Math.round(relevance * 100),
+      evidence: top ? { label: top.passage.label, ...(top.passage.file ? { file: top.passage.file } : {}), terms: top.terms } : null,
+      ...(notFound.length ? { detail: `Not found in the assessment: ${notFound.join(", ")}.` } : {}),
+    };
+  });
+
+  const mapped = new Set(results.map((r) => r.criterion).filter(Boolean));
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    claims: results,
+    unmapped: targets.map((t) => t.code).filter((code) => !mapped.has(code)),
+    orphanQuestions: spans.filter((s) => !used.has(s)).map(spanLabel),
+    summary: {
+      claims: results.length,
+      supported: count("supported"),
+      unsupported: count("unsupported"),
+      unresolved: count("unresolved"),
+    },
+  };
+}
@@ -0,0 +1,261 @@
+// server/lib/matcher.js
+// Passage relevance matcher used by the coverage engine.
+//
+// Pipeline: tokenize -> stopwords -> Porter stem -> synonym concepts.
+// Passages are indexed with BM25; the top-ranked passages are then rescored
+// for how much of the criterion they actually contain (IDF-weighted), how
+// tightly the matched terms sit together, and whether criterion phrases
+// appear in order. A criterion is covered when one passage is relevant
+// enough on its own, or when a few passages that are each clearly about it
+// cover it between them ("mooring" in Q1, "anchoring" in the checklist).
+// Single words scattered across the file no longer add up.
+import { ALSO_COVERS, SYNONYM_GROUPS } from "./synonyms.js";
+
+export const COVERED_AT = 0.4; // relevance (0..1) a criterion needs to count as covered
+const PART_AT = 0.25; // relevance a passage needs to contribute to a combined match
+const MAX_PARTS = 3;
+
+const STOP = new Set([
+  "the","and","a","an","for","to","of","in","on","by","with","as","that","are","is","be","or","at",
+  "from","this","it","into","over","under","up","down","across","about","between","their","your",
+  "you","we","our","they","all","any","each","other","such","including","include","includes","e","g",
+  "eg","ie","etc","appropriate","relevant","according","accordance","required","requirements","ensure",
+  "correctly","effectively","safely","within","using","used","when","where","which","who","how","what",
+  "why","was","were","has","have","had","will","would","should","can","could","may","must","not","no",
+  "its","his","her","during","associated","while","them","these","those","there","than","then","also","if","so","do","does","did",
+]);
+
+/* ------------------------------ stemming ------------------------------ */
+// Porter (1980) stemmer.
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al",
+  entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate", ator: "ate", alism: "al",
+  iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log",
+};
+const STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+
+const c = "[^aeiou]";
+const v = "[aeiouy]";
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const M_GT0 = new RegExp(`^(${C})?${V}${C}`);
+const M_EQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const M_GT1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+export function stem(word) {
+  let w = word;
+  if (w.length < 3) return w;
+  const leadingY = w[0] === "y";
+  if (leadingY) w = `Y${w.slice(1)}`;
+
+  // step 1a
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, "$1$2");
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, "$1$2");
+
+  // step 1b
+  let m;
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (M_GT0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += "e";
+  }
+
+  // step 1c
+  if ((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])) w = `${m[1]}i`;
+
+  // step 2
+  m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (m && M_GT0.test(m[1])) w = m[1] + STEP2[m[2]];
+
+  // step 3
+  m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (m && M_GT0.test(m[1])) w = m[1] + STEP3[m[2]];
+
+  // step 4
+  if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (M_GT1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (M_GT1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+
+  // step 5
+  if ((m = /^(.+?)e$/.exec(w))) {
+    if (M_GT1.test(m[1]) || (M_EQ1.test(m[1]) && !CVC.test(m[1]))) w = m[1];
+  }
+  if (/ll$/.test(w) && M_GT1.test(w)) w = w.slice(0, -1);
+
+  return leadingY ? `y${w.slice(1)}` : w;
+}
+
+/* ------------------------------ analysis ------------------------------ */
+// Raw words with their surface form kept for highlighting.
+const words = (text) => (String(text || "").toLowerCase().match(/[a-z0-9]+/g) || []);
+
+// Stemmed synonym phrases -> concept id. Longest phrases are matched first.
+const CONCEPTS = (() => {
+  const phrases = [];
+  SYNONYM_GROUPS.forEach((group, gi) => {
+    for (const entry of group) {
+      const stems = words(entry).map(stem);
+      if (stems.length) phrases.push({ stems, concept: `~${gi}` });
+    }
+  });
+  return phrases.sort((a, b) => b.stems.length - a.stems.length);
+})();
+
+// Evidence-side only: stemmed word -> the concept it also counts for (see ALSO_COVERS).
+const ALSO = new Map(
+  ALSO_COVERS.map(([word, member]) => {
+    // the member's group, or the word itself when it isn't in one
+    const target = words(member).map(stem);
+    const concept = CONCEPTS.find((p) => p.stems.join(" ") === target.join(" "))?.concept || (target.length === 1 ? target[0] : null);
+    return [stem(word), concept];
+  }).filter(([, concept]) => concept)
+);
+
+/**
+ * Text -> analyzed terms: [{ term, pos, surface: [words] }].
+ * Synonym phrases collapse into one concept term spanning several words.
+ */
+export function analyze(text) {
+  const raw = words(text);
+  const stems = raw.map(stem);
+  const out = [];
+  for (let i = 0; i < raw.length; ) {
+    const phrase = CONCEPTS.find((p) => p.stems.every((s, k) => stems[i + k] === s));
+    // a stopword only survives as part of a longer synonym phrase ("using" is not "use")
+    if (phrase && (phrase.stems.length > 1 || !STOP.has(raw[i]))) {
+      out.push({ term: phrase.concept, pos: i, surface: raw.slice(i, i + phrase.stems.length) });
+      i += phrase.stems.length;
+      continue;
+    }
+    if (!STOP.has(raw[i])) out.push({ term: stems[i], pos: i, surface: [raw[i]] });
+    i += 1;
+  }
+  return out;
+}
+
+// Criterion boilerplate: verbs and qualifiers found in most PCs that say
+// little about *what* is assessed. They still count, just lightly.
+const GENERIC = new Set(
+  analyze(
+    "perform operation practice basic characteristic common type apply follow carry out complete effective " +
+      "various range work task activity information maintain safe safety correct procedure requirement " +
+      "organisational undertake demonstrate knowledge understanding principle method technique"
+  ).map((t) => t.term)
+);
+const GENERIC_WEIGHT = 0.3;
+
+/* ------------------------------- index -------------------------------- */
+const K1 = 1.2;
+const B = 0.75;
+
+/** passages: [{ id, label, page?, text }] -> BM25 index */
+export function buildIndex(passages) {
+  const docs = passages.map((p) => {
+    // a one-way synonym sits beside the word it came from, at the same position
+    const terms = analyze(p.text).flatMap((t) => (ALSO.has(t.term) ? [t, { ...t, term: ALSO.get(t.term) }] : [t]));
+    const tf = new Map();
+    for (const t of terms) tf.set(t.term, (tf.get(t.term) || 0) + 1);
+    return { passage: p, terms, tf, len: terms.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const term of d.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const avgdl = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1) || 1;
+  return { docs, df, N: docs.length, avgdl };
+}
+
+const idf = (index, term) => {
+  const df = index.df.get(term) || 0;
+  return Math.log(1 + (index.N - df + 0.5) / (df + 0.5));
+};
+
+// Query-side weight of a term: IDF, discounted for boilerplate.
+const weightOf = (index, term) => idf(index, term) * (GENERIC.has(term) ? GENERIC_WEIGHT : 1);
+
+function bm25(index, doc, queryTerms) {
+  let score = 0;
+  for (const term of queryTerms) {
+    const f = doc.tf.get(term) || 0;
+    if (!f) continue;
+    score += (idf(index, term) * f * (K1 + 1)) / (f + K1 * (1 - B + (B * doc.len) / index.avgdl));
+  }
+  return score;
+}
+
+// Smallest span of positions that contains every matched query term once.
+function minimalSpan(doc, matched) {
+  const hits = doc.terms.filter((t) => matched.has(t.term));
+  const need = matched.size;
+  const counts = new Map();
+  let best = Infinity;
+  let have = 0;
+  for (let lo = 0, hi = 0; hi < hits.length; hi++) {
+    const th = hits[hi].term;
+    counts.set(th, (counts.get(th) || 0) + 1);
+    if (counts.get(th) === 1) have += 1;
+    while (have === need) {
+      best = Math.min(best, hits[hi].pos - hits[lo].pos + 1);
+      const tl = hits[lo].term;
+      counts.set(tl, counts.get(tl) - 1);
+      if (counts.get(tl) === 0) have -= 1;
+      lo += 1;
+    }
+  }
+  return best;
+}
+
+// Share of the query's consecutive term pairs that also appear consecutively in the passage.
+function phraseShare(doc, query) {
+  if (query.length < 2) return 0;
+  const pairs = new Set();
+  for (let i = 1; i < doc.terms.length; i++) pairs.add(`${doc.terms[i - 1].term} ${doc.terms[i].term}`);
+  let hit = 0;
+  for (let i = 1; i < query.length; i++) if (pairs.has(`${query[i - 1].term} ${query[i].term}`)) hit += 1;
+  return hit / (query.length - 1);
+}
+
+/**
+ * Match one criterion against the indexed passages.
+ * Returns { relevance (0..1), evidence: [{ passage, relevance, bm25, terms }] }
+ * where evidence is best first and `terms` are the surface words to highlight.
+ */
+export function matchCriterion(index, criterionText, { limit = 3, candidates = 8 } = {}) {
+  const query = analyze(criterionText);
+  const queryTerms = [...new Set(query.map((t) => t.term))];
+  if (!queryTerms.length) return { relevance: 0, evidence: [] };
+  const totalWeight = queryTerms.reduce((n, t) => n + weightOf(index, t), 0);
+  const share = (terms) => [...terms].reduce((n, t) => n + weightOf(index, t), 0) / totalWeight;
+
+  const ranked = index.docs
+    .map((doc) => ({ doc, bm25: bm25(index, doc, queryTerms) }))
+    .filter((r) => r.bm25 > 0)
+    .sort((a, b) => b.bm25 - a.bm25)
+    .slice(0, candidates)
+    .map(({ doc, bm25: score }) => {
+      const matched = new Set(queryTerms.filter((t) => doc.tf.has(t)));
+      // 1 when the matched terms sit shoulder to shoulder, falling off as they spread out
+      const span = minimalSpan(doc, matched);
+      const proximity = matched.size > 1 ? Math.min(1, (matched.size * 2.5) / span) : 1;
+      const relevance = Math.min(1, share(matched) * (0.6 + 0.4 * proximity) + 0.15 * phraseShare(doc, query));
+      const terms = [...new Set(doc.terms.filter((t) => matched.has(t.term)).flatMap((t) => t.surface))];
+      return { passage: doc.passage, relevance, bm25: score, terms, matched };
+    })
+    .sort((a, b) => b.relevance - a.relevance || b.bm25 - a.bm25);
+
+  // Combined match: what the strongest few on-topic passages cover together,
+  // discounted a little for being split up.
+  const parts = ranked.filter((r) => r.relevance >= PART_AT).slice(0, MAX_PARTS);
+  const union = new Set(parts.flatMap((r) => [...r.matched]));
+  const combined = parts.length > 1 ? 0.9 * share(union) : 0;
+
+  return {
+    relevance: Math.max(ranked[0]?.relevance || 0, combined),
+    evidence: ranked.slice(0, limit).map(({ matched: _matched, ...r }) => r),
+  };
+}
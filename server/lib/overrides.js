@@ -0,0 +1,123 @@
+// server/lib/overrides.js
+// A validator's call on a single criterion, over the engine's. Overrides live
+// in the report (report.overrides) and are applied on top of the automated
+// result, which stays beside them: item.override.automated, coverage.*.automated
+// and rule.automated. Applying always starts again from the automated result,
+// so the same overrides give the same report however often they're re-applied.
+//
+// An override without `covered` is an annotation: the validator's comment on
+// the criterion, leaving the engine's result as it is.
+import { coverageGaps, coverageRules, evidenceByFile, KE_GAP, PC_GAP } from "./engine.js";
+import { draftRemediation } from "./remediation.js";
+import { DEFAULT_RUBRIC } from "./rubric.js";
+
+export class OverrideError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// the engine's own result for an item
+const automatedItem = ({ override, ...item }) => (override ? { ...item, covered: override.automated } : item);
+
+function recount({ automated: _automated, ...cov }, items) {
+  const assessed = items.filter((i) => i.covered).length;
+  return {
+    ...cov,
+    items,
+    assessed,
+    percentage: cov.total ? Math.round((assessed * 100) / cov.total) : 0,
+    missing: items.filter((i) => !i.covered).map((i) => i.code || i.text.slice(0, 60)),
+  };
+}
+
+// legacy reports (saved before gaps had a source) are matched on the description
+const isCoverageGap = (g) => g.source === "coverage" || g.description === PC_GAP || g.description === KE_GAP;
+
+/** The report with `overrides` applied over its automated result (an empty list removes them all). */
+export function applyOverrides(report, overrides = []) {
+  const byCode = new Map(overrides.map((o) => [o.code, o]));
+  const any = overrides.length > 0;
+  // scored again with the rubric that produced the report
+  const rubric = report.rubric?.values || DEFAULT_RUBRIC;
+
+  const apply = (cov) => {
+    const automated = recount(cov, cov.items.map(automatedItem));
+    const items = automated.items.map((item) => {
+      const o = byCode.get(item.code);
+      if (!o) return item;
+      const { code: _code, kind: _kind, ...detail } = o;
+      return { ...item, covered: o.covered ?? item.covered, override: { ...detail, automated: item.covered } };
+    });
+    const effective = recount(automated, items);
+    return { effective, automated, out: any ? { ...effective, automated: { assessed: automated.assessed, percentage: automated.percentage } } : effective };
+  };
+  const pc = apply(report.coverage.performanceCriteria);
+  const ke = apply(report.coverage.knowledge);
+
+  const rules = coverageRules(pc.effective, ke.effective, rubric);
+  const autoRules = coverageRules(pc.automated, ke.automated, rubric);
+  const rule = (name) => {
+    const { automated: _automated, ...r } = rules[name];
+    return any ? { ...r, automated: autoRules[name] } : r;
+  };
+
+  // rebuild the coverage gaps where they were; a validator's "not evidenced" quotes their reason
+  const remediation = draftRemediation(pc.effective, ke.effective);
+  const fresh = coverageGaps(pc.effective, ke.effective, remediation, rubric.maxGapsPerKind).map((g) => {
+    const o = byCode.get(g.element);
+    return o?.covered === false ? { ...g, description: `Marked not evidenced by ${o.by.name}: ${o.reason}` } : g;
+  });
+  const gaps = report.gaps || [];
+  const first = gaps.findIndex(isCoverageGap);
+  const rest = gaps.filter((g) => !isCoverageGap(g));
+  // with no coverage gaps before, they go after the placeholder and currency gaps (which name the unit)
+  const leading = rest.findIndex((g) => g.element !== report.unit.code);
+  const at = first >= 0 ? first : leading >= 0 ? leading : rest.length;
+
+  const { overrides: _old, ...base } = report;
+  return {
+    ...base,
+    coverage: { ...report.coverage, performanceCriteria: pc.out, knowledge: ke.out },
+    rulesOfEvidence: { ...report.rulesOfEvidence, validity: rule("validity"), sufficiency: rule("sufficiency") },
+    principlesOfAssessment: { ...report.principlesOfAssessment, validity: rule("validity") },
+    gaps: [...rest.slice(0, at), ...fresh, ...rest.slice(at)],
+    remediation,
+    toolkit: evidenceByFile(pc.effective, ke.effective),
+    ...(any ? { overrides } : {}),
+  };
+}
+
+/**
+ * Add, replace or (covered: null) remove the override on one criterion and
+ * re-apply. change: { code, covered?: true | false | null, reason }.
+ * Throws OverrideError.
+ */
+export function setOverride(report, { code, covered, reason }, user) {
+  if (!report?.unit?.code || !report.coverage) throw new OverrideError("Send the report to change.");
+  if (report.workflow?.status === "signed-off") {
+    throw new OverrideError("This report is signed off; start a new sign-off to change it.", 409);
+  }
+  const pcItem = report.coverage.performanceCriteria.items.find((i) => i.code === code);
+  const keItem = report.coverage.knowledge.items.find((i) => i.code === code);
+  if (!pcItem && !keItem) throw new OverrideError(`${report.unit.code} has no criterion "${code}".`, 404);
+
+  // once changed it's no longer the report a sign-off record holds, so it leaves that workflow
+  const { workflow: _workflow, signOff: _signOff, signOffId: _id, ...current } = report;
+  const others = (current.overrides || []).filter((o) => o.code !== code);
+  if (covered === null) return applyOverrides(current, others);
+
+  if (covered !== undefined && typeof covered !== "boolean") throw new OverrideError("covered must be true, false or null.");
+  const why = String(reason || "").trim();
+  if (!why) throw new OverrideError("Give a reason for the override.");
+  const entry = {
+    code,
+    kind: pcItem ? "PC" : "KE",
+    ...(covered !== undefined ? { covered } : {}),
+    reason: why,
+    by: { id: user.id, name: user.name, credentials: user.credentials || "" },
+    at: new Date().toISOString(),
+  };
+  return applyOverrides(current, [...others, entry]);
+}
@@ -0,0 +1,211 @@
+// server/lib/principles.js
+// Rule-based checks for authenticity (rule of evidence) and the fairness,
+// flexibility and reliability principles. Each rule is a list of checks for
+// things an auditor looks for in the tool itself; the score is the weight of
+// the checks found, and every check says what it looked for and where (or
+// that) it was or wasn't found.
+
+const PASS_AT = 70;
+const WARN_AT = 40;
+
+// Assessment methods, for the "more than one way to show competence" check.
+const METHODS = {
+  "written questions": /\b(short|written)[\s-]+answer|\bknowledge questions?\b|\bwritten questions?\b/i,
+  observation: /\bobserv(ation|ed|e)\b/i,
+  "project / workplace task": /\bproject\b|\bworkplace task\b/i,
+  "case study / scenario": /\bcase stud(y|ies)\b|\bscenario\b/i,
+  portfolio: /\bportfolio\b/i,
+  "third-party report": /\bthird[\s-]party\b/i,
+  "role play / simulation": /\brole[\s-]?play\b|\bsimulat(ion|ed)\b/i,
+  "oral questioning": /\b(oral|verbal) question/i,
+};
+
+const CHECKS = {
+  authenticity: [
+    {
+      id: "declaration",
+      label: "Student declaration",
+      weight: 40,
+      pattern: /\b(student|candidate|learner)('s)? declaration\b|\bdeclaration of authenticity\b|\b(my|is my) own work\b|\bplagiari[sz]/i,
+      fix: "Add a student declaration that the submitted work is their own.",
+    },
+    {
+      id: "signoff",
+      label: "Observation or third-party sign-off",
+      weight: 30,
+      pattern: /\b(assessor|observer|supervisor|third[\s-]party)('s)?\s+(signature|sign[\s-]?off|verification)\b|\bobserved by\b|\bthird[\s-]party (report|verification)\b/i,
+      fix: "Add an assessor/observer signature block to the observation checklist.",
+    },
+    {
+      id: "identity",
+      label: "Identity verification",
+      weight: 15,
+      pattern: /\b(student|photo) id\b|\bverif(y|ied|ication of) (the )?(student'?s? |candidate'?s? )?identity\b|\bidentity (is|was) (confirmed|verified)\b/i,
+      fix: "State how the assessor confirms the candidate's identity.",
+    },
+    {
+      id: "questioning",
+      label: "Follow-up questioning to confirm the work",
+      weight: 15,
+      pattern: /\b(oral|verbal|follow[\s-]?up) question(s|ing)?\b/i,
+      fix: "Add follow-up oral questions so the assessor can confirm the candidate produced the work.",
+    },
+  ],
+  fairness: [
+    {
+      id: "adjustment",
+      label: "Reasonable adjustment statement",
+      weight: 35,
+      pattern: /\breasonable adjustments?\b/i,
+      fix: "Add a reasonable adjustment statement explaining how candidates can request one.",
+    },
+    {
+      id: "appeals",
+      label: "Appeals process",
+      weight: 30,
+      pattern: /\bappeals?\b|\bcomplaints? (and|&) appeals\b/i,
+      fix: "Tell candidates how to appeal an assessment decision.",
+    },
+    {
+      id: "instructions",
+      label: "Clear instructions to the candidate",
+      weight: 20,
+      pattern: /\binstructions (to|for) (the )?(students?|candidates?|learners?)\b|\byou will be assessed\b|\bwhat you (need|have) to do\b|\bassessment instructions\b/i,
+      fix: "Add instructions telling the candidate what they must do and how they'll be assessed.",
+    },
+    {
+      id: "resubmission",
+      label: "Resubmission / reassessment opportunity",
+      weight: 15,
+      pattern: /\bre-?submi(t|ssion)\b|\bre-?assess(ment|ed)?\b|\bsecond attempt\b|\bfurther opportunit/i,
+      fix: "Explain what happens when a task is not yet satisfactory (resubmission or reassessment).",
+    },
+  ],
+  flexibility: [
+    {
+      id: "alternatives",
+      label: "Alternative evidence methods",
+      weight: 40,
+      pattern: /\balternative (evidence|methods?|formats?|assessment)\b|\b(orally|verbally)\b|\b(video|audio) (recording|evidence)\b|\bmay (instead )?(present|demonstrate|respond)\b/i,
+      fix: "Allow alternatives (oral answers, recordings, workplace evidence) where they produce the same evidence.",
+    },
+    {
+      id: "rpl",
+      label: "Recognition of prior learning / credit",
+      weight: 30,
+      pattern: /\b[Rr]ecognition of [Pp]rior [Ll]earning\b|\bRPL\b|\b[Cc]redit [Tt]ransfer\b/,
+      fix: "Mention that candidates can apply for RPL or credit transfer.",
+    },
+    {
+      id: "methods",
+      label: "More than one assessment method",
+      weight: 30,
+      test(text) {
+        const found = Object.keys(METHODS).filter((m) => METHODS[m].test(text));
+        return {
+          passed: found.length >= 2,
+          why: found.length ? `Methods found: ${found.join(", ")}.` : "No recognisable assessment method.",
+        };
+      },
+      fix: "Combine methods (e.g. questions plus observation) so competence is shown more than one way.",
+    },
+  ],
+  reliability: [
+    {
+      id: "benchmarks",
+      label: "Benchmark / model answers",
+      weight: 35,
+      pattern: /\b(benchmark|model|sample|suggested|expected) (answers?|responses?)\b|\banswer (guide|key)\b/i,
+      fix: "Add benchmark answers so different assessors reach the same decision.",
+    },
+    {
+      id: "criteria",
+      label: "Marking criteria",
+      weight: 30,
+      pattern: /\bmarking (criteria|guide|guidelines)\b|\brubric\b|\b(not yet )?satisfactory\b|\bnot yet competent\b|\bS\s*\/\s*NYS\b/i,
+      section: "marking",
+      fix: "Add marking criteria stating what a satisfactory response must contain.",
+    },
+    {
+      id: "assessorGuide",
+      label: "Instructions to the assessor",
+      weight: 20,
+      pattern: /\b(instructions|guide|notes) (to|for) (the )?assessors?\b|\bassessor (guide|instructions|notes)\b/i,
+      fix: "Add assessor instructions covering conditions, resources and how to decide.",
+    },
+    {
+      id: "checklist",
+      label: "Observation checklist",
+      weight: 15,
+      pattern: /\b(observation|performance) checklist\b|\bchecklist\b/i,
+      fix: "Use an observation checklist listing each observable behaviour.",
+    },
+  ],
+};
+
+// Where a pattern first hits: the block (for its label) or a bit of plain text.
+function locate(pattern, text, blocks) {
+  const block = blocks.find((b) => pattern.test(b.text || ""));
+  const source = block ? block.text : text;
+  const m = pattern.exec(source);
+  if (!m) return null;
+  const snippet = source.slice(Math.max(0, m.index - 50), m.index + m[0].length + 50).replace(/\s+/g, " ").trim();
+  return block ? { blockId: block.id, label: block.label, snippet } : { snippet };
+}
+
+function runCheck(check, text, structure) {
+  const base = { id: check.id, label: check.label, weight: check.weight };
+  if (check.test) {
+    const result = check.test(text);
+    return { ...base, ...result, ...(result.passed ? {} : { fix: check.fix }) };
+  }
+
+  const blocks = structure?.blocks || [];
+  const evidence = locate(check.pattern, text, blocks);
+  if (evidence) return { ...base, passed: true, why: `Found "${evidence.snippet}"`, evidence };
+
+  // a marking guide section counts for marking criteria even if the wording differs
+  const section = check.section && (structure?.sections || []).find((s) => s.kind === check.section);
+  if (section) return { ...base, passed: true, why: `Found a marking section ("${section.title}").`, evidence: { label: section.label } };
+
+  return { ...base, passed: false, why: `Nothing found for ${check.label.toLowerCase()}.`, fix: check.fix };
+}
+
+const ruleStatus = (score, { pass, warning }) => (score >= pass ? "pass" : score >= warning ? "warning" : "fail");
+
+/**
+ * Run one rule's checks -> { status, score, detail, checks: [{ id, label, weight, passed, why, evidence?, fix? }] }.
+ * cutOffs: { pass, warning } from the rubric.
+ */
+export function assessRule(rule, text, structure, cutOffs = { pass: PASS_AT, warning: WARN_AT }) {
+  const checks = CHECKS[rule].map((c) => runCheck(c, text || "", structure));
+  const score = checks.reduce((sum, c) => sum + (c.passed ? c.weight : 0), 0);
+  const missing = checks.filter((c) => !c.passed).map((c) => c.label.toLowerCase());
+  const detail = `${checks.length - missing.length} of ${checks.length} checks met${
+    missing.length ? `; missing ${missing.join(", ")}` : ""
+  }.`;
+  return { status: ruleStatus(score, cutOffs), score, detail, checks };
+}
+
+/**
+ * All four rules, plus gaps for the heavier checks that failed.
+ * Returns { authenticity, fairness, flexibility, reliability, gaps }.
+ */
+export function assessPrinciples(text, structure, cutOffs) {
+  const out = { gaps: [] };
+  for (const rule of Object.keys(CHECKS)) {
+    out[rule] = assessRule(rule, text, structure, cutOffs);
+    out[rule].checks
+      .filter((c) => !c.passed && c.weight >= 30)
+      .forEach((c) =>
+        out.gaps.push({
+          type: "improvement",
+          element: `${rule[0].toUpperCase()}${rule.slice(1)}: ${c.label}`,
+          description: c.why,
+          recommendation: c.fix,
+          priority: "LOW",
+        })
+      );
+  }
+  return out;
+}
@@ -0,0 +1,139 @@
+// server/lib/projectStore.js
+// Saved validation projects. A project is a named series of versions of one
+// assessment tool; each version keeps the uploaded files, their extracted
+// text/structure and the reports they produced, so a reworked tool can be
+// compared with the last one instead of starting again.
+//
+// Layout under `dir`:
+//   index.json                 projects + per-version summaries
+//   <id>/v<n>.json             full version: files (text, structure), codes, reports
+//   <id>/v<n>/<i>-<name>       the original uploads
+import { randomUUID } from "node:crypto";
+import { existsSync, mkdirSync } from "node:fs";
+import { readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createJsonFile } from "./jsonFile.js";
+import { isPlaceholder } from "./provenance.js";
+
+// "../Task 1.docx" -> "Task_1.docx": stored names never leave the version folder
+const safeName = (name) => path.basename(String(name || "file")).replace(/[^\w.-]+/g, "_");
+
+// What the project list shows for a version without loading it.
+function summarize(version) {
+  return {
+    version: version.version,
+    createdAt: version.createdAt,
+    note: version.note,
+    files: version.files.map(({ name, role, chars }) => ({ name, role, chars })),
+    uploads: version.uploads.map(({ name, size }) => ({ name, size })),
+    codes: version.codes,
+    units: version.reports.map((r) => ({
+      code: r.unit.code,
+      title: r.unit.title,
+      pc: r.coverage.performanceCriteria.percentage,
+      knowledge: r.coverage.knowledge.percentage,
+      gaps: r.gaps.length,
+      // what the validation plan needs to tell whether this report was signed off
+      seal: r.seal || null,
+      placeholder: isPlaceholder(r.provenance),
+    })),
+  };
+}
+
+/**
+ * createProjectStore({ dir }) -> store
+ *   list()                          project summaries, newest first
+ *   create(name)                    new empty project
+ *   get(id)                         project with version summaries, or null
+ *   remove(id)                      delete a project and its files; false when unknown
+ *   addVersion(id, { note, files, codes, reports, uploads })
+ *                                   files: [{ name, role, text, structure }]; uploads: [{ name, data }]
+ *   getVersion(id, n)               full version, or null
+ *   readUpload(id, n, name)         { name, data } of an original file, or null
+ */
+export function createProjectStore({ dir }) {
+  const index = createJsonFile(path.join(dir, "index.json"));
+  const projects = index.read({ projects: {} }).projects || {};
+  const save = () => index.write({ version: 1, projects });
+  const versionFile = (id, n) => path.join(dir, id, `v${n}.json`);
+
+  return {
+    list() {
+      return Object.values(projects)
+        .map(({ versions, ...p }) => ({ ...p, versions: versions.length, latest: versions[versions.length - 1] || null }))
+        .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    },
+
+    async create(name) {
+      const now = new Date().toISOString();
+      const project = { id: randomUUID(), name: String(name || "").trim() || "Untitled project", createdAt: now, updatedAt: now, versions: [] };
+      projects[project.id] = project;
+      await save();
+      return project;
+    },
+
+    get: (id) => projects[id] || null,
+
+    async remove(id) {
+      if (!projects[id]) return false;
+      delete projects[id];
+      await save();
+      await rm(path.join(dir, id), { recursive: true, force: true });
+      return true;
+    },
+
+    async addVersion(id, { note = "", files, codes, reports, uploads = [] }) {
+      const project = projects[id];
+      if (!project) return null;
+      // take the number before any await so concurrent saves can't share it
+      const n = (project.lastVersion || project.versions.length) + 1;
+      project.lastVersion = n;
+
+      // originals first: a version is only listed once everything it points at is on disk
+      const folder = path.join(dir, id, `v${n}`);
+      mkdirSync(folder, { recursive: true });
+      const stored = [];
+      for (const [i, u] of uploads.entries()) {
+        const file = `${i + 1}-${safeName(u.name)}`;
+        await writeFile(path.join(folder, file), u.data);
+        stored.push({ name: u.name, file, size: u.data.length });
+      }
+
+      const version = {
+        version: n,
+        createdAt: new Date().toISOString(),
+        note: String(note || ""),
+        files: files.map((f) => ({
+          name: f.name,
+          role: f.role,
+          chars: (f.text || "").length,
+          text: f.text,
+          structure: f.structure,
+        })),
+        uploads: stored,
+        codes,
+        reports,
+      };
+      await createJsonFile(versionFile(id, n)).write(version);
+
+      project.versions.push(summarize(version));
+      project.versions.sort((a, b) => a.version - b.version);
+      project.updatedAt = version.createdAt;
+      await save();
+      return version;
+    },
+
+    async getVersion(id, n) {
+      const file = versionFile(id, Number(n));
+      if (!projects[id] || !existsSync(file)) return null;
+      return JSON.parse(await readFile(file, "utf8"));
+    },
+
+    async readUpload(id, n, name) {
+      const version = await this.getVersion(id, n);
+      const entry = version?.uploads.find((u) => u.name === name);
+      if (!entry) return null;
+      return { name: entry.name, data: await readFile(path.join(dir, id, `v${Number(n)}`, entry.file)) };
+    },
+  };
+}
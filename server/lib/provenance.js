@@ -0,0 +1,48 @@
+// server/lib/provenance.js
+// Where a unit's details came from. Every payload getUocPayload returns, and
+// every report scored from one, carries a provenance:
+//   { kind: "live" | "cached" | "local" | "placeholder", source, retrievedAt, stale? }
+// live:        fetched from the register just now (tga-html, tga-ws)
+// cached:      an earlier fetch from the cache, retrievedAt is when; stale once past its TTL
+// local:       read from the local unit library (UOC_LOCAL_DIR)
+// placeholder: made-up test data (fixtures/mock-units.js), never a real unit
+
+export const PLACEHOLDER = "placeholder";
+
+/** Provenance of a payload just fetched from a source. */
+export const fetched = (source, at = new Date().toISOString()) => ({
+  kind: source === "local" ? "local" : "live",
+  source,
+  retrievedAt: at,
+});
+
+/** Provenance of a cached payload, fetched at `fetchedAt`. */
+export const cached = (payload, fetchedAt, stale = false) => ({
+  kind: "cached",
+  source: payload.source || payload.provenance?.source || "",
+  retrievedAt: fetchedAt,
+  ...(stale ? { stale: true } : {}),
+});
+
+export const placeholder = () => ({ kind: PLACEHOLDER, source: "mock", retrievedAt: null });
+
+export const isPlaceholder = (provenance) => provenance?.kind === PLACEHOLDER;
+
+const day = (iso) => (iso ? String(iso).slice(0, 10) : "unknown date");
+
+/** One line for reports and the command line, e.g. "Cached copy from tga-html, 2026-10-01 (expired)". */
+export function describeProvenance(p) {
+  if (!p) return "Not recorded";
+  switch (p.kind) {
+    case "live":
+      return `Live from ${p.source}, ${day(p.retrievedAt)}`;
+    case "cached":
+      return `Cached copy from ${p.source || "an earlier lookup"}, ${day(p.retrievedAt)}${p.stale ? " (expired)" : ""}`;
+    case "local":
+      return `Local unit library, ${day(p.retrievedAt)}`;
+    case PLACEHOLDER:
+      return "PLACEHOLDER test data, not the unit of competency";
+    default:
+      return p.kind;
+  }
+}
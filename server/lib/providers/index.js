@@ -0,0 +1,62 @@
+// server/lib/providers/index.js
+// Training product data sources. A provider is
+//   { name, enabled?, describe(), fetchUnit(code, { signal }), fetchQualification?(code, { signal }) }
+// Each fetch resolves to a payload, to null when the source doesn't know the
+// code, and throws when the source itself failed (or the signal aborted it).
+import { createLocalDirProvider } from "./localDir.js";
+import { createTgaHtmlProvider } from "./tgaHtml.js";
+import { createTgaWebServiceProvider } from "./tgaWebService.js";
+
+const FACTORIES = {
+  "tga-html": (cfg) => createTgaHtmlProvider({ baseUrl: cfg.tgaHtmlBase }),
+  "tga-ws": (cfg) => createTgaWebServiceProvider({ baseUrl: cfg.tgaWsBase }),
+  local: (cfg) => createLocalDirProvider({ dir: cfg.localDir }),
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+/**
+ * Build the providers in the order given (e.g. "local,tga-ws,tga-html").
+ * Unknown names throw so a typo in config fails at startup, not per lookup.
+ */
+export function createProviders(order, cfg) {
+  const names = String(order || "")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  const unknown = names.filter((n) => !FACTORIES[n]);
+  if (unknown.length) throw new Error(`Unknown unit source(s): ${unknown.join(", ")} (known: ${PROVIDER_NAMES.join(", ")})`);
+  return names.map((n) => FACTORIES[n](cfg));
+}
+
+const METHODS = { unit: "fetchUnit", qualification: "fetchQualification" };
+
+/**
+ * Ask each enabled provider in turn for a unit (default) or qualification.
+ * Returns the first payload, tagged with the provider's name as `source`;
+ * throws with every provider's failure when none had it. The error is
+ * `transient` when a source failed (rather than not knowing the code), so
+ * trying again later may help. An aborted signal stops at once.
+ */
+export async function fetchFromProviders(providers, code, kind = "unit", { signal } = {}) {
+  const method = METHODS[kind];
+  const failures = [];
+  let transient = false;
+  for (const p of providers) {
+    if (p.enabled === false || typeof p[method] !== "function") continue;
+    signal?.throwIfAborted();
+    try {
+      const payload = await p[method](code, { signal });
+      if (payload) return { ...payload, source: p.name };
+      failures.push(`${p.name}: not found`);
+    } catch (e) {
+      signal?.throwIfAborted();
+      failures.push(`${p.name}: ${e.message}`);
+      transient = true;
+    }
+  }
+  const err = new Error(failures.length ? failures.join("; ") : "No unit sources enabled");
+  err.failures = failures;
+  err.transient = transient;
+  throw err;
+}
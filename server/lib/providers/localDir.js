@@ -0,0 +1,45 @@
+// server/lib/providers/localDir.js
+// A directory of unit (and qualification) files, one per code: CODE.json
+// (payload shape), CODE.xml (register export) or CODE.html (saved TGA page).
+// Useful for products the live sources can't reach and for running fully offline.
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { parseQualificationPage, parseUnitPage } from "../tgaParser.js";
+import { CODE_FORMAT } from "../unitCodes.js";
+import { parseQualificationXml, parseUnitXml } from "./unitXml.js";
+
+export function createLocalDirProvider({ dir } = {}) {
+  // parsers: { xml, html } for the product type being read
+  async function readProduct(code, parsers) {
+    // the code becomes a file name: letters and digits only, and never a path out of `dir`
+    if (!CODE_FORMAT.test(code)) return null;
+    const root = path.resolve(dir);
+    const url = `https://training.gov.au/Training/Details/${code}`;
+    for (const ext of [".json", ".xml", ".html"]) {
+      const file = path.resolve(root, `${code}${ext}`);
+      if (path.dirname(file) !== root || !existsSync(file)) continue;
+      const body = await readFile(file, "utf8");
+      if (ext === ".json") return { url, ...JSON.parse(body) };
+      if (ext === ".xml") return parsers.xml(body, { url });
+      return parsers.html(body, { code, url });
+    }
+    return null;
+  }
+
+  return {
+    name: "local",
+    describe: () => dir,
+    enabled: Boolean(dir) && existsSync(dir),
+
+    async fetchUnit(code) {
+      const payload = await readProduct(code, { xml: parseUnitXml, html: parseUnitPage });
+      return payload?.unit ? payload : null;
+    },
+
+    async fetchQualification(code) {
+      const payload = await readProduct(code, { xml: parseQualificationXml, html: parseQualificationPage });
+      return payload?.qualification ? payload : null;
+    },
+  };
+}
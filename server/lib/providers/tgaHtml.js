@@ -0,0 +1,46 @@
+// server/lib/providers/tgaHtml.js
+// Scrapes the public unit details page. The base URL is configurable so the
+// local stand-in (scripts/tga-standin.js) can take the place of the live site.
+import axios from "axios";
+import { parseQualificationPage, parseUnitPage } from "../tgaParser.js";
+
+export function createTgaHtmlProvider({ baseUrl = "https://training.gov.au", timeout = 15000 } = {}) {
+  // units and qualifications share the details URL; null on 404
+  async function fetchPage(code, signal) {
+    const url = `${baseUrl}/Training/Details/${encodeURIComponent(code)}`;
+
+    const { data: html, status } = await axios.get(url, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36",
+        "Accept-Language": "en-AU,en;q=0.9",
+      },
+      timeout,
+      signal,
+      validateStatus: () => true, // we’ll handle non-200s
+    });
+
+    if (status === 404) return null;
+    if (status !== 200) {
+      const err = new Error(`TGA returned ${status}`);
+      err.status = status;
+      throw err;
+    }
+    return { html, url };
+  }
+
+  return {
+    name: "tga-html",
+    describe: () => `${baseUrl}/Training/Details/<code>`,
+
+    async fetchUnit(code, { signal } = {}) {
+      const page = await fetchPage(code, signal);
+      return page && parseUnitPage(page.html, { code, url: page.url });
+    },
+
+    async fetchQualification(code, { signal } = {}) {
+      const page = await fetchPage(code, signal);
+      return page && parseQualificationPage(page.html, { code, url: page.url });
+    },
+  };
+}
@@ -0,0 +1,39 @@
+// server/lib/providers/tgaWebService.js
+// Reads a unit from the register's web service in its XML export format.
+// Not used unless a base URL is configured (TGA_WS_BASE); the stand-in server
+// serves the same format from fixtures/tga-xml.
+import axios from "axios";
+import { parseQualificationXml, parseUnitXml } from "./unitXml.js";
+
+export function createTgaWebServiceProvider({ baseUrl, timeout = 15000 } = {}) {
+  // GET <base>/<collection>/<code>.xml -> parsed payload, null on 404
+  async function fetchXml(collection, code, parse, signal) {
+    const url = `${baseUrl}/${collection}/${encodeURIComponent(code)}.xml`;
+    const { data, status } = await axios.get(url, {
+      headers: { Accept: "application/xml, text/xml" },
+      responseType: "text",
+      timeout,
+      signal,
+      validateStatus: () => true,
+    });
+
+    if (status === 404) return null;
+    if (status !== 200) {
+      const err = new Error(`TGA web service returned ${status}`);
+      err.status = status;
+      throw err;
+    }
+
+    const payload = parse(data, { url: `https://training.gov.au/Training/Details/${code}` });
+    if (!payload) throw new Error(`Web service response is not a ${collection.slice(0, -1)} export`);
+    return payload;
+  }
+
+  return {
+    name: "tga-ws",
+    describe: () => (baseUrl ? `${baseUrl}/{units,qualifications}/<code>.xml` : "not configured (set TGA_WS_BASE)"),
+    enabled: Boolean(baseUrl),
+    fetchUnit: (code, { signal } = {}) => fetchXml("units", code, parseUnitXml, signal),
+    fetchQualification: (code, { signal } = {}) => fetchXml("qualifications", code, parseQualificationXml, signal),
+  };
+}
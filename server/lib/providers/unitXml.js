@@ -0,0 +1,194 @@
+// server/lib/providers/unitXml.js
+// Reader for the register's XML export of a unit or qualification (the format the web service
+// hands out and the bulk download uses). Element names have drifted between
+// schema versions (PascalCase, camelCase, namespaced), so lookups here match
+// on the lower-cased local name and accept a few aliases per field.
+import { load } from "cheerio";
+import { equivalenceOf } from "../tgaParser.js";
+
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+const local = (el) => String(el.name || "").toLowerCase().replace(/^.*:/, "");
+
+function childrenNamed($, parent, names) {
+  const want = new Set(names);
+  return $(parent)
+    .children()
+    .filter((_, el) => want.has(local(el)))
+    .toArray();
+}
+
+function firstNamed($, scope, names) {
+  const want = new Set(names);
+  return $(scope)
+    .find("*")
+    .filter((_, el) => want.has(local(el)))
+    .first();
+}
+
+const textOf = ($, scope, names) => clean(firstNamed($, scope, names).text());
+
+// Every direct child of a container element becomes one text item.
+function listOf($, root, containerNames) {
+  const container = firstNamed($, root, containerNames);
+  if (!container.length) return [];
+  const kids = container.children().toArray();
+  return (kids.length ? kids.map((k) => $(k).text()) : [container.text()]).map(clean).filter(Boolean);
+}
+
+// Releases, and the current one: flagged as current or, failing that, the highest number.
+function releasesOf($, root) {
+  const releases = firstNamed($, root, ["releases"])
+    .children()
+    .toArray()
+    .map((r) => ({
+      release: textOf($, r, ["releasenumber", "number"]) || clean($(r).attr("number")),
+      date: textOf($, r, ["releasedate", "date"]),
+      currency: textOf($, r, ["currency", "status"]),
+    }))
+    .filter((r) => r.release);
+  const current =
+    releases.find((r) => /current/i.test(r.currency)) ||
+    [...releases].sort((a, b) => Number(b.release) - Number(a.release))[0];
+  return { releases, current };
+}
+
+// Top-level element's own child text (nested elements have titles too).
+function ownText($, names) {
+  const top = $.root().children().first();
+  return clean($(childrenNamed($, top, names)[0]).text());
+}
+
+// <SupersededBy><Code/><Title/><Equivalence/></SupersededBy>, or just the code as text.
+function supersededByOf($, root) {
+  const el = firstNamed($, root, ["supersededby", "issupersededby"]);
+  if (!el.length) return null;
+  const code = (textOf($, el, ["code", "unitcode"]) || clean(el.text()).split(" ")[0]).toUpperCase();
+  if (!code) return null;
+  return {
+    code,
+    title: textOf($, el, ["title"]),
+    equivalence: equivalenceOf(textOf($, el, ["equivalence", "equivalencestatus"]) || clean(el.attr("equivalence"))),
+  };
+}
+
+// <Mapping><Mapping><CurrentCode/><PreviousCode/><Equivalence/>… entries
+function mappingOf($, root) {
+  return firstNamed($, root, ["mappinginformation", "mappings"])
+    .children()
+    .toArray()
+    .map((m) => ({
+      current: { code: textOf($, m, ["currentcode"]).toUpperCase(), title: textOf($, m, ["currenttitle"]) },
+      previous: { code: textOf($, m, ["previouscode", "supersededcode"]).toUpperCase(), title: textOf($, m, ["previoustitle"]) },
+      equivalence: equivalenceOf(textOf($, m, ["equivalence", "equivalencestatus"])),
+      comments: textOf($, m, ["comments", "comment"]),
+    }))
+    .filter((m) => m.current.code && m.previous.code);
+}
+
+/**
+ * XML string -> unit payload (same shape as the HTML parser), or null when the
+ * document doesn't describe a unit.
+ */
+export function parseUnitXml(xml, { url } = {}) {
+  const $ = load(xml, { xmlMode: true });
+  const root = $.root();
+
+  const code = ownText($, ["code", "unitcode", "componentcode"]).toUpperCase();
+  const title = ownText($, ["title", "unittitle"]);
+  const type = ownText($, ["componenttype"]);
+  if (!code || !title || (type && !/unit/i.test(type))) return null;
+
+  const { releases, current } = releasesOf($, root);
+  const elements = firstNamed($, root, ["elements"])
+    .children()
+    .toArray()
+    .map((el) => ({
+      number: textOf($, el, ["number", "elementnumber"]) || clean($(el).attr("number")),
+      title: textOf($, el, ["title", "text", "elementtitle"]),
+      pcs: childrenNamed($, firstNamed($, el, ["performancecriteria", "criteria"]), ["criterion", "performancecriterion", "pc"]).map(
+        (pc) => ({
+          pcCode: textOf($, pc, ["number", "pcnumber"]) || clean($(pc).attr("number")),
+          description: textOf($, pc, ["text", "description"]) || clean($(pc).text()),
+        })
+      ),
+    }));
+
+  const foundationSkills = firstNamed($, root, ["foundationskills"])
+    .children()
+    .toArray()
+    .map((s) => ({ skill: textOf($, s, ["name", "skill"]), description: textOf($, s, ["description", "text"]) }))
+    .filter((s) => s.skill || s.description);
+
+  const prerequisites = firstNamed($, root, ["prerequisites", "prerequisiteunits"])
+    .children()
+    .toArray()
+    .map((p) => clean($(p).text()).toUpperCase())
+    .filter(Boolean);
+
+  return {
+    unit: { code, title, release: current?.release || null },
+    url,
+    elements,
+    elementsAndPC: elements.flatMap((el) => el.pcs.map((pc) => ({ ...pc, element: el.number }))),
+    knowledgeEvidence: listOf($, root, ["knowledgeevidence"]),
+    performanceEvidence: listOf($, root, ["performanceevidence"]),
+    assessmentConditions: listOf($, root, ["assessmentconditions"]),
+    foundationSkills,
+    prerequisites,
+    releases,
+    currency: {
+      // usage recommendation when given, otherwise whatever the current release says
+      status: /current|superseded|deleted/i.exec(ownText($, ["usagerecommendation", "status"]) || current?.currency || "")?.[0].toLowerCase() || null,
+      supersededBy: supersededByOf($, root),
+    },
+    mapping: mappingOf($, root),
+  };
+}
+
+/**
+ * XML string -> qualification payload (same shape as parseQualificationPage).
+ * Units are <Unit> entries with Code, Title and Type (Core/Elective) plus an
+ * optional Group for elective groupings.
+ */
+export function parseQualificationXml(xml, { url } = {}) {
+  const $ = load(xml, { xmlMode: true });
+  const root = $.root();
+
+  const code = ownText($, ["code", "qualificationcode", "componentcode"]).toUpperCase();
+  const title = ownText($, ["title", "qualificationtitle"]);
+  const type = ownText($, ["componenttype"]);
+  if (!code || !title || (type && !/qualification/i.test(type))) return null;
+
+  const { releases, current } = releasesOf($, root);
+  const rulesText = textOf($, root, ["packagingrules"]);
+  const num = (re) => {
+    const m = re.exec(rulesText);
+    return m ? Number(m[1]) : null;
+  };
+
+  const units = firstNamed($, root, ["units", "unitgrid"])
+    .children()
+    .toArray()
+    .map((u) => ({
+      code: textOf($, u, ["code", "unitcode"]).toUpperCase(),
+      title: textOf($, u, ["title", "unittitle"]),
+      type: textOf($, u, ["type", "isessential", "usage"]),
+      group: textOf($, u, ["group", "electivegroup"]),
+    }))
+    .filter((u) => u.code);
+
+  const isCore = (u) => /core|true|essential/i.test(u.type);
+  return {
+    qualification: { code, title, release: current?.release || null },
+    url,
+    packagingRules: {
+      total: num(/total\s+(?:number\s+of\s+)?units\s*[=:]?\s*(\d+)/i),
+      core: num(/(\d+)\s+core\s+units?/i),
+      electives: num(/(\d+)\s+elective\s+units?/i),
+      text: rulesText,
+    },
+    coreUnits: units.filter(isCore).map(({ code: c, title: t }) => ({ code: c, title: t })),
+    electiveUnits: units.filter((u) => !isCore(u)).map(({ code: c, title: t, group }) => ({ code: c, title: t, group })),
+    releases,
+  };
+}
@@ -0,0 +1,92 @@
+// server/lib/qualification.js
+// Qualification-level validation: map a set of assessment tools onto the
+// qualification's core and elective units and score each unit against the
+// tools that reference it.
+import { buildReport } from "./engine.js";
+import { BUILT_IN_RUBRIC } from "./rubric.js";
+import { mergeStructures, structureFromText } from "./structure.js";
+
+const unitRows = (qualPayload) => [
+  ...qualPayload.coreUnits.map((u) => ({ ...u, type: "core" })),
+  ...qualPayload.electiveUnits.map((u) => ({ ...u, type: "elective" })),
+];
+
+/** The qualification's unit codes that at least one tool references: the units to look up. */
+export function assessedUnits(qualPayload, tools) {
+  return unitRows(qualPayload)
+    .map((u) => u.code)
+    .filter((code) => tools.some((t) => t.detected.includes(code)));
+}
+
+/**
+ * qualPayload: { qualification, packagingRules, coreUnits, electiveUnits }
+ * tools:       [{ name, text, structure?, detected: [codes] }]
+ * getUnit:     async (code) => unit payload, for the codes assessedUnits() lists
+ * rubricFor:   (code) => the rubric to score the unit with (see ./rubric.js)
+ *
+ * Returns { qualification, packagingRules, units: [...], unmatchedTools, summary }.
+ * Each unit row is { code, title, type, group?, tools, status, pc, knowledge, report? }
+ * with status "no-tool" | "unavailable" | "under-covered" | "covered"; under-covered
+ * is below the rubric's overall bar (the same as the "Overall" tile), unavailable
+ * means the unit's details couldn't be had.
+ */
+export async function validateQualification(qualPayload, tools, getUnit, rubricFor = () => BUILT_IN_RUBRIC) {
+  const rows = unitRows(qualPayload);
+  const inQualification = new Set(rows.map((u) => u.code));
+
+  const units = await Promise.all(
+    rows.map(async (u) => {
+      const matching = tools.filter((t) => t.detected.includes(u.code));
+      const base = { code: u.code, title: u.title, type: u.type, ...(u.group ? { group: u.group } : {}) };
+      if (!matching.length) return { ...base, tools: [], status: "no-tool", pc: 0, knowledge: 0 };
+
+      // a unit assessed across several tools is scored against all of them together
+      const text = matching.map((t) => t.text).join("\n\n");
+      const structure = mergeStructures(
+        matching.map((t) => ({ name: t.name, structure: t.structure?.blocks ? t.structure : structureFromText(t.text) }))
+      );
+      const rubric = rubricFor(u.code);
+      let payload;
+      try {
+        payload = await getUnit(u.code);
+      } catch (e) {
+        // no real details (and no placeholders): refused rather than scored
+        return { ...base, tools: matching.map((t) => t.name), status: "unavailable", pc: 0, knowledge: 0, error: e.message };
+      }
+      const report = buildReport(payload, text, structure, rubric);
+      const pc = report.coverage.performanceCriteria.percentage;
+      const knowledge = report.coverage.knowledge.percentage;
+      const { overall } = rubric.values;
+      const status = pc >= overall.pc && knowledge >= overall.knowledge ? "covered" : "under-covered";
+      return { ...base, tools: matching.map((t) => t.name), status, pc, knowledge, report };
+    })
+  );
+
+  const core = units.filter((u) => u.type === "core");
+  const electivesWithTools = units.filter((u) => u.type === "elective" && u.tools.length).length;
+  const rules = qualPayload.packagingRules || {};
+  const summary = {
+    coreTotal: core.length,
+    coreWithTools: core.filter((u) => u.tools.length).length,
+    electivesRequired: rules.electives ?? null,
+    electivesWithTools,
+    noTool: units.filter((u) => u.type === "core" && u.status === "no-tool").map((u) => u.code),
+    underCovered: units.filter((u) => u.status === "under-covered").map((u) => u.code),
+    // every core unit has a tool and enough electives are assessed to meet packaging
+    packagingMet:
+      core.every((u) => u.tools.length) && (rules.electives == null || electivesWithTools >= rules.electives),
+  };
+
+  // tools that reference none of the qualification's units are worth flagging
+  const unmatchedTools = tools
+    .filter((t) => !t.detected.some((c) => inQualification.has(c)))
+    .map((t) => ({ name: t.name, detected: t.detected }));
+
+  return {
+    qualification: { ...qualPayload.qualification, url: qualPayload.url },
+    packagingRules: rules,
+    units,
+    unmatchedTools,
+    summary,
+  };
+}
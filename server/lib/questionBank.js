@@ -0,0 +1,329 @@
+// server/lib/questionBank.js
+// Question banks exported from an LMS: Moodle XML, IMS QTI 2.x (a single item
+// or a content package zip) and GIFT text. Each reader returns the same quiz
+// model, which ./structure.js turns into question blocks so an online quiz is
+// scored like a .docx tool:
+//
+//   { format: "moodle" | "qti" | "gift", title,
+//     sections: [{ title, questions: [{ name, type, stem, options: [{ text, correct, feedback }],
+//                                       feedback: [text], rubric: [text] }] }] }
+//
+// type "description" is text between questions (no answer expected).
+import { load } from "cheerio";
+import { MAX_ZIP_MB, zipBudget } from "./zipInflate.js";
+
+export class QuestionBankError extends Error {}
+
+const MAX_QTI_ITEMS = 500;
+const packageTooBig = () => new QuestionBankError(`The package unpacks to more than ${MAX_ZIP_MB} MB.`);
+
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+// LMS text fields are HTML more often than not
+const htmlText = (html) => clean(/[<&]/.test(html || "") ? load(`<div>${html}</div>`)("div").first().text() : html);
+const nonEmpty = (list) => list.map(clean).filter(Boolean);
+
+function newQuiz(format, title = "") {
+  const quiz = { format, title: clean(title), sections: [] };
+  let current = null;
+  return {
+    section(sectionTitle) {
+      current = { title: clean(sectionTitle), questions: [] };
+      quiz.sections.push(current);
+    },
+    add(question) {
+      if (!current) this.section("");
+      current.questions.push({ name: "", type: "question", options: [], feedback: [], rubric: [], ...question });
+    },
+    result() {
+      quiz.sections = quiz.sections.filter((s) => s.questions.length);
+      if (!quiz.sections.length) throw new QuestionBankError(`No questions found in the ${format.toUpperCase()} file.`);
+      return quiz;
+    },
+  };
+}
+
+/* ------------------------------- moodle ------------------------------- */
+// "$course$/top/Task 1/Short answers" -> "Short answers"
+const categoryTitle = (path) => clean(String(path).replace(/^\$\w+\$\/?(top\/?)?/, "").split("/").pop());
+
+/** Moodle XML (<quiz><question type="…">…</question></quiz>). */
+export function parseMoodleXml(xml) {
+  const $ = load(xml, { xmlMode: true });
+  if (!$("quiz").length) throw new QuestionBankError("Not a Moodle XML question file (<quiz> missing).");
+  const quiz = newQuiz("moodle");
+  const field = (el, name) => htmlText($(el).children(name).children("text").text());
+
+  $("quiz > question").each((_, q) => {
+    const type = $(q).attr("type") || "";
+    if (type === "category") {
+      quiz.section(categoryTitle($(q).find("category > text").text()));
+      return;
+    }
+    const stem = field(q, "questiontext");
+    if (type === "description") {
+      if (stem) quiz.add({ type: "description", stem });
+      return;
+    }
+
+    const options = $(q)
+      .children("answer")
+      .map((__, a) => ({
+        text: htmlText($(a).children("text").text()),
+        correct: Number($(a).attr("fraction")) > 0,
+        feedback: field(a, "feedback"),
+      }))
+      .get()
+      // an empty answer is how Moodle writes "no correct answer given" for essays
+      .filter((o) => o.text);
+    // a subquestion without text is an extra wrong answer to choose from
+    const pairs = $(q)
+      .children("subquestion")
+      .map((__, s) => [[htmlText($(s).children("text").text()), clean($(s).find("answer > text").text())]])
+      .get()
+      .filter(([text]) => text)
+      .map(([text, answer]) => ({ text: `${text} → ${answer}`, correct: true }));
+
+    quiz.add({
+      name: clean($(q).find("name > text").first().text()),
+      type,
+      stem,
+      options: [...options, ...pairs].map((o) => ({ feedback: "", ...o })),
+      feedback: nonEmpty(
+        ["generalfeedback", "correctfeedback", "partiallycorrectfeedback", "incorrectfeedback"].map((f) => field(q, f))
+      ),
+      // essay marking guidance and the template students start from
+      rubric: nonEmpty([field(q, "graderinfo"), field(q, "responsetemplate")]),
+    });
+  });
+  return quiz.result();
+}
+
+/* -------------------------------- qti --------------------------------- */
+const INTERACTIONS =
+  "choiceInteraction, orderInteraction, matchInteraction, associateInteraction, inlineChoiceInteraction, " +
+  "hottextInteraction, textEntryInteraction, extendedTextInteraction, gapMatchInteraction, uploadInteraction";
+const CHOICES = "simpleChoice, inlineChoice, simpleAssociableChoice, hottext, gapText";
+const FEEDBACK = "modalFeedback, feedbackBlock, feedbackInline";
+
+/** One QTI 2.x assessmentItem -> a question for the quiz model. */
+function qtiItem(xml) {
+  const $ = load(xml, { xmlMode: true });
+  const item = $("assessmentItem").first();
+  if (!item.length) return null;
+  const correct = new Set(
+    $("responseDeclaration correctResponse value")
+      .map((_, v) => clean($(v).text()).split(/\s+/))
+      .get()
+      .flat()
+  );
+
+  const body = item.children("itemBody").clone();
+  const options = body
+    .find(CHOICES)
+    .map((_, c) => {
+      const choice = $(c).clone();
+      const feedback = clean(choice.find(FEEDBACK).text());
+      choice.find(FEEDBACK).remove();
+      return { text: clean(choice.text()), correct: correct.has($(c).attr("identifier")), feedback };
+    })
+    .get()
+    .filter((o) => o.text);
+  const prompts = body.find("prompt").map((_, p) => clean($(p).text())).get();
+  const rubric = body.find("rubricBlock").map((_, r) => clean($(r).text())).get();
+  // feedback on a choice went with that option above
+  const inlineFeedback = body
+    .find("feedbackBlock, feedbackInline")
+    .filter((_, f) => !$(f).parents(CHOICES).length)
+    .map((_, f) => clean($(f).text()))
+    .get();
+  // what's left of the body once interactions, rubrics and feedback are out is the stem
+  body.find(`${INTERACTIONS}, rubricBlock, ${FEEDBACK}`).remove();
+
+  return {
+    name: clean(item.attr("title")),
+    type: clean(item.find(INTERACTIONS).get(0)?.tagName || "question").replace(/Interaction$/, ""),
+    stem: nonEmpty([body.text(), ...prompts]).join(" "),
+    options,
+    feedback: nonEmpty([...inlineFeedback, ...item.children("modalFeedback").map((_, f) => $(f).text()).get()]),
+    rubric: nonEmpty(rubric),
+  };
+}
+
+/** A single QTI 2.x item (.xml). */
+export function parseQtiXml(xml) {
+  const question = qtiItem(xml);
+  if (!question) throw new QuestionBankError("Not a QTI 2.x assessment item (<assessmentItem> missing).");
+  const quiz = newQuiz("qti", question.name);
+  quiz.add(question);
+  return quiz.result();
+}
+
+/**
+ * A QTI 2.x content package: imsmanifest.xml lists the items; an assessmentTest,
+ * when there is one, gives their order and sections.
+ */
+export async function parseQtiPackage(buffer) {
+  const { default: JSZip } = await import("jszip");
+  const zip = await JSZip.loadAsync(buffer).catch(() => {
+    throw new QuestionBankError("Not a readable QTI package.");
+  });
+  const manifestFile = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+  if (!manifestFile) throw new QuestionBankError("Not a QTI package (imsmanifest.xml missing).");
+  const base = manifestFile.name.replace(/imsmanifest\.xml$/i, "");
+  const budget = zipBudget(packageTooBig);
+  const $m = load(await budget.text(manifestFile), { xmlMode: true });
+  // paths in the package are relative to the manifest (or to the test that names them)
+  const read = async (href, from = base) => {
+    const file = zip.file(new URL(href, `http://pkg/${from}`).pathname.slice(1));
+    return file ? budget.text(file) : null;
+  };
+
+  const resources = $m("resource").map((_, r) => ({ type: $m(r).attr("type") || "", href: $m(r).attr("href") || "" })).get();
+  const itemHrefs = resources.filter((r) => /imsqti_item/i.test(r.type) && r.href).map((r) => r.href);
+  const test = resources.find((r) => /imsqti_test/i.test(r.type) && r.href);
+  if (itemHrefs.length > MAX_QTI_ITEMS) throw new QuestionBankError(`The package has more than ${MAX_QTI_ITEMS} items.`);
+
+  const testXml = test && (await read(test.href));
+  const $t = testXml && load(testXml, { xmlMode: true });
+  const quiz = newQuiz("qti", $t ? $t("assessmentTest").attr("title") : "");
+  const addItem = async (href, from) => {
+    const xml = await read(href, from);
+    const question = xml && qtiItem(xml);
+    if (question) quiz.add(question);
+  };
+
+  if ($t) {
+    const testDir = base + test.href.replace(/[^/]*$/, "");
+    for (const section of $t("assessmentSection").get()) {
+      const refs = $t(section).children("assessmentItemRef").get();
+      if (!refs.length) continue;
+      quiz.section($t(section).attr("title") || "");
+      for (const ref of refs) await addItem($t(ref).attr("href"), testDir);
+    }
+  } else {
+    for (const href of itemHrefs) await addItem(href);
+  }
+  return quiz.result();
+}
+
+/* -------------------------------- gift -------------------------------- */
+// \~ \= \# \{ \} \: stand for themselves; private-use characters hold them while parsing
+const ESCAPES = { "~": "\uE000", "=": "\uE001", "#": "\uE002", "{": "\uE003", "}": "\uE004", ":": "\uE005" };
+const escapeGift = (t) => t.replace(/\\([~=#{}:])/g, (_, c) => ESCAPES[c]).replace(/\\n/g, "\n");
+const unescapeGift = (t) => Object.entries(ESCAPES).reduce((s, [c, p]) => s.split(p).join(c), t);
+const giftText = (t) => htmlText(unescapeGift(String(t || "").replace(/^\[(html|moodle|plain|markdown)\]/i, "")));
+
+// "=right#well done ~wrong#no ####general" -> { options, general }
+function giftAnswers(block) {
+  const [body, general = ""] = block.split("####");
+  const answers = body.trim();
+  if (!answers) return { type: "essay", options: [], general };
+  const tf = /^(T|TRUE|F|FALSE)\s*(#.*)?$/is.exec(answers);
+  if (tf) {
+    const isTrue = tf[1][0].toUpperCase() === "T";
+    const options = [
+      { text: "True", correct: isTrue, feedback: "" },
+      { text: "False", correct: !isTrue, feedback: "" },
+    ];
+    return { type: "truefalse", options, general, feedback: (tf[2] || "").replace(/^#/, "") };
+  }
+  if (answers.startsWith("#")) {
+    // numerical: "#3.14:0.01" or "#=3.14:0.01 =%50%3:1"
+    const values = answers.slice(1).split(/(?=[=~])/).map((v) => v.replace(/^[=~](%-?\d+(\.\d+)?%)?/, "").split("#")[0]);
+    const options = values.map((v) => ({ text: clean(v).replace(/\s*:\s*/, " ± ").replace(/\s*\.\.\s*/, " to "), correct: true, feedback: "" }));
+    return { type: "numerical", options, general };
+  }
+  const options = answers
+    .split(/(?=[=~])/)
+    .map((a) => a.trim())
+    .filter((a) => a.length > 1)
+    .map((a) => {
+      const weight = /^[=~]%(-?\d+(?:\.\d+)?)%/.exec(a);
+      const correct = a[0] === "=" || Number(weight?.[1]) > 0;
+      const [text, feedback = ""] = a.replace(/^[=~](%-?\d+(\.\d+)?%)?/, "").split("#");
+      return { text: text.replace(/\s*->\s*/, " → "), correct, feedback };
+    });
+  const matching = options.length && options.every((o) => o.text.includes(" → "));
+  const type = matching ? "matching" : options.every((o) => o.correct) ? "shortanswer" : "multichoice";
+  return { type, options, general };
+}
+
+/** GIFT text (Moodle's plain-text question format). */
+export function parseGift(source) {
+  const quiz = newQuiz("gift");
+  const lines = String(source || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => !/^\s*\/\//.test(l));
+  // questions are separated by blank lines
+  const chunks = lines.join("\n").split(/\n\s*\n/);
+  for (const raw of chunks) {
+    let chunk = escapeGift(raw.trim());
+    if (!chunk) continue;
+    const category = /^\$CATEGORY:\s*(.+)$/m.exec(chunk);
+    if (category) {
+      quiz.section(categoryTitle(unescapeGift(category[1])));
+      chunk = chunk.replace(category[0], "").trim();
+      if (!chunk) continue;
+    }
+    const title = /^::(.*?)::/s.exec(chunk);
+    if (title) chunk = chunk.slice(title[0].length).trim();
+    const open = chunk.indexOf("{");
+    const close = chunk.lastIndexOf("}");
+    if (open < 0 || close < open) {
+      quiz.add({ type: "description", name: giftText(title?.[1]), stem: giftText(chunk) });
+      continue;
+    }
+    const { type, options, general, feedback } = giftAnswers(chunk.slice(open + 1, close));
+    const before = chunk.slice(0, open).trim();
+    const after = chunk.slice(close + 1).trim();
+    quiz.add({
+      name: giftText(title?.[1]),
+      type,
+      // a "missing word" question keeps a blank where the answers were
+      stem: giftText(after ? `${before} _____ ${after}` : before),
+      options: options.map((o) => ({ text: giftText(o.text), correct: o.correct, feedback: giftText(o.feedback) })),
+      feedback: nonEmpty([giftText(feedback), giftText(general)]),
+    });
+  }
+  return quiz.result();
+}
+
+// GIFT saved as .txt: answer blocks such as {=yes ~no} or {T}, or ::titles::
+export function looksLikeGift(text) {
+  const blocks = String(text || "").match(/\{\s*(?:[=~][^}]*|T|F|TRUE|FALSE|#[^}]*)\}/gi) || [];
+  return blocks.length >= 2 || (blocks.length >= 1 && /^::[^:\n]+::/m.test(text));
+}
+
+/* ------------------------------ to text ------------------------------- */
+const letter = (i) => String.fromCharCode(97 + (i % 26));
+
+/** The question as one passage: stem, options, feedback and rubric, so each can evidence a criterion. */
+export function questionText(q) {
+  const parts = [q.stem || q.name];
+  if (q.options.length) {
+    const options = q.options.map((o, i) => `${letter(i)}) ${o.text}${o.correct ? " (correct)" : ""}${o.feedback ? ` [${o.feedback}]` : ""}`);
+    parts.push(`Options: ${options.join("; ")}`);
+  }
+  if (q.feedback.length) parts.push(`Feedback: ${q.feedback.join(" ")}`);
+  if (q.rubric.length) parts.push(`Rubric: ${q.rubric.join(" ")}`);
+  return parts.filter(Boolean).join(" ");
+}
+
+/** The plain text of the quiz, numbered the same way as structureFromQuestions. */
+export function quizText(quiz) {
+  let n = 0;
+  return quiz.sections
+    .map((s) => [s.title, ...s.questions.map((q) => (q.type === "description" ? q.stem : `Q${++n}. ${questionText(q)}`))])
+    .map((lines) => lines.filter(Boolean).join("\n\n"))
+    .join("\n\n");
+}
+
+/**
+ * Is this (loaded JSZip) archive a content package of QTI items rather than a zip of documents?
+ * The manifest is read through `budget` (see ./zipInflate.js), the caller's when it reads on.
+ */
+export async function isQtiPackage(zip, budget = zipBudget(packageTooBig)) {
+  const manifest = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+  return Boolean(manifest && /imsqti_(item|test)/i.test(await budget.text(manifest)));
+}
@@ -0,0 +1,186 @@
+// server/lib/remediation.js
+// Draft assessment items for criteria the tool doesn't cover. Templates are
+// keyed on the criterion's verb and object ("Mooring operations are performed
+// safely" -> perform / mooring operations / safely), so this runs offline and
+// gives the same draft every time. Drafts are a starting point for the
+// assessor to edit, never a finished question.
+
+// Verb -> kind of evidence it calls for. Unlisted verbs get a short answer.
+const VERBS = {
+  knowledge: [
+    "identify", "describe", "explain", "list", "outline", "define", "recognise", "recognize", "interpret",
+    "determine", "clarify", "confirm", "research", "calculate", "compare", "analyse", "analyze", "access", "locate",
+  ],
+  practical: [
+    "perform", "operate", "use", "apply", "carry", "complete", "prepare", "conduct", "maintain", "handle",
+    "install", "clean", "check", "inspect", "monitor", "demonstrate", "implement", "follow", "secure", "store",
+    "test", "adjust", "assemble", "fit", "set", "start", "shut", "tie", "rig", "stow", "lay", "fill", "repair",
+    "dispose", "wear", "control", "isolate", "measure", "load", "unload", "position", "navigate",
+  ],
+  scenario: [
+    "report", "communicate", "consult", "plan", "select", "evaluate", "assess", "review", "negotiate",
+    "document", "record", "advise", "respond", "resolve", "develop", "organise", "organize", "coordinate",
+    "manage", "prioritise", "prioritize", "decide", "seek", "notify", "escalate", "obtain", "arrange", "liaise",
+    "recommend", "provide", "ensure", "allocate", "schedule", "address", "discuss", "promote",
+  ],
+};
+const CLASS_OF = new Map(Object.entries(VERBS).flatMap(([cls, verbs]) => verbs.map((v) => [v, cls])));
+
+// Participles the suffix rules get wrong
+const IRREGULAR = {
+  undertaken: "undertake", taken: "take", written: "write", chosen: "choose", given: "give", shown: "show",
+  known: "know", done: "do", made: "make", kept: "keep", sought: "seek", set: "set", laid: "lay", shut: "shut",
+  worn: "wear", held: "hold", built: "build", sent: "send", met: "meet", found: "find", brought: "bring",
+  dealt: "deal",
+};
+const PARTICLES = /^(out|up|down|off|back|away|in)\b\s*/i;
+// Verbs whose object follows a preposition: "Waste is disposed of" -> "dispose of waste"
+const PREPOSITIONS = { dispose: "of", deal: "with", comply: "with", attend: "to", respond: "to", account: "for" };
+const PASSIVE = /^(.+?)\s+(?:is|are|was|were|has been|have been|must be|can be)\s+(?:\w+ly\s+)?(\w+(?:ed|en|wn|ne|t|d))\b((?:\s*(?:,|and|or)\s*\w+(?:ed|en|wn|t))*)(.*)$/i;
+
+const FORMAT_LABEL = {
+  "short-answer": "Short-answer question",
+  observation: "Observation checklist item",
+  scenario: "Scenario prompt",
+};
+
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+const capital = (t) => t.charAt(0).toUpperCase() + t.slice(1);
+// lower-case the first word unless it's an acronym ("WHS procedures")
+const lower = (t) => (/^[A-Z]{2,}\b/.test(t) ? t : t.charAt(0).toLowerCase() + t.slice(1));
+
+// "identified" -> "identify", "performed" -> "perform", "prepared" -> "prepare"
+function baseVerb(participle) {
+  const w = participle.toLowerCase();
+  if (IRREGULAR[w]) return IRREGULAR[w];
+  if (!w.endsWith("ed")) return w;
+  const stem = w.slice(0, -2);
+  const candidates = [stem, `${stem}e`];
+  if (w.endsWith("ied")) candidates.push(`${w.slice(0, -3)}y`);
+  if (/([bdgklmnprt])\1ed$/.test(w)) candidates.push(w.slice(0, -3));
+  const known = candidates.find((c) => CLASS_OF.has(c));
+  if (known) return known;
+  // unknown verb: guess the spelling ("sequenced" -> "sequence", "visited" -> "visit")
+  if (w.endsWith("ied")) return `${w.slice(0, -3)}y`;
+  if (/([bdgkmnprt])\1ed$/.test(w)) return w.slice(0, -3);
+  return /(?:[cvzu]|[^aeiou]g|[^aeiou]at|ut|et|ur|iz|is)$/.test(stem) ? `${stem}e` : stem;
+}
+
+// "perform" -> "performs", "carry out" -> "carries out"
+function thirdPerson(verb) {
+  const [head, ...rest] = verb.split(" ");
+  const s = /[^aeiou]y$/.test(head) ? `${head.slice(0, -1)}ies` : /(s|sh|ch|x|z|o)$/.test(head) ? `${head}es` : `${head}s`;
+  return [s, ...rest].join(" ");
+}
+
+// "dispose" + "of waste" -> ["dispose of", "waste"]; the particle of a phrasal verb likewise
+function attachParticle(verb, rest) {
+  const m = PARTICLES.exec(rest) || (PREPOSITIONS[verb] && new RegExp(`^(${PREPOSITIONS[verb]})\\b\\s*`, "i").exec(rest));
+  return m ? [`${verb} ${m[1].toLowerCase()}`, rest.slice(m[0].length)] : [verb, rest];
+}
+
+/**
+ * Split a criterion into { verbs, object, qualifier }.
+ *   "Hazards are identified and controlled"  -> passive PC
+ *   "Identify hazards in the work area"       -> active PC
+ *   "knots, bends and hitches"                -> knowledge item (no verb)
+ */
+export function parseCriterion(text) {
+  const t = clean(text).replace(/[.;]+$/, "");
+  const passive = PASSIVE.exec(t);
+  if (passive) {
+    const verbs = [passive[2], ...(passive[3].match(/\w+(?:ed|en|wn|t)\b/g) || [])].map(baseVerb);
+    let qualifier;
+    [verbs[verbs.length - 1], qualifier] = attachParticle(verbs[verbs.length - 1], clean(passive[4]));
+    return { verbs, object: lower(clean(passive[1])), qualifier };
+  }
+  const first = t.split(" ")[0].toLowerCase();
+  if (CLASS_OF.has(first)) {
+    const [verb, object] = attachParticle(first, t.slice(first.length).trim());
+    return { verbs: [verb], object, qualifier: "" };
+  }
+  return { verbs: [], object: lower(t), qualifier: "" };
+}
+
+const verbClass = (verbs) => {
+  const classes = verbs.map((v) => CLASS_OF.get(v.split(" ")[0]));
+  if (classes.includes("practical")) return "practical";
+  return classes[0] || "knowledge";
+};
+
+// "identify and control" from ["identify", "control"]
+const joinVerbs = (verbs, conj = (v) => v) =>
+  verbs.length > 1 ? `${verbs.slice(0, -1).map(conj).join(", ")} and ${conj(verbs[verbs.length - 1])}` : conj(verbs[0]);
+
+/**
+ * Draft one assessment item for an uncovered criterion.
+ * item: { code, text, element? }; kind: "PC" | "KE".
+ * Returns { code, kind, criterion, element?, format, verb, object, prompt, benchmark }.
+ */
+export function draftItem(item, kind) {
+  const { verbs, object, qualifier } = parseCriterion(item.text);
+  const tail = qualifier ? ` ${qualifier}` : "";
+  const base = { code: item.code, kind, criterion: item.text, ...(item.element ? { element: item.element } : {}) };
+  const verb = verbs.length ? joinVerbs(verbs) : null;
+
+  // knowledge evidence is a topic, not an action
+  if (kind === "KE" || !verbs.length) {
+    const isList = /,| including | such as /.test(object);
+    return {
+      ...base,
+      format: "short-answer",
+      verb,
+      object,
+      prompt: isList
+        ? `Describe each of the following and how it applies in your work: ${object}.`
+        : `Explain ${object} and why this matters in your work.`,
+      benchmark: `[Benchmark answer: the points a satisfactory response must include about ${object}.]`,
+    };
+  }
+
+  const cls = verbClass(verbs);
+  if (cls === "practical") {
+    return {
+      ...base,
+      format: "observation",
+      verb,
+      object,
+      prompt: `${capital(joinVerbs(verbs, thirdPerson))} ${object}${tail}.`,
+      benchmark: `[Benchmark: what satisfactory performance looks like when the candidate ${joinVerbs(verbs, thirdPerson)} ${object} – steps, equipment, standard to meet.]`,
+    };
+  }
+  if (cls === "scenario") {
+    return {
+      ...base,
+      format: "scenario",
+      verb,
+      object,
+      prompt: `Scenario: [describe a realistic workplace situation in which the candidate must ${verb} ${object}]. Explain how you would ${verb} ${object}${tail}, who you would involve and what you would record.`,
+      benchmark: `[Benchmark answer: the actions, people to involve and records a satisfactory response includes.]`,
+    };
+  }
+  const direct = /^(identify|list|describe|explain|outline|define|compare|calculate)$/.test(verbs[0]);
+  return {
+    ...base,
+    format: "short-answer",
+    verb,
+    object,
+    prompt: direct
+      ? `${capital(verb)} ${object}${tail}. Give an example from your workplace.`
+      : `Explain how you would ${verb} ${object}${tail}.`,
+    benchmark: `[Benchmark answer: the points a satisfactory response must include to show the candidate can ${verb} ${object}.]`,
+  };
+}
+
+/** Drafts for every uncovered PC and KE in a pair of coverage results. */
+export function draftRemediation(pcCov, keCov) {
+  return [
+    ...pcCov.items.filter((i) => !i.covered).map((i) => draftItem(i, "PC")),
+    ...keCov.items.filter((i) => !i.covered).map((i) => draftItem(i, "KE")),
+  ];
+}
+
+// The gap's recommendation, pointing at its draft.
+export const recommendationFor = (draft) => `${FORMAT_LABEL[draft.format]}: “${draft.prompt}”`;
+
+export const formatLabel = (format) => FORMAT_LABEL[format] || format;
@@ -0,0 +1,448 @@
+// server/lib/reportExport.js
+// Validation reports as files: DOCX and PDF for compliance records, CSV of
+// per-criterion results for spreadsheets. All three render the reports the
+// validate endpoints return (one per unit in the session); the DOCX and PDF
+// share one outline so they can't drift apart.
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  PageBreak,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import PDFDocument from "pdfkit";
+import { formatLabel } from "./remediation.js";
+import { describeProvenance, isPlaceholder } from "./provenance.js";
+
+const pct = (n) => `${Math.round(n || 0)}%`;
+const titleCase = (s) => s.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase());
+
+// Blank lines the validator fills in, or the values recorded when the report was
+// signed off through the workflow.
+const SIGN_OFF_FIELDS = [
+  ["name", "Validator name"],
+  ["credentials", "Position / credentials"],
+  ["outcome", "Outcome (approved / approved with changes / not approved)"],
+  ["signature", "Signature"],
+  ["date", "Date"],
+];
+
+const WORKFLOW_LABEL = { draft: "Draft", reviewed: "Reviewed", "signed-off": "Signed off" };
+
+// "covered" / "not covered" / "comment" for a validator override (see ./overrides.js)
+const verdict = (covered) => (covered === undefined ? "comment" : covered ? "covered" : "not covered");
+
+const PLACEHOLDER_WARNING =
+  "WARNING: scored against placeholder unit data, not the unit of competency. These results cannot be relied on.";
+
+/* ------------------------------ outline ------------------------------ */
+// One report -> the sections every format prints, as plain rows.
+function outline(report) {
+  const { unit, coverage, rulesOfEvidence, principlesOfAssessment = {}, gaps = [] } = report;
+  const pc = coverage.performanceCriteria;
+  const ke = coverage.knowledge;
+  const missing = (cov) => (cov.items || []).filter((i) => !i.covered).map((i) => `${i.code} – ${i.text}`);
+  const ruleRows = (rules) =>
+    Object.entries(rules).map(([name, r]) => [
+      titleCase(name),
+      r.status,
+      pct(r.score),
+      [r.detail, r.automated && r.automated.score !== r.score ? `Automated: ${pct(r.automated.score)} before validator overrides.` : ""]
+        .filter(Boolean)
+        .join(" "),
+    ]);
+  // the engine's figure beside the overridden one
+  const tile = (cov) =>
+    `${cov.assessed}/${cov.total} (${pct(cov.percentage)})` +
+    (cov.automated && cov.automated.percentage !== cov.percentage ? `, automated ${pct(cov.automated.percentage)}` : "") +
+    (cov.skipped?.length ? `, ${cov.skipped.length} not scored` : "");
+
+  return {
+    heading: `${unit.code} ${unit.title || ""}`.trim(),
+    warning: isPlaceholder(report.provenance) ? PLACEHOLDER_WARNING : "",
+    meta: [
+      ["Release", unit.release || "not stated"],
+      ["Currency", rulesOfEvidence.currency?.detail || rulesOfEvidence.currency?.status || ""],
+      ["Prerequisites", (unit.prerequisites || []).join(", ") || "none"],
+      ["Source", unit.url || ""],
+      ["Unit data", describeProvenance(report.provenance)],
+      // reports saved before rubrics were scored with the built-in defaults
+      ["Rubric", report.rubric ? `${report.rubric.name} v${report.rubric.version}` : "Built-in defaults"],
+    ],
+    tiles: [
+      ["Performance criteria", tile(pc)],
+      ["Knowledge evidence", tile(ke)],
+      ["Validity", pct(rulesOfEvidence.validity?.score)],
+      ["Sufficiency", pct(rulesOfEvidence.sufficiency?.score)],
+    ],
+    rules: ruleRows(rulesOfEvidence),
+    principles: ruleRows(principlesOfAssessment),
+    missingPcs: missing(pc),
+    missingKes: missing(ke),
+    gaps: gaps.map((g) => [g.priority || "", g.element || "", g.description || "", g.recommendation || ""]),
+    // only worth a table when the tool is several files
+    toolkit: (report.toolkit || []).length > 1 ? report.toolkit.map((f) => [f.file, f.role || "", f.criteria.join(", ")]) : [],
+    // validator overrides, kept apart from the automated result
+    overrides: (report.overrides || []).map((o) => {
+      const item = [...(pc.items || []), ...(ke.items || [])].find((i) => i.code === o.code);
+      return [
+        o.code,
+        item?.override ? verdict(item.override.automated) : "",
+        verdict(o.covered),
+        o.reason,
+        [o.by.name, o.by.credentials].filter(Boolean).join(", "),
+        o.at.slice(0, 16).replace("T", " "),
+      ];
+    }),
+    // draft -> reviewed -> signed off, who and when (see ./signOffStore.js)
+    workflow: (report.workflow?.steps || []).map((st) => [
+      WORKFLOW_LABEL[st.status] || st.status,
+      st.by.name,
+      st.by.credentials || "",
+      st.at.slice(0, 16).replace("T", " "),
+      [st.outcome, st.note].filter(Boolean).join(" – "),
+    ]),
+    mapping: report.mapping
+      ? {
+          claims: report.mapping.claims.map((c) => [
+            c.criterion || c.text,
+            c.refs.join(", "),
+            c.status,
+            c.status === "unresolved" ? c.detail || "" : pct(c.score),
+          ]),
+          notes: [
+            `Criteria with no mapping: ${report.mapping.unmapped.join(", ") || "none"}`,
+            `Questions mapped to nothing: ${report.mapping.orphanQuestions.join(", ") || "none"}`,
+          ],
+        }
+      : null,
+  };
+}
+
+// what the sign-off block stands for
+function signOffStatus(reports) {
+  if (reports.length === 1 && reports[0].signOff) return "Signed off through the review and sign-off workflow.";
+  if (reports.every((r) => r.signOff)) return "Each unit was signed off on its own; see its sign-off history.";
+  return "Not signed off through the workflow.";
+}
+
+/**
+ * Accepts { reports, assessment? } and returns the pieces every format shares.
+ * A report's workflow and signOff are trusted as given: the caller takes them from
+ * the sign-off records (see exportable() in ./signOffStore.js).
+ */
+function prepare({ reports = [], assessment = "" }) {
+  // only a report signed off through the workflow fills in the sign-off block
+  const values = (reports.length === 1 && reports[0].signOff) || {};
+  return {
+    title: "Assessment Validation Report",
+    assessment: assessment || "Assessment tool",
+    generated: new Date().toISOString().slice(0, 10),
+    summary: reports.map((r) => [
+      r.unit.code,
+      `${r.unit.title || ""}${isPlaceholder(r.provenance) ? " (PLACEHOLDER DATA)" : ""}`,
+      pct(r.coverage.performanceCriteria.percentage),
+      pct(r.coverage.knowledge.percentage),
+    ]),
+    units: reports.map(outline),
+    signOff: SIGN_OFF_FIELDS.map(([key, label]) => [label, values[key] || ""]),
+    signOffStatus: signOffStatus(reports),
+  };
+}
+
+/* -------------------------------- csv -------------------------------- */
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** rows: [[cell]] -> CSV text, BOM first so Excel opens it as UTF-8. */
+export const csvTable = (rows) => "\ufeff" + rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/** One row per PC / knowledge item across all reports. */
+export function reportsToCsv({ reports = [] }) {
+  const header = [
+    "unit_code", "unit_title", "release", "kind", "criterion", "element", "text", "covered", "relevance", "evidence_locations",
+    "mapped_to", "mapping_check", "automated_covered", "validator_override", "override_reason", "override_by", "unit_data",
+  ];
+  const rows = [header];
+  for (const r of reports) {
+    const claims = new Map((r.mapping?.claims || []).map((c) => [c.criterion, c]));
+    const kinds = [
+      ["PC", r.coverage.performanceCriteria],
+      ["KE", r.coverage.knowledge],
+    ];
+    for (const [kind, cov] of kinds) {
+      for (const item of cov.items || []) {
+        rows.push([
+          r.unit.code,
+          r.unit.title || "",
+          r.unit.release || "",
+          kind,
+          item.code,
+          item.element || "",
+          item.text,
+          item.covered ? "yes" : "no",
+          item.score ?? "",
+          (item.evidence || []).map((e) => (e.file ? `${e.file}: ${e.label}` : e.label)).join("; "),
+          claims.get(item.code)?.refs.join("; ") || "",
+          r.mapping ? claims.get(item.code)?.status || "unmapped" : "",
+          item.override ? (item.override.automated ? "yes" : "no") : "",
+          item.override ? verdict(item.override.covered) : "",
+          item.override?.reason || "",
+          item.override?.by.name || "",
+          r.provenance?.kind || "",
+        ]);
+      }
+    }
+  }
+  return csvTable(rows);
+}
+
+/* -------------------------------- docx -------------------------------- */
+const BORDER = { style: BorderStyle.SINGLE, size: 4, color: "BBBBBB" };
+const BORDERS = { top: BORDER, bottom: BORDER, left: BORDER, right: BORDER, insideHorizontal: BORDER, insideVertical: BORDER };
+
+function docxTable(header, rows) {
+  const row = (cells, bold) =>
+    new TableRow({
+      tableHeader: bold,
+      children: cells.map(
+        (c) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text: String(c), bold, size: 18 })] })] })
+      ),
+    });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: BORDERS,
+    rows: [...(header ? [row(header, true)] : []), ...rows.map((r) => row(r, false))],
+  });
+}
+
+const h = (text, heading) => new Paragraph({ text, heading, spacing: { before: 240, after: 120 } });
+const p = (text, opts = {}) => new Paragraph({ children: [new TextRun({ text, size: 20, ...opts })] });
+const bullets = (items) => items.map((t) => new Paragraph({ text: t, bullet: { level: 0 } }));
+
+function docxUnit(u) {
+  return [
+    h(u.heading, HeadingLevel.HEADING_1),
+    ...(u.warning ? [p(u.warning, { bold: true, color: "C00000" })] : []),
+    docxTable(null, u.meta),
+    h("Coverage", HeadingLevel.HEADING_2),
+    docxTable(null, u.tiles),
+    h("Rules of evidence", HeadingLevel.HEADING_2),
+    docxTable(["Rule", "Status", "Score", "Why"], u.rules),
+    h("Principles of assessment", HeadingLevel.HEADING_2),
+    docxTable(["Principle", "Status", "Score", "Why"], u.principles),
+    h("Missing performance criteria", HeadingLevel.HEADING_2),
+    ...(u.missingPcs.length ? bullets(u.missingPcs) : [p("None.")]),
+    h("Missing knowledge evidence", HeadingLevel.HEADING_2),
+    ...(u.missingKes.length ? bullets(u.missingKes) : [p("None.")]),
+    ...(u.toolkit.length
+      ? [h("Evidence by file", HeadingLevel.HEADING_2), docxTable(["File", "Role", "Criteria evidenced"], u.toolkit)]
+      : []),
+    ...(u.mapping
+      ? [
+          h("Mapping cross-check", HeadingLevel.HEADING_2),
+          docxTable(["Criterion", "Mapped to", "Check", "Relevance"], u.mapping.claims),
+          ...u.mapping.notes.map((t) => p(t)),
+        ]
+      : []),
+    ...(u.overrides.length
+      ? [
+          h("Validator overrides", HeadingLevel.HEADING_2),
+          p("Criteria where the validator's judgement replaces the automated result. The scores above include them."),
+          docxTable(["Criterion", "Automated", "Validator", "Reason", "By", "When (UTC)"], u.overrides),
+        ]
+      : []),
+    h("Gaps and recommendations", HeadingLevel.HEADING_2),
+    u.gaps.length ? docxTable(["Priority", "Item", "Finding", "Recommendation"], u.gaps) : p("No gaps recorded."),
+    ...(u.workflow.length
+      ? [h("Sign-off history", HeadingLevel.HEADING_2), docxTable(["Step", "By", "Credentials", "When (UTC)", "Outcome / note"], u.workflow)]
+      : []),
+  ];
+}
+
+/** -> Buffer (.docx) */
+export async function reportsToDocx(input) {
+  const d = prepare(input);
+  const children = [
+    new Paragraph({ text: d.title, heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }),
+    p(`Assessment: ${d.assessment}`),
+    p(`Generated: ${d.generated}`),
+    h("Units in this validation", HeadingLevel.HEADING_2),
+    docxTable(["Unit", "Title", "PC coverage", "KE coverage"], d.summary),
+  ];
+  for (const u of d.units) children.push(new Paragraph({ children: [new PageBreak()] }), ...docxUnit(u));
+  children.push(
+    h("Validator sign-off", HeadingLevel.HEADING_1),
+    p("I confirm this assessment tool has been validated against the units listed above."),
+    p(d.signOffStatus, { italics: true }),
+    docxTable(null, d.signOff.map(([label, value]) => [label, value || " "]))
+  );
+
+  const doc = new Document({ creator: "RTO Validator", title: d.title, sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Draft items for every uncovered criterion (report.remediation), one section
+ * per unit, as a DOCX the assessor can edit into the tool. -> Buffer (.docx)
+ */
+export async function remediationToDocx({ reports = [], assessment = "" }) {
+  const children = [
+    new Paragraph({ text: "Remediation Addendum", heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }),
+    p(`Assessment: ${assessment || "Assessment tool"}`),
+    p(`Generated: ${new Date().toISOString().slice(0, 10)}`),
+    p("Draft items for criteria the tool doesn't yet cover, built from templates. Review, adapt to your context and complete each benchmark before use.", {
+      italics: true,
+    }),
+  ];
+  for (const r of reports) {
+    const drafts = r.remediation || [];
+    children.push(h(`${r.unit.code} ${r.unit.title || ""}`.trim(), HeadingLevel.HEADING_1));
+    if (!drafts.length) {
+      children.push(p("Every criterion is covered; nothing to add."));
+      continue;
+    }
+    for (const d of drafts) {
+      children.push(
+        h(`${d.code} – ${d.criterion}`, HeadingLevel.HEADING_3),
+        p(formatLabel(d.format), { bold: true }),
+        d.format === "observation"
+          ? docxTable(["Observable behaviour", "S", "NYS", "Assessor comments"], [[d.prompt, " ", " ", " "]])
+          : p(d.prompt),
+        p(d.benchmark, { italics: true, color: "555555" })
+      );
+    }
+  }
+
+  const doc = new Document({ creator: "RTO Validator", title: "Remediation Addendum", sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+/* -------------------------------- pdf --------------------------------- */
+// Small layout helpers on top of pdfkit: headings, key/value lists and tables that wrap and page-break.
+function pdfWriter(doc) {
+  const left = doc.page.margins.left;
+  const width = () => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensure = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  return {
+    heading(text, size = 14) {
+      ensure(size * 3);
+      doc.moveDown(0.6).font("Helvetica-Bold").fontSize(size).text(text, left).moveDown(0.3);
+    },
+    para(text) {
+      doc.font("Helvetica").fontSize(9.5).text(text, left, doc.y, { width: width() });
+    },
+    bullets(items) {
+      if (!items.length) return this.para("None.");
+      for (const t of items) {
+        ensure(14);
+        doc.font("Helvetica").fontSize(9.5).text(`•  ${t}`, left + 8, doc.y, { width: width() - 8 });
+      }
+    },
+    // widths are fractions of the usable width
+    table(header, rows, widths) {
+      const cols = widths.map((w) => w * width());
+      const pad = 4;
+      const drawRow = (cells, bold) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+        const heights = cells.map((c, i) => doc.heightOfString(String(c), { width: cols[i] - pad * 2 }));
+        const rowH = Math.max(...heights) + pad * 2;
+        ensure(rowH);
+        const y = doc.y;
+        let x = left;
+        cells.forEach((c, i) => {
+          doc.rect(x, y, cols[i], rowH).strokeColor("#bbbbbb").stroke();
+          doc.fillColor("black").text(String(c), x + pad, y + pad, { width: cols[i] - pad * 2 });
+          x += cols[i];
+        });
+        doc.x = left;
+        doc.y = y + rowH;
+      };
+      if (header) drawRow(header, true);
+      rows.forEach((r) => drawRow(r, false));
+      doc.moveDown(0.4);
+    },
+  };
+}
+
+/** -> Buffer (.pdf) */
+export function reportsToPdf(input) {
+  const d = prepare(input);
+  const doc = new PDFDocument({ size: "A4", margin: 48, info: { Title: d.title, Creator: "RTO Validator" } });
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  const w = pdfWriter(doc);
+
+  doc.font("Helvetica-Bold").fontSize(20).text(d.title, { align: "center" }).moveDown(0.5);
+  w.para(`Assessment: ${d.assessment}`);
+  w.para(`Generated: ${d.generated}`);
+  w.heading("Units in this validation", 12);
+  w.table(["Unit", "Title", "PC coverage", "KE coverage"], d.summary, [0.18, 0.52, 0.15, 0.15]);
+
+  for (const u of d.units) {
+    doc.addPage();
+    w.heading(u.heading, 16);
+    if (u.warning) {
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#c00000").text(u.warning).fillColor("black").moveDown(0.4);
+    }
+    w.table(null, u.meta, [0.25, 0.75]);
+    w.heading("Coverage", 12);
+    w.table(null, u.tiles, [0.5, 0.5]);
+    w.heading("Rules of evidence", 12);
+    w.table(["Rule", "Status", "Score", "Why"], u.rules, [0.18, 0.12, 0.1, 0.6]);
+    w.heading("Principles of assessment", 12);
+    w.table(["Principle", "Status", "Score", "Why"], u.principles, [0.18, 0.12, 0.1, 0.6]);
+    w.heading("Missing performance criteria", 12);
+    w.bullets(u.missingPcs);
+    w.heading("Missing knowledge evidence", 12);
+    w.bullets(u.missingKes);
+    if (u.toolkit.length) {
+      w.heading("Evidence by file", 12);
+      w.table(["File", "Role", "Criteria evidenced"], u.toolkit, [0.35, 0.2, 0.45]);
+    }
+    if (u.mapping) {
+      w.heading("Mapping cross-check", 12);
+      w.table(["Criterion", "Mapped to", "Check", "Relevance"], u.mapping.claims, [0.3, 0.3, 0.15, 0.25]);
+      u.mapping.notes.forEach((t) => w.para(t));
+    }
+    if (u.overrides.length) {
+      w.heading("Validator overrides", 12);
+      w.para("Criteria where the validator's judgement replaces the automated result. The scores above include them.");
+      w.table(["Criterion", "Automated", "Validator", "Reason", "By", "When (UTC)"], u.overrides, [0.1, 0.12, 0.12, 0.32, 0.18, 0.16]);
+    }
+    w.heading("Gaps and recommendations", 12);
+    if (u.gaps.length) w.table(["Priority", "Item", "Finding", "Recommendation"], u.gaps, [0.12, 0.22, 0.33, 0.33]);
+    else w.para("No gaps recorded.");
+    if (u.workflow.length) {
+      w.heading("Sign-off history", 12);
+      w.table(["Step", "By", "Credentials", "When (UTC)", "Outcome / note"], u.workflow, [0.14, 0.2, 0.22, 0.18, 0.26]);
+    }
+  }
+
+  w.heading("Validator sign-off", 14);
+  w.para("I confirm this assessment tool has been validated against the units listed above.");
+  w.para(d.signOffStatus);
+  doc.moveDown(0.4);
+  // taller rows so there's room to write
+  w.table(null, d.signOff.map(([label, value]) => [label, value || "\n\n"]), [0.35, 0.65]);
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,49 @@
+// server/lib/reportSeal.js
+// Reports go out to the browser and come back: to apply an override, to start a
+// sign-off. A seal (an HMAC of the scored content) shows the server produced the
+// report and nothing in it has changed since, so a sign-off record can only hold
+// scores the engine computed and overrides made through /api/overrides.
+// The workflow fields aren't sealed: they belong to the sign-off store, and
+// exports take them from there (see ./signOffStore.js).
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const UNSEALED = ["seal", "workflow", "signOff", "signOffId"];
+
+// the same string however the keys were ordered on the way back
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * createReportSeal(secret) -> { seal(report), verify(report) }
+ *   seal(report)    the report with `seal` set
+ *   verify(report)  true when the seal matches the report's content
+ */
+export function createReportSeal(secret) {
+  // a key of its own, so a report seal is never also a valid session signature
+  const key = createHmac("sha256", secret).update("report-seal").digest();
+  const sign = (report) => {
+    const content = { ...report };
+    for (const field of UNSEALED) delete content[field];
+    // what JSON would carry: undefined fields dropped, dates as strings
+    return createHmac("sha256", key).update(canonical(JSON.parse(JSON.stringify(content)))).digest("base64url");
+  };
+
+  return {
+    seal: (report) => ({ ...report, seal: sign(report) }),
+
+    verify(report) {
+      if (!report || typeof report !== "object" || typeof report.seal !== "string") return false;
+      const expected = Buffer.from(sign(report));
+      const given = Buffer.from(report.seal);
+      return given.length === expected.length && timingSafeEqual(given, expected);
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// server/lib/rubric.js
+// The numbers behind every verdict: when a criterion counts as covered, how
+// sufficiency weighs PCs against knowledge, the pass/warning cut-offs, the
+// overall "looks good" bar and how many coverage gaps a report lists. An
+// organisation can keep its own rubric and one per training package (the
+// first three letters of a unit code, e.g. MAR); every save is a new version
+// and each report records the rubric and version that scored it.
+//
+// Layout: one JSON file, { rubrics: { [scope]: { scope, name, versions: [{ version, values, note, createdAt, by }] } } }
+// where scope is "organisation" or a training package code.
+import { createJsonFile } from "./jsonFile.js";
+import { COVERED_AT } from "./matcher.js";
+
+export const DEFAULT_RUBRIC = {
+  coveredAt: Math.round(COVERED_AT * 100), // relevance % a criterion needs to count as covered
+  sufficiencyWeights: { pc: 60, knowledge: 40 }, // % each contributes to sufficiency
+  validity: { pass: 85, warning: 70 },
+  sufficiency: { pass: 90, warning: 75 },
+  principles: { pass: 70, warning: 40 }, // authenticity, fairness, flexibility, reliability
+  overall: { pc: 90, knowledge: 85 }, // coverage a unit needs to look good overall
+  maxGapsPerKind: 5, // uncovered PCs (and KEs, and mapping problems) listed as gaps
+};
+
+// What reports are scored with when nothing is configured.
+export const BUILT_IN_RUBRIC = { scope: "built-in", name: "Built-in defaults", version: 0, values: DEFAULT_RUBRIC };
+
+export const ORGANISATION = "organisation";
+
+export class RubricError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// "MARN008" -> "MAR", "BSBWHS311" -> "BSB"
+export const packageOf = (code) => /^[A-Z]{3}/.exec(String(code || "").toUpperCase())?.[0] || null;
+
+function cleanScope(scope) {
+  const s = String(scope || "").trim();
+  if (s.toLowerCase() === ORGANISATION) return ORGANISATION;
+  if (/^[A-Za-z]{3}$/.test(s)) return s.toUpperCase();
+  throw new RubricError(`Scope must be "${ORGANISATION}" or a three-letter training package code.`);
+}
+
+/* ----------------------------- validation ----------------------------- */
+function percent(value, label) {
+  const n = value === "" || value === null ? NaN : Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw new RubricError(`${label} must be between 0 and 100.`);
+  return n;
+}
+
+function cutOffs(pair, label) {
+  const pass = percent(pair.pass, `${label} pass mark`);
+  const warning = percent(pair.warning, `${label} warning mark`);
+  if (warning > pass) throw new RubricError(`${label}: the warning mark can't be above the pass mark.`);
+  return { pass, warning };
+}
+
+/** Values sent by the admin screen (partial is fine) -> a complete, checked rubric. */
+export function cleanRubric(values = {}, base = DEFAULT_RUBRIC) {
+  const v = {
+    ...base,
+    ...values,
+    sufficiencyWeights: { ...base.sufficiencyWeights, ...values.sufficiencyWeights },
+    validity: { ...base.validity, ...values.validity },
+    sufficiency: { ...base.sufficiency, ...values.sufficiency },
+    principles: { ...base.principles, ...values.principles },
+    overall: { ...base.overall, ...values.overall },
+  };
+  const coveredAt = percent(v.coveredAt, "Coverage threshold");
+  if (coveredAt < 5 || coveredAt > 95) throw new RubricError("Coverage threshold must be between 5 and 95.");
+  const weights = {
+    pc: percent(v.sufficiencyWeights.pc, "PC weighting"),
+    knowledge: percent(v.sufficiencyWeights.knowledge, "Knowledge weighting"),
+  };
+  if (weights.pc + weights.knowledge !== 100) throw new RubricError("The PC and knowledge weightings must add up to 100.");
+  const maxGapsPerKind = v.maxGapsPerKind === "" || v.maxGapsPerKind === null ? NaN : Number(v.maxGapsPerKind);
+  if (!Number.isInteger(maxGapsPerKind) || maxGapsPerKind < 0 || maxGapsPerKind > 50) {
+    throw new RubricError("Gaps listed per kind must be a whole number from 0 to 50.");
+  }
+  return {
+    coveredAt,
+    sufficiencyWeights: weights,
+    validity: cutOffs(v.validity, "Validity"),
+    sufficiency: cutOffs(v.sufficiency, "Sufficiency"),
+    principles: cutOffs(v.principles, "Principles"),
+    overall: { pc: percent(v.overall.pc, "Overall PC coverage"), knowledge: percent(v.overall.knowledge, "Overall knowledge coverage") },
+    maxGapsPerKind,
+  };
+}
+
+/* -------------------------------- store -------------------------------- */
+const current = (r) => {
+  const last = r.versions[r.versions.length - 1];
+  return { scope: r.scope, name: r.name, version: last.version, values: last.values, updatedAt: last.createdAt, by: last.by };
+};
+
+/**
+ * createRubricStore({ file }) -> store
+ *   list()                              current version of every saved rubric
+ *   get(scope)                          rubric with its version history, or null
+ *   save(scope, { name, values, note }, user)   a new version; throws RubricError
+ *   remove(scope)                       units fall back to the organisation's (or the built-in) rubric
+ *   resolve(unitCode)                   { scope, name, version, values } that applies to the unit
+ */
+export function createRubricStore({ file }) {
+  const json = createJsonFile(file);
+  const rubrics = json.read({ rubrics: {} }).rubrics || {};
+  const save = () => json.write({ version: 1, rubrics });
+
+  return {
+    list: () =>
+      Object.values(rubrics)
+        .map(current)
+        .sort((a, b) => (a.scope === ORGANISATION ? -1 : b.scope === ORGANISATION ? 1 : a.scope.localeCompare(b.scope))),
+
+    get: (scope) => rubrics[cleanScope(scope)] || null,
+
+    async save(scope, { name, values, note = "" }, user) {
+      const key = cleanScope(scope);
+      const existing = rubrics[key];
+      // unsent fields keep what this scope had (or what it inherits)
+      const base = existing ? current(existing).values : this.resolve(key === ORGANISATION ? "" : key).values;
+      const entry = {
+        version: existing ? existing.versions[existing.versions.length - 1].version + 1 : 1,
+        values: cleanRubric(values, base),
+        note: String(note || "").trim(),
+        createdAt: new Date().toISOString(),
+        by: user ? { id: user.id, name: user.name } : null,
+      };
+      const defaultName = key === ORGANISATION ? "Organisation rubric" : `${key} training package`;
+      rubrics[key] = {
+        scope: key,
+        name: String(name || existing?.name || "").trim() || defaultName,
+        versions: [...(existing?.versions || []), entry],
+      };
+      await save();
+      return current(rubrics[key]);
+    },
+
+    async remove(scope) {
+      const key = cleanScope(scope);
+      if (!rubrics[key]) throw new RubricError("No rubric saved for that scope.", 404);
+      delete rubrics[key];
+      await save();
+      return true;
+    },
+
+    resolve(unitCode) {
+      const pkg = packageOf(unitCode);
+      const found = (pkg && rubrics[pkg]) || rubrics[ORGANISATION];
+      if (!found) return BUILT_IN_RUBRIC;
+      const { scope, name, version, values } = current(found);
+      return { scope, name, version, values };
+    },
+  };
+}
@@ -0,0 +1,156 @@
+// server/lib/signOffStore.js
+// The sign-off workflow for validation reports: draft -> reviewed -> signed
+// off. Every step records who took it (name, credentials, roles) and when, in
+// the report itself, so an exported report carries its own audit trail.
+//
+// Layout: one JSON file, { records: { [id]: { id, unit, assessment, createdAt, updatedAt, status, report } } }
+// where report.workflow = { status, steps: [{ status, by, at, note?, outcome? }] } and
+// report.signOffId = id, so an export can fetch the history from here rather than trust the client's copy.
+import { randomUUID } from "node:crypto";
+import { createJsonFile } from "./jsonFile.js";
+import { isPlaceholder } from "./provenance.js";
+
+export const OUTCOMES = ["approved", "approved-with-changes", "not-approved"];
+
+// step name -> the statuses it can start from, where it leads, who may take it
+export const STEPS = {
+  review: { from: ["draft"], to: "reviewed", roles: ["validator"] },
+  "sign-off": { from: ["reviewed"], to: "signed-off", roles: ["validator", "compliance-manager"] },
+  return: { from: ["reviewed"], to: "draft", roles: ["validator", "compliance-manager"] },
+};
+
+export class WorkflowError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const actor = (user) => ({ id: user.id, name: user.name, credentials: user.credentials || "", roles: user.roles });
+
+function summarize(record) {
+  const last = record.report.workflow.steps[record.report.workflow.steps.length - 1];
+  return {
+    id: record.id,
+    unit: record.unit,
+    assessment: record.assessment,
+    status: record.status,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    lastStep: { status: last.status, by: last.by.name, at: last.at },
+    pc: record.report.coverage?.performanceCriteria?.percentage ?? null,
+    knowledge: record.report.coverage?.knowledge?.percentage ?? null,
+  };
+}
+
+/**
+ * createSignOffStore({ file, reportSeal }) -> store
+ *   list({ status? })                summaries, most recently changed first
+ *   get(id)                          full record, or null
+ *   signedOff(seal)                  the signed-off record of a sealed report, or null
+ *   exportable(report)               the report to export (see below); throws WorkflowError
+ *   create({ report, assessment }, user)   a new draft
+ *   advance(id, step, user, { note, outcome })   take a step (see STEPS); throws WorkflowError
+ */
+export function createSignOffStore({ file, reportSeal }) {
+  const json = createJsonFile(file);
+  const records = json.read({ records: {} }).records || {};
+  // records saved before reports carried their id
+  for (const r of Object.values(records)) r.report.signOffId = r.id;
+  const save = () => json.write({ version: 1, records });
+
+  return {
+    list({ status } = {}) {
+      return Object.values(records)
+        .filter((r) => !status || r.status === status)
+        .map(summarize)
+        .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    },
+
+    get: (id) => records[id] || null,
+
+    // the signed-off record holding exactly this report (by its seal, see ./reportSeal.js), or null
+    signedOff: (seal) => (seal && Object.values(records).find((r) => r.status === "signed-off" && r.report.seal === seal)) || null,
+
+    // A report on its way into an export. It must carry a valid seal; its workflow
+    // and sign-off are then the stored record's (by id, or the record signed off
+    // with this very report), and a report with no record loses whatever it claims.
+    exportable(report) {
+      if (reportSeal && !reportSeal.verify(report)) {
+        throw new WorkflowError("A report doesn't match one the server produced; validate the tool again and export that report.", 400);
+      }
+      const byId = report?.signOffId ? records[report.signOffId] : null;
+      const record = (byId?.report.seal === report?.seal && byId) || this.signedOff(report?.seal);
+      if (record) return record.report;
+      const { workflow: _workflow, signOff: _signOff, signOffId: _id, ...rest } = report || {};
+      return rest;
+    },
+
+    async create({ report, assessment }, user) {
+      if (!report?.unit?.code || !report.coverage) throw new WorkflowError("Send the report to sign off.", 400);
+      // only a report as the server scored it, with overrides made through the API
+      if (reportSeal && !reportSeal.verify(report)) {
+        throw new WorkflowError("This report doesn't match one the server produced; validate the tool again and submit that report.", 400);
+      }
+      if (isPlaceholder(report.provenance)) {
+        throw new WorkflowError("This report was scored against placeholder unit data; validate again with the real unit first.", 409);
+      }
+      const now = new Date().toISOString();
+      // a report that went through a workflow before starts a fresh one
+      const { workflow: _old, signOff: _oldSignOff, signOffId: _oldId, ...clean } = report;
+      const id = randomUUID();
+      const record = {
+        id,
+        unit: { code: report.unit.code, title: report.unit.title || "" },
+        assessment: String(assessment || ""),
+        createdAt: now,
+        updatedAt: now,
+        status: "draft",
+        report: { ...clean, signOffId: id, workflow: { status: "draft", steps: [{ status: "draft", by: actor(user), at: now }] } },
+      };
+      records[record.id] = record;
+      await save();
+      return record;
+    },
+
+    async advance(id, stepName, user, { note = "", outcome } = {}) {
+      const record = records[id];
+      if (!record) throw new WorkflowError("No such validation record.", 404);
+      const step = STEPS[stepName];
+      if (!step) throw new WorkflowError(`Unknown step "${stepName}" (use ${Object.keys(STEPS).join(", ")}).`, 400);
+      if (!user.roles.some((r) => step.roles.includes(r))) {
+        throw new WorkflowError(`Only ${step.roles.join(" or ")} users can ${stepName} a report.`, 403);
+      }
+      if (!step.from.includes(record.status)) {
+        throw new WorkflowError(`A ${record.status} report can't be ${stepName === "return" ? "returned" : step.to}.`);
+      }
+      if (step.to !== "draft" && !user.credentials) {
+        throw new WorkflowError("Add your credentials to your profile first; the record must show them.", 400);
+      }
+      if (stepName === "return" && !String(note).trim()) {
+        throw new WorkflowError("Say why the report is going back to draft.", 400);
+      }
+      if (stepName === "sign-off" && !OUTCOMES.includes(outcome)) {
+        throw new WorkflowError(`Choose an outcome (${OUTCOMES.join(", ")}).`, 400);
+      }
+
+      const now = new Date().toISOString();
+      const entry = {
+        status: step.to,
+        by: actor(user),
+        at: now,
+        ...(String(note).trim() ? { note: String(note).trim() } : {}),
+        ...(outcome && stepName === "sign-off" ? { outcome } : {}),
+      };
+      const workflow = { status: step.to, steps: [...record.report.workflow.steps, entry] };
+      const report = { ...record.report, workflow };
+      // the sign-off block exported reports print
+      if (step.to === "signed-off") {
+        report.signOff = { name: user.name, credentials: user.credentials, outcome, date: now.slice(0, 10) };
+      }
+      Object.assign(record, { status: step.to, updatedAt: now, report });
+      await save();
+      return record;
+    },
+  };
+}
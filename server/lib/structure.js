@@ -0,0 +1,287 @@
+// server/lib/structure.js
+// Structured document model: sections, numbered questions, paragraphs and
+// table cells, each with a location ID that is stable for the same file.
+//
+// Shape:
+//   {
+//     sections: [{ id: "s2", title: "Task 2: Mooring", label: "Task 2", kind: "task", level: 1 }],
+//     blocks:   [{ id: "s2.q5", type: "question", sectionId: "s2", number: "5", text, label: "Task 2, Q5", page? },
+//                { id: "s2.t1", type: "table", sectionId: "s2", label, rows: [[{ id: "s2.t1.r1c2", text }]] }, ...]
+//   }
+import { load } from "cheerio";
+import { questionText } from "./questionBank.js";
+
+const TASK_HEADING = /^(assessment\s+task|task|part|section|activity|project|case\s+study|observation|appendix)\b\s*[#-]?\s*(\d+[a-z]?|[a-z]\b|[ivx]+\b)/i;
+const INSTRUCTION_HEADING = /\binstructions?\b|\bguidance\b|\bconditions\b/i;
+const MARKING_HEADING = /marking\s+guide|benchmark|assessor\s+(guide|checklist)|observation\s+checklist/i;
+// "Q5", "Q 5.", "Question 5:", "5.", "5)", "2.3" at the start of a block
+const QUESTION_START = /^(?:q(?:uestion)?\s*\.?\s*(\d+(?:\.\d+)?[a-z]?)|(\d{1,3}(?:\.\d{1,2})?[a-z]?)[.)])\s*[:.-]?\s+(?=\S)/i;
+
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+
+function sectionLabel(title) {
+  const m = TASK_HEADING.exec(title);
+  if (m) return `${m[1].replace(/\s+/g, " ").replace(/^\w/, (c) => c.toUpperCase())} ${m[2].toUpperCase()}`;
+  return title.length > 40 ? `${title.slice(0, 37)}…` : title;
+}
+
+function sectionKind(title) {
+  if (TASK_HEADING.test(title)) return "task";
+  if (MARKING_HEADING.test(title)) return "marking";
+  if (INSTRUCTION_HEADING.test(title)) return "instructions";
+  return "section";
+}
+
+/* ------------------------------ builder ------------------------------ */
+// Collects sections/blocks and hands out IDs. Both the HTML and the plain
+// text front-ends feed it in document order.
+function createBuilder() {
+  const sections = [];
+  const blocks = [];
+  let current = null;
+  let counters = null;
+  const usedIds = new Set();
+
+  const uniqueId = (id) => {
+    let out = id;
+    for (let n = 2; usedIds.has(out); n++) out = `${id}-${n}`;
+    usedIds.add(out);
+    return out;
+  };
+
+  const openSection = (title, level) => {
+    const t = clean(title) || "Untitled";
+    current = {
+      id: `s${sections.length + 1}`,
+      title: t,
+      label: sectionLabel(t),
+      kind: sectionKind(t),
+      level,
+    };
+    counters = { b: 0, t: 0, l: 0 };
+    sections.push(current);
+    return current;
+  };
+
+  // content before the first heading lives in a "Front matter" section
+  const ensureSection = () => current || openSection("Front matter", 0);
+
+  const locationLabel = (section, suffix) => (section.level === 0 ? suffix : `${section.label}, ${suffix}`);
+
+  return {
+    heading(title, level, page) {
+      const s = openSection(title, level);
+      blocks.push({ id: `${s.id}.h`, type: "heading", sectionId: s.id, text: s.title, label: s.label, ...(page ? { page } : {}) });
+    },
+
+    paragraph(textRaw, page, listNumber) {
+      const text = clean(textRaw);
+      if (!text) return;
+      const s = ensureSection();
+      const m = QUESTION_START.exec(text);
+      const number = m ? m[1] || m[2] : listNumber;
+      if (number) {
+        const id = uniqueId(`${s.id}.q${number}`);
+        blocks.push({
+          id,
+          type: "question",
+          sectionId: s.id,
+          number: String(number),
+          text,
+          label: locationLabel(s, `Q${number}`),
+          ...(page ? { page } : {}),
+        });
+        return;
+      }
+      counters.b += 1;
+      const id = uniqueId(`${s.id}.p${counters.b}`);
+      blocks.push({
+        id,
+        type: s.kind === "instructions" ? "instruction" : "paragraph",
+        sectionId: s.id,
+        text,
+        label: locationLabel(s, `¶${counters.b}`),
+        ...(page ? { page } : {}),
+      });
+    },
+
+    table(rowsRaw, page) {
+      const s = ensureSection();
+      counters.t += 1;
+      const id = uniqueId(`${s.id}.t${counters.t}`);
+      const label = locationLabel(s, `Table ${counters.t}`);
+      const rows = rowsRaw.map((cells, r) =>
+        cells.map((cellText, c) => ({ id: `${id}.r${r + 1}c${c + 1}`, text: clean(cellText) }))
+      );
+      if (!rows.some((r) => r.some((c) => c.text))) return;
+      blocks.push({
+        id,
+        type: "table",
+        sectionId: s.id,
+        text: rows.map((r) => r.map((c) => c.text).join(" | ")).join("\n"),
+        label,
+        rows,
+        ...(page ? { page } : {}),
+      });
+    },
+
+    nextListNumber() {
+      ensureSection();
+      counters.l += 1;
+      return counters.l;
+    },
+
+    resetList() {
+      if (counters) counters.l = 0;
+    },
+
+    result() {
+      return { sections, blocks };
+    },
+  };
+}
+
+/* ---------------------------- front-ends ----------------------------- */
+// A bold-only short paragraph such as "Task 2 – Mooring" is a heading in
+// practice even when the author didn't use a Heading style.
+function looksLikeHeading($, el) {
+  const text = clean($(el).text());
+  if (!text || text.length > 90) return false;
+  const strong = clean($(el).children("strong").text());
+  return strong === text && (TASK_HEADING.test(text) || INSTRUCTION_HEADING.test(text) || MARKING_HEADING.test(text));
+}
+
+/** Build the model from mammoth.convertToHtml output. */
+export function structureFromHtml(html) {
+  const $ = load(html || "");
+  const b = createBuilder();
+
+  const walk = (nodes, depth = 0) => {
+    nodes.each((_, el) => {
+      const tag = (el.tagName || "").toLowerCase();
+      if (/^h[1-6]$/.test(tag)) {
+        b.heading($(el).text(), Number(tag[1]));
+        b.resetList();
+      } else if (tag === "p") {
+        if (looksLikeHeading($, el)) {
+          b.heading($(el).text(), 2);
+          b.resetList();
+        } else b.paragraph($(el).text());
+      } else if (tag === "ol" || tag === "ul") {
+        $(el)
+          .children("li")
+          .each((__, li) => {
+            const $li = $(li).clone();
+            $li.find("ol,ul").remove();
+            // only top-level numbered lists carry question numbers
+            b.paragraph($li.text(), null, tag === "ol" && depth === 0 ? b.nextListNumber() : null);
+            const nested = $(li).children("ol,ul");
+            if (nested.length) walk(nested, depth + 1);
+          });
+      } else if (tag === "table") {
+        const rows = [];
+        $(el)
+          .find("tr")
+          .each((__, tr) => {
+            rows.push($(tr).children("td,th").map((___, td) => $(td).text()).get());
+          });
+        b.table(rows);
+      } else if ($(el).children().length) {
+        walk($(el).children(), depth);
+      }
+    });
+  };
+
+  walk($("body").children());
+  return b.result();
+}
+
+// Plain text has no styles, so a heading is a short line that names a task
+// or an instructions/marking block and doesn't read like a sentence.
+function isHeadingLine(line) {
+  if (line.length > 90) return false;
+  if (TASK_HEADING.test(line)) return true;
+  return line.length <= 40 && !/[.?]$/.test(line) && (INSTRUCTION_HEADING.test(line) || MARKING_HEADING.test(line));
+}
+
+/** Build the model from plain text (PDF, .doc, .rtf, .odt, .txt). */
+export function structureFromText(text, pages) {
+  const b = createBuilder();
+  const chunks = pages?.length ? pages : [{ page: null, text: text || "" }];
+
+  for (const { page, text: chunk } of chunks) {
+    let para = [];
+    let rows = [];
+    const flush = () => {
+      if (para.length) b.paragraph(para.join(" "), page);
+      // consecutive tab-separated lines are the closest plain text gets to a table
+      if (rows.length) b.table(rows, page);
+      para = [];
+      rows = [];
+    };
+    for (const raw of chunk.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) {
+        flush();
+      } else if (isHeadingLine(line)) {
+        flush();
+        b.heading(line, 1, page);
+      } else if (line.includes("\t")) {
+        if (para.length) {
+          b.paragraph(para.join(" "), page);
+          para = [];
+        }
+        rows.push(line.split("\t"));
+      } else {
+        if (rows.length || QUESTION_START.test(line)) flush();
+        para.push(line);
+      }
+    }
+    flush();
+  }
+  return b.result();
+}
+
+/**
+ * Build the model from an LMS question bank (./questionBank.js): a heading per
+ * category or test section, and one question block per question, numbered
+ * through the quiz. Text between questions (Moodle descriptions) stays a paragraph.
+ */
+export function structureFromQuestions(quiz) {
+  const b = createBuilder();
+  let n = 0;
+  for (const section of quiz.sections) {
+    if (section.title) b.heading(section.title, 1);
+    for (const q of section.questions) {
+      if (q.type === "description") b.paragraph(q.stem);
+      else b.paragraph(`Q${++n}. ${questionText(q)}`);
+    }
+  }
+  return b.result();
+}
+
+/**
+ * Combine several files' models into one, e.g. a unit assessed across a task
+ * booklet and an observation checklist. IDs get a per-file prefix ("f2:s3.q1")
+ * so they stay unique, and every section/block records the file it came from.
+ * docs: [{ name, structure }]
+ */
+export function mergeStructures(docs) {
+  const sections = [];
+  const blocks = [];
+  docs.forEach(({ name, role, structure }, i) => {
+    const prefix = docs.length > 1 ? `f${i + 1}:` : "";
+    const from = { file: name, ...(role ? { role } : {}) };
+    for (const sec of structure?.sections || []) sections.push({ ...sec, id: prefix + sec.id, ...from });
+    for (const blk of structure?.blocks || []) {
+      blocks.push({
+        ...blk,
+        id: prefix + blk.id,
+        sectionId: prefix + blk.sectionId,
+        ...from,
+        ...(blk.rows ? { rows: blk.rows.map((r) => r.map((c) => ({ ...c, id: prefix + c.id }))) } : {}),
+      });
+    }
+  });
+  return { sections, blocks };
+}
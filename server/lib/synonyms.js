@@ -0,0 +1,58 @@
+// server/lib/synonyms.js
+// Domain synonym groups for the relevance matcher. Each group collapses to a
+// single concept, so "berthing" in a PC matches "mooring" in a question.
+// Entries are plain words/phrases; the matcher stems them, so list one form.
+// Keep groups tight: anything in a group is treated as the *same* term, so a
+// word with everyday senses ("line", "port", "check", "process", "risk") stays
+// out, or goes in only as part of a phrase ("hand signal", "visual check").
+// The "false-synonyms" samples in ../bench/matcher-samples.json check this.
+export const SYNONYM_GROUPS = [
+  // maritime
+  ["mooring line", "mooring rope", "warp", "hawser"],
+  ["moor", "mooring", "berth", "berthing", "secure alongside", "make fast"],
+  ["vessel", "ship", "boat"],
+  ["anchor", "anchoring", "ground tackle"],
+  ["knot", "bowline", "clove hitch", "reef knot", "sheet bend", "round turn and two half hitches"],
+  ["splice", "splicing"],
+  ["helm", "steering", "steering wheel"],
+  ["windlass", "capstan", "winch"],
+  ["snap-back zone", "snap back zone", "snapback zone"],
+  ["manoeuvre", "maneuver", "manoeuvring", "maneuvering"],
+  ["tide", "tidal stream"],
+  ["harbour", "harbor"],
+  ["deck machinery", "deck equipment"],
+  ["skipper", "captain", "vessel master"],
+
+  // work health and safety
+  ["personal protective equipment", "ppe", "protective clothing", "safety gear"],
+  ["whs", "work health and safety", "ohs", "occupational health and safety"],
+  ["lock-out/tag-out", "lockout tagout", "lock out tag out", "isolation procedure", "isolation and tagging"],
+  ["environmental incident", "pollution incident", "pollution event"],
+  ["spill", "leak"],
+  ["waste", "rubbish", "garbage"],
+  ["dispose", "disposal", "discard"],
+  ["segregate", "segregation", "waste separation"],
+  ["resource efficiency", "energy saving", "recycling", "sustainability initiative", "sustainable practice"],
+
+  // workplace / compliance
+  ["procedure", "standard operating procedure", "sop"],
+  ["regulation", "legislation", "statutory requirement"],
+  ["organisational", "organizational", "company", "enterprise"],
+  ["communicate", "communication", "liaise", "hand signal", "radio call", "radio communication"],
+  ["terminology", "vocabulary", "following terms", "key terms", "technical terms"],
+  ["supervisor", "team leader", "line manager"],
+  ["identify", "recognise", "recognize"],
+  ["maintain", "maintenance", "upkeep"],
+  ["inspect", "pre-use check", "visual check"],
+  ["safe working load", "swl", "working load limit", "wll"],
+];
+
+// One-way matches: the first word, in an assessment, also counts for the
+// second (or its group) in a criterion, but not the other way round. Aboard,
+// "ropes" in a question is evidence for a PC about "mooring lines"; a PC about
+// splicing ropes isn't met by a question about hawsers.
+export const ALSO_COVERS = [
+  ["rope", "mooring line"],
+  ["separate", "segregate"], // "separated before being taken ashore"
+  ["initiative", "opportunity"], // "energy saving initiatives"
+];
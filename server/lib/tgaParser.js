@@ -0,0 +1,343 @@
+// server/lib/tgaParser.js
+// Parse training.gov.au unit and qualification details pages into payloads.
+// The TGA markup changes every few years, so every section is best-effort:
+// a section that can't be found comes back empty rather than failing the unit.
+import { load } from "cheerio";
+
+const UNIT_CODE = /\b[A-Z]{3}[A-Z]{0,6}\d{3,4}[A-Z]?\b/g;
+const clean = (t) => String(t || "").replace(/\s+/g, " ").trim();
+
+// "MARN008 - Apply seamanship skills…" -> just the title (the code is compared, never put in a pattern)
+function titleWithoutCode(h1, code) {
+  const m = /^([A-Z0-9]+)\s*[-–:]?\s*(.*)$/i.exec(h1);
+  return (m && m[1].toUpperCase() === String(code || "").toUpperCase() && clean(m[2])) || h1;
+}
+
+// The content that belongs to a heading: everything after it up to the next
+// heading of the same or a higher level. When the heading sits alone at the top
+// of a wrapper (<div><h2/>…</div>), that wrapper is the section.
+function sectionFor($, pattern) {
+  const heading = $("h1,h2,h3,h4")
+    .filter((_, el) => pattern.test($(el).text()))
+    .first();
+  if (!heading.length) return null;
+
+  const level = Number(heading[0].tagName[1]);
+  const stop = Array.from({ length: level }, (_, i) => `h${i + 1}`).join(",");
+  const siblings = heading.nextUntil(stop);
+  if (siblings.length) return siblings;
+
+  const parent = heading.parent();
+  return parent.children().not(heading);
+}
+
+// List items when the section has them, otherwise its paragraphs.
+function itemsOf($, section) {
+  if (!section) return [];
+  const items = section.find("li").addBack("li");
+  const nodes = items.length ? items : section.find("p").addBack("p");
+  return nodes
+    .map((_, el) => {
+      const $el = $(el).clone();
+      $el.find("ul,ol").remove(); // nested list items are their own entries
+      return clean($el.text());
+    })
+    .get()
+    .filter(Boolean);
+}
+
+/* ---------------------- elements + performance criteria ---------------------- */
+// Handles both layouts TGA has used:
+//  - one row per element: [ "1. Prepare …" | "1.1 …  1.2 …" ]
+//  - one row per PC, with element rows in between: [ "1" | "Prepare …" ], [ "1.1" | "…" ]
+function parseElements($, section) {
+  const elements = [];
+  if (!section) return elements;
+  let current = null;
+
+  const startElement = (number, title) => {
+    current = { number, title: clean(title), pcs: [] };
+    elements.push(current);
+  };
+
+  section
+    .find("tr")
+    .addBack("tr")
+    .each((_, tr) => {
+      const cells = $(tr).children("td");
+      if (cells.length < 2) return;
+      const first = clean($(cells[0]).text());
+      const second = $(cells[1]);
+
+      const pcRow = /^(\d+\.\d+)\.?$/.exec(first);
+      if (pcRow) {
+        if (!current) startElement(pcRow[1].split(".")[0], "");
+        const description = clean(second.text());
+        if (description) current.pcs.push({ pcCode: pcRow[1], description });
+        return;
+      }
+
+      const elementRow = /^(\d+)\.?\s*(.*)$/.exec(first);
+      if (!elementRow) return; // header rows ("ELEMENT", "PERFORMANCE CRITERIA")
+
+      // element title in the first cell, or in the second when the first is just the number
+      const inlineTitle = elementRow[2];
+      const pcsText = second.find("p,li").length
+        ? second.find("p,li").map((__, el) => clean($(el).text())).get()
+        : clean(second.text()).split(/\s(?=\d+\.\d+\s)/);
+      const pcs = pcsText
+        .map((t) => /^(\d+\.\d+)\.?\s+(.+)$/.exec(t))
+        .filter(Boolean)
+        .map((m) => ({ pcCode: m[1], description: clean(m[2]) }));
+
+      startElement(elementRow[1], inlineTitle || (pcs.length ? "" : second.text()));
+      current.pcs.push(...pcs);
+    });
+
+  return elements.filter((el) => el.title || el.pcs.length);
+}
+
+/* ------------------------------ foundation skills ----------------------------- */
+// Table rows of [ Skill | (PC refs) | Description ]; falls back to list items.
+function parseFoundationSkills($, section) {
+  if (!section) return [];
+  const rows = [];
+  section
+    .find("tr")
+    .addBack("tr")
+    .each((_, tr) => {
+      const cells = $(tr).children("td");
+      if (cells.length < 2) return;
+      const skill = clean($(cells[0]).text());
+      const description = $(cells[cells.length - 1])
+        .find("li,p")
+        .map((__, el) => clean($(el).text()))
+        .get()
+        .filter(Boolean);
+      const text = description.length ? description.join(" ") : clean($(cells[cells.length - 1]).text());
+      if (skill && text && !/^skills?$/i.test(skill)) rows.push({ skill, description: text });
+    });
+  if (rows.length) return rows;
+  return itemsOf($, section).map((t) => ({ skill: "", description: t }));
+}
+
+/* ---------------------------------- header ------------------------------------ */
+function parseRelease($) {
+  // "Release 2" / "Release: 2" in the page header or details list; the
+  // release-history table further down repeats older numbers, so look high up first.
+  const scopes = [$("h1").first().parent(), $("dl,.details,.summary").first(), $("body")];
+  for (const scope of scopes) {
+    // no \b: cheerio's .text() runs adjacent elements together ("ReleaseRelease 2Status")
+    const m = /release\s*(?:number)?\s*:?\s*(\d+(?:\.\d+)?)/i.exec(clean(scope.text()));
+    if (m) return m[1];
+  }
+  return null;
+}
+
+/* ------------------------------ currency ------------------------------ */
+// "Equivalent" / "E Equivalent unit" / "Not equivalent" / "N" -> equivalent | not-equivalent | null
+export function equivalenceOf(text) {
+  const t = clean(text).toLowerCase();
+  if (!t) return null;
+  if (/\b(not|non)[\s-]*equivalent\b|^n\b/.test(t)) return "not-equivalent";
+  if (/\bno equivalent\b/.test(t)) return "not-equivalent";
+  if (/\bequivalent\b|^e\b/.test(t)) return "equivalent";
+  return null;
+}
+
+// Value next to a label in the page header: <dt>Status</dt><dd>…</dd>, or "Status: …" in a line.
+function headerValue($, label) {
+  const dt = $("dt,th")
+    .filter((_, el) => label.test(clean($(el).text())))
+    .first();
+  if (dt.length) return clean(dt.next("dd,td").text());
+  const line = $("p,li,div")
+    .filter((_, el) => $(el).children("p,div,ul").length === 0 && label.test(clean($(el).text())))
+    .first();
+  return line.length ? clean(clean(line.text()).replace(/^[^:]*:\s*/, "")) : "";
+}
+
+function parseUnitStatus($) {
+  const text = headerValue($, /^(usage recommendation|status)\b/i);
+  const m = /\b(current|superseded|deleted)\b/i.exec(text);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function parseSupersededBy($) {
+  let text = headerValue($, /^(is )?superseded by\b/i);
+  const section = sectionFor($, /^\s*(is )?superseded by/i);
+  if (!text && section) text = clean(section.text());
+  const code = text.toUpperCase().match(UNIT_CODE)?.[0];
+  if (!code) return null;
+  const title = clean(text.slice(text.toUpperCase().indexOf(code) + code.length).replace(/^\s*[-–:]\s*/, "").replace(/\(.*?\)\s*$/, ""));
+  return { code, title, equivalence: equivalenceOf(/\(([^)]*)\)\s*$/.exec(text)?.[1] || headerValue($, /^equivalence/i)) };
+}
+
+// Modification / release history table: [ "Release 2" | (date) | comments ]
+function parseReleaseHistory($) {
+  const section = sectionFor($, /modification history|release history/i);
+  if (!section) return [];
+  const releases = [];
+  section
+    .find("tr")
+    .addBack("tr")
+    .each((_, tr) => {
+      const cells = $(tr)
+        .children("td")
+        .map((__, td) => clean($(td).text()))
+        .get();
+      const release = /(\d+(?:\.\d+)?)/.exec(cells[0] || "")?.[1];
+      if (!release) return;
+      const date = cells.find((c) => /^(\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})$/.test(c)) || null;
+      releases.push({ release, date, comments: cells.length > 1 ? cells[cells.length - 1] : "" });
+    });
+  return releases;
+}
+
+// Mapping information: which unit this one replaced and whether it's equivalent.
+// Columns are found by header text; default order is current | previous | comments | equivalence.
+function parseMapping($) {
+  const section = sectionFor($, /mapping/i);
+  if (!section) return [];
+  const headers = section
+    .find("tr")
+    .first()
+    .children("th,td")
+    .map((_, c) => clean($(c).text()).toLowerCase())
+    .get();
+  const col = (re, fallback) => {
+    const i = headers.findIndex((h) => re.test(h));
+    return i >= 0 ? i : fallback;
+  };
+  const cur = col(/current|new/, 0);
+  const prev = col(/previous|superseded|old/, 1);
+  const eq = col(/equivalen/, 3);
+  const codeTitle = (t) => {
+    const code = t.toUpperCase().match(UNIT_CODE)?.[0];
+    return code ? { code, title: clean(t.slice(t.toUpperCase().indexOf(code) + code.length).replace(/^\s*[-–:]\s*/, "")) } : null;
+  };
+
+  const rows = [];
+  section.find("tr").each((_, tr) => {
+    const cells = $(tr)
+      .children("td")
+      .map((__, td) => clean($(td).text()))
+      .get();
+    const current = codeTitle(cells[cur] || "");
+    const previous = codeTitle(cells[prev] || "");
+    if (!current || !previous) return;
+    rows.push({ current, previous, equivalence: equivalenceOf(cells[eq] || ""), comments: cells[col(/comment/, 2)] || "" });
+  });
+  return rows;
+}
+
+function parsePrerequisites($, code) {
+  const section = sectionFor($, /pre-?requisite/i);
+  if (!section) return [];
+  const text = section.text().toUpperCase();
+  return [...new Set(text.match(UNIT_CODE) || [])].filter((c) => c !== code);
+}
+
+/**
+ * html -> unit payload:
+ * { unit: { code, title, release }, url, elements, elementsAndPC, knowledgeEvidence,
+ *   performanceEvidence, assessmentConditions, foundationSkills, prerequisites,
+ *   releases: [{ release, date, comments }], currency: { status, supersededBy }, mapping }
+ * Throws when the page has no title (not a unit page / markup changed wholesale).
+ */
+export function parseUnitPage(html, { code, url }) {
+  const $ = load(html);
+  const h1 = clean($("h1").first().text());
+  if (!h1) throw new Error("No title on page (unexpected TGA markup)");
+
+  const title = titleWithoutCode(h1, code);
+
+  const elements = parseElements($, sectionFor($, /elements.*performance criteria/i));
+  const elementsAndPC = elements.flatMap((el) => el.pcs.map((pc) => ({ ...pc, element: el.number })));
+
+  return {
+    unit: { code, title, release: parseRelease($) },
+    url,
+    elements,
+    elementsAndPC,
+    knowledgeEvidence: itemsOf($, sectionFor($, /knowledge evidence/i)),
+    performanceEvidence: itemsOf($, sectionFor($, /performance evidence/i)),
+    assessmentConditions: itemsOf($, sectionFor($, /assessment conditions/i)),
+    foundationSkills: parseFoundationSkills($, sectionFor($, /foundation skills/i)),
+    prerequisites: parsePrerequisites($, code),
+    releases: parseReleaseHistory($),
+    currency: { status: parseUnitStatus($), supersededBy: parseSupersededBy($) },
+    mapping: parseMapping($),
+  };
+}
+
+/* -------------------------------- qualifications ------------------------------ */
+// "Total number of units = 12 / 9 core units plus / 3 elective units"
+function parsePackagingRules(text) {
+  const num = (re) => {
+    const m = re.exec(text);
+    return m ? Number(m[1]) : null;
+  };
+  return {
+    total: num(/total\s+(?:number\s+of\s+)?units\s*[=:]?\s*(\d+)/i),
+    core: num(/(\d+)\s+core\s+units?/i),
+    electives: num(/(\d+)\s+elective\s+units?/i),
+    text,
+  };
+}
+
+/**
+ * html -> qualification payload:
+ * { qualification: { code, title, release }, url, packagingRules: { total, core, electives, text },
+ *   coreUnits: [{ code, title }], electiveUnits: [{ code, title, group }] }
+ * Units are read from any table whose first column holds unit codes; whether a
+ * table is core or elective comes from the nearest heading above it.
+ */
+export function parseQualificationPage(html, { code, url }) {
+  const $ = load(html);
+  const h1 = clean($("h1").first().text());
+  if (!h1) throw new Error("No title on page (unexpected TGA markup)");
+  const title = titleWithoutCode(h1, code);
+
+  const rulesSection = sectionFor($, /packaging rules/i);
+  const rulesText = rulesSection
+    ? rulesSection
+        .filter("p,ul,ol")
+        .map((_, el) => clean($(el).text()))
+        .get()
+        .filter(Boolean)
+        .join("\n")
+    : "";
+
+  const coreUnits = [];
+  const electiveUnits = [];
+  const seen = new Set();
+  $("table").each((_, table) => {
+    const heading = clean(
+      $(table).prevAll("h2,h3,h4,h5,p").first().text() || $(table).parent().prevAll("h2,h3,h4,h5").first().text()
+    );
+    $(table)
+      .find("tr")
+      .each((__, tr) => {
+        const cells = $(tr).children("td");
+        if (cells.length < 2) return;
+        const unitCode = clean($(cells[0]).text()).toUpperCase();
+        if (!/^[A-Z]{3}[A-Z]{0,6}\d{3,4}[A-Z]?$/.test(unitCode) || seen.has(unitCode)) return;
+        seen.add(unitCode);
+        const unitTitle = clean($(cells[1]).text());
+        // an explicit "Core"/"Elective" column beats the heading
+        const typeCell = cells.length > 2 ? clean($(cells[2]).text()) : "";
+        const isElective = /elective/i.test(typeCell) || (!/core/i.test(typeCell) && /elective/i.test(heading));
+        if (isElective) electiveUnits.push({ code: unitCode, title: unitTitle, group: heading });
+        else coreUnits.push({ code: unitCode, title: unitTitle });
+      });
+  });
+
+  return {
+    qualification: { code, title, release: parseRelease($) },
+    url,
+    packagingRules: parsePackagingRules(rulesText),
+    coreUnits,
+    electiveUnits,
+  };
+}
@@ -0,0 +1,94 @@
+// server/lib/toolkit.js
+// Assessment toolkits: a tool is usually several files (student task, marking
+// guide, observation checklist, mapping) uploaded together or as one zip.
+// Each file keeps its name and a role; coverage is scored over the combined
+// structure so evidence can say which file it came from.
+import JSZip from "jszip";
+import { extractDocument, SUPPORTED_EXTENSIONS, UnsupportedFileError } from "./extract.js";
+import { isQtiPackage } from "./questionBank.js";
+import { mergeStructures } from "./structure.js";
+import { MAX_ZIP_MB, zipBudget } from "./zipInflate.js";
+
+export const ROLES = ["student-task", "marking-guide", "observation-checklist", "mapping", "other"];
+
+const MAX_ZIP_ENTRIES = 50;
+
+// First match wins; file names are checked before content.
+const ROLE_HINTS = [
+  ["mapping", /\bmapping\b|\bmatrix\b/i],
+  ["marking-guide", /\bmarking\b|\bassessor(?:'s)? (guide|pack|instructions)\b|\bbenchmark\b|\banswer (guide|key)\b/i],
+  ["observation-checklist", /\bobservation\b|\bchecklist\b|\bpractical\b/i],
+  ["student-task", /\bstudent\b|\blearner\b|\bcandidate\b|\btask\b|\bquestions?\b|\bassessment\b/i],
+];
+
+export function guessRole(name, text = "") {
+  // "Marking_Guide-v2.docx" -> "Marking Guide v2"
+  const readable = name.replace(/\.[^.]+$/, "").replace(/[_\-.]+/g, " ");
+  const head = text.slice(0, 1500);
+  for (const source of [readable, head]) {
+    const hit = ROLE_HINTS.find(([, re]) => re.test(source));
+    if (hit) return hit[0];
+  }
+  return "other";
+}
+
+// Uploaded files with zips unpacked -> [{ name, data, mimetype }]. A QTI content
+// package is one question bank, so it's passed on whole.
+export async function expandUploads(uploads) {
+  const out = [];
+  for (const f of [].concat(uploads || [])) {
+    if (!/\.zip$/i.test(f.name || "") && !/zip/.test(f.mimetype || "")) {
+      out.push(f);
+      continue;
+    }
+    const zip = await JSZip.loadAsync(f.data).catch(() => {
+      throw new UnsupportedFileError(`${f.name} is not a readable zip file.`);
+    });
+    // the manifest check and every document come out of one budget
+    const budget = zipBudget(() => new UnsupportedFileError(`${f.name} unpacks to more than ${MAX_ZIP_MB} MB.`));
+    if (await isQtiPackage(zip, budget)) {
+      out.push(f);
+      continue;
+    }
+    const entries = Object.values(zip.files).filter(
+      (e) =>
+        !e.dir &&
+        !/(^|\/)(__MACOSX|\.)/.test(e.name) &&
+        SUPPORTED_EXTENSIONS.some((ext) => e.name.toLowerCase().endsWith(ext))
+    );
+    if (entries.length > MAX_ZIP_ENTRIES) {
+      throw new UnsupportedFileError(`${f.name} has more than ${MAX_ZIP_ENTRIES} documents.`);
+    }
+    for (const e of entries) {
+      const data = await budget.read(e);
+      // other XML that travels with documents (manifests, metadata) isn't a question bank
+      if (/\.xml$/i.test(e.name) && !/<(quiz|assessmentItem)[\s>]/.test(data.toString("utf8", 0, 4096))) continue;
+      out.push({ name: e.name, data, mimetype: "" });
+    }
+  }
+  if (!out.length) throw new UnsupportedFileError("No supported documents in the upload.");
+  return out;
+}
+
+// [{ name, role, text, structure }] -> { text, structure } to score against
+export function combineToolkit(files) {
+  return {
+    text: files.map((f) => f.text || "").join("\n\n"),
+    structure: mergeStructures(files),
+  };
+}
+
+/**
+ * Extract every file of an upload. roles: { [fileName]: role } overrides the guess.
+ * Returns { files: [{ name, role, text, pages?, structure }], text, structure }.
+ */
+export async function extractToolkit(uploads, roles = {}) {
+  const files = [];
+  // one at a time: the extractors are CPU-heavy and the files can be large
+  for (const f of await expandUploads(uploads)) {
+    const { text, pages, structure } = await extractDocument(f);
+    const role = ROLES.includes(roles[f.name]) ? roles[f.name] : guessRole(f.name, text);
+    files.push({ name: f.name, role, text, ...(pages ? { pages } : {}), structure });
+  }
+  return { files, ...combineToolkit(files) };
+}
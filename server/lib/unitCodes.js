@@ -0,0 +1,179 @@
+// server/lib/unitCodes.js
+// Unit of competency code detection.
+//
+// National unit codes are a three-letter training package prefix, a one to
+// five letter competency field and a three or four digit number, with an
+// optional superseded-release letter: MARN008, BSBWHS411, CPCCWHS1001,
+// UEENEEE101A. Assessment tools also write them as "BSB WHS 411" or
+// "marn008", and they are full of look-alikes (model numbers, years, form
+// codes). Every candidate is scored on its shape, the words around it and
+// where it sits in the document, so the user can confirm what we found.
+
+export const ACCEPT_AT = 0.5; // confidence at which a code is pre-accepted
+// What a lookup takes as a code: letters and digits only, so it's safe in a file
+// name, a URL or a pattern. (Whether it looks like a real code is detectUnitCodes' job.)
+export const CODE_FORMAT = /^[A-Z0-9]{3,15}$/i;
+const SUGGEST_AT = 0.2; // below this a candidate is not worth showing
+const MAX_CONTEXTS = 3;
+
+// Training package prefixes (current and recently superseded packages).
+const PACKAGES = new Set([
+  "ACM","AHC","AMP","AUM","AUR","AVI","BSB","CHC","CPC","CPP","CSC","CUA","CUF","CUS","CUV","DEF",
+  "FBP","FDF","FNS","FPI","FWP","HLT","ICA","ICP","ICT","LGA","MAR","MEA","MEM","MSA","MSF","MSL",
+  "MSM","MSS","MST","NWP","PMA","PMB","PPM","PRS","PSP","PUA","RGR","RII","SFI","SFL","SHB","SIH",
+  "SIR","SIS","SIT","SRO","TAE","TDM","TLI","UEE","UEG","UEP","UET",
+]);
+
+// prefix, field and number; spaces or hyphens allowed between the parts
+const CANDIDATE = /\b([A-Za-z]{3})([ -]?)([A-Za-z]{1,5})([ -]?)(\d{3,4})([A-Za-z]?)\b/g;
+const UNIT_WORDS = /\b(?:units?(?:\s+of\s+competency)?|uoc|competency|unit\s+code|code)\b[\s:#.\-–]*$/i;
+const NOT_UNIT_WORDS =
+  /\b(?:model|serial|part|form|iso|version|ver|ref|reference|invoice|abn|acn|product|sku|item|phone|licen[cs]e|standard|as\/nzs)\b[\s:#.\-–]*(?:no\.?|number)?[\s:#.\-–]*$/i;
+
+const compact = (s) => s.toUpperCase().replace(/[\s-]+/g, "");
+const collapse = (s) => s.replace(/\s+/g, " ").trim();
+
+function headingTexts(structure) {
+  if (!structure) return [];
+  return [
+    ...(structure.sections || []).map((s) => s.title || ""),
+    ...(structure.blocks || []).filter((b) => b.type === "heading").map((b) => b.text || ""),
+  ].map(compact);
+}
+
+function blockLabelFor(structure, raw) {
+  const block = (structure?.blocks || []).find((b) => (b.text || "").includes(raw));
+  return block?.label;
+}
+
+/**
+ * Score every unit-code-shaped string in the text.
+ * Returns [{ code, confidence (0..1), accepted, occurrences, reasons, contexts: [{ snippet, label? }] }],
+ * most confident first. `structure` (optional) is the document model from structure.js.
+ */
+export function detectUnitCodes(text, structure = null) {
+  if (!text) return [];
+  const headings = headingTexts(structure);
+  const byCode = new Map();
+
+  const candidates = new RegExp(CANDIDATE);
+  let m;
+  while ((m = candidates.exec(text))) {
+    const [raw, prefix, sep1, , sep2, , suffix] = m;
+    const code = compact(raw);
+    const pkg = prefix.toUpperCase();
+    const known = PACKAGES.has(pkg);
+    const canonical = !sep1 && !sep2 && raw === raw.toUpperCase();
+    // relaxed spellings only count for real package prefixes ("page 123" is not a unit);
+    // a real code can start inside the rejected match ("for MARN008"), so look again from there
+    if ((!canonical && !known) || (suffix && !known)) {
+      candidates.lastIndex = m.index + 1;
+      continue;
+    }
+
+    let c = byCode.get(code);
+    if (!c) {
+      c = { code, occurrences: 0, known, canonical: false, unitWord: false, notUnitWord: false, placed: false, contexts: [] };
+      byCode.set(code, c);
+    }
+    c.occurrences += 1;
+    c.canonical ||= canonical;
+
+    const before = text.slice(Math.max(0, m.index - 40), m.index);
+    if (UNIT_WORDS.test(before)) c.unitWord = true;
+    else if (NOT_UNIT_WORDS.test(before)) c.notUnitWord = true;
+
+    // header/title placement: a heading, the start of a line, or the cover page
+    const lineStart = /(^|\n)[ \t]*$/.test(before) || m.index === 0;
+    if (lineStart || m.index < 600 || headings.some((h) => h.includes(code))) c.placed = true;
+
+    if (c.contexts.length < MAX_CONTEXTS) {
+      const snippet = collapse(text.slice(Math.max(0, m.index - 60), m.index + raw.length + 60));
+      const label = blockLabelFor(structure, raw);
+      c.contexts.push(label ? { snippet, label } : { snippet });
+    }
+  }
+
+  const out = [];
+  for (const c of byCode.values()) {
+    const reasons = [];
+    let score = c.known ? 0.35 : 0.1;
+    reasons.push(c.known ? `"${c.code.slice(0, 3)}" is a training package prefix` : "unknown training package prefix");
+
+    if (c.canonical) {
+      score += 0.15;
+      reasons.push("written in standard form");
+    } else {
+      score -= 0.1;
+      reasons.push("written with spaces or lowercase");
+    }
+    if (/(?:19|20)\d\d$/.test(c.code) && !c.known) {
+      score -= 0.3;
+      reasons.push("number looks like a year");
+    }
+    if (c.unitWord) {
+      score += 0.25;
+      reasons.push('follows "Unit", "UoC" or "code"');
+    }
+    if (c.notUnitWord) {
+      score -= 0.4;
+      reasons.push("follows a model, form or reference label");
+    }
+    if (c.placed) {
+      score += 0.15;
+      reasons.push("appears in a heading, title line or cover page");
+    }
+    if (c.occurrences > 1) {
+      score += Math.min(0.1, 0.05 * (c.occurrences - 1));
+      reasons.push(`mentioned ${c.occurrences} times`);
+    }
+
+    const confidence = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+    if (confidence < SUGGEST_AT) continue;
+    out.push({
+      code: c.code,
+      confidence,
+      accepted: confidence >= ACCEPT_AT,
+      occurrences: c.occurrences,
+      reasons,
+      contexts: c.contexts,
+    });
+  }
+  return out.sort((a, b) => b.confidence - a.confidence || a.code.localeCompare(b.code));
+}
+
+export class UnitCodeError extends Error {
+  constructor(code) {
+    super(`"${String(code).slice(0, 40)}" is not a unit or qualification code (3 to 15 letters and digits).`);
+    this.status = 400;
+  }
+}
+
+/** The code, upper-cased; throws UnitCodeError unless it matches CODE_FORMAT. */
+export function checkCode(raw) {
+  const code = String(raw ?? "").trim().toUpperCase();
+  if (!CODE_FORMAT.test(code)) throw new UnitCodeError(raw);
+  return code;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Codes confident enough to validate without asking.
+export function findUocCandidates(text, structure = null) {
+  return detectUnitCodes(text, structure)
+    .filter((c) => c.accepted)
+    .map((c) => c.code);
+}
+
+// Release of `code` the text says it assesses ("MARN008 … Release 2", "MARN008 (R1)"), or null.
+export function referencedRelease(text, code) {
+  if (!text || !code) return null;
+  const m = /^([A-Z]{3})([A-Z]{1,5})(\d{3,4}[A-Z]?)$/.exec(code);
+  const spelled = m ? `${m[1]}[ -]?${m[2]}[ -]?${m[3]}` : escapeRegExp(code);
+  const re = new RegExp(`\\b${spelled}\\b([^\\n]{0,120})`, "gi");
+  for (const hit of text.matchAll(re)) {
+    const r = /\b(?:release|rel\.?)\s*:?\s*(\d+(?:\.\d+)?)|\(R(\d+)\)/i.exec(hit[1]);
+    if (r) return r[1] || r[2];
+  }
+  return null;
+}
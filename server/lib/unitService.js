@@ -0,0 +1,235 @@
+// server/lib/unitService.js
+// Unit and qualification lookup (cache -> configured sources -> stale cache ->
+// placeholder, when enabled) and scoring an assessment against a list of codes.
+// Shared by the HTTP API and the command-line validator so both give the same
+// reports. Every unit payload carries its provenance (see ./provenance.js).
+import { createUocStore } from "./uocStore.js";
+import { createProviders, fetchFromProviders } from "./providers/index.js";
+import { buildEmptyReport, buildReport } from "./engine.js";
+import { createRubricStore } from "./rubric.js";
+import { createJobRunner, JobError } from "./jobs.js";
+import { cached, fetched, placeholder } from "./provenance.js";
+import { checkCode } from "./unitCodes.js";
+import { assessedUnits, validateQualification } from "./qualification.js";
+
+const DEFAULT_DATA_DIR = new URL("../data", import.meta.url).pathname;
+
+/** Service options from the environment (DATA_DIR, UOC_SOURCES, TGA_*, UOC_*). */
+export function configFromEnv(env = process.env) {
+  const dataDir = env.DATA_DIR || DEFAULT_DATA_DIR;
+  return {
+    dataDir,
+    cacheTtlHours: Number(env.UOC_CACHE_TTL_HOURS) || 24 * 7,
+    // Unit data sources, tried in this order (see lib/providers). Unconfigured ones are skipped.
+    sources: env.UOC_SOURCES || "tga-html,tga-ws,local",
+    tgaHtmlBase: env.TGA_HTML_BASE || "https://training.gov.au",
+    tgaWsBase: env.TGA_WS_BASE || "",
+    localDir: env.UOC_LOCAL_DIR || `${dataDir}/units`,
+    // Unit lookups in flight at once (across every validation), and retries of a failed one.
+    lookupConcurrency: Number(env.UOC_CONCURRENCY) || 3,
+    lookupRetries: env.UOC_RETRIES === undefined ? 2 : Number(env.UOC_RETRIES) || 0,
+    lookupBackoffMs: Number(env.UOC_RETRY_BACKOFF_MS) || 1000,
+    // Placeholder units (fixtures/mock-units.js) when nothing real is available: "on" or "off";
+    // off by default in production, where a unit without real data is refused instead.
+    placeholders: env.UOC_PLACEHOLDERS ? env.UOC_PLACEHOLDERS === "on" : env.NODE_ENV !== "production",
+  };
+}
+
+/**
+ * createUnitService(configFromEnv()) -> {
+ *   providers, uocStore, qualificationStore, rubricStore,
+ *   rubricFor(code) -> the rubric that scores the unit,
+ *   getUocPayload(code, { refresh, signal, fallback }), getQualificationPayload(code, { refresh }),
+ *   validateAssessment(text, codes, structure) -> reports
+ *   startValidation(text, codes, structure, { owner, detected }) -> job snapshot (see ./jobs.js),
+ *   validateQualificationTools(qualPayload, tools) -> dashboard (see ./qualification.js)
+ *   startQualificationValidation(qualPayload, tools, { owner }) -> job snapshot; its result is the dashboard,
+ *   jobs: the job runner (get, cancel, subscribe, wait)
+ * }
+ */
+export function createUnitService(config) {
+  const providers = createProviders(config.sources, config);
+  // every report this service hands out is sealed (see ./reportSeal.js)
+  const seal = config.sealReport || ((report) => report);
+
+  // Real unit data only; generated fallbacks are never stored.
+  const ttlMs = config.cacheTtlHours * 60 * 60 * 1000;
+  const uocStore = createUocStore({ file: `${config.dataDir}/uoc-cache.json`, ttlMs });
+  const qualificationStore = createUocStore({ file: `${config.dataDir}/qualification-cache.json`, ttlMs });
+  const rubricStore = createRubricStore({ file: `${config.dataDir}/rubrics.json` });
+  const rubricFor = (code) => rubricStore.resolve(code);
+  // every unit lookup goes through this pool, whichever validation asked for it
+  const jobs = createJobRunner({
+    concurrency: config.lookupConcurrency,
+    retries: config.lookupRetries,
+    backoffMs: config.lookupBackoffMs,
+  });
+
+  // opts.refresh skips the cache and re-fetches from the sources.
+  // A superseded unit's page doesn't always say whether its replacement is
+  // equivalent; the replacement's mapping information does.
+  async function withEquivalence(payload, signal) {
+    const next = payload.currency?.supersededBy;
+    if (!next || next.equivalence) return payload;
+    try {
+      const replacement = await fetchFromProviders(providers, next.code, "unit", { signal });
+      await uocStore.set(replacement);
+      const row = (replacement.mapping || []).find((m) => m.previous.code === payload.unit.code);
+      const supersededBy = { ...next, title: next.title || replacement.unit.title, equivalence: row?.equivalence || null };
+      return { ...payload, currency: { ...payload.currency, supersededBy } };
+    } catch {
+      return payload; // replacement unreachable: still superseded, equivalence unknown
+    }
+  }
+
+  // opts.fallback: false throws when the sources fail instead of falling back to stale or mock data
+  async function getUocPayload(codeRaw, { refresh = false, signal, fallback = true } = {}) {
+    const code = checkCode(codeRaw);
+
+    // cache first
+    const hit = refresh ? null : uocStore.get(code);
+    if (hit) return { ...hit.payload, cachedAt: hit.fetchedAt, provenance: cached(hit.payload, hit.fetchedAt) };
+
+    // try each configured source in order
+    try {
+      const live = await withEquivalence(await fetchFromProviders(providers, code, "unit", { signal }), signal);
+      await uocStore.set(live);
+      return { ...live, provenance: fetched(live.source) };
+    } catch (err) {
+      if (!fallback || signal?.aborted) throw err;
+      return fallbackPayload(code, err);
+    }
+  }
+
+  // loaded on first use, and never when placeholders are off
+  let mocks = null;
+  const loadMocks = () => (mocks ||= import("../fixtures/mock-units.js"));
+
+  async function fallbackPayload(code, err) {
+    // expired real data beats made-up data
+    const stale = uocStore.peek(code);
+    if (stale) {
+      return { ...stale.payload, cachedAt: stale.fetchedAt, stale: true, provenance: cached(stale.payload, stale.fetchedAt, true) };
+    }
+    if (!config.placeholders) throw err;
+
+    // a placeholder (for testing while sources are down); not cached so the next call retries them
+    const { mockUnit } = await loadMocks();
+    return { ...mockUnit(code), provenance: placeholder() };
+  }
+
+  // Qualifications have no mock fallback: without real packaging there is nothing to validate against.
+  async function getQualificationPayload(codeRaw, { refresh = false } = {}) {
+    const code = checkCode(codeRaw);
+
+    const cached = refresh ? null : qualificationStore.get(code);
+    if (cached) return { ...cached.payload, cachedAt: cached.fetchedAt };
+
+    try {
+      const live = await fetchFromProviders(providers, code, "qualification");
+      await qualificationStore.set(live);
+      return live;
+    } catch (err) {
+      const stale = qualificationStore.peek(code);
+      if (stale) return { ...stale.payload, cachedAt: stale.fetchedAt, stale: true };
+      throw err;
+    }
+  }
+
+  const noUnitsReport = () =>
+    buildEmptyReport(
+      { code: "N/A", title: "No UoC detected" },
+      {
+        element: "UoC",
+        description: "No valid UoC detected in document.",
+        recommendation: "Ensure the assessment references the correct Unit code(s) per Training.gov.au.",
+      }
+    );
+
+  // one task per code: transient source failures are retried; the last attempt
+  // (or a code no source knows) settles for stale or placeholder data like a direct lookup
+  async function lookupTask(code, { signal, final }) {
+    try {
+      return await getUocPayload(code, { signal, fallback: false });
+    } catch (e) {
+      if (signal.aborted || (e.transient && !final)) throw e;
+      return fallbackPayload(String(code).toUpperCase(), e);
+    }
+  }
+
+  // no real details and no placeholders: nothing to score against
+  const unavailableReport = (code) =>
+    buildEmptyReport(
+      { code, title: "No TGA details available" },
+      {
+        element: code,
+        description: "Could not fetch details from training.gov.au for this code.",
+        recommendation: "Check the unit code or try again later.",
+      }
+    );
+
+  const reportsFor = (tasks, text, structure) =>
+    tasks.map(({ item: code, status, value }) =>
+      status === "done" ? buildReport(value, text, structure, rubricFor(code)) : unavailableReport(code)
+    );
+
+  // one lookup task per code, through the shared pool
+  const lookupJob = (owner, codes, finish) =>
+    jobs.start({
+      owner,
+      items: codes,
+      run: lookupTask,
+      retryable: (e) => e.transient === true,
+      summarize: (p) => ({ title: p.unit?.title || "", provenance: p.provenance }),
+      finish,
+    });
+
+  async function resultOf({ id }) {
+    const job = await jobs.wait(id);
+    if (job.status !== "done") throw new JobError(job.error || `The validation was ${job.status}.`, job.status === "cancelled" ? 409 : 500);
+    return job.result;
+  }
+
+  function startValidation(text, codes, structure, { owner = null, detected = [] } = {}) {
+    return lookupJob(owner, codes, (tasks) => ({
+      detected,
+      reports: (codes.length ? reportsFor(tasks, text, structure) : [noUnitsReport()]).map(seal),
+    }));
+  }
+
+  async function validateAssessment(text, codes, structure) {
+    if (!codes.length) return [seal(noUnitsReport())];
+    return (await resultOf(startValidation(text, codes, structure))).reports;
+  }
+
+  // tools: [{ name, text, structure?, detected }]; only the units some tool references are looked up
+  function startQualificationValidation(qualPayload, tools, { owner = null } = {}) {
+    return lookupJob(owner, assessedUnits(qualPayload, tools), async (tasks) => {
+      const byCode = new Map(tasks.map((t) => [t.item, t]));
+      const getUnit = async (code) => {
+        const task = byCode.get(code);
+        if (task?.status !== "done") throw new Error(task?.error || "Could not fetch details for this unit.");
+        return task.value;
+      };
+      const result = await validateQualification(qualPayload, tools, getUnit, rubricFor);
+      return { ...result, units: result.units.map((u) => (u.report ? { ...u, report: seal(u.report) } : u)) };
+    });
+  }
+
+  const validateQualificationTools = (qualPayload, tools) => resultOf(startQualificationValidation(qualPayload, tools));
+
+  return {
+    providers,
+    uocStore,
+    qualificationStore,
+    rubricStore,
+    rubricFor,
+    getUocPayload,
+    getQualificationPayload,
+    validateAssessment,
+    startValidation,
+    validateQualificationTools,
+    startQualificationValidation,
+    jobs,
+  };
+}
@@ -0,0 +1,96 @@
+// server/lib/uocStore.js
+// File-backed cache of unit-of-competency payloads, keyed by code + release.
+// Qualification payloads use the same store shape (their own file).
+// One JSON file, saved through ./jsonFile.js. It's only a cache: a file that
+// won't load starts it empty, and a failed save is logged without failing the
+// lookup that fetched the unit.
+import { createJsonFile } from "./jsonFile.js";
+
+const LATEST = "latest"; // release key when the source doesn't report one
+
+const keyOf = (code, release) => `${code}@${release || LATEST}`;
+
+/**
+ * createUocStore({ file, ttlMs }) -> store
+ *   get(code, release?)  fresh entry or null (no release = most recently fetched)
+ *   peek(code, release?) entry regardless of age, or null
+ *   set(payload)         store a real (non-fallback) payload
+ *   list()               summaries of every entry
+ *   entries(code)        all releases cached for a code
+ *   evict(code, release?) remove one release or every release; returns count
+ */
+export function createUocStore({ file, ttlMs }) {
+  const json = createJsonFile(file);
+  let data = {}; // key -> { code, release, fetchedAt, expiresAt, payload }
+  try {
+    data = json.read({ entries: {} }).entries || {};
+  } catch (e) {
+    console.warn(`uoc cache unreadable, starting empty: ${e.message}`);
+  }
+  const persist = () => json.write({ version: 1, entries: data });
+
+  const isFresh = (entry) => Date.parse(entry.expiresAt) > Date.now();
+
+  const peek = (codeRaw, release) => {
+    const code = String(codeRaw || "").toUpperCase();
+    if (release) return data[keyOf(code, release)] || null;
+    const all = Object.values(data).filter((e) => e.code === code);
+    return all.sort((a, b) => Date.parse(b.fetchedAt) - Date.parse(a.fetchedAt))[0] || null;
+  };
+
+  return {
+    ttlMs,
+
+    get(code, release) {
+      const entry = peek(code, release);
+      return entry && isFresh(entry) ? entry : null;
+    },
+
+    peek,
+
+    async set(payload) {
+      const subject = payload.unit || payload.qualification || {};
+      const code = String(subject.code || "").toUpperCase();
+      if (!code) throw new Error("Cannot cache a payload without unit.code / qualification.code");
+      const release = subject.release || LATEST;
+      const now = new Date();
+      const entry = {
+        code,
+        release,
+        fetchedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+        payload,
+      };
+      data[keyOf(code, release)] = entry;
+      await persist().catch((e) => console.error("uoc cache write failed:", e.message));
+      return entry;
+    },
+
+    list() {
+      return Object.values(data)
+        .map(({ code, release, fetchedAt, expiresAt, payload }) => ({
+          code,
+          release,
+          title: (payload.unit || payload.qualification)?.title || "",
+          source: payload.source,
+          fetchedAt,
+          expiresAt,
+          fresh: isFresh({ expiresAt }),
+        }))
+        .sort((a, b) => a.code.localeCompare(b.code) || a.release.localeCompare(b.release));
+    },
+
+    entries(codeRaw) {
+      const code = String(codeRaw || "").toUpperCase();
+      return Object.values(data).filter((e) => e.code === code);
+    },
+
+    async evict(codeRaw, release) {
+      const code = String(codeRaw || "").toUpperCase();
+      const keys = Object.keys(data).filter((k) => data[k].code === code && (!release || data[k].release === release));
+      keys.forEach((k) => delete data[k]);
+      if (keys.length) await persist();
+      return keys.length;
+    },
+  };
+}
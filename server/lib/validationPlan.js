@@ -0,0 +1,350 @@
+// server/lib/validationPlan.js
+// The validation schedule: training products on scope, the units sampled
+// from each, and when each unit is next due. A unit's last validation comes
+// from the saved reports linked to it (sign-off records, or project versions
+// whose report was then signed off) or a date entered by hand; its risk rating
+// sets how soon it falls due again.
+//
+// Layout: one JSON file, { products: { [id]: { id, code, title, kind, addedAt, updatedAt, units: [...] } } }
+// where a unit is { code, title, type?, risk, sampled, plannedDate, lastValidated, validator, notes, links: [...] }
+// and a link is { kind: "project", id, version, linkedAt } or { kind: "sign-off", id, linkedAt }.
+import { randomUUID } from "node:crypto";
+import { createJsonFile } from "./jsonFile.js";
+
+// Every product on scope is validated at least once per cycle.
+export const CYCLE_YEARS = 5;
+// Risk rating -> years between validations of a unit.
+export const RISK_INTERVAL_YEARS = { high: 1, medium: 3, low: 5 };
+export const RISKS = Object.keys(RISK_INTERVAL_YEARS);
+export const PRODUCT_KINDS = ["qualification", "skill-set", "unit", "course"];
+// "due" rather than "scheduled" this many days out
+export const DUE_SOON_DAYS = 90;
+
+export class PlanError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* ------------------------------- dates -------------------------------- */
+const DAY_MS = 24 * 3600 * 1000;
+const isoDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+// "" / null clear a date; anything else must be YYYY-MM-DD
+function cleanDate(value, label) {
+  if (value === "" || value === null) return null;
+  const s = String(value);
+  // round-trip so 2026-02-30 doesn't quietly become March
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || Number.isNaN(Date.parse(s)) || isoDay(s) !== s) {
+    throw new PlanError(`${label} must be a date (YYYY-MM-DD).`);
+  }
+  return s;
+}
+
+function addYears(day, years) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return isoDay(d);
+}
+
+const latest = (days) => days.filter(Boolean).sort().pop() || null;
+
+/* ------------------------------- units -------------------------------- */
+const cleanCode = (code) => String(code || "").trim().toUpperCase();
+
+function newUnit({ code, title, type }) {
+  const unitCode = cleanCode(code);
+  if (!/^[A-Z0-9]{5,15}$/.test(unitCode)) throw new PlanError(`"${code}" is not a unit code.`);
+  return {
+    code: unitCode,
+    title: String(title || "").trim(),
+    ...(type ? { type } : {}),
+    risk: "medium",
+    // electives are only on the plan once they're actually delivered
+    sampled: type !== "elective",
+    plannedDate: null,
+    lastValidated: null,
+    validator: "",
+    notes: "",
+    links: [],
+  };
+}
+
+/**
+ * createValidationPlan({ file, projectStore, signOffStore }) -> plan
+ *   list()                                   products with each unit's due date and status, plus totals
+ *   get(id)                                  one product, computed the same way, or null
+ *   addProduct({ code, title, kind, units }) units: [{ code, title, type? }]
+ *   updateProduct(id, { title, kind }) / removeProduct(id)
+ *   addUnits(id, units) / updateUnit(id, code, fields) / removeUnit(id, code)
+ *   candidates(code)                         saved reports that include the unit
+ *   link(id, code, { kind, id, version? }) / unlink(id, code, index)
+ * Mutations throw PlanError and return the recomputed product.
+ */
+export function createValidationPlan({ file, projectStore, signOffStore }) {
+  const json = createJsonFile(file);
+  const products = json.read({ products: {} }).products || {};
+  const save = () => json.write({ version: 1, products });
+
+  /* ---- linked reports ---- */
+  const signedAt = (record) => [...record.report.workflow.steps].reverse().find((s) => s.status === "signed-off")?.at;
+
+  // a project version's report for the unit counts the same way a sign-off link does:
+  // once that very report has been signed off, and never when it was scored on placeholder data
+  function versionStatus(version, code) {
+    const unit = version.units.find((u) => u.code === code);
+    if (!unit) return null;
+    if (unit.placeholder) return { status: "placeholder data" };
+    const record = signOffStore.signedOff(unit.seal);
+    return record ? { status: "signed-off", signedOn: isoDay(signedAt(record)) } : { status: "not signed off" };
+  }
+
+  // -> { label, date, satisfies, status?, hasUnit? } or { missing: true }
+  function resolveLink(link, code) {
+    if (link.kind === "project") {
+      const project = projectStore.get(link.id);
+      const version = project?.versions.find((v) => v.version === link.version);
+      if (!version) return { missing: true };
+      const found = versionStatus(version, code);
+      return {
+        label: `${project.name} v${version.version}`,
+        date: found?.signedOn || isoDay(version.createdAt),
+        satisfies: found?.status === "signed-off",
+        hasUnit: Boolean(found),
+        ...(found ? { status: found.status } : {}),
+      };
+    }
+    const record = signOffStore.get(link.id);
+    if (!record) return { missing: true };
+    // only a signed-off report counts as a completed validation
+    const signed = signedAt(record);
+    return {
+      label: `${record.unit.code} sign-off${record.assessment ? ` (${record.assessment})` : ""}`,
+      date: signed ? isoDay(signed) : null,
+      satisfies: record.unit.code === code && record.status === "signed-off",
+      status: record.status,
+    };
+  }
+
+  /* ---- due dates ---- */
+  function computeUnit(unit, today) {
+    const links = unit.links.map((l) => ({ ...l, ...resolveLink(l, unit.code) }));
+    const lastValidated = latest([unit.lastValidated, ...links.filter((l) => l.satisfies).map((l) => l.date)]);
+    // the next validation is the planned date unless that was already met, capped at the risk interval
+    const byRisk = lastValidated ? addYears(lastValidated, RISK_INTERVAL_YEARS[unit.risk]) : null;
+    const planned = unit.plannedDate && (!lastValidated || unit.plannedDate > lastValidated) ? unit.plannedDate : null;
+    const dueDate = [planned, byRisk].filter(Boolean).sort()[0] || null;
+
+    let status;
+    if (!unit.sampled) status = "not-sampled";
+    else if (!dueDate) status = "unscheduled";
+    else if (dueDate < today) status = "overdue";
+    else if (Date.parse(dueDate) - Date.parse(today) <= DUE_SOON_DAYS * DAY_MS) status = "due";
+    else status = "scheduled";
+    return { ...unit, links, lastValidated, dueDate, status };
+  }
+
+  function computeProduct(product, today = isoDay(Date.now())) {
+    const units = product.units.map((u) => computeUnit(u, today));
+    const sampled = units.filter((u) => u.sampled);
+    const lastValidated = latest(sampled.map((u) => u.lastValidated));
+    // the cycle is met when some sampled unit was validated in the last CYCLE_YEARS years
+    const cycleDue = lastValidated ? addYears(lastValidated, CYCLE_YEARS) : null;
+    const count = (status) => units.filter((u) => u.status === status).length;
+    return {
+      ...product,
+      units,
+      summary: {
+        units: units.length,
+        sampled: sampled.length,
+        overdue: count("overdue"),
+        due: count("due"),
+        unscheduled: count("unscheduled"),
+        lastValidated,
+        cycleDue,
+        cycleStatus: !cycleDue ? "never-validated" : cycleDue < today ? "overdue" : "current",
+        nextDue: sampled.map((u) => u.dueDate).filter(Boolean).sort()[0] || null,
+      },
+    };
+  }
+
+  /* ---- lookups ---- */
+  function getProduct(id) {
+    const product = products[id];
+    if (!product) throw new PlanError("No such training product.", 404);
+    return product;
+  }
+
+  function getUnit(product, code) {
+    const unit = product.units.find((u) => u.code === cleanCode(code));
+    if (!unit) throw new PlanError(`${cleanCode(code)} isn't on ${product.code}'s plan.`, 404);
+    return unit;
+  }
+
+  async function touch(product) {
+    product.updatedAt = new Date().toISOString();
+    await save();
+    return computeProduct(product);
+  }
+
+  // all or nothing: one bad code adds none of them
+  function mergeUnits(product, units) {
+    const added = units.map(newUnit);
+    for (const unit of added) {
+      if (!product.units.some((x) => x.code === unit.code)) product.units.push(unit);
+    }
+  }
+
+  return {
+    list() {
+      const today = isoDay(Date.now());
+      const list = Object.values(products)
+        .map((p) => computeProduct(p, today))
+        .sort((a, b) => a.code.localeCompare(b.code));
+      const all = list.flatMap((p) => p.units);
+      return {
+        products: list,
+        summary: {
+          products: list.length,
+          units: all.length,
+          overdue: all.filter((u) => u.status === "overdue").length,
+          due: all.filter((u) => u.status === "due").length,
+          unscheduled: all.filter((u) => u.status === "unscheduled").length,
+          productsOutOfCycle: list.filter((p) => p.summary.cycleStatus !== "current").length,
+        },
+      };
+    },
+
+    get: (id) => (products[id] ? computeProduct(products[id]) : null),
+
+    async addProduct({ code, title, kind, units = [] }) {
+      const productCode = cleanCode(code);
+      if (!productCode) throw new PlanError("Give the training product's code.");
+      if (Object.values(products).some((p) => p.code === productCode)) {
+        throw new PlanError(`${productCode} is already on the plan.`, 409);
+      }
+      if (kind && !PRODUCT_KINDS.includes(kind)) throw new PlanError(`Kind must be one of ${PRODUCT_KINDS.join(", ")}.`);
+      const now = new Date().toISOString();
+      const product = {
+        id: randomUUID(),
+        code: productCode,
+        title: String(title || "").trim(),
+        kind: kind || "qualification",
+        addedAt: now,
+        updatedAt: now,
+        units: [],
+      };
+      // a single unit on scope is its own plan entry
+      mergeUnits(product, product.kind === "unit" && !units.length ? [{ code: productCode, title }] : units);
+      products[product.id] = product;
+      return touch(product);
+    },
+
+    async updateProduct(id, { title, kind }) {
+      const product = getProduct(id);
+      if (kind !== undefined && !PRODUCT_KINDS.includes(kind)) {
+        throw new PlanError(`Kind must be one of ${PRODUCT_KINDS.join(", ")}.`);
+      }
+      if (title !== undefined) product.title = String(title).trim();
+      if (kind !== undefined) product.kind = kind;
+      return touch(product);
+    },
+
+    async removeProduct(id) {
+      getProduct(id);
+      delete products[id];
+      await save();
+      return true;
+    },
+
+    async addUnits(id, units) {
+      const product = getProduct(id);
+      if (!units?.length) throw new PlanError("Give at least one unit code.");
+      mergeUnits(product, units);
+      return touch(product);
+    },
+
+    // risk, sampled, plannedDate, lastValidated, validator, notes
+    async updateUnit(id, code, fields) {
+      const product = getProduct(id);
+      const unit = getUnit(product, code);
+      const next = { ...unit };
+      if (fields.risk !== undefined) {
+        if (!RISKS.includes(fields.risk)) throw new PlanError(`Risk must be one of ${RISKS.join(", ")}.`);
+        next.risk = fields.risk;
+      }
+      if (fields.sampled !== undefined) next.sampled = !!fields.sampled;
+      if (fields.plannedDate !== undefined) next.plannedDate = cleanDate(fields.plannedDate, "Planned date");
+      if (fields.lastValidated !== undefined) next.lastValidated = cleanDate(fields.lastValidated, "Last validated");
+      if (fields.validator !== undefined) next.validator = String(fields.validator).trim();
+      if (fields.notes !== undefined) next.notes = String(fields.notes);
+      Object.assign(unit, next);
+      return touch(product);
+    },
+
+    async removeUnit(id, code) {
+      const product = getProduct(id);
+      const unit = getUnit(product, code);
+      product.units = product.units.filter((u) => u !== unit);
+      return touch(product);
+    },
+
+    // saved reports that include the unit, newest first
+    candidates(code) {
+      const unitCode = cleanCode(code);
+      const fromProjects = projectStore.list().flatMap((p) =>
+        projectStore
+          .get(p.id)
+          .versions.filter((v) => v.units.some((u) => u.code === unitCode))
+          .map((v) => ({
+            kind: "project",
+            id: p.id,
+            version: v.version,
+            label: `${p.name} v${v.version}`,
+            date: isoDay(v.createdAt),
+            status: versionStatus(v, unitCode).status,
+          }))
+      );
+      const fromSignOffs = signOffStore
+        .list()
+        .filter((r) => r.unit.code === unitCode)
+        .map((r) => ({
+          kind: "sign-off",
+          id: r.id,
+          label: `${r.unit.code} sign-off${r.assessment ? ` (${r.assessment})` : ""}`,
+          date: isoDay(r.updatedAt),
+          status: r.status,
+        }));
+      return [...fromSignOffs, ...fromProjects].sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    async link(id, code, { kind, id: reportId, version }) {
+      const product = getProduct(id);
+      const unit = getUnit(product, code);
+      if (!["project", "sign-off"].includes(kind)) throw new PlanError('Link kind must be "project" or "sign-off".');
+      const link = { kind, id: String(reportId || ""), ...(kind === "project" ? { version: Number(version) } : {}) };
+      const resolved = resolveLink(link, unit.code);
+      if (resolved.missing) throw new PlanError("No such saved report.", 404);
+      if (kind === "project" && !resolved.hasUnit) {
+        throw new PlanError(`${resolved.label} has no report for ${unit.code}.`);
+      }
+      if (kind === "sign-off" && signOffStore.get(link.id).unit.code !== unit.code) {
+        throw new PlanError(`That record is for ${signOffStore.get(link.id).unit.code}, not ${unit.code}.`);
+      }
+      const same = (l) => l.kind === link.kind && l.id === link.id && l.version === link.version;
+      if (unit.links.some(same)) throw new PlanError("That report is already linked.", 409);
+      unit.links.push({ ...link, linkedAt: new Date().toISOString() });
+      return touch(product);
+    },
+
+    async unlink(id, code, index) {
+      const product = getProduct(id);
+      const unit = getUnit(product, code);
+      const i = Number(index);
+      if (!Number.isInteger(i) || !unit.links[i]) throw new PlanError("No such link.", 404);
+      unit.links.splice(i, 1);
+      return touch(product);
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// server/lib/versionDiff.js
+// What changed between two saved versions of a tool: criteria that went from
+// missing to covered (or back), gaps closed or opened, and score movements,
+// unit by unit.
+
+const gapKey = (g) => `${g.element}|${g.description}`;
+
+function diffCoverage(before, after) {
+  const was = new Map((before?.items || []).map((i) => [i.code, i]));
+  const out = {
+    before: before?.percentage ?? null,
+    after: after?.percentage ?? null,
+    nowCovered: [],
+    nowMissing: [],
+    stillMissing: [],
+  };
+  for (const item of after?.items || []) {
+    const prev = was.get(item.code);
+    const row = { code: item.code, text: item.text };
+    if (item.covered && prev && !prev.covered) out.nowCovered.push(row);
+    else if (!item.covered && prev?.covered) out.nowMissing.push(row);
+    else if (!item.covered) out.stillMissing.push(row);
+  }
+  return out;
+}
+
+function diffScores(before = {}, after = {}) {
+  return Object.keys({ ...before, ...after }).map((name) => ({
+    name,
+    before: before[name]?.score ?? null,
+    after: after[name]?.score ?? null,
+    beforeStatus: before[name]?.status ?? null,
+    afterStatus: after[name]?.status ?? null,
+  }));
+}
+
+function diffUnit(code, a, b) {
+  const ref = b || a;
+  const gapsBefore = new Map((a?.gaps || []).map((g) => [gapKey(g), g]));
+  const gapsAfter = new Map((b?.gaps || []).map((g) => [gapKey(g), g]));
+  return {
+    code,
+    title: ref.unit.title,
+    change: !a ? "added" : !b ? "removed" : "compared",
+    performanceCriteria: diffCoverage(a?.coverage.performanceCriteria, b?.coverage.performanceCriteria),
+    knowledge: diffCoverage(a?.coverage.knowledge, b?.coverage.knowledge),
+    gapsClosed: [...gapsBefore].filter(([k]) => !gapsAfter.has(k)).map(([, g]) => g),
+    gapsOpened: [...gapsAfter].filter(([k]) => !gapsBefore.has(k)).map(([, g]) => g),
+    rulesOfEvidence: diffScores(a?.rulesOfEvidence, b?.rulesOfEvidence),
+    principlesOfAssessment: diffScores(a?.principlesOfAssessment, b?.principlesOfAssessment),
+  };
+}
+
+/**
+ * Two stored versions -> { from, to, units: [...], summary }.
+ * Units are matched on code; one only in `to` is "added", one only in `from` "removed".
+ */
+export function diffVersions(from, to) {
+  const byCode = (v) => new Map(v.reports.map((r) => [r.unit.code, r]));
+  const a = byCode(from);
+  const b = byCode(to);
+  const codes = [...new Set([...a.keys(), ...b.keys()])];
+  const units = codes.map((code) => diffUnit(code, a.get(code), b.get(code)));
+
+  const count = (pick) => units.reduce((n, u) => n + pick(u), 0);
+  return {
+    from: { version: from.version, createdAt: from.createdAt, note: from.note },
+    to: { version: to.version, createdAt: to.createdAt, note: to.note },
+    units,
+    summary: {
+      nowCovered: count((u) => u.performanceCriteria.nowCovered.length + u.knowledge.nowCovered.length),
+      nowMissing: count((u) => u.performanceCriteria.nowMissing.length + u.knowledge.nowMissing.length),
+      gapsClosed: count((u) => u.gapsClosed.length),
+      gapsOpened: count((u) => u.gapsOpened.length),
+    },
+  };
+}
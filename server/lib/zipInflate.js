@@ -0,0 +1,43 @@
+// server/lib/zipInflate.js
+// Reading entries out of an uploaded zip without trusting it: the sizes a zip
+// declares can be made up, so it's the inflated output that's counted, against
+// one budget for everything read out of the same archive.
+
+export const MAX_ZIP_BYTES = 100 * 1024 * 1024;
+export const MAX_ZIP_MB = MAX_ZIP_BYTES / (1024 * 1024);
+
+// One (JSZip) entry's contents, inflated until more than `limit` bytes come out and then abandoned.
+export function inflate(entry, limit, tooBig) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream("uint8array");
+    stream
+      .on("data", (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(tooBig());
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+/**
+ * zipBudget(tooBig, limit = MAX_ZIP_BYTES) -> { read(entry) -> Buffer, text(entry) -> string }
+ * Every entry read through the same budget counts towards `limit`; going over rejects with tooBig().
+ */
+export function zipBudget(tooBig, limit = MAX_ZIP_BYTES) {
+  let used = 0;
+  const read = async (entry) => {
+    const data = await inflate(entry, limit - used, tooBig);
+    used += data.length;
+    return data;
+  };
+  return { read, text: async (entry) => (await read(entry)).toString("utf8") };
+}
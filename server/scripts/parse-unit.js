@@ -0,0 +1,18 @@
+// server/scripts/parse-unit.js
+// Run the TGA unit parser over a saved page, offline.
+//
+//   npm run parse:unit -- fixtures/tga/MARN008.html          # code from the file name
+//   npm run parse:unit -- saved-page.html BSBOPS201
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { parseUnitPage } from "../lib/tgaParser.js";
+
+const [file, codeArg] = process.argv.slice(2);
+if (!file) {
+  console.error("usage: parse-unit <page.html> [UNIT_CODE]");
+  process.exit(2);
+}
+
+const code = (codeArg || path.basename(file, path.extname(file))).toUpperCase();
+const url = `https://training.gov.au/Training/Details/${code}`;
+console.log(JSON.stringify(parseUnitPage(readFileSync(file, "utf8"), { code, url }), null, 2));
@@ -0,0 +1,46 @@
+// server/scripts/tga-standin.js
+// Local stand-in for the unit sources, so the whole pipeline runs without a
+// network. Serves the fixtures in the shapes the providers expect:
+//   GET /Training/Details/:code   -> fixtures/tga/<code>.html      (tga-html)
+//   GET /ws/units/:code.xml       -> fixtures/tga-xml/<code>.xml   (tga-ws)
+//   GET /ws/qualifications/:code.xml -> fixtures/tga-xml/<code>.xml
+//
+//   npm run standin            # port 5077, or STANDIN_PORT
+//   TGA_HTML_BASE=http://localhost:5077 TGA_WS_BASE=http://localhost:5077/ws npm run dev
+//
+// STANDIN_DELAY_MS adds latency and STANDIN_FAIL=CODE1,CODE2 returns 503 for
+// those codes, for exercising timeouts and fallbacks.
+import { existsSync, readFileSync } from "node:fs";
+import http from "node:http";
+
+const PORT = Number(process.env.STANDIN_PORT) || 5077;
+const DELAY = Number(process.env.STANDIN_DELAY_MS) || 0;
+const FAIL = new Set(String(process.env.STANDIN_FAIL || "").toUpperCase().split(",").filter(Boolean));
+const FIXTURES = new URL("../fixtures/", import.meta.url);
+
+const ROUTES = [
+  { re: /^\/Training\/Details\/([A-Za-z0-9]+)$/, dir: "tga", ext: ".html", type: "text/html; charset=utf-8" },
+  { re: /^\/ws\/(?:units|qualifications)\/([A-Za-z0-9]+)\.xml$/, dir: "tga-xml", ext: ".xml", type: "application/xml; charset=utf-8" },
+];
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, "http://localhost").pathname;
+  const route = ROUTES.find((r) => r.re.test(pathname));
+  const send = (status, body, type = "text/plain; charset=utf-8") =>
+    setTimeout(() => {
+      res.writeHead(status, { "Content-Type": type });
+      res.end(body);
+    }, DELAY);
+
+  if (!route) return send(404, "Not found");
+  const code = route.re.exec(pathname)[1].toUpperCase();
+  if (FAIL.has(code)) return send(503, "Service unavailable (stand-in)");
+
+  const file = new URL(`${route.dir}/${code}${route.ext}`, FIXTURES);
+  if (!existsSync(file)) return send(404, `No fixture for ${code}`);
+  send(200, readFileSync(file), route.type);
+});
+
+server.listen(PORT, () => {
+  console.log(`TGA stand-in on http://localhost:${PORT} (fixtures: ${FIXTURES.pathname})`);
+});
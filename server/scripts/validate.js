@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// server/scripts/validate.js
+// Validate assessment tools from the command line, e.g. nightly or in CI.
+// Same extraction, unit detection, lookup and scoring as the API.
+//
+//   npm run validate -- tools/                       # every document under tools/
+//   npm run validate -- "Task 1.docx" --unit MARN008 --format csv --out results.csv
+//   npm run validate -- kits/ --toolkit              # each folder is one multi-file tool
+//
+// Exit status: 0 when every unit passes, 1 when any unit falls below the pass
+// thresholds, was scored against placeholder data or a tool can't be read,
+// 2 on bad arguments.
+import { readdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { SUPPORTED_EXTENSIONS } from "../lib/extract.js";
+import { extractToolkit } from "../lib/toolkit.js";
+import { findUocCandidates } from "../lib/unitCodes.js";
+import { configFromEnv, createUnitService } from "../lib/unitService.js";
+import { csvTable } from "../lib/reportExport.js";
+import { describeProvenance, isPlaceholder } from "../lib/provenance.js";
+
+const USAGE = `usage: validate [options] <file|folder>...
+
+  -u, --unit CODES     score against these units (comma-separated) instead of the detected ones
+  -f, --format FMT     json (default) or csv (one row per tool and unit)
+  -o, --out FILE       write there instead of stdout
+  -t, --toolkit        treat each folder as one tool made of several files
+      --min-pc N       pass only with at least N% of performance criteria covered
+      --min-ke N       pass only with at least N% of knowledge evidence covered
+  -q, --quiet          no progress on stderr
+  -h, --help
+
+Without --min-pc/--min-ke a unit passes when validity and sufficiency pass
+(the thresholds of the unit's rubric, as saved under DATA_DIR). A unit scored
+against placeholder data never passes; placeholders are off here unless
+UOC_PLACEHOLDERS=on, so a unit without real details is reported as unavailable.
+Unit sources, the cache and the rubrics come from the same environment variables
+as the API (DATA_DIR, UOC_SOURCES, TGA_HTML_BASE, ...).`;
+
+const DOCUMENT_EXTENSIONS = [...SUPPORTED_EXTENSIONS, ".zip"];
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+/* ------------------------------ inputs ------------------------------ */
+const isDocument = (file) => DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+// every document under a folder in a stable order; dotfiles and __MACOSX skipped as in zips
+function walk(dir) {
+  return readdirSync(dir, { withFileTypes: true })
+    .filter((e) => !e.name.startsWith(".") && e.name !== "__MACOSX")
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((e) => {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) return walk(full);
+      return e.isFile() && isDocument(full) ? [full] : [];
+    });
+}
+
+// paths -> tools: [{ path, files: [absolute paths] }]
+function collectTools(inputs, { toolkit }) {
+  const tools = [];
+  for (const input of inputs) {
+    let stat;
+    try {
+      stat = statSync(input);
+    } catch {
+      fail(`No such file or folder: ${input}`);
+    }
+    if (!stat.isDirectory()) tools.push({ path: input, files: [input] });
+    else if (toolkit) {
+      // the folder itself and each sub-folder holding documents is a tool
+      const byFolder = new Map();
+      for (const file of walk(input)) {
+        const dir = path.dirname(file);
+        if (!byFolder.has(dir)) byFolder.set(dir, []);
+        byFolder.get(dir).push(file);
+      }
+      for (const [dir, files] of byFolder) tools.push({ path: dir, files });
+    } else tools.push(...walk(input).map((file) => ({ path: file, files: [file] })));
+  }
+  return tools;
+}
+
+const readUpload = (file) => ({ name: path.basename(file), data: readFileSync(file), mimetype: "" });
+
+/* ----------------------------- thresholds ---------------------------- */
+function passCheck({ minPc, minKe }) {
+  const meets =
+    minPc == null && minKe == null
+      ? (r) => r.rulesOfEvidence.validity.status === "pass" && r.rulesOfEvidence.sufficiency.status === "pass"
+      : (r) => r.coverage.performanceCriteria.percentage >= (minPc ?? 0) && r.coverage.knowledge.percentage >= (minKe ?? 0);
+  return (r) => !isPlaceholder(r.provenance) && meets(r);
+}
+
+const percent = (raw, flag) => {
+  if (raw == null) return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > 100) fail(`${flag} needs a percentage between 0 and 100`);
+  return n;
+};
+
+/* ------------------------------ output ------------------------------- */
+function toCsv(results) {
+  const rows = [["tool", "unit_code", "unit_title", "pc_percent", "ke_percent", "validity", "sufficiency", "gaps", "passed", "unit_data"]];
+  for (const t of results) {
+    if (t.error) rows.push([t.path, "", "", "", "", "", "", "", `error: ${t.error}`, ""]);
+    for (const r of t.reports || []) {
+      rows.push([
+        t.path,
+        r.unit.code,
+        r.unit.title || "",
+        r.coverage.performanceCriteria.percentage,
+        r.coverage.knowledge.percentage,
+        r.rulesOfEvidence.validity.score,
+        r.rulesOfEvidence.sufficiency.score,
+        r.gaps.length,
+        r.passed ? "yes" : "no",
+        r.provenance?.kind || "unavailable",
+      ]);
+    }
+  }
+  return csvTable(rows);
+}
+
+/* ------------------------------- main -------------------------------- */
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        unit: { type: "string", short: "u" },
+        format: { type: "string", short: "f", default: "json" },
+        out: { type: "string", short: "o" },
+        toolkit: { type: "boolean", short: "t", default: false },
+        "min-pc": { type: "string" },
+        "min-ke": { type: "string" },
+        quiet: { type: "boolean", short: "q", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    fail(`${e.message}\n\n${USAGE}`);
+  }
+  const { values: opts, positionals } = args;
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!positionals.length) fail(USAGE);
+  if (!["json", "csv"].includes(opts.format)) fail(`Unknown format "${opts.format}" (use json or csv)`);
+
+  const thresholds = { minPc: percent(opts["min-pc"], "--min-pc"), minKe: percent(opts["min-ke"], "--min-ke") };
+  const passes = passCheck(thresholds);
+  const unitOverride = String(opts.unit || "")
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+  const log = opts.quiet ? () => {} : (msg) => console.error(msg);
+
+  const tools = collectTools(positionals, { toolkit: opts.toolkit });
+  if (!tools.length) fail("No documents found.");
+  // CI must never pass on made-up units: placeholders only when asked for
+  const units = createUnitService({ ...configFromEnv(), placeholders: process.env.UOC_PLACEHOLDERS === "on" });
+
+  // one tool at a time: extraction is CPU-heavy and lookups are cached after the first
+  const results = [];
+  for (const tool of tools) {
+    try {
+      const { files, text, structure } = await extractToolkit(tool.files.map(readUpload));
+      const detected = findUocCandidates(text, structure);
+      const reports = (await units.validateAssessment(text, unitOverride.length ? unitOverride : detected, structure)).map(
+        (r) => ({ ...r, passed: passes(r) })
+      );
+      results.push({ path: tool.path, files: files.map(({ name, role }) => ({ name, role })), detected, reports });
+      for (const r of reports) {
+        log(
+          `${r.passed ? "PASS" : "FAIL"}  ${tool.path}  ${r.unit.code}  ` +
+            `PC ${r.coverage.performanceCriteria.percentage}%  KE ${r.coverage.knowledge.percentage}%  ${r.gaps.length} gaps  ` +
+            `[${r.provenance ? describeProvenance(r.provenance) : "unit details unavailable"}]`
+        );
+      }
+    } catch (e) {
+      // an unreadable tool fails the run but doesn't stop the batch
+      results.push({ path: tool.path, error: e.message });
+      log(`ERROR ${tool.path}  ${e.message}`);
+    }
+  }
+
+  const allReports = results.flatMap((t) => t.reports || []);
+  const passed = allReports.length > 0 && allReports.every((r) => r.passed) && results.every((t) => !t.error);
+  const body =
+    opts.format === "csv"
+      ? toCsv(results)
+      : JSON.stringify({ generatedAt: new Date().toISOString(), thresholds, passed, tools: results }, null, 2) + "\n";
+  if (opts.out) writeFileSync(opts.out, body);
+  else process.stdout.write(body);
+
+  log(`${allReports.filter((r) => r.passed).length}/${allReports.length} units passed across ${results.length} tools`);
+  return passed ? 0 : 1;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error("validate failed:", e);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,71 @@
+// server/test/currency.test.js
+// The currency rule of evidence, and reading the release a tool cites.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assessCurrency } from "../lib/currency.js";
+import { checkCode, referencedRelease, UnitCodeError } from "../lib/unitCodes.js";
+
+const unit = (currency, release = "2", releases = []) => ({ unit: { code: "MARN008", release }, currency, releases });
+
+test("a current unit cited at its current release passes", () => {
+  const { rule, gap } = assessCurrency(unit({ status: "current" }), "MARN008 Release 2");
+  assert.equal(rule.status, "pass");
+  assert.equal(rule.referencedRelease, "2");
+  assert.equal(gap, undefined);
+});
+
+test("an older cited release warns and lists what changed since", () => {
+  const releases = [
+    { release: "2", comments: "Updated assessment conditions." },
+    { release: "1", comments: "First release." },
+  ];
+  const { rule, gap } = assessCurrency(unit({ status: "current" }, "2", releases), "Unit: MARN008 (R1)");
+  assert.equal(rule.status, "warning");
+  assert.match(gap.description, /Release 1; current release is 2\. Changes: Release 2: Updated assessment conditions\./);
+});
+
+test("a superseded unit fails unless its replacement is equivalent", () => {
+  const next = { code: "MARN013", title: "Apply seamanship skills", equivalence: "not-equivalent" };
+  const notEq = assessCurrency(unit({ status: "superseded", supersededBy: next }), "");
+  assert.equal(notEq.rule.status, "fail");
+  assert.equal(notEq.gap.priority, "HIGH");
+  assert.match(notEq.gap.description, /superseded by MARN013 Apply seamanship skills; the replacement is not equivalent/);
+
+  const eq = assessCurrency(unit({ status: "superseded", supersededBy: { ...next, equivalence: "equivalent" } }), "");
+  assert.equal(eq.rule.status, "warning");
+  assert.equal(eq.gap.priority, "MEDIUM");
+});
+
+test("a deleted unit names its replacement when there is one", () => {
+  const none = assessCurrency(unit({ status: "deleted", supersededBy: null }), "");
+  assert.equal(none.rule.status, "fail");
+  assert.match(none.gap.description, /has no replacement unit/);
+
+  const next = { code: "MARN013", title: "Apply seamanship skills", equivalence: null };
+  const replaced = assessCurrency(unit({ status: "deleted", supersededBy: next }), "");
+  assert.equal(replaced.rule.status, "fail");
+  assert.deepEqual(replaced.rule.supersededBy, next);
+  assert.match(replaced.gap.description, /now covered by MARN013 Apply seamanship skills/);
+  assert.doesNotMatch(replaced.gap.description, /no replacement/);
+});
+
+test("a unit the source didn't classify only warns", () => {
+  assert.equal(assessCurrency(unit({ status: null }), "").rule.status, "warning");
+});
+
+test("the cited release is read from spaced and lower-case spellings", () => {
+  assert.equal(referencedRelease("Assessment for MAR N 008 - release 3", "MARN008"), "3");
+  assert.equal(referencedRelease("marn008 Rel. 1.1", "MARN008"), "1.1");
+  assert.equal(referencedRelease("MARN008 only", "MARN008"), null);
+  // another unit's release isn't this one's
+  assert.equal(referencedRelease("MARC037 Release 4", "MARN008"), null);
+});
+
+test("codes outside the code format are rejected, not put into a pattern", () => {
+  assert.equal(checkCode(" marn008 "), "MARN008");
+  for (const bad of ["MAR(", "../etc/passwd", "AB", "", null, "A".repeat(16)]) {
+    assert.throws(() => checkCode(bad), (e) => e instanceof UnitCodeError && e.status === 400);
+  }
+  // a code that isn't a national unit code is still matched literally
+  assert.equal(referencedRelease("HLT.AID011 Release 2 / HLTXAID011 Release 5", "HLT.AID011"), "2");
+});
@@ -0,0 +1,125 @@
+// server/test/engine.test.js
+// Building a report: coverage with evidence locations, gaps, remediation and the rubric.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { buildEmptyReport, buildReport, coverageRules, PC_GAP } from "../lib/engine.js";
+import { fetched, placeholder } from "../lib/provenance.js";
+import { BUILT_IN_RUBRIC, DEFAULT_RUBRIC } from "../lib/rubric.js";
+import { mergeStructures, structureFromText } from "../lib/structure.js";
+import { parseUnitPage } from "../lib/tgaParser.js";
+
+// MARN008: five PCs (1.1, 1.2, 2.1, 2.2, 2.3) and three knowledge evidence items
+const html = readFileSync(new URL("../fixtures/tga/MARN008.html", import.meta.url), "utf8");
+const unit = (provenance = fetched("tga-html", "2026-01-01T00:00:00.000Z")) => ({
+  ...parseUnitPage(html, { code: "MARN008", url: "https://training.gov.au/Training/Details/MARN008" }),
+  provenance,
+});
+
+const tool = `Unit: MARN008 Release 2
+Task 1: Ropes and lines
+Q1. Describe how you inspect, coil and stow lines after use.
+Q2. Explain the snap-back zone hazards of lines under load.`;
+
+test("each criterion is scored, and covered ones say where their evidence is", () => {
+  const report = buildReport(unit(), tool, null);
+  assert.deepEqual(report.unit, {
+    code: "MARN008",
+    title: report.unit.title,
+    url: "https://training.gov.au/Training/Details/MARN008",
+    release: "2",
+    prerequisites: [],
+  });
+  assert.match(report.unit.title, /seamanship/i);
+
+  const pc = report.coverage.performanceCriteria;
+  assert.deepEqual([pc.total, pc.assessed, pc.percentage], [5, 1, 20]);
+  const stow = pc.items.find((i) => i.code === "PC 2.3");
+  assert.equal(stow.covered, true);
+  assert.equal(stow.element, "2");
+  assert.deepEqual(
+    [stow.evidence[0].blockId, stow.evidence[0].label],
+    ["s2.q1", "Task 1, Q1"]
+  );
+  assert.ok(stow.evidence[0].terms.length);
+  assert.deepEqual(pc.missing, ["PC 1.1", "PC 1.2", "PC 2.1", "PC 2.2"]);
+
+  const ke = report.coverage.knowledge;
+  assert.equal(ke.total, 3);
+  assert.ok(ke.items.find((i) => i.code === "K3").covered, "snap-back zones");
+});
+
+test("every uncovered criterion gets a gap that recommends its drafted item", () => {
+  const report = buildReport(unit(), tool, null);
+  const missing = [...report.coverage.performanceCriteria.missing, ...report.coverage.knowledge.missing];
+  assert.deepEqual(
+    report.remediation.map((d) => d.code),
+    missing
+  );
+  const gaps = report.gaps.filter((g) => g.source === "coverage");
+  assert.deepEqual(
+    gaps.map((g) => g.element),
+    missing
+  );
+  const first = gaps[0];
+  assert.deepEqual([first.type, first.priority, first.description], ["critical", "HIGH", PC_GAP]);
+  assert.notEqual(first.recommendation, "Add/clarify an assessment task or marking checklist item for this PC.");
+});
+
+test("the rubric and the unit's provenance are recorded in the report", () => {
+  const report = buildReport(unit(), tool, null);
+  assert.deepEqual(report.rubric, BUILT_IN_RUBRIC);
+  assert.equal(report.provenance.source, "tga-html");
+  assert.equal(report.rulesOfEvidence.currency.status, "pass");
+
+  assert.equal(report.rulesOfEvidence.validity.status, "fail");
+
+  // another rubric's cut-offs change the outcome, not the coverage
+  const lenient = { ...BUILT_IN_RUBRIC, name: "Lenient", values: { ...DEFAULT_RUBRIC, validity: { pass: 20, warning: 10 } } };
+  const scored = buildReport(unit(), tool, null, lenient);
+  assert.equal(scored.rubric.name, "Lenient");
+  assert.equal(scored.rulesOfEvidence.validity.status, "pass");
+  assert.deepEqual(scored.coverage, report.coverage);
+});
+
+test("a report on placeholder data leads with a critical gap", () => {
+  const [first] = buildReport(unit(placeholder()), tool, null).gaps;
+  assert.equal(first.source, "provenance");
+  assert.equal(first.priority, "HIGH");
+  assert.match(first.description, /PLACEHOLDER/);
+});
+
+test("toolkit evidence is credited to its file, and a mapping document isn't evidence", () => {
+  const task = { name: "task.txt", role: "student-task", structure: structureFromText("Q1. Name three knots.") };
+  const mapping = {
+    name: "mapping.txt",
+    role: "mapping",
+    structure: structureFromText("PC 2.3\tLines are inspected, coiled and stowed after use\tQ1"),
+  };
+  const quoted = buildReport(unit(), "", mergeStructures([task, mapping]));
+  assert.equal(quoted.coverage.performanceCriteria.items.find((i) => i.code === "PC 2.3").covered, false);
+
+  const stowing = { ...task, structure: structureFromText("Q1. Describe how you inspect, coil and stow lines after use.") };
+  const report = buildReport(unit(), "", mergeStructures([stowing, mapping]));
+  const evidence = report.coverage.performanceCriteria.items.find((i) => i.code === "PC 2.3").evidence[0];
+  assert.deepEqual([evidence.file, evidence.role, evidence.blockId], ["task.txt", "student-task", "f1:s1.q1"]);
+  assert.deepEqual(report.toolkit, [{ file: "task.txt", role: "student-task", criteria: ["PC 2.3"] }]);
+});
+
+test("sufficiency weighs PC and knowledge coverage by the rubric", () => {
+  const cov = (percentage) => ({ percentage });
+  const { validity, sufficiency } = coverageRules(cov(100), cov(50));
+  assert.deepEqual(validity, { status: "pass", score: 100 });
+  assert.deepEqual(sufficiency, { status: "warning", score: 80 });
+  assert.equal(coverageRules(cov(50), cov(50)).sufficiency.status, "fail");
+  const even = coverageRules(cov(100), cov(50), { ...DEFAULT_RUBRIC, sufficiencyWeights: { pc: 50, knowledge: 50 } });
+  assert.equal(even.sufficiency.score, 75);
+  assert.equal(even.sufficiency.status, "warning");
+});
+
+test("an empty report fails validity and carries the one gap", () => {
+  const report = buildEmptyReport({ code: "N/A", title: "No UoC detected" }, { element: "UoC", description: "None found." });
+  assert.equal(report.rulesOfEvidence.validity.status, "fail");
+  assert.equal(report.coverage.performanceCriteria.total, 0);
+  assert.deepEqual(report.gaps, [{ type: "critical", priority: "HIGH", element: "UoC", description: "None found." }]);
+});
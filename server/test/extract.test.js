@@ -0,0 +1,111 @@
+// server/test/extract.test.js
+// Reading text, pages and structure out of each upload format.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document, HeadingLevel, Packer, Paragraph, Table, TableCell, TableRow, TextRun } from "docx";
+import JSZip from "jszip";
+import PDFDocument from "pdfkit";
+import { extractDocument, UnsupportedFileError } from "../lib/extract.js";
+
+const upload = (name, data, mimetype = "") => ({ name, data: Buffer.isBuffer(data) ? data : Buffer.from(data), mimetype });
+const outline = (structure) => structure.blocks.map((b) => [b.id, b.type, b.label, ...(b.page ? [b.page] : [])]);
+
+test("docx: headings, questions and tables come from the document's own markup", async () => {
+  const cell = (text) => new TableCell({ children: [new Paragraph(text)] });
+  const doc = new Document({
+    sections: [
+      {
+        children: [
+          new Paragraph({ text: "Task 1: Knots", heading: HeadingLevel.HEADING_1 }),
+          new Paragraph("Q1. Tie a bowline."),
+          new Paragraph({ children: [new TextRun({ text: "Marking guide", bold: true })] }),
+          new Table({ rows: [new TableRow({ children: [cell("Q1"), cell("Bowline")] })] }),
+        ],
+      },
+    ],
+  });
+  const { text, pages, structure } = await extractDocument(upload("tool.docx", await Packer.toBuffer(doc)));
+  assert.match(text, /Task 1: Knots\s+Q1\. Tie a bowline\./);
+  assert.equal(pages, null);
+  assert.deepEqual(outline(structure), [
+    ["s1.h", "heading", "Task 1"],
+    ["s1.q1", "question", "Task 1, Q1"],
+    ["s2.h", "heading", "Marking guide"],
+    ["s2.t1", "table", "Marking guide, Table 1"],
+  ]);
+});
+
+test("pdf: one page of text per page, and blocks know their page", async () => {
+  const pdf = new PDFDocument();
+  const chunks = [];
+  pdf.on("data", (c) => chunks.push(c));
+  const ended = new Promise((resolve) => pdf.on("end", resolve));
+  pdf.text("Task 1: Knots");
+  pdf.text("Q1. Tie a bowline.");
+  pdf.addPage();
+  pdf.text("Q2. Tie a clove hitch.");
+  pdf.end();
+  await ended;
+
+  const { pages, structure } = await extractDocument(upload("tool.pdf", Buffer.concat(chunks)));
+  assert.deepEqual(pages, [
+    { page: 1, text: "Task 1: Knots\nQ1. Tie a bowline." },
+    { page: 2, text: "Q2. Tie a clove hitch." },
+  ]);
+  assert.deepEqual(outline(structure), [
+    ["s1.h", "heading", "Task 1", 1],
+    ["s1.q1", "question", "Task 1, Q1", 1],
+    ["s1.q2", "question", "Task 1, Q2", 2],
+  ]);
+});
+
+test("rtf: control words and font tables are dropped, escapes decoded, \\page splits pages", async () => {
+  const rtf = "{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer;}Task 1: Knots\\par Q1. Don\\u8217?t stand in the caf\\'e9.\\page Q2. Tie a hitch.\\par}";
+  const { text, pages } = await extractDocument(upload("tool.rtf", Buffer.from(rtf, "latin1")));
+  assert.deepEqual(pages, [
+    { page: 1, text: "Task 1: Knots\nQ1. Don’t stand in the café." },
+    { page: 2, text: "Q2. Tie a hitch." },
+  ]);
+  assert.doesNotMatch(text, /Arial|Writer/);
+});
+
+test("odt: soft page breaks start a new page", async () => {
+  const zip = new JSZip();
+  zip.file(
+    "content.xml",
+    '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">' +
+      "<office:body><office:text><text:h>Task 1: Knots</text:h><text:p>Q1. Tie a bowline.</text:p>" +
+      "<text:p><text:soft-page-break/>Q2. Tie a hitch.</text:p></office:text></office:body></office:document-content>"
+  );
+  const { pages, structure } = await extractDocument(upload("tool.odt", await zip.generateAsync({ type: "nodebuffer" })));
+  assert.deepEqual(
+    pages.map((p) => p.text),
+    ["Task 1: Knots\nQ1. Tie a bowline.", "Q2. Tie a hitch."]
+  );
+  assert.equal(structure.blocks.at(-1).page, 2);
+});
+
+test("txt: plain text is structured from its lines; GIFT in a .txt is read as a quiz", async () => {
+  const plain = await extractDocument(upload("notes", "Task 1\nQ1. Tie a bowline.", "text/plain"));
+  assert.deepEqual(outline(plain.structure), [
+    ["s1.h", "heading", "Task 1"],
+    ["s1.q1", "question", "Task 1, Q1"],
+  ]);
+
+  const gift = await extractDocument(
+    upload("quiz.txt", "::Q1:: Which knot forms a fixed loop? {=bowline ~clove hitch}\n\n::Q2:: Describe the snap-back zone. {}")
+  );
+  assert.equal(gift.text, "Q1. Which knot forms a fixed loop? Options: a) bowline (correct); b) clove hitch\n\nQ2. Describe the snap-back zone.");
+  assert.deepEqual(
+    gift.structure.blocks.map((b) => b.type),
+    ["question", "question"]
+  );
+});
+
+test("files we can't read are refused as unsupported", async () => {
+  const refused = (file, message) => assert.rejects(extractDocument(file), (e) => e instanceof UnsupportedFileError && message.test(e.message));
+  await refused(upload("photo.png", "x", "image/png"), /Unsupported file type: image\/png\. Supported: \.docx/);
+  const notOdt = await new JSZip().file("mimetype", "x").generateAsync({ type: "nodebuffer" });
+  await refused(upload("broken.odt", notOdt), /content\.xml missing/);
+  await refused(upload("data.xml", "<catalog/>"), /expected a Moodle XML question export or a QTI 2\.x item/);
+});
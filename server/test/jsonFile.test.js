@@ -0,0 +1,29 @@
+// server/test/jsonFile.test.js
+// Saving the file-backed stores.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createJsonFile } from "../lib/jsonFile.js";
+
+test("a failed save rejects, and the next save still goes ahead", async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), "rto-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "store.json");
+  const json = createJsonFile(file);
+
+  mkdirSync(file); // nothing can be renamed onto a directory
+  await assert.rejects(json.write({ n: 1 }));
+  rmSync(file, { recursive: true });
+  await json.write({ n: 2 });
+  assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), { n: 2 });
+});
+
+test("saves land in the order they were made", async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), "rto-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const json = createJsonFile(path.join(dir, "nested", "store.json"));
+  await Promise.all([1, 2, 3].map((n) => json.write({ n })));
+  assert.deepEqual(json.read(null), { n: 3 });
+});
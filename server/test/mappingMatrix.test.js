@@ -0,0 +1,161 @@
+// server/test/mappingMatrix.test.js
+// Reading an RTO's mapping matrix into claims and checking them against the questions.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { passagesFrom } from "../lib/engine.js";
+import { checkMapping, parseMappingClaims, parseQuestionRefs } from "../lib/mappingMatrix.js";
+import { mergeStructures, structureFromHtml, structureFromText } from "../lib/structure.js";
+
+// one table under a heading -> [[criterion, "T2Q4,Q7", row]]
+function claimsOf(rows, heading = "Mapping") {
+  const cells = rows.map((r) => `<tr>${r.map((c) => `<td>${c}</td>`).join("")}</tr>`).join("");
+  return parseMappingClaims(structureFromHtml(`<h1>${heading}</h1><table>${cells}</table>`)).map((c) => [
+    c.criterion || c.criterionText,
+    c.refs.map((r) => `${r.task ? `T${r.task}` : ""}${r.number ? `Q${r.number}` : ""}`).join(","),
+    c.source.row,
+  ]);
+}
+
+test("question references: tasks, lists and ranges", () => {
+  assert.deepEqual(parseQuestionRefs("Task 2 Q4, 7 and Q9-11; Task 3"), [
+    { task: "2", number: "4" },
+    { task: "2", number: "7" },
+    { task: "2", number: "9" },
+    { task: "2", number: "10" },
+    { task: "2", number: "11" },
+    { task: "3", number: null },
+  ]);
+  assert.deepEqual(parseQuestionRefs("Questions 1.2 to 4"), [{ task: null, number: "1.2" }]);
+  assert.deepEqual(parseQuestionRefs("Q1, Q1 and Q2"), [
+    { task: null, number: "1" },
+    { task: null, number: "2" },
+  ]);
+});
+
+test("list layout: a criterion per row and the questions that assess it", () => {
+  assert.deepEqual(
+    claimsOf([
+      ["PC", "Criterion", "Assessed by"],
+      ["PC 1.2", "Mooring operations are performed", "Task 2 Q4, Q7"],
+      ["1.3", "Anchoring operations are performed", "Task 3"],
+      ["basic seamanship terminology and safety practices", "", "Q3"],
+      ["PC 1.4", "Not yet mapped", ""],
+    ]),
+    [
+      ["PC 1.2", "T2Q4,T2Q7", 2],
+      ["PC 1.3", "T3", 3],
+      // a knowledge item quoted in full rather than numbered
+      ["basic seamanship terminology and safety practices", "Q3", 4],
+    ]
+  );
+});
+
+test("by-question layout: every criterion listed in the cell is a claim", () => {
+  const byQuestion = [
+    ["Q1", "PC 1.2, 1.3, K2"],
+    ["Q2", "PC 2.1"],
+  ];
+  const expected = [
+    ["PC 1.2", "Q1", 2],
+    ["PC 1.3", "Q1", 2],
+    ["K2", "Q1", 2],
+    ["PC 2.1", "Q2", 3],
+  ];
+  assert.deepEqual(claimsOf([["Question", "Criteria"], ...byQuestion]), expected);
+  // whatever the criteria column is headed
+  assert.deepEqual(claimsOf([["Question", "Maps to"], ...byQuestion]), expected);
+});
+
+test("matrix layouts: a tick in a cell is a claim, a dash or n/a isn't", () => {
+  assert.deepEqual(
+    claimsOf([
+      ["Criterion", "Q1", "Q2", "Q3"],
+      ["PC 2.3 Lines are stowed", "✓", "", "x"],
+      ["K3 snap-back zones", "-", "Y", "n/a"],
+      ["PC 1.1", "", "", "no"],
+    ]),
+    [
+      ["PC 2.3", "Q1,Q3", 2],
+      ["K3", "Q2", 3],
+    ]
+  );
+  assert.deepEqual(
+    claimsOf([
+      ["Question", "PC 1.1", "PC 1.2", "K1"],
+      ["Q1", "x", "", "0"],
+      ["Task 2 Q2", "", "✓", "yes"],
+    ]),
+    [
+      ["PC 1.1", "Q1", 2],
+      ["PC 1.2", "T2Q2", 3],
+      ["K1", "T2Q2", 3],
+    ]
+  );
+});
+
+test("only mapping tables are read, and a unit named on one scopes it", () => {
+  assert.deepEqual(claimsOf([["Q1", "PC 1.2"]], "Contacts"), []);
+  const html = "<h1>Mapping matrix MARN008</h1><table><tr><td>PC</td><td>Question</td></tr><tr><td>PC 1.2</td><td>Q1</td></tr></table>";
+  assert.deepEqual(
+    parseMappingClaims(structureFromHtml(html)).map((c) => c.units),
+    [["MARN008"]]
+  );
+  // a file with the mapping role needs no heading
+  const file = mergeStructures([{ name: "m.txt", role: "mapping", structure: structureFromText("PC\tQuestion\nPC 1.2\tQ1") }]);
+  assert.deepEqual(
+    parseMappingClaims(file).map((c) => [c.criterion, c.units]),
+    [["PC 1.2", []]]
+  );
+});
+
+/* ---- checking ---- */
+const targets = [
+  { code: "PC 1.1", text: "Deck is kept clear of hazards and housekeeping is maintained according to vessel procedures" },
+  { code: "PC 2.2", text: "Synthetic and natural fibre ropes are spliced and whipped" },
+  { code: "PC 2.3", text: "Lines are inspected, coiled and stowed after use" },
+  { code: "K1", text: "basic seamanship terminology and safety practices" },
+];
+
+function check(mappingText, unitCode = "MARN008", mappingFile = "map.txt") {
+  const structure = mergeStructures([
+    {
+      name: "task.txt",
+      role: "student-task",
+      structure: structureFromText(
+        "Task 1: Lines\nQ1. Describe how you inspect, coil and stow lines after use.\nQ2. Name three knots.\nQ3. What is your favourite colour?"
+      ),
+    },
+    { name: mappingFile, role: "mapping", structure: structureFromText(mappingText) },
+  ]);
+  return checkMapping({ claims: parseMappingClaims(structure), unitCode, targets, structure, passages: passagesFrom(structure) });
+}
+
+test("each claim is supported, unsupported or unresolved by the questions it names", () => {
+  const result = check("Criterion\tAssessed by\nPC 2.3\tTask 1 Q1\nPC 2.2\tTask 1 Q2\nPC 1.1\tTask 4 Q9\nPC 9.9\tTask 1 Q1");
+  assert.deepEqual(
+    result.claims.map((c) => [c.criterion, c.status, c.questions]),
+    [
+      ["PC 2.3", "supported", ["Task 1, Q1"]],
+      ["PC 2.2", "unsupported", ["Task 1, Q2"]],
+      ["PC 1.1", "unresolved", []],
+      ["PC 9.9", "unresolved", ["Task 1, Q1"]],
+    ]
+  );
+  const [supported, , missing, unknown] = result.claims;
+  assert.deepEqual([supported.evidence.label, supported.evidence.file], ["Task 1, Q1", "task.txt"]);
+  assert.equal(missing.detail, "Not found in the assessment: Task 4 Q9.");
+  assert.equal(unknown.detail, "Criterion is not in this unit.");
+  assert.deepEqual(result.summary, { claims: 4, supported: 1, unsupported: 1, unresolved: 2 });
+});
+
+test("criteria mapped to nothing and questions nothing maps to are listed", () => {
+  const result = check("Criterion\tAssessed by\nPC 2.3\tTask 1 Q1\nPC 2.2\tTask 1 Q2");
+  assert.deepEqual(result.unmapped, ["PC 1.1", "K1"]);
+  assert.deepEqual(result.orphanQuestions, ["Task 1, Q3"]);
+});
+
+test("a matrix for another unit doesn't apply", () => {
+  const matrix = "Criterion\tAssessed by\nPC 2.3\tTask 1 Q1";
+  assert.equal(check(matrix, "MARN008", "MARC037 mapping.txt"), null);
+  assert.equal(check(matrix, "MARC037", "MARC037 mapping.txt").summary.claims, 1);
+});
@@ -0,0 +1,75 @@
+// server/test/matcher.test.js
+// The passage matcher: synonyms, one-way matches and recall on the labelled samples.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { coverageCheck, passagesFrom } from "../lib/engine.js";
+import { structureFromText } from "../lib/structure.js";
+
+const samples = JSON.parse(readFileSync(new URL("../bench/matcher-samples.json", import.meta.url), "utf8"));
+
+const covered = (criterion, text) => coverageCheck(text, [{ code: "PC", text: criterion }]).items[0].covered;
+
+test("a PC about mooring lines is met by a question about ropes", () => {
+  assert.ok(covered("Coil and stow mooring lines.", "Q1. How do you coil and stow ropes after use?"));
+  assert.ok(covered("Berthing a vessel.", "Q1. Explain how you moor a boat."));
+  assert.ok(covered("Wear personal protective equipment.", "Q1. What PPE do you wear on deck?"));
+});
+
+test("the rope match only goes one way", () => {
+  assert.equal(covered("Splice ropes.", "Q1. Splice the eye of a hawser."), false);
+  assert.equal(covered("Handle lines.", "Q1. Handle the ropes."), false);
+});
+
+test("words with everyday senses don't match their nautical or safety look-alikes", () => {
+  assert.equal(covered("Enter a harbour.", "Q1. Name the port side of the vessel."), false);
+  assert.equal(covered("Inspect the winch.", "Q1. Check your answers before you hand in the winch quiz."), false);
+  assert.equal(covered("Notify the master of hazards.", "Q1. Report your results to the skipper."), false);
+  assert.equal(covered("Identify mooring lines.", "Q1. Write one line about each employer you name."), false);
+});
+
+// the labelled set the bench uses (npm run bench:matcher)
+function predictions() {
+  return Object.entries(samples.documents).flatMap(([docId, doc]) => {
+    const { items } = coverageCheck(doc.text, doc.criteria, passagesFrom(structureFromText(doc.text)));
+    return doc.criteria.map((c) => ({ docId, code: c.code, label: c.covered, pred: items.find((i) => i.code === c.code).covered }));
+  });
+}
+
+test("paraphrased criteria are found", () => {
+  const rows = predictions();
+  const positives = rows.filter((r) => r.label);
+  const recall = positives.filter((r) => r.pred).length / positives.length;
+  assert.ok(recall >= 0.8, `recall ${recall.toFixed(2)} on the labelled samples`);
+  assert.deepEqual(
+    rows.filter((r) => r.docId === "paraphrases" && !r.pred).map((r) => r.code),
+    []
+  );
+});
+
+test("shared words alone don't count as coverage", () => {
+  assert.deepEqual(
+    predictions()
+      .filter((r) => r.docId === "false-synonyms" && r.pred && !r.label)
+      .map((r) => r.code),
+    []
+  );
+});
+
+test("criteria with no words to match are skipped, not counted against coverage", () => {
+  const cov = coverageCheck("Q1. Describe the snap-back zone.", [
+    { code: "1.1", text: "Describe the snap-back zone." },
+    { code: "1.2", text: "Splice a rope." },
+    { code: "1.3", text: "The" },
+    { code: "1.4", text: "" },
+  ]);
+  assert.deepEqual(cov.skipped, ["1.3", "1.4"]);
+  assert.equal(cov.total, 2);
+  assert.equal(cov.assessed, 1);
+  assert.equal(cov.percentage, 50);
+  assert.deepEqual(cov.missing, ["1.2"]);
+  assert.deepEqual(
+    cov.items.map((i) => i.code),
+    ["1.1", "1.2"]
+  );
+});
@@ -0,0 +1,78 @@
+// server/test/qualification.test.js
+// Validating tools against a qualification: unit lookups run as a job.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { copyFileSync, mkdirSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createReportSeal } from "../lib/reportSeal.js";
+import { createUnitService } from "../lib/unitService.js";
+import { detectUnitCodes } from "../lib/unitCodes.js";
+
+const reportSeal = createReportSeal("test secret");
+
+// a service reading units from a local directory holding MAR20318 and MARN008 (not MARC037)
+function setup(t) {
+  const dataDir = mkdtempSync(path.join(tmpdir(), "rto-test-"));
+  t.after(() => rmSync(dataDir, { recursive: true, force: true }));
+  const localDir = path.join(dataDir, "units");
+  mkdirSync(localDir);
+  for (const code of ["MAR20318", "MARN008"]) {
+    copyFileSync(new URL(`../fixtures/tga/${code}.html`, import.meta.url), path.join(localDir, `${code}.html`));
+  }
+  return createUnitService({
+    dataDir,
+    localDir,
+    sources: "local",
+    cacheTtlHours: 1,
+    lookupConcurrency: 2,
+    lookupRetries: 0,
+    lookupBackoffMs: 1,
+    placeholders: false,
+    sealReport: reportSeal.seal,
+  });
+}
+
+const tool = (name, text) => ({ name, text, detected: detectUnitCodes(text).map((c) => c.code) });
+const tools = [
+  tool("deck.txt", "Unit: MARN008\nQ1. Describe the snap-back zone of a mooring rope.\nUnit: MARC037"),
+  tool("other.txt", "Unit: BSBWHS211\nQ1. Name a hazard."),
+];
+
+test("only the units a tool references are looked up, each as a job task", async (t) => {
+  const service = setup(t);
+  const qual = await service.getQualificationPayload("MAR20318");
+  const started = service.startQualificationValidation(qual, tools, { owner: "u1" });
+  assert.equal(started.owner, "u1");
+  assert.deepEqual(started.tasks.map((task) => task.item).sort(), ["MARC037", "MARN008"]);
+
+  const job = await service.jobs.wait(started.id);
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.progress, { settled: 2, total: 2 });
+  const row = (code) => job.result.units.find((u) => u.code === code);
+  assert.ok(reportSeal.verify(row("MARN008").report));
+  assert.equal(row("MARC037").status, "unavailable");
+  assert.equal(row("MARC037").report, undefined);
+  assert.deepEqual(
+    job.result.unmatchedTools.map((u) => u.name),
+    ["other.txt"]
+  );
+});
+
+test("waiting for the job gives the same dashboard", async (t) => {
+  const service = setup(t);
+  const qual = await service.getQualificationPayload("MAR20318");
+  const result = await service.validateQualificationTools(qual, tools);
+  assert.equal(result.qualification.code, "MAR20318");
+  assert.ok(["covered", "under-covered"].includes(result.units.find((u) => u.code === "MARN008").status));
+});
+
+test("a cancelled qualification validation isn't scored", async (t) => {
+  const service = setup(t);
+  const qual = await service.getQualificationPayload("MAR20318");
+  const { id } = service.startQualificationValidation(qual, tools);
+  service.jobs.cancel(id);
+  const job = await service.jobs.wait(id);
+  assert.equal(job.status, "cancelled");
+  assert.equal(job.result, undefined);
+});
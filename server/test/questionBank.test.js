@@ -0,0 +1,202 @@
+// server/test/questionBank.test.js
+// LMS question banks, and reading them out of uploaded zips.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import JSZip from "jszip";
+import { looksLikeGift, parseGift, parseMoodleXml, parseQtiPackage, parseQtiXml, QuestionBankError } from "../lib/questionBank.js";
+import { UnsupportedFileError } from "../lib/extract.js";
+import { expandUploads } from "../lib/toolkit.js";
+import { MAX_ZIP_BYTES, zipBudget } from "../lib/zipInflate.js";
+
+const manifest = (...items) =>
+  `<manifest><resources>${items
+    .map((href) => `<resource type="imsqti_item_xmlv2p1" href="${href}"/>`)
+    .join("")}</resources></manifest>`;
+
+// files: { name: string | Buffer }
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [name, data] of Object.entries(files)) zip.file(name, data);
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", compressionOptions: { level: 1 } });
+}
+
+const fixture = (name) => readFileSync(new URL(`../fixtures/question-banks/${name}`, import.meta.url), "utf8");
+// [section title, [type, stem, "option*" for the correct ones]]
+const outline = (quiz) =>
+  quiz.sections.map((s) => [s.title, s.questions.map((q) => [q.type, q.stem, q.options.map((o) => `${o.text}${o.correct ? "*" : ""}`)])]);
+const refused = (fn, message) => assert.throws(fn, (e) => e instanceof QuestionBankError && message.test(e.message));
+const refusedAsync = (promise, message) => assert.rejects(promise, (e) => e instanceof QuestionBankError && message.test(e.message));
+
+// a few hundred KB that inflate to just over the cap
+const oversized = () => Buffer.alloc(MAX_ZIP_BYTES + 1, 32);
+
+/* ---- zip limits ---- */
+test("entries read from one archive share its byte budget", async () => {
+  const zip = await JSZip.loadAsync(await zipOf({ "a.xml": "a".repeat(600), "b.xml": "b".repeat(600) }));
+  const budget = zipBudget(() => new Error("too big"), 1000);
+  assert.equal((await budget.text(zip.file("a.xml"))).length, 600);
+  await assert.rejects(budget.read(zip.file("b.xml")), /too big/);
+  // each on its own would fit
+  assert.equal((await zipBudget(() => new Error("too big"), 1000).read(zip.file("b.xml"))).length, 600);
+});
+
+test("a QTI item that inflates past the cap is refused", async () => {
+  const buffer = await zipOf({ "imsmanifest.xml": manifest("big.xml"), "big.xml": oversized() });
+  await assert.rejects(parseQtiPackage(buffer), (e) => e instanceof QuestionBankError && /unpacks to more than 100 MB/.test(e.message));
+});
+
+test("an oversized manifest is refused before it's checked for QTI", async () => {
+  // a QTI package would be passed on whole, so this is the only read that can stop it
+  const data = await zipOf({ "imsmanifest.xml": Buffer.concat([Buffer.from(manifest("item.xml")), oversized()]) });
+  await assert.rejects(expandUploads([{ name: "quiz.zip", data, mimetype: "application/zip" }]), (e) => {
+    return e instanceof UnsupportedFileError && /quiz\.zip unpacks to more than 100 MB/.test(e.message);
+  });
+  await assert.rejects(parseQtiPackage(data), QuestionBankError);
+});
+
+/* ---- moodle xml ---- */
+test("moodle: categories become sections, with options, feedback and grader info", () => {
+  const quiz = parseMoodleXml(fixture("moodle.xml"));
+  assert.deepEqual(outline(quiz), [
+    [
+      "Task 1 Knots",
+      [
+        ["multichoice", "Which knot forms a fixed loop?", ["Bowline*", "Clove hitch"]],
+        ["description", "Answer the questions below.", []],
+      ],
+    ],
+    [
+      "Task 2 Mooring",
+      [
+        // the empty answer Moodle writes for an essay isn't an option
+        ["essay", "Describe the snap-back zone on a mooring deck.", []],
+        // a subquestion without text is a distractor, not a pair
+        ["matching", "Match each term to its meaning.", ["Bight → A loop in a line*", "Whipping → Binding on a rope's end*"]],
+      ],
+    ],
+  ]);
+  const [[fixed], [essay]] = quiz.sections.map((s) => s.questions);
+  assert.deepEqual(
+    fixed.options.map((o) => o.feedback),
+    ["Correct.", "It slips under load."]
+  );
+  assert.deepEqual(fixed.feedback, ["The bowline does not slip."]);
+  assert.deepEqual(essay.rubric, ["Mentions the area a parted line whips through."]);
+});
+
+test("moodle: a file that isn't a question export, or has no questions, is refused", () => {
+  refused(() => parseMoodleXml("<catalog><book/></catalog>"), /Not a Moodle XML question file/);
+  refused(
+    () => parseMoodleXml('<quiz><question type="category"><category><text>$course$/top/Empty</text></category></question></quiz>'),
+    /No questions found in the MOODLE file/
+  );
+});
+
+/* ---- qti ---- */
+test("qti: an item's stem, choices, correct response, feedback and rubric", () => {
+  const quiz = parseQtiXml(fixture("qti-item.xml"));
+  assert.equal(quiz.title, "Fixed loop");
+  assert.deepEqual(outline(quiz), [["", [["choice", "Look at the knots on the bench. Which knot forms a fixed loop?", ["Bowline*", "Clove hitch"]]]]]);
+  const [question] = quiz.sections[0].questions;
+  assert.equal(question.options[0].feedback, "It does not slip.");
+  assert.deepEqual(question.feedback, ["Knots are covered in Task 1."]);
+  assert.deepEqual(question.rubric, ["Only the bowline is accepted."]);
+  refused(() => parseQtiXml("<assessmentTest/>"), /Not a QTI 2\.x assessment item/);
+});
+
+const qtiPackage = (resources, files) =>
+  zipOf({
+    "imsmanifest.xml": `<manifest><resources>${resources.map(([type, href]) => `<resource type="${type}" href="${href}"/>`).join("")}</resources></manifest>`,
+    ...files,
+  });
+
+test("qti package: the assessment test gives the sections and their order", async () => {
+  const buffer = await qtiPackage(
+    [
+      ["imsqti_item_xmlv2p1", "items/qti-item.xml"],
+      ["imsqti_item_xmlv2p1", "items/qti-essay.xml"],
+      ["imsqti_test_xmlv2p1", "tests/qti-test.xml"],
+    ],
+    {
+      "items/qti-item.xml": fixture("qti-item.xml"),
+      "items/qti-essay.xml": fixture("qti-essay.xml"),
+      "tests/qti-test.xml": fixture("qti-test.xml"),
+    }
+  );
+  const quiz = await parseQtiPackage(buffer);
+  assert.equal(quiz.title, "MARN008 knowledge quiz");
+  assert.deepEqual(
+    quiz.sections.map((s) => [s.title, s.questions.map((q) => [q.type, q.name])]),
+    [
+      ["Task 2 Mooring", [["extendedText", "Snap-back"]]],
+      ["Task 1 Knots", [["choice", "Fixed loop"]]],
+    ]
+  );
+});
+
+test("qti package: without a test, the manifest's items in order", async () => {
+  const buffer = await qtiPackage(
+    [
+      ["imsqti_item_xmlv2p1", "qti-essay.xml"],
+      ["imsqti_item_xmlv2p1", "missing.xml"],
+      ["imsqti_item_xmlv2p1", "qti-item.xml"],
+    ],
+    { "qti-item.xml": fixture("qti-item.xml"), "qti-essay.xml": fixture("qti-essay.xml") }
+  );
+  const quiz = await parseQtiPackage(buffer);
+  assert.deepEqual(
+    quiz.sections.map((s) => s.questions.map((q) => q.name)),
+    [["Snap-back", "Fixed loop"]]
+  );
+});
+
+test("qti package: unreadable, manifest-less and empty packages are refused", async () => {
+  await refusedAsync(parseQtiPackage(Buffer.from("not a zip")), /Not a readable QTI package/);
+  await refusedAsync(parseQtiPackage(await zipOf({ "qti-item.xml": fixture("qti-item.xml") })), /imsmanifest\.xml missing/);
+  await refusedAsync(parseQtiPackage(await qtiPackage([["imsqti_item_xmlv2p1", "missing.xml"]], {})), /No questions found in the QTI file/);
+});
+
+test("qti package: more than 500 items is refused before any is read", async () => {
+  const items = (n) => Array.from({ length: n }, () => ["imsqti_item_xmlv2p1", "qti-item.xml"]);
+  const files = { "qti-item.xml": fixture("qti-item.xml") };
+  const quiz = await parseQtiPackage(await qtiPackage(items(500), files));
+  assert.equal(quiz.sections[0].questions.length, 500);
+  await refusedAsync(parseQtiPackage(await qtiPackage(items(501), files)), /The package has more than 500 items\./);
+});
+
+/* ---- gift ---- */
+test("gift: each question type, with categories, titles, feedback and escapes", () => {
+  const quiz = parseGift(fixture("gift.txt"));
+  assert.deepEqual(outline(quiz), [
+    [
+      "Task 1 Knots",
+      [
+        ["multichoice", "Which knot forms a fixed loop?", ["Bowline*", "Clove hitch"]],
+        ["truefalse", "A clove hitch can slip under load.", ["True*", "False"]],
+        ["shortanswer", "The rope's end is finished with a _____ to stop it fraying.", ["whipping*", "back splice*"]],
+        ["numerical", "What is the minimum under-keel clearance in metres?", ["1.5 ± 0.5*"]],
+        ["matching", "Match each term to its meaning.", ["Bight → A loop in a line*", "Whipping → Binding on a rope's end*"]],
+      ],
+    ],
+    ["Task 2 Mooring", [["essay", "Describe the snap-back zone: where is it and why does it matter?", []]]],
+  ]);
+  const [fixed] = quiz.sections[0].questions;
+  assert.equal(fixed.name, "Fixed loop");
+  assert.equal(fixed.options[1].feedback, "It slips under load.");
+  assert.deepEqual(fixed.feedback, ["The bowline is covered in Task 1."]);
+});
+
+test("gift: unclosed answers are kept as text, and a file of comments is refused", () => {
+  const quiz = parseGift("::Q1:: Which knot forms a fixed loop? {=bowline ~clove hitch");
+  assert.deepEqual(outline(quiz), [["", [["description", "Which knot forms a fixed loop? {=bowline ~clove hitch", []]]]]);
+  refused(() => parseGift("// just a comment\n\n// and another"), /No questions found in the GIFT file/);
+  refused(() => parseGift(""), /No questions found in the GIFT file/);
+});
+
+test("gift: a .txt is only read as GIFT when it has GIFT answer blocks", () => {
+  assert.ok(looksLikeGift(fixture("gift.txt")));
+  assert.ok(looksLikeGift("::Q1:: Tie a bowline. {T}"));
+  assert.ok(!looksLikeGift("Task 1 {see appendix}\nQ1. Tie a bowline."));
+  assert.ok(!looksLikeGift("Q1. Is the bowline a fixed loop? {T}"));
+});
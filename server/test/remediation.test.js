@@ -0,0 +1,79 @@
+// server/test/remediation.test.js
+// Drafted items for criteria the tool doesn't cover.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { draftItem, draftRemediation, recommendationFor } from "../lib/remediation.js";
+import { remediationToDocx } from "../lib/reportExport.js";
+
+const draft = (text, kind = "PC") => draftItem({ code: "PC 1.1", text }, kind);
+
+test("a prepositional verb keeps its preposition, passive or active", () => {
+  const passive = draft("Waste is disposed of according to procedures");
+  assert.equal(passive.verb, "dispose of");
+  assert.equal(passive.object, "waste");
+  assert.equal(passive.prompt, "Disposes of waste according to procedures.");
+  assert.equal(draft("Dispose of waste safely").prompt, "Disposes of waste safely.");
+  assert.equal(draft("Emergencies are dealt with calmly").prompt, "Explain how you would deal with emergencies calmly.");
+  // "of" after other verbs is part of the qualifier
+  assert.equal(draft("Supervisor is informed of hazards").prompt, "Explain how you would inform supervisor of hazards.");
+});
+
+test("the item's format follows the criterion's verb", () => {
+  const cases = [
+    ["Mooring and anchoring operations are performed safely under supervision", "observation", "Performs mooring and anchoring operations safely under supervision."],
+    ["Lines are inspected, coiled and stowed after use", "observation", "Inspects, coils and stows lines after use."],
+    ["Hazards are identified and reported to the vessel master", "short-answer", "Identify and report hazards to the vessel master. Give an example from your workplace."],
+  ];
+  for (const [text, format, prompt] of cases) {
+    const d = draft(text);
+    assert.deepEqual([d.format, d.prompt], [format, prompt], text);
+  }
+  const scenario = draft("Incidents are responded to promptly");
+  assert.equal(scenario.format, "scenario");
+  assert.match(scenario.prompt, /^Scenario: \[describe a realistic workplace situation/);
+  assert.match(scenario.prompt, /Explain how you would respond to incidents promptly, who you would involve/);
+});
+
+test("knowledge evidence is asked about, as a list when it is one", () => {
+  const list = draft("characteristics and safe use of common knots, bends and hitches", "KE");
+  assert.equal(list.format, "short-answer");
+  assert.equal(list.prompt, "Describe each of the following and how it applies in your work: characteristics and safe use of common knots, bends and hitches.");
+  assert.equal(draft("the purpose of a snap-back zone", "KE").prompt, "Explain the purpose of a snap-back zone and why this matters in your work.");
+});
+
+test("only uncovered criteria are drafted, and the gap points at its draft", () => {
+  const pcCov = {
+    items: [
+      { code: "PC 1.1", text: "Lines are inspected, coiled and stowed after use", element: "1", covered: false },
+      { code: "PC 1.2", text: "Hazards are identified", covered: true },
+    ],
+  };
+  const keCov = { items: [{ code: "K1", text: "the purpose of a snap-back zone", covered: false }] };
+  const drafts = draftRemediation(pcCov, keCov);
+  assert.deepEqual(
+    drafts.map((d) => [d.code, d.kind, d.format, d.element]),
+    [
+      ["PC 1.1", "PC", "observation", "1"],
+      ["K1", "KE", "short-answer", undefined],
+    ]
+  );
+  assert.equal(recommendationFor(drafts[0]), "Observation checklist item: “Inspects, coils and stows lines after use.”");
+});
+
+test("the addendum puts observation items in a checklist table", async () => {
+  const remediation = [draft("Lines are inspected, coiled and stowed after use"), draft("the purpose of a snap-back zone", "KE")];
+  const docx = await remediationToDocx({
+    reports: [
+      { unit: { code: "MARN008", title: "Undertake basic seamanship" }, remediation },
+      { unit: { code: "MARC037" }, remediation: [] },
+    ],
+    assessment: "Deck toolkit",
+  });
+  const xml = await (await JSZip.loadAsync(docx)).file("word/document.xml").async("string");
+  const text = [...xml.matchAll(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g)].map((m) => m[1]).join("|");
+  assert.match(text, /Observable behaviour\|S\|NYS\|Assessor comments\|Inspects, coils and stows lines after use\./);
+  assert.match(text, /Short-answer question\|Explain the purpose of a snap-back zone/);
+  assert.match(text, /MARC037\|Every criterion is covered; nothing to add\./);
+  assert.equal((xml.match(/<w:tbl>/g) || []).length, 1);
+});
@@ -0,0 +1,175 @@
+// server/test/signOff.test.js
+// Report seals, the sign-off workflow and the store files behind it.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import JSZip from "jszip";
+import { buildReport } from "../lib/engine.js";
+import { createJsonFile } from "../lib/jsonFile.js";
+import { fetched, placeholder } from "../lib/provenance.js";
+import { reportsToDocx } from "../lib/reportExport.js";
+import { createReportSeal } from "../lib/reportSeal.js";
+import { createSignOffStore } from "../lib/signOffStore.js";
+import { parseUnitPage } from "../lib/tgaParser.js";
+
+const reportSeal = createReportSeal("test secret");
+
+const report = (extra = {}) => ({
+  unit: { code: "MARN008", title: "Apply seamanship skills aboard a vessel up to 12 metres" },
+  coverage: { performanceCriteria: { total: 5, assessed: 4, percentage: 80 }, knowledge: { total: 3, assessed: 3, percentage: 100 } },
+  provenance: fetched("tga-html", "2026-01-01T00:00:00.000Z"),
+  ...extra,
+});
+
+const ann = { id: "u1", name: "Ann", credentials: "", roles: ["assessor"] };
+const val = { id: "u2", name: "Val", credentials: "TAE40122", roles: ["validator"] };
+
+function withDir(t) {
+  const dir = mkdtempSync(path.join(tmpdir(), "rto-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a sealed report verifies however its keys are ordered", () => {
+  const sealed = reportSeal.seal(report());
+  assert.ok(reportSeal.verify(sealed));
+  const { unit, ...rest } = JSON.parse(JSON.stringify(sealed));
+  assert.ok(reportSeal.verify({ ...rest, unit: { title: unit.title, code: unit.code } }));
+});
+
+test("any change to the scored content breaks the seal", () => {
+  const sealed = reportSeal.seal(report());
+  const edited = { ...sealed, coverage: { ...sealed.coverage, knowledge: { total: 3, assessed: 3, percentage: 100 } } };
+  assert.ok(reportSeal.verify(edited)); // same content
+  edited.coverage.performanceCriteria = { total: 5, assessed: 5, percentage: 100 };
+  assert.equal(reportSeal.verify(edited), false);
+  assert.equal(reportSeal.verify(report()), false);
+  assert.equal(createReportSeal("another secret").verify(sealed), false);
+});
+
+test("workflow fields aren't part of the seal", () => {
+  const sealed = reportSeal.seal(report());
+  assert.ok(reportSeal.verify({ ...sealed, workflow: { status: "signed-off", steps: [] }, signOffId: "x" }));
+});
+
+test("only a sealed, real-data report can start a sign-off", async (t) => {
+  const store = createSignOffStore({ file: path.join(withDir(t), "signoffs.json"), reportSeal });
+  await assert.rejects(store.create({ report: report() }, ann), { status: 400, message: /doesn't match one the server produced/ });
+  await assert.rejects(store.create({ report: reportSeal.seal(report({ provenance: placeholder() })) }, ann), { status: 409 });
+});
+
+test("a new record ignores the workflow the client sent", async (t) => {
+  const store = createSignOffStore({ file: path.join(withDir(t), "signoffs.json"), reportSeal });
+  const forged = {
+    ...reportSeal.seal(report()),
+    workflow: { status: "signed-off", steps: [{ status: "signed-off", by: val, at: "2020-01-01" }] },
+    signOff: { name: "Val", credentials: "TAE40122", outcome: "approved", date: "2020-01-01" },
+    signOffId: "someone-elses",
+  };
+  const record = await store.create({ report: forged, assessment: "Tool" }, ann);
+  assert.equal(record.status, "draft");
+  assert.equal(record.report.signOffId, record.id);
+  assert.equal(record.report.signOff, undefined);
+  assert.deepEqual(
+    record.report.workflow.steps.map((s) => [s.status, s.by.name]),
+    [["draft", "Ann"]]
+  );
+  assert.equal(store.signedOff(forged.seal), null);
+});
+
+test("review and sign-off follow the steps and record who took them", async (t) => {
+  const file = path.join(withDir(t), "signoffs.json");
+  const store = createSignOffStore({ file, reportSeal });
+  const { id, report: draft } = await store.create({ report: reportSeal.seal(report()) }, ann);
+
+  await assert.rejects(store.advance(id, "review", ann), { status: 403 });
+  await assert.rejects(store.advance(id, "sign-off", val, { outcome: "approved" }), { status: 409 });
+  await store.advance(id, "review", val);
+  await assert.rejects(store.advance(id, "sign-off", val, { outcome: "maybe" }), { status: 400 });
+  const signed = await store.advance(id, "sign-off", val, { outcome: "approved" });
+
+  assert.equal(signed.status, "signed-off");
+  const { date, ...signOff } = signed.report.signOff;
+  assert.deepEqual(signOff, { name: "Val", credentials: "TAE40122", outcome: "approved" });
+  assert.match(date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(store.signedOff(draft.seal)?.id, id);
+
+  // and it's all still there after a restart
+  const reloaded = createSignOffStore({ file, reportSeal });
+  assert.equal(reloaded.get(id).status, "signed-off");
+  assert.equal(reloaded.get(id).report.workflow.steps.length, 3);
+});
+
+test("a missing store file starts empty; an unreadable one stops the start", (t) => {
+  const dir = withDir(t);
+  assert.deepEqual(createJsonFile(path.join(dir, "none.json")).read({ records: {} }), { records: {} });
+  const bad = path.join(dir, "users.json");
+  writeFileSync(bad, "{ not json");
+  assert.throws(() => createJsonFile(bad).read({ users: [] }), /is not valid JSON/);
+  assert.throws(() => createSignOffStore({ file: bad, reportSeal }), /fix or restore it/);
+});
+
+/* ---- exports ---- */
+// a report the engine scored, as the validate routes hand it out
+function scoredReport(text = "Q1. Describe the snap-back zone of a mooring rope.") {
+  const html = readFileSync(new URL("../fixtures/tga/MARN008.html", import.meta.url), "utf8");
+  const payload = { ...parseUnitPage(html, { code: "MARN008", url: "" }), provenance: fetched("tga-html") };
+  return reportSeal.seal(buildReport(payload, text, null));
+}
+
+// the text of the exported document
+async function docxText(input) {
+  const zip = await JSZip.loadAsync(await reportsToDocx(input));
+  return (await zip.file("word/document.xml").async("string")).replace(/<[^>]+>/g, " ");
+}
+
+const forgedSignOff = { name: "Mallory", credentials: "TAE40122", outcome: "approved", signature: "M.", date: "2020-01-01" };
+
+test("an edited report can't be exported", async (t) => {
+  const store = createSignOffStore({ file: path.join(withDir(t), "signoffs.json"), reportSeal });
+  const sealed = scoredReport();
+  const edited = { ...sealed, coverage: { ...sealed.coverage, knowledge: { ...sealed.coverage.knowledge, percentage: 100 } } };
+  assert.throws(() => store.exportable(edited), { status: 400, message: /doesn't match one the server produced/ });
+  assert.throws(() => store.exportable({ unit: { code: "MARN008" } }), { status: 400 });
+});
+
+test("a report the client says was signed off exports with a blank sign-off block", async (t) => {
+  const store = createSignOffStore({ file: path.join(withDir(t), "signoffs.json"), reportSeal });
+  const claimed = {
+    ...scoredReport(),
+    signOff: forgedSignOff,
+    signOffId: "not-a-record",
+    workflow: { status: "signed-off", steps: [{ status: "signed-off", by: { name: "Mallory" }, at: "2020-01-01T00:00:00Z" }] },
+  };
+  const exported = store.exportable(claimed);
+  assert.equal(exported.signOff, undefined);
+  assert.equal(exported.workflow, undefined);
+
+  // a signOff sent beside the reports isn't read either
+  const text = await docxText({ reports: [exported], signOff: forgedSignOff });
+  assert.match(text, /Not signed off through the workflow/);
+  assert.doesNotMatch(text, /Mallory/);
+});
+
+test("a signed-off report exports the recorded sign-off, whatever the client's copy says", async (t) => {
+  const store = createSignOffStore({ file: path.join(withDir(t), "signoffs.json"), reportSeal });
+  const sealed = scoredReport();
+  const { id } = await store.create({ report: sealed }, ann);
+  await store.advance(id, "review", val);
+  await store.advance(id, "sign-off", val, { outcome: "approved-with-changes" });
+
+  // the on-screen copy, without the id, with someone else's sign-off pasted in
+  const exported = store.exportable({ ...sealed, signOff: forgedSignOff });
+  assert.equal(exported.signOffId, id);
+  assert.equal(exported.signOff.name, "Val");
+  const text = await docxText({ reports: [exported] });
+  assert.match(text, /Signed off through the review and sign-off workflow/);
+  assert.match(text, /approved-with-changes/);
+  assert.doesNotMatch(text, /Mallory/);
+
+  // another report can't borrow the record's id
+  const other = store.exportable({ ...scoredReport("Q1. Tie a bowline."), signOffId: id });
+  assert.equal(other.signOff, undefined);
+});
@@ -0,0 +1,139 @@
+// server/test/structure.test.js
+// Finding sections, questions and tables in a document, and the location IDs they get.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeStructures, structureFromHtml, structureFromText } from "../lib/structure.js";
+
+const outline = (structure) => structure.blocks.map((b) => [b.id, b.type, b.label]);
+
+const booklet = `Student name: ______
+Assessment Instructions
+Answer every question in your own words.
+
+Task 1: Mooring
+Q1. Name the lines used to moor a vessel.
+2) Describe the snap-back zone.
+Question 3: Why coil lines?
+
+Part B – Practical
+Criterion\tSatisfactory\tComments
+Ties a bowline\tY\t
+Marking guide
+1.5 metres is the answer.`;
+
+test("plain text: headings open sections and numbered lines are questions", () => {
+  const s = structureFromText(booklet);
+  assert.deepEqual(
+    s.sections.map((sec) => [sec.id, sec.label, sec.kind]),
+    [
+      ["s1", "Front matter", "section"],
+      ["s2", "Assessment Instructions", "instructions"],
+      ["s3", "Task 1", "task"],
+      ["s4", "Part B", "task"],
+      ["s5", "Marking guide", "marking"],
+    ]
+  );
+  assert.deepEqual(outline(s), [
+    ["s1.p1", "paragraph", "¶1"],
+    ["s2.h", "heading", "Assessment Instructions"],
+    ["s2.p1", "instruction", "Assessment Instructions, ¶1"],
+    ["s3.h", "heading", "Task 1"],
+    ["s3.q1", "question", "Task 1, Q1"],
+    ["s3.q2", "question", "Task 1, Q2"],
+    ["s3.q3", "question", "Task 1, Q3"],
+    ["s4.h", "heading", "Part B"],
+    ["s4.t1", "table", "Part B, Table 1"],
+    ["s5.h", "heading", "Marking guide"],
+    // a measurement at the start of a line isn't a question number
+    ["s5.p1", "paragraph", "Marking guide, ¶1"],
+  ]);
+});
+
+test("plain text: tab-separated lines become a table with addressable cells", () => {
+  const table = structureFromText(booklet).blocks.find((b) => b.type === "table");
+  assert.deepEqual(
+    table.rows.map((r) => r.map((c) => c.text)),
+    [
+      ["Criterion", "Satisfactory", "Comments"],
+      ["Ties a bowline", "Y"], // the trailing empty cell is trimmed with the line
+    ]
+  );
+  assert.equal(table.rows[1][0].id, "s4.t1.r2c1");
+});
+
+test("the same file gets the same IDs, and repeated numbers stay unique", () => {
+  assert.deepEqual(structureFromText(booklet), structureFromText(booklet));
+  const s = structureFromText("Task 1\nQ1. First.\nQ1. Numbered again.");
+  assert.deepEqual(
+    s.blocks.filter((b) => b.type === "question").map((b) => [b.id, b.number]),
+    [
+      ["s1.q1", "1"],
+      ["s1.q1-2", "1"],
+    ]
+  );
+});
+
+test("paged text keeps each block's page", () => {
+  const s = structureFromText("", [
+    { page: 1, text: "Task 1: Knots\nQ1. Tie a bowline." },
+    { page: 2, text: "Q2. Tie a clove hitch." },
+  ]);
+  assert.deepEqual(
+    s.blocks.map((b) => [b.id, b.page]),
+    [
+      ["s1.h", 1],
+      ["s1.q1", 1],
+      ["s1.q2", 2],
+    ]
+  );
+});
+
+test("HTML: heading styles, bold-only headings, numbered lists and tables", () => {
+  const s = structureFromHtml(
+    "<h1>Assessment Task 2 - Knots</h1><p>Read carefully.</p>" +
+      "<ol><li>Tie a bowline.<ol><li>Dress the knot.</li></ol></li><li>Tie a clove hitch.</li></ol>" +
+      "<p><strong>Marking guide</strong></p><table><tr><th>Q</th><th>Answer</th></tr><tr><td>1</td><td>Bowline</td></tr></table>" +
+      "<h2>Observation checklist</h2><ol><li>Coils the line.</li></ol>"
+  );
+  assert.deepEqual(
+    s.sections.map((sec) => [sec.label, sec.kind, sec.level]),
+    [
+      ["Assessment Task 2", "task", 1],
+      ["Marking guide", "marking", 2],
+      ["Observation checklist", "marking", 2],
+    ]
+  );
+  assert.deepEqual(outline(s), [
+    ["s1.h", "heading", "Assessment Task 2"],
+    ["s1.p1", "paragraph", "Assessment Task 2, ¶1"],
+    ["s1.q1", "question", "Assessment Task 2, Q1"],
+    // only the top level of a list carries question numbers
+    ["s1.p2", "paragraph", "Assessment Task 2, ¶2"],
+    ["s1.q2", "question", "Assessment Task 2, Q2"],
+    ["s2.h", "heading", "Marking guide"],
+    ["s2.t1", "table", "Marking guide, Table 1"],
+    ["s3.h", "heading", "Observation checklist"],
+    // numbering starts again under a new heading
+    ["s3.q1", "question", "Observation checklist, Q1"],
+  ]);
+});
+
+test("merged files keep unique IDs and say which file each block came from", () => {
+  const merged = mergeStructures([
+    { name: "task.docx", role: "student-task", structure: structureFromText("Task 1\nQ1. Tie a bowline.") },
+    { name: "guide.docx", structure: structureFromText("Task 1\nQ1. A bowline.\nA\tB") },
+  ]);
+  assert.deepEqual(
+    merged.blocks.map((b) => [b.id, b.sectionId, b.file, b.role]),
+    [
+      ["f1:s1.h", "f1:s1", "task.docx", "student-task"],
+      ["f1:s1.q1", "f1:s1", "task.docx", "student-task"],
+      ["f2:s1.h", "f2:s1", "guide.docx", undefined],
+      ["f2:s1.q1", "f2:s1", "guide.docx", undefined],
+      ["f2:s1.t1", "f2:s1", "guide.docx", undefined],
+    ]
+  );
+  assert.equal(merged.blocks.at(-1).rows[0][1].id, "f2:s1.t1.r1c2");
+  // a single file keeps its own IDs
+  assert.equal(mergeStructures([{ name: "one.txt", structure: structureFromText("Q1. Only.") }]).blocks[0].id, "s1.q1");
+});
@@ -0,0 +1,110 @@
+// server/test/tgaParser.test.js
+// The TGA page parser against the saved pages in ../fixtures/tga.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { equivalenceOf, parseQualificationPage, parseUnitPage } from "../lib/tgaParser.js";
+
+const page = (code) => readFileSync(new URL(`../fixtures/tga/${code}.html`, import.meta.url), "utf8");
+const unit = (code) => parseUnitPage(page(code), { code, url: `https://training.gov.au/Training/Details/${code}` });
+
+test("unit title and release come from the page", () => {
+  const p = unit("MARN008");
+  assert.deepEqual(p.unit, { code: "MARN008", title: "Apply seamanship skills aboard a vessel up to 12 metres", release: "2" });
+  assert.equal(p.url, "https://training.gov.au/Training/Details/MARN008");
+});
+
+test("elements carry their performance criteria", () => {
+  const p = unit("MARN008");
+  assert.deepEqual(
+    p.elements.map((el) => [el.number, el.pcs.map((pc) => pc.pcCode)]),
+    [
+      ["1", ["1.1", "1.2"]],
+      ["2", ["2.1", "2.2", "2.3"]],
+    ]
+  );
+  assert.equal(p.elements[0].title, "Maintain a safe working deck");
+  assert.equal(
+    p.elements[0].pcs[0].description,
+    "Deck is kept clear of hazards and housekeeping is maintained according to vessel procedures"
+  );
+  // the flat list names each PC's element
+  assert.equal(p.elementsAndPC.length, 5);
+  assert.deepEqual(
+    p.elementsAndPC.map((pc) => `${pc.element}:${pc.pcCode}`),
+    ["1:1.1", "1:1.2", "2:2.1", "2:2.2", "2:2.3"]
+  );
+});
+
+test("performance and knowledge evidence are read as lists", () => {
+  const p = unit("MARN008");
+  assert.equal(p.performanceEvidence.length, 3);
+  assert.equal(p.performanceEvidence[0], "tie, bend and hitch at least six knots used aboard a small vessel");
+  assert.equal(p.knowledgeEvidence.length, 3);
+  assert.equal(p.knowledgeEvidence[0], "basic seamanship terminology and safety practices");
+  assert.equal(p.assessmentConditions.length, 2);
+  assert.deepEqual(p.foundationSkills[0], {
+    skill: "Oral communication",
+    description: "Communicates clearly with the master and crew during mooring operations",
+  });
+});
+
+test("release history lists the newest release first", () => {
+  const p = unit("MARN008");
+  assert.deepEqual(
+    p.releases.map((r) => r.release),
+    ["2", "1"]
+  );
+  assert.equal(p.releases[0].comments, "Updated assessment conditions.");
+});
+
+test("a current unit has no replacement", () => {
+  assert.deepEqual(unit("MARN008").currency, { status: "current", supersededBy: null });
+});
+
+test("a superseded unit names its replacement and whether it is equivalent", () => {
+  const p = unit("MARC037");
+  assert.deepEqual(p.unit, { code: "MARC037", title: "Operate deck machinery", release: "1" });
+  assert.deepEqual(p.currency, {
+    status: "superseded",
+    supersededBy: { code: "MARC048", title: "Operate deck machinery", equivalence: "equivalent" },
+  });
+});
+
+test("the title keeps the heading when it doesn't start with the code", () => {
+  const html = "<h1>Operate deck machinery</h1>";
+  assert.equal(parseUnitPage(html, { code: "MARC037", url: "" }).unit.title, "Operate deck machinery");
+  // the code is compared, never used as a pattern
+  assert.equal(parseUnitPage("<h1>A.C(1 - Title</h1>", { code: "A.C(1", url: "" }).unit.title, "A.C(1 - Title");
+});
+
+test("a page without a title is refused", () => {
+  assert.throws(() => parseUnitPage("<p>Not found</p>", { code: "MARN008", url: "" }), /No title/);
+});
+
+test("qualification packaging rules and unit lists", () => {
+  const q = parseQualificationPage(page("MAR20318"), { code: "MAR20318", url: "" });
+  assert.deepEqual(q.qualification, {
+    code: "MAR20318",
+    title: "Certificate II in Maritime Operations (Coxswain Grade 1 Near Coastal)",
+    release: "1",
+  });
+  assert.deepEqual(
+    [q.packagingRules.total, q.packagingRules.core, q.packagingRules.electives],
+    [6, 4, 2]
+  );
+  assert.deepEqual(
+    q.coreUnits.map((u) => u.code),
+    ["MARN008", "MARJ006", "MARK007", "MARI003"]
+  );
+  assert.deepEqual(
+    q.electiveUnits.map((u) => u.code),
+    ["MARC037", "MARF027", "HLTAID011"]
+  );
+});
+
+test("equivalence wording", () => {
+  assert.equal(equivalenceOf("Equivalent unit"), "equivalent");
+  assert.equal(equivalenceOf("Not equivalent"), "not-equivalent");
+  assert.equal(equivalenceOf("Supersedes and replaces"), null);
+});
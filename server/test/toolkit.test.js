@@ -0,0 +1,84 @@
+// server/test/toolkit.test.js
+// Toolkit uploads: the role each file is given and the zips they arrive in.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { UnsupportedFileError } from "../lib/extract.js";
+import { expandUploads, extractToolkit, guessRole } from "../lib/toolkit.js";
+
+const upload = (name, text) => ({ name, data: Buffer.from(text), mimetype: "" });
+
+test("a file's role comes from its name first", () => {
+  const cases = {
+    "MARN008 Mapping Matrix.xlsx": "mapping",
+    "Marking_Guide-v2.docx": "marking-guide",
+    "assessor's pack.pdf": "marking-guide",
+    "Observation Checklist.docx": "observation-checklist",
+    "practical.docx": "observation-checklist",
+    "Student Assessment Task.docx": "student-task",
+    "notes.docx": "other",
+  };
+  for (const [name, role] of Object.entries(cases)) assert.equal(guessRole(name), role, name);
+  // a mapping matrix for the student task is a mapping document
+  assert.equal(guessRole("Student task mapping.docx"), "mapping");
+});
+
+test("then from the start of its text", () => {
+  assert.equal(guessRole("doc1.docx", "Assessor guide\nBenchmark answers for each question"), "marking-guide");
+  assert.equal(guessRole("doc2.docx", "Learner workbook"), "student-task");
+  // only the opening counts, not a word deep in the document
+  assert.equal(guessRole("doc3.docx", `${"Notes. ".repeat(300)}Marking guide`), "other");
+});
+
+test("a role the user picked wins over the guess; an unknown one doesn't", async () => {
+  const { files, text, structure } = await extractToolkit(
+    [upload("Marking guide.txt", "Q1. A bowline."), upload("task.txt", "Q1. Tie a bowline."), upload("extra.txt", "Q1. Coil a line.")],
+    { "Marking guide.txt": "student-task", "extra.txt": "boss" }
+  );
+  assert.deepEqual(
+    files.map((f) => [f.name, f.role]),
+    [
+      ["Marking guide.txt", "student-task"],
+      ["task.txt", "student-task"],
+      ["extra.txt", "other"],
+    ]
+  );
+  assert.equal(text, "Q1. A bowline.\n\nQ1. Tie a bowline.\n\nQ1. Coil a line.");
+  assert.deepEqual(
+    structure.blocks.map((b) => [b.id, b.file, b.role]),
+    [
+      ["f1:s1.q1", "Marking guide.txt", "student-task"],
+      ["f2:s1.q1", "task.txt", "student-task"],
+      ["f3:s1.q1", "extra.txt", "other"],
+    ]
+  );
+});
+
+test("a zip is unpacked into its documents, leaving out what isn't one", async () => {
+  const zip = new JSZip();
+  zip.file("Toolkit/Student task.txt", "Q1. Tie a bowline.");
+  zip.file("Toolkit/Mapping.txt", "PC 2.3\tQ1");
+  zip.file("__MACOSX/Toolkit/._Student task.txt", "junk");
+  zip.file("Toolkit/.DS_Store", "junk");
+  zip.file("Toolkit/logo.png", "png");
+  zip.file("Toolkit/metadata.xml", "<metadata/>");
+  const data = await zip.generateAsync({ type: "nodebuffer" });
+  const files = await expandUploads([{ name: "toolkit.zip", data, mimetype: "application/zip" }, upload("guide.txt", "A1.")]);
+  assert.deepEqual(
+    files.map((f) => f.name).sort(),
+    ["Toolkit/Mapping.txt", "Toolkit/Student task.txt", "guide.txt"]
+  );
+});
+
+test("zips that can't be read, hold too many documents or hold none are refused", async () => {
+  const refused = (uploads, message) =>
+    assert.rejects(expandUploads(uploads), (e) => e instanceof UnsupportedFileError && message.test(e.message));
+  await refused([{ name: "broken.zip", data: Buffer.from("not a zip"), mimetype: "" }], /broken\.zip is not a readable zip file/);
+
+  const many = new JSZip();
+  for (let i = 1; i <= 51; i++) many.file(`q${i}.txt`, `Q${i}.`);
+  await refused([{ name: "many.zip", data: await many.generateAsync({ type: "nodebuffer" }), mimetype: "" }], /more than 50 documents/);
+
+  const empty = await new JSZip().file("logo.png", "png").generateAsync({ type: "nodebuffer" });
+  await refused([{ name: "empty.zip", data: empty, mimetype: "" }], /No supported documents/);
+});
@@ -0,0 +1,57 @@
+// server/test/unitCodes.test.js
+// Finding unit codes in an assessment tool, and the release it cites.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectUnitCodes, findUocCandidates, referencedRelease } from "../lib/unitCodes.js";
+
+const found = (text) => detectUnitCodes(text).map((c) => [c.code, c.accepted]);
+// far enough in that the cover-page bonus doesn't apply
+const body = (text) => `${"This section of the workbook explains the task. ".repeat(15)}${text}`;
+
+test("codes are found in running prose, not only on their own line", () => {
+  assert.deepEqual(found("Assessment for MARN008 candidates"), [["MARN008", true]]);
+  assert.deepEqual(found("This tool covers BSBWHS411, CPCCWHS1001 and UEENEEE101A."), [
+    ["BSBWHS411", true],
+    ["CPCCWHS1001", true],
+    ["UEENEEE101A", true],
+  ]);
+  assert.deepEqual(findUocCandidates(body("Students enrolled in MARN008 must complete all tasks.")), ["MARN008"]);
+});
+
+test("look-alikes are dropped or left for the user to confirm", () => {
+  // an unknown prefix written in a relaxed form isn't a code at all
+  assert.deepEqual(found("See page 123 and fig 1204; call ext 5512."), []);
+  // nor is a model, part or form number after its label, or a year
+  assert.deepEqual(found(body("Check the pump (model MSA1200), part no. BSBA100 and form SITF100.")), []);
+  assert.deepEqual(found(body("Use the XYZA2021 report template.")), []);
+  // an unknown prefix is only ever a suggestion
+  const [unknown] = detectUnitCodes("XYZA123 Operate a forklift");
+  assert.deepEqual([unknown.code, unknown.accepted], ["XYZA123", false]);
+  assert.ok(unknown.reasons.includes("unknown training package prefix"));
+});
+
+test("spaced, hyphenated and lower-case codes count for real training packages", () => {
+  const [spaced] = detectUnitCodes("Unit: BSB WHS 411 Implement and monitor WHS policies");
+  assert.equal(spaced.code, "BSBWHS411");
+  assert.ok(spaced.accepted);
+  assert.ok(spaced.reasons.includes("written with spaces or lowercase"));
+  assert.deepEqual(found("unit marn008 and unit mar-n-008"), [["MARN008", true]]);
+  assert.equal(detectUnitCodes("unit marn008 and unit mar-n-008")[0].occurrences, 2);
+});
+
+test("headings, repetition and contexts are what the user sees", () => {
+  const text = body("MARN008 is assessed in Task 1. MARN008 again in Task 2.");
+  const plain = detectUnitCodes(text)[0];
+  const withHeading = detectUnitCodes(text, { sections: [{ title: "MARN008 Undertake basic seamanship" }], blocks: [] })[0];
+  assert.ok(withHeading.confidence > plain.confidence);
+  assert.ok(plain.reasons.includes("mentioned 2 times"));
+  assert.equal(plain.contexts.length, 2);
+  assert.match(plain.contexts[0].snippet, /MARN008 is assessed in Task 1/);
+});
+
+test("the cited release is the first one on a line with the code", () => {
+  assert.equal(referencedRelease("MARN008 Undertake basic seamanship (R1)", "MARN008"), "1");
+  assert.equal(referencedRelease("Unit: MARN008\nRelease 2", "MARN008"), null);
+  assert.equal(referencedRelease("MARN008 overview.\nMARN008 Release 2\nMARN008 Release 3", "MARN008"), "2");
+  assert.equal(referencedRelease("UEENEEE101A release 1", "UEENEEE101A"), "1");
+});
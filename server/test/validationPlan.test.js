@@ -0,0 +1,113 @@
+// server/test/validationPlan.test.js
+// Due dates on the validation plan, and which linked reports count as a validation.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fetched, placeholder } from "../lib/provenance.js";
+import { createReportSeal } from "../lib/reportSeal.js";
+import { createSignOffStore } from "../lib/signOffStore.js";
+import { createValidationPlan, RISK_INTERVAL_YEARS } from "../lib/validationPlan.js";
+
+const reportSeal = createReportSeal("test secret");
+const ann = { id: "u1", name: "Ann", credentials: "", roles: ["assessor"] };
+const val = { id: "u2", name: "Val", credentials: "TAE40122", roles: ["validator"] };
+
+const report = (code, provenance = fetched("tga-html", "2026-01-01T00:00:00.000Z")) =>
+  reportSeal.seal({
+    unit: { code, title: "" },
+    coverage: { performanceCriteria: { percentage: 80 }, knowledge: { percentage: 100 } },
+    provenance,
+  });
+
+// a project store holding one saved version, its unit rows summarised the way projectStore does
+function projectsWith(units) {
+  const project = {
+    id: "p1",
+    name: "Deck tools",
+    versions: [{ version: 1, createdAt: "2025-03-01T00:00:00.000Z", units }],
+  };
+  return { list: () => [{ id: project.id }], get: (id) => (id === project.id ? project : null) };
+}
+
+async function setup(t, units = []) {
+  const dir = mkdtempSync(path.join(tmpdir(), "rto-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const signOffStore = createSignOffStore({ file: path.join(dir, "signoffs.json"), reportSeal });
+  const plan = createValidationPlan({ file: path.join(dir, "plan.json"), projectStore: projectsWith(units), signOffStore });
+  const product = await plan.addProduct({ code: "MAR20318", units: [{ code: "MARN008" }, { code: "MARC037", type: "elective" }] });
+  return { plan, signOffStore, product };
+}
+
+async function signOff(signOffStore, sealed) {
+  const { id } = await signOffStore.create({ report: sealed }, ann);
+  await signOffStore.advance(id, "review", val);
+  return signOffStore.advance(id, "sign-off", val, { outcome: "approved" });
+}
+
+const unitOf = (product, code) => product.units.find((u) => u.code === code);
+
+test("units start unscheduled; electives aren't sampled", async (t) => {
+  const { product } = await setup(t);
+  assert.equal(unitOf(product, "MARN008").status, "unscheduled");
+  assert.equal(unitOf(product, "MARC037").status, "not-sampled");
+  assert.equal(product.summary.cycleStatus, "never-validated");
+});
+
+test("the risk rating sets the next due date after a validation", async (t) => {
+  const { plan, product } = await setup(t);
+  const updated = await plan.updateUnit(product.id, "MARN008", { lastValidated: "2020-06-30", risk: "high" });
+  const unit = unitOf(updated, "MARN008");
+  assert.equal(unit.dueDate, `${2020 + RISK_INTERVAL_YEARS.high}-06-30`);
+  assert.equal(unit.status, "overdue");
+  await assert.rejects(plan.updateUnit(product.id, "MARN008", { lastValidated: "2026-02-30" }), { status: 400 });
+});
+
+test("a sign-off link counts only once the report is signed off", async (t) => {
+  const { plan, signOffStore, product } = await setup(t);
+  const draft = await signOffStore.create({ report: report("MARN008") }, ann);
+  let unit = unitOf(await plan.link(product.id, "MARN008", { kind: "sign-off", id: draft.id }), "MARN008");
+  assert.equal(unit.links[0].satisfies, false);
+  assert.equal(unit.lastValidated, null);
+
+  await signOffStore.advance(draft.id, "review", val);
+  await signOffStore.advance(draft.id, "sign-off", val, { outcome: "approved" });
+  unit = unitOf(plan.get(product.id), "MARN008");
+  assert.equal(unit.links[0].satisfies, true);
+  assert.equal(unit.lastValidated, new Date().toISOString().slice(0, 10));
+});
+
+test("a project version counts only when its report for the unit was signed off", async (t) => {
+  const sealed = report("MARN008");
+  const { plan, signOffStore, product } = await setup(t, [{ code: "MARN008", seal: sealed.seal, placeholder: false }]);
+
+  let unit = unitOf(await plan.link(product.id, "MARN008", { kind: "project", id: "p1", version: 1 }), "MARN008");
+  assert.equal(unit.links[0].status, "not signed off");
+  assert.equal(unit.links[0].satisfies, false);
+  assert.equal(unit.lastValidated, null);
+  assert.equal(plan.candidates("MARN008")[0].status, "not signed off");
+
+  await signOff(signOffStore, sealed);
+  unit = unitOf(plan.get(product.id), "MARN008");
+  assert.equal(unit.links[0].status, "signed-off");
+  assert.equal(unit.links[0].satisfies, true);
+  // the date of the sign-off, not of the saved version
+  assert.equal(unit.lastValidated, new Date().toISOString().slice(0, 10));
+});
+
+test("a project version scored on placeholder data never counts", async (t) => {
+  const { plan, product } = await setup(t, [{ code: "MARN008", seal: report("MARN008", placeholder()).seal, placeholder: true }]);
+  const unit = unitOf(await plan.link(product.id, "MARN008", { kind: "project", id: "p1", version: 1 }), "MARN008");
+  assert.equal(unit.links[0].status, "placeholder data");
+  assert.equal(unit.links[0].satisfies, false);
+});
+
+test("a project version without the unit can't be linked", async (t) => {
+  const { plan, product } = await setup(t, [{ code: "MARC037", seal: null, placeholder: false }]);
+  await assert.rejects(plan.link(product.id, "MARN008", { kind: "project", id: "p1", version: 1 }), {
+    status: 400,
+    message: /has no report for MARN008/,
+  });
+  await assert.rejects(plan.link(product.id, "MARN008", { kind: "project", id: "p1", version: 9 }), { status: 404 });
+});